@@ -6,7 +6,18 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import handsRouter from './routes/hands.js';
 import statsRouter from './routes/stats.js';
-import { processHandHistories } from './utils/parseHandHistory.js';
+import importBatchesRouter from './routes/importBatches.js';
+import importJobsRouter from './routes/importJobs.js';
+import tournamentsRouter from './routes/tournaments.js';
+import playersRouter from './routes/players.js';
+import sessionsRouter from './routes/sessions.js';
+import authRouter from './routes/auth.js';
+import identitiesRouter from './routes/identities.js';
+import { requireAuth, ownsScreenName, screenNameTaken, bindScreenName } from './utils/auth.js';
+import { hashContent, findImportBatch, runImportBatch } from './utils/importBatch.js';
+import { getOwnImportJob, updateImportJob, finishImportJob } from './utils/importJobs.js';
+import { isTournamentSummary, parseTournamentSummary, importTournamentSummary } from './utils/tournamentSummary.js';
+import { detectHandHistorySite } from './utils/parseHandHistory.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -82,10 +93,13 @@ const storage = multer.diskStorage({
 const upload = multer({ 
     storage: storage,
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/plain') {
+        // Text hand histories, or Open Hand History JSON exports
+        if (file.mimetype === 'text/plain' ||
+            file.mimetype === 'application/json' ||
+            /\.(txt|json|ohh)$/i.test(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Only .txt files are allowed'));
+            cb(new Error('Only .txt, .json and .ohh files are allowed'));
         }
     }
 });
@@ -98,11 +112,23 @@ mongoose.connect(process.env.MONGODB_URI)
         process.exit(1);
     });
 
-// Routes
-app.use('/api/hands', handsRouter);
-app.use('/api/stats', statsRouter);
+// Routes; everything but signing in needs a token, and routes only see the
+// signed-in account's screen names. Import jobs are created with the token;
+// their events are read with EventSource, which cannot send it, so the job
+// hands out a short-lived token for its own stream (routes/importJobs.js).
+app.use('/api/auth', authRouter);
+app.use('/api/hands', requireAuth, handsRouter);
+app.use('/api/stats', requireAuth, statsRouter);
+app.use('/api/import-batches', requireAuth, importBatchesRouter);
+app.use('/api/import-jobs', importJobsRouter);
+app.use('/api/tournaments', requireAuth, tournamentsRouter);
+app.use('/api/players', requireAuth, playersRouter);
+app.use('/api/sessions', requireAuth, sessionsRouter);
+app.use('/api/identities', requireAuth, identitiesRouter);
 
-// File upload route
+// File upload route; requireAuth already ran for /api/hands. A file with hands
+// dealt to the screen name shows it is the account's, so the screen name is
+// bound to the account (on the file's site) by its first such import.
 app.post('/api/hands/upload', upload.single('file'), async (req, res) => {
     try {
         console.log('Received upload request:', {
@@ -118,14 +144,96 @@ app.post('/api/hands/upload', upload.single('file'), async (req, res) => {
             return res.status(400).json({ message: 'Username is required' });
         }
 
+        const importMode = req.body.importMode === 'all' ? 'all' : 'played';
+        const { jobId } = req.body;
+        // Only the account that created a job reports progress on it
+        if (jobId && !getOwnImportJob(jobId, req.user._id)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(404).json({ message: 'Import job not found' });
+        }
+
+        const fileContent = fs.readFileSync(req.file.path);
+
+        // Tournament summaries hold results rather than hands; importing one again just updates it
+        if (isTournamentSummary(fileContent.toString('utf8'))) {
+            let summary;
+            try {
+                // A summary lists every finisher, so it only goes to a screen name already bound by its hands
+                const { site } = parseTournamentSummary(fileContent.toString('utf8'), req.body.username);
+                if (!ownsScreenName(req, req.body.username, site)) {
+                    const message = `Import hands played as ${req.body.username} before their tournament summaries`;
+                    if (jobId) finishImportJob(jobId, new Error(message));
+                    return res.status(403).json({ message });
+                }
+                summary = await importTournamentSummary({
+                    content: fileContent.toString('utf8'),
+                    username: req.body.username,
+                    fileName: req.file.originalname
+                });
+            } catch (error) {
+                if (jobId) finishImportJob(jobId, error);
+                return res.status(400).json({ message: error.message });
+            }
+            if (jobId) finishImportJob(jobId);
+
+            return res.json({
+                message: 'Tournament summary imported successfully',
+                tournament: summary.tournament,
+                handsLinked: summary.handsLinked
+            });
+        }
+
+        const site = detectHandHistorySite(fileContent.toString('utf8'));
+        if (await screenNameTaken(req.user, site, req.body.username)) {
+            const message = `${req.body.username} belongs to another account`;
+            fs.unlinkSync(req.file.path);
+            if (jobId) finishImportJob(jobId, new Error(message));
+            return res.status(403).json({ message });
+        }
+
+        // Refuse a file this user has already imported
+        const fileHash = hashContent(fileContent);
+        const existingBatch = await findImportBatch(req.body.username, fileHash);
+        if (existingBatch) {
+            const message = `${req.file.originalname} was already imported on ${existingBatch.createdAt.toISOString()}`;
+            fs.unlinkSync(req.file.path);
+            if (jobId) finishImportJob(jobId, new Error(message));
+            return res.status(409).json({
+                message,
+                batch: existingBatch
+            });
+        }
+
         console.log('Processing file:', {
             path: req.file.path,
             tournamentName: req.body.tournamentName,
-            username: req.body.username
+            username: req.body.username,
+            importMode
         });
 
-        // Process the uploaded file
-        const result = await processHandHistories(req.file.path, req.body.tournamentName, req.body.username);
+        // Process the uploaded file, streaming progress to GET /api/import-jobs/:jobId/events if a job id was sent
+        let batch;
+        let result;
+        try {
+            ({ batch, result } = await runImportBatch({
+                filePath: req.file.path,
+                fileName: req.file.originalname,
+                fileHash,
+                username: req.body.username,
+                tournamentName: req.body.tournamentName,
+                importMode,
+                onProgress: progress => jobId && updateImportJob(jobId, progress)
+            }));
+        } catch (error) {
+            if (jobId) finishImportJob(jobId, error);
+            throw error;
+        }
+        if (jobId) finishImportJob(jobId);
+
+        // Hands dealt to the screen name were found, so it is theirs
+        if (result.site && !await bindScreenName(req.user, result.site, req.body.username)) {
+            console.error(`${req.body.username} was bound to another account during the import`);
+        }
         
         console.log('File processing result:', result);
 
@@ -141,8 +249,11 @@ app.post('/api/hands/upload', upload.single('file'), async (req, res) => {
             stats: {
                 totalHands: result.totalHands,
                 handsPlayed: result.handsPlayed,
-                handsSaved: result.handsSaved
-            }
+                handsSaved: result.handsSaved,
+                duplicates: result.duplicates
+            },
+            batchId: batch._id,
+            report: result.report
         });
     } catch (error) {
         console.error('Error processing file:', error);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import Hand from '../models/Hand.js';
+import ImportBatch from '../models/ImportBatch.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { rebuildSessions } from '../utils/sessionDetection.js';
+import { backfillSites } from '../utils/legacySites.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/poker-history';
+
+// Screen names used to be bound to an account by name alone; they are now bound
+// per site. Gives hands, profiles and tournaments saved before sites existed
+// their site, binds every old screen name on each site it has hands on, and
+// adds the site to import batches and sessions.
+async function migrate() {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        // Everything below looks documents up by site, so legacy ones get theirs first
+        const backfilled = await backfillSites();
+        Object.entries(backfilled).forEach(([model, count]) => {
+            console.log(`Set the site on ${count} ${model} documents without one`);
+        });
+
+        // Old accounts store plain strings, which the User model no longer reads
+        const users = mongoose.connection.db.collection('users');
+        let usersUpdated = 0;
+        for await (const user of users.find({ screenNames: { $type: 'string' } })) {
+            const screenNames = user.screenNames.filter(name => typeof name !== 'string');
+            for (const screenName of user.screenNames.filter(name => typeof name === 'string')) {
+                const sites = await Hand.distinct('site', { username: screenName });
+                (sites.length > 0 ? sites : ['wpn']).forEach(site => screenNames.push({ site, screenName }));
+            }
+            await users.updateOne({ _id: user._id }, { $set: { screenNames } });
+            usersUpdated++;
+        }
+        await User.syncIndexes();
+        console.log(`Bound the screen names of ${usersUpdated} accounts per site`);
+
+        let batchesUpdated = 0;
+        for await (const batch of ImportBatch.find({ site: { $exists: false } }).select('_id')) {
+            const hand = await Hand.findOne({ importBatch: batch._id }).select('site').lean();
+            await ImportBatch.updateOne({ _id: batch._id }, { $set: { site: hand?.site || 'wpn' } });
+            batchesUpdated++;
+        }
+        console.log(`Added the site to ${batchesUpdated} import batches`);
+
+        // Sessions are derived from the hands, so they are simply detected again per site
+        await Session.deleteMany({ site: { $exists: false } });
+        await Session.syncIndexes();
+        const screenNames = await Hand.aggregate([{ $group: { _id: { username: '$username', site: '$site' } } }]);
+        for (const { _id: { username, site } } of screenNames) {
+            await rebuildSessions(username, site);
+        }
+        console.log(`Detected the sessions of ${screenNames.length} screen names again`);
+
+        // Disconnect from MongoDB
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
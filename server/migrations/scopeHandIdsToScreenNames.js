@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import Hand from '../models/Hand.js';
+import { backfillSites } from '../utils/legacySites.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/poker-history';
+
+// Hand ids used to be unique across the whole database; they are now unique
+// per screen name and site. Gives hands saved before sites existed their site,
+// so a re-import matches them instead of storing a second copy, then drops the
+// old id index and builds the new one.
+async function migrate() {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const { Hand: backfilled } = await backfillSites([Hand]);
+        console.log(`Set the site on ${backfilled} hands without one`);
+
+        const dropped = await Hand.syncIndexes();
+        console.log(`Dropped indexes: ${dropped.length > 0 ? dropped.join(', ') : 'none'}`);
+
+        // Disconnect from MongoDB
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
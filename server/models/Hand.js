@@ -32,6 +32,8 @@ const bettingActionSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // The amount in chips as written in the hand history; amount is rounded to the nearest half big blind
+    chipAmount: Number,
     street: { 
         type: String, 
         required: true,
@@ -187,18 +189,71 @@ const streetBetsSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// Hero's part in one postflop street of the action line
+const streetLineSchema = new mongoose.Schema({
+    position: {
+        type: String,
+        enum: ['IP', 'OOP']
+    },
+    actions: [String],
+    tokens: [{
+        type: String,
+        enum: ['cbet', 'donk', 'check-raise', 'float', 'probe']
+    }]
+}, { _id: false });
+
+// A markdown note on the hand, or on one action when actionId is set
+// (`<hand id>-<bettingActions index>`, the id heroActions use)
+const handNoteSchema = new mongoose.Schema({
+    actionId: String,
+    text: {
+        type: String,
+        required: true
+    }
+}, { timestamps: true });
+
+// Hero's all-in EV (utils/allInEV.js); amounts in BB
+const allInEVSchema = new mongoose.Schema({
+    street: {
+        type: String,
+        enum: ['preflop', 'flop', 'turn']
+    },
+    villain: String,
+    equity: Number,
+    pot: Number,
+    won: Number,
+    evNet: Number
+}, { _id: false });
+
 // Main hand schema
 const handSchema = new mongoose.Schema({
+    // The site's hand number; unique together with username and site (see the index below)
     id: { 
         type: String, 
         required: true, 
-        unique: true,
         default: () => Date.now().toString()
     },
     username: {
         type: String,
         required: true
     },
+    site: {
+        type: String,
+        enum: ['wpn', 'pokerstars', 'other'],
+        default: 'wpn'
+    },
+    // Upload that created this hand, so the import can be undone
+    importBatch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch'
+    },
+    // The hand as it appeared in the imported file, and the parser version
+    // that produced this document; left out of queries unless selected
+    rawText: {
+        type: String,
+        select: false
+    },
+    parserVersion: Number,
     timestamp: { 
         type: Date, 
         required: true,
@@ -298,6 +353,8 @@ const handSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Hero's result in BB: winnings minus everything hero put in
+    heroNet: Number,
     currentBet: { 
         type: Number, 
         required: true,
@@ -313,13 +370,58 @@ const handSchema = new mongoose.Schema({
         min: 0,
         max: 9
     },
+    // How far hero got in the hand; only 'postflop' hands are stored unless every dealt hand was imported
+    heroInvolvement: {
+        type: String,
+        enum: ['folded-preflop', 'preflop-only', 'postflop'],
+        default: 'postflop'
+    },
     viewed: {
         type: Boolean,
         default: false
     },
+    // Review state the user keeps on a hand: free-form tags ("cooler", "ask coach"), notes and a review status
+    tags: [String],
+    notes: [handNoteSchema],
+    reviewStatus: {
+        type: String,
+        enum: ['unreviewed', 'flagged', 'reviewed'],
+        default: 'unreviewed'
+    },
+    // The betting line from hero's side (utils/actionLineClassifier.js), for searching by spot
+    actionLine: {
+        potType: {
+            type: String,
+            enum: ['limped', 'SRP', '3BP', '4BP+', null]
+        },
+        heroRole: {
+            type: String,
+            enum: ['PFR', 'caller', null]
+        },
+        playersToFlop: Number,
+        flop: streetLineSchema,
+        turn: streetLineSchema,
+        river: streetLineSchema
+    },
+    // Flop texture tags (utils/boardTexture.js), empty when there was no flop
+    flopTexture: {
+        type: [{
+            type: String,
+            enum: ['monotone', 'two-tone', 'rainbow', 'paired', 'connected']
+        }],
+        default: undefined
+    },
+    // Set when hero was all-in before the river against known cards; null otherwise
+    allInEV: {
+        type: allInEVSchema,
+        default: undefined
+    },
     tournamentInfo: {
         tournamentId: String,
+        // The whole entry: buy-in plus fee plus bounty
         buyIn: Number,
+        fee: Number,
+        bounty: Number,
         limitType: {
             type: String,
             enum: ['No Limit', 'Pot Limit', 'Fixed Limit']
@@ -332,6 +434,14 @@ const handSchema = new mongoose.Schema({
         bigBlind: Number,
         ante: Number
     },
+    // Cash games only: stakes and table the hand was played at
+    stakes: {
+        smallBlind: Number,
+        bigBlind: Number,
+        currency: String,
+        tableName: String,
+        tableSize: Number
+    },
     playerStacks: {
         type: Map,
         of: Number
@@ -340,6 +450,17 @@ const handSchema = new mongoose.Schema({
         type: Map,
         of: Number
     },
+    // Knockout tournaments: each player's bounty at the start of the hand, in the tournament's currency
+    playerBounties: {
+        type: Map,
+        of: Number
+    },
+    // Bounties collected in this hand; eliminated is the busted player(s) as written in the history
+    bountiesWon: [{
+        username: String,
+        amount: Number,
+        eliminated: String
+    }],
     potSizes: {
         preflop: Number,
         flop: Number,
@@ -347,6 +468,20 @@ const handSchema = new mongoose.Schema({
         river: Number,
         final: Number
     },
+    // Main pot first, then side pots; eligiblePlayers and winners use the same
+    // playerIndex as bettingActions (hero is 0). Amounts in BB, with chipAmount
+    // in chips as for bettingActions.
+    pots: [{
+        amount: Number,
+        chipAmount: Number,
+        eligiblePlayers: [Number],
+        winners: [{
+            playerIndex: Number,
+            username: String,
+            amount: Number,
+            chipAmount: Number
+        }]
+    }],
     showdown: {
         board: [String],
         hands: [{
@@ -356,12 +491,14 @@ const handSchema = new mongoose.Schema({
             board: [String]
         }]
     },
+    // winners and losers also use bettingActions' playerIndex (hero is 0), whatever format the hand came from
     winners: [{
         playerIndex: Number,
         username: String,
         position: String,
         isWinner: Boolean,
         amount: Number,
+        chipAmount: Number,
         hand: {
             description: String,
             cards: [String]
@@ -389,9 +526,19 @@ const handSchema = new mongoose.Schema({
 });
 
 // Add indexes for common queries
+// Each screen name keeps its own copy of a hand, so two accounts that sat at
+// the same table never share one, and hand numbers only need to be unique per site
+handSchema.index({ username: 1, site: 1, id: 1 }, { unique: true });
 handSchema.index({ timestamp: -1 });
+handSchema.index({ username: 1, timestamp: -1 });
 handSchema.index({ gameType: 1, timestamp: -1 });
 handSchema.index({ heroPosition: 1, timestamp: -1 });
+handSchema.index({ heroInvolvement: 1, timestamp: -1 });
+handSchema.index({ username: 1, 'actionLine.potType': 1, 'actionLine.heroRole': 1 });
+handSchema.index({ username: 1, flopTexture: 1 });
+handSchema.index({ username: 1, tags: 1 });
+handSchema.index({ username: 1, reviewStatus: 1 });
+handSchema.index({ importBatch: 1 });
 
 // Virtual for getting the final pot size
 handSchema.virtual('finalPotSize').get(function() {
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One uploaded hand history file and the hands it created
+const importBatchSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    // Site of the file's hands; with username, the screen name they were imported for
+    site: {
+        type: String,
+        enum: ['wpn', 'pokerstars', 'other']
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    // sha256 of the file contents, used to refuse importing the same file twice
+    fileHash: {
+        type: String,
+        required: true
+    },
+    tournamentName: String,
+    importMode: {
+        type: String,
+        enum: ['played', 'all'],
+        default: 'played'
+    },
+    totalHands: {
+        type: Number,
+        default: 0
+    },
+    handsPlayed: {
+        type: Number,
+        default: 0
+    },
+    handsSaved: {
+        type: Number,
+        default: 0
+    },
+    duplicates: {
+        type: Number,
+        default: 0
+    },
+    // Hands inserted by this batch; hands that already existed are not listed
+    hands: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hand'
+    }]
+}, {
+    timestamps: true
+});
+
+importBatchSchema.index({ username: 1, fileHash: 1 }, { unique: true });
+importBatchSchema.index({ username: 1, createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
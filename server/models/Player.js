@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { statsFromCounters } from '../utils/hudStats.js';
+
+// HUD counters for one screen name, summed over every seat of the hands stored
+// for one of our screen names (username, on site) (utils/playerStats.js), so
+// an account only ever sees profiles built from its own hands. Each percentage
+// stat keeps the number of times it happened and the number of chances there
+// were, so samples add up.
+const counter = { type: Number, default: 0 };
+
+const playerSchema = new mongoose.Schema({
+    // The screen name whose hands the profile is built from, as on Hand
+    username: {
+        type: String,
+        required: true
+    },
+    site: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    hands: counter,
+    vpip: counter,
+    pfr: counter,
+    threeBet: counter,
+    threeBetOpportunities: counter,
+    foldToThreeBet: counter,
+    foldToThreeBetOpportunities: counter,
+    cbet: counter,
+    cbetOpportunities: counter,
+    foldToCbet: counter,
+    foldToCbetOpportunities: counter,
+    // Postflop bets and raises, and postflop calls, for the aggression factor
+    postflopAggressive: counter,
+    postflopCalls: counter,
+    sawFlop: counter,
+    wentToShowdown: counter,
+    wonAtShowdown: counter,
+    lastSeenAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+playerSchema.index({ username: 1, site: 1, name: 1 }, { unique: true });
+
+// The HUD numbers, with their sample sizes
+playerSchema.virtual('stats').get(function() {
+    return statsFromCounters(this);
+});
+
+const Player = mongoose.model('Player', playerSchema);
+
+export default Player;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One player behind several screen names: an account's aliases on different
+// sites (or several accounts on one site) grouped under a name, so hands and
+// stats can be asked for across all of them (utils/playerIdentity.js). Every
+// alias is one of the owner's screen names (User.screenNames).
+const aliasSchema = new mongoose.Schema({
+    site: {
+        type: String,
+        enum: ['wpn', 'pokerstars', 'other'],
+        required: true
+    },
+    screenName: {
+        type: String,
+        required: true,
+        trim: true
+    }
+}, { _id: false });
+
+const playerIdentitySchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    aliases: {
+        type: [aliasSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+playerIdentitySchema.index({ owner: 1, name: 1 }, { unique: true });
+
+const PlayerIdentity = mongoose.model('PlayerIdentity', playerIdentitySchema);
+
+export default PlayerIdentity;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// A stretch of play: hero's hands from every table and tournament, with no
+// gap between consecutive hands longer than gapMinutes (utils/sessionDetection.js).
+// Follows the sessionSchema in src/models/schemas.js (startTime, endTime,
+// gameType, hands), keyed by username and site like the other server models.
+const sessionSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    site: {
+        type: String,
+        enum: ['wpn', 'pokerstars', 'other'],
+        default: 'wpn'
+    },
+    startTime: {
+        type: Date,
+        required: true
+    },
+    endTime: Date,
+    // 'mixed' when cash games and tournaments were played in the same session
+    gameType: {
+        type: String,
+        required: true,
+        enum: ['cash', 'tournament', 'mixed']
+    },
+    // Hand ids (Hand.id), in the order they were played
+    hands: [{ type: String, ref: 'Hand' }],
+    handCount: {
+        type: Number,
+        default: 0
+    },
+    // Cash table names and tournament names played during the session
+    tables: [String],
+    // Sum of the hands' heroNet, in big blinds
+    netWon: {
+        type: Number,
+        default: 0
+    },
+    gapMinutes: Number
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+sessionSchema.index({ username: 1, site: 1, startTime: -1 });
+
+sessionSchema.virtual('durationMinutes').get(function() {
+    if (!this.startTime || !this.endTime) return 0;
+    return Math.round((this.endTime - this.startTime) / 60000);
+});
+
+sessionSchema.virtual('bbPer100').get(function() {
+    return this.handCount > 0 ? Number((this.netWon / this.handCount * 100).toFixed(2)) : 0;
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// One tournament hero played, read from the site's tournament summary file.
+// Hands from the same tournament share tournamentInfo.tournamentId and site.
+// Tournament numbers are only unique per site, and a screen name on one site
+// is not the same player as that name on another, so the site is part of the key.
+const tournamentSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    tournamentId: {
+        type: String,
+        required: true
+    },
+    site: {
+        type: String,
+        enum: ['wpn', 'pokerstars', 'other'],
+        default: 'wpn'
+    },
+    name: String,
+    // Buy-in split the way the site prints it; bounty is the knockout part of a PKO buy-in
+    buyIn: {
+        type: Number,
+        default: 0
+    },
+    bounty: {
+        type: Number,
+        default: 0
+    },
+    fee: {
+        type: Number,
+        default: 0
+    },
+    currency: String,
+    entrants: Number,
+    prizePool: Number,
+    finishPosition: Number,
+    prize: {
+        type: Number,
+        default: 0
+    },
+    bountiesWon: {
+        type: Number,
+        default: 0
+    },
+    // Prize for each place from 1st down, read from the summary or entered by hand; used for ICM
+    payouts: [Number],
+    startedAt: Date,
+    finishedAt: Date,
+    fileName: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+tournamentSchema.index({ username: 1, site: 1, tournamentId: 1 }, { unique: true });
+tournamentSchema.index({ username: 1, startedAt: -1 });
+
+// Total cost of one entry
+tournamentSchema.virtual('totalBuyIn').get(function() {
+    return (this.buyIn || 0) + (this.bounty || 0) + (this.fee || 0);
+});
+
+tournamentSchema.virtual('hands', {
+    ref: 'Hand',
+    localField: 'tournamentId',
+    foreignField: 'tournamentInfo.tournamentId'
+});
+
+const Tournament = mongoose.model('Tournament', tournamentSchema);
+
+export default Tournament;
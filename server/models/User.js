@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// A screen name on one poker site
+const screenNameSchema = new mongoose.Schema({
+    site: {
+        type: String,
+        enum: ['wpn', 'pokerstars', 'other'],
+        required: true
+    },
+    screenName: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+// An account. Follows the userSchema in src/models/schemas.js; screenNames are
+// the poker site names whose hands belong to the account, each bound on one
+// site the first time the account uploads hands dealt to it, and no two
+// accounts can share one on the same site.
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // scrypt hash (utils/auth.js); never sent to the client
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    screenNames: {
+        type: [screenNameSchema],
+        default: []
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.passwordHash;
+            return ret;
+        }
+    }
+});
+
+userSchema.index(
+    { 'screenNames.site': 1, 'screenNames.screenName': 1 },
+    { unique: true, partialFilterExpression: { 'screenNames.0': { $exists: true } } }
+);
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
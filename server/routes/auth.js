@@ -0,0 +1,58 @@
+import express from 'express';
+import User from '../models/User.js';
+import { hashPassword, verifyPassword, createToken, requireAuth } from '../utils/auth.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Create an account; responds with a token like POST /login
+router.post('/register', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (!username || !username.trim()) {
+            return res.status(400).json({ message: 'Username is required' });
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        if (await User.exists({ username: username.trim() })) {
+            return res.status(409).json({ message: 'Username is already taken' });
+        }
+
+        const user = await User.create({ username: username.trim(), passwordHash: hashPassword(password) });
+        res.status(201).json({ token: createToken(user._id), user });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            message: 'Error registering user',
+            error: error.message
+        });
+    }
+});
+
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const user = username && await User.findOne({ username: username.trim() });
+        if (!user || !password || !verifyPassword(password, user.passwordHash)) {
+            return res.status(401).json({ message: 'Invalid username or password' });
+        }
+
+        res.json({ token: createToken(user._id), user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            message: 'Error logging in',
+            error: error.message
+        });
+    }
+});
+
+// The signed-in account and its screen names. Screen names are bound by
+// uploading their hands (POST /api/hands/upload), never by name alone.
+router.get('/me', requireAuth, (req, res) => {
+    res.json(req.user);
+});
+
+export default router;
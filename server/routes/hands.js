@@ -1,197 +1,368 @@
 import express from 'express';
 import Hand from '../models/Hand.js';
+import { handToOpenHandHistory } from '../utils/openHandHistory.js';
+import { reparseHands } from '../utils/reparseHands.js';
+import { parseHoleCardRange } from '../utils/holeCardRange.js';
+import { updatePlayerStats } from '../utils/playerStats.js';
+import { rebuildSessions } from '../utils/sessionDetection.js';
+import { screenNameFilter, ownsScreenName, NOT_YOUR_SCREEN_NAME } from '../utils/auth.js';
+import { resolveHero } from '../utils/playerIdentity.js';
+import { POSITIONS_BY_TABLE_SIZE, WENT_TO_SHOWDOWN } from '../utils/handExpressions.js';
 
 const router = express.Router();
 
-// Get all hands with optional filters
-router.get('/', async (req, res) => {
-    try {
-        const {
-            sortBy = 'timestamp',
-            position,
-            minStackSize,
-            maxStackSize,
-            holeCards,
-            gameType,
-            startDate,
-            endDate,
-            tournamentName,
-            username
-        } = req.query;
-
-        console.log('Received query params:', req.query); // Debug log
-
-        // Build query
-        const query = {};
-        
-        // Add username filter if provided
-        if (username) {
-            query.username = username;
-            console.log('Added username filter:', username);
-        }
-        
-        // Add date range filter if dates are provided
-        if (startDate && endDate) {
-            const start = new Date(startDate);
-            const end = new Date(endDate);
-            
-            console.log('Date range:', {
-                startDate,
-                endDate,
-                parsedStart: start.toISOString(),
-                parsedEnd: end.toISOString()
-            });
-
-            query.timestamp = {
-                $gte: start,
-                $lte: end
+// sortBy values the hand list accepts, and the field each one sorts on
+const SORT_FIELDS = {
+    timestamp: 'timestamp',
+    potSize: 'potSize',
+    heroNet: 'heroNet',
+    stackSize: 'heroStackSize',
+    heroStackSize: 'heroStackSize'
+};
+
+// What a page of the hand list needs; the replayer loads the full hand from GET /:id
+const LIST_PROJECTION = 'id timestamp username tournamentName gameType numPlayers heroPosition buttonPosition ' +
+    'heroStackSize potSize heroNet heroHoleCards communityCards heroInvolvement viewed tags reviewStatus';
+
+// Line tokens stored in actionLine.<street>.tokens (utils/actionLineClassifier.js)
+const LINE_TOKENS = ['cbet', 'donk', 'check-raise', 'float', 'probe'];
+
+// What PATCH /:id may change: the user's review state, whether the hand was
+// viewed, and the tournament name shown for it
+const EDITABLE_HAND_FIELDS = ['tags', 'reviewStatus', 'notes', 'viewed', 'tournamentName'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Match hands where hero sat in the named position, for every table size that has it
+function buildPositionQuery(position) {
+    return Object.entries(POSITIONS_BY_TABLE_SIZE)
+        .filter(([, positions]) => positions.includes(position))
+        .map(([tableSize, positions]) => {
+            const numPlayers = Number(tableSize);
+            const index = positions.indexOf(position);
+            if (numPlayers === 2) {
+                return { numPlayers, heroPosition: index };
+            }
+            const distanceFromButton = {
+                $mod: [{ $add: [{ $subtract: ['$heroPosition', '$buttonPosition'] }, numPlayers] }, numPlayers]
             };
-        }
-        
-        // Add tournament name filter if provided
-        if (tournamentName) {
-            query.tournamentName = { $regex: tournamentName, $options: 'i' }; // Case-insensitive search
-        }
-        
-        // Add other filters if they exist
-        if (gameType) query.gameType = gameType;
-        
-        // Stack size range
-        if (minStackSize || maxStackSize) {
-            query.heroStackSize = {};
-            if (minStackSize) query.heroStackSize.$gte = Number(minStackSize);
-            if (maxStackSize) query.heroStackSize.$lte = Number(maxStackSize);
-        }
+            return { numPlayers, $expr: { $eq: [distanceFromButton, index] } };
+        });
+}
+
+// Every route only reaches hands of the signed-in account's screen names (req.user, utils/auth.js)
+function ownHands(req) {
+    return screenNameFilter(req);
+}
+
+// Tags are compared case-insensitively: "Ask  Coach" and "ask coach" are the same tag
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// The ids notes can be attached to: one per betting action, as heroActions use them
+function actionIdsOf(hand) {
+    return hand.bettingActions.map((action, index) => action.actionId || `${hand.id}-${index}`);
+}
+
+// Hero's line on one street: a line token ('cbet', 'check-raise', ...) or hero's
+// exact actions on the street joined by dashes ('check-call', 'bet-fold')
+function buildStreetLineQuery(street, line) {
+    if (LINE_TOKENS.includes(line)) {
+        return { [`actionLine.${street}.tokens`]: line };
+    }
+    return { [`actionLine.${street}.actions`]: line.split('-') };
+}
+
+// Build the MongoDB query for the hand list filters shared by GET / and GET /export
+function buildHandsQuery(params) {
+    const {
+        position,
+        minStackSize,
+        maxStackSize,
+        holeCards,
+        gameType,
+        startDate,
+        endDate,
+        tournamentName,
+        heroInvolvement,
+        hideFolded,
+        holeCardRange,
+        flopTexture,
+        minPotSize,
+        maxPotSize,
+        potType,
+        heroRole,
+        flopLine,
+        turnLine,
+        riverLine,
+        villain,
+        showdown,
+        result,
+        allIn,
+        tag,
+        reviewStatus
+    } = params;
+
+    // Build query; whose hands is added by the routes (resolveHero)
+    const query = {};
+    
+    // Add date range filter if dates are provided
+    if (startDate && endDate) {
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        query.timestamp = {
+            $gte: start,
+            $lte: end
+        };
+    }
+    
+    // Add tournament name filter if provided
+    if (tournamentName) {
+        query.tournamentName = { $regex: tournamentName, $options: 'i' }; // Case-insensitive search
+    }
+    
+    // Add other filters if they exist
+    if (gameType) query.gameType = gameType;
+
+    // Hands imported with every dealt hand include preflop folds; the hand list hides them unless asked
+    if (heroInvolvement) {
+        query.heroInvolvement = { $in: heroInvolvement.split(',') };
+    } else if (hideFolded === 'true') {
+        query.heroInvolvement = { $ne: 'folded-preflop' };
+    }
+    
+    // Stack size range
+    if (minStackSize || maxStackSize) {
+        query.heroStackSize = {};
+        if (minStackSize) query.heroStackSize.$gte = Number(minStackSize);
+        if (maxStackSize) query.heroStackSize.$lte = Number(maxStackSize);
+    }
 
-        // Hole cards filter
-        if (holeCards) {
-            console.log('Processing hole cards filter:', holeCards);
-            const cards = holeCards.split(',');
-            console.log('Split cards:', cards);
-
-            if (cards.length === 2 && cards[0] && cards[1]) {
-                // Format both cards properly
-                const firstCard = cards[0].length >= 2 ? 
-                    cards[0][0].toUpperCase() + cards[0][1].toLowerCase() : 
-                    cards[0].toUpperCase();
-                
-                const secondCard = cards[1].length >= 2 ? 
-                    cards[1][0].toUpperCase() + cards[1][1].toLowerCase() : 
-                    cards[1].toUpperCase();
-                
-                console.log('Formatted cards:', { firstCard, secondCard });
-                console.log('Card lengths:', { 
-                    firstCardLength: cards[0].length, 
-                    secondCardLength: cards[1].length 
-                });
-
-                if (cards[0].length >= 2 && cards[1].length >= 2) {
-                    // Both cards have rank and suit - exact match
-                    console.log('Both cards have rank and suit - using exact match');
-                    query.heroHoleCards = { $all: [firstCard, secondCard] };
-                    console.log('Query for exact match:', query.heroHoleCards);
-                } else if (cards[0].length >= 2) {
-                    // First card has rank and suit, second card is rank only
-                    console.log('First card has rank and suit, second card is rank only');
-                    const possibleSecondCards = ['h', 'd', 'c', 's'].map(suit => secondCard + suit);
-                    // If ranks are the same, exclude the first card's suit from possible second cards
-                    if (firstCard[0] === secondCard[0]) {
-                        const firstCardSuit = firstCard[1];
-                        const filteredSecondCards = possibleSecondCards.filter(card => card[1] !== firstCardSuit);
-                        query.$and = [
-                            { heroHoleCards: { $regex: `^${firstCard}` } },
-                            { heroHoleCards: { $in: filteredSecondCards } }
-                        ];
-                    } else {
-                        query.$and = [
-                            { heroHoleCards: { $regex: `^${firstCard}` } },
-                            { heroHoleCards: { $in: possibleSecondCards } }
-                        ];
-                    }
-                    console.log('Query for partial match:', query.$and);
-                } else if (cards[1].length >= 2) {
-                    // First card is rank only, second card has rank and suit
-                    console.log('First card is rank only, second card has rank and suit');
-                    const possibleFirstCards = ['h', 'd', 'c', 's'].map(suit => firstCard + suit);
-                    // If ranks are the same, exclude the second card's suit from possible first cards
-                    if (firstCard === secondCard[0]) {
-                        const secondCardSuit = secondCard[1];
-                        const filteredFirstCards = possibleFirstCards.filter(card => card[1] !== secondCardSuit);
-                        query.$and = [
-                            { heroHoleCards: { $in: filteredFirstCards } },
-                            { heroHoleCards: { $regex: `^${secondCard}` } }
-                        ];
-                    } else {
-                        query.$and = [
-                            { heroHoleCards: { $in: possibleFirstCards } },
-                            { heroHoleCards: { $regex: `^${secondCard}` } }
-                        ];
-                    }
-                    console.log('Query for partial match:', query.$and);
+    // Hole cards filter
+    if (holeCards) {
+        const cards = holeCards.split(',');
+
+        if (cards.length === 2 && cards[0] && cards[1]) {
+            // Format both cards properly
+            const firstCard = cards[0].length >= 2 ? 
+                cards[0][0].toUpperCase() + cards[0][1].toLowerCase() : 
+                cards[0].toUpperCase();
+            
+            const secondCard = cards[1].length >= 2 ? 
+                cards[1][0].toUpperCase() + cards[1][1].toLowerCase() : 
+                cards[1].toUpperCase();
+
+            if (cards[0].length >= 2 && cards[1].length >= 2) {
+                // Both cards have rank and suit - exact match
+                query.heroHoleCards = { $all: [firstCard, secondCard] };
+            } else if (cards[0].length >= 2) {
+                // First card has rank and suit, second card is rank only
+                const possibleSecondCards = ['h', 'd', 'c', 's'].map(suit => secondCard + suit);
+                // If ranks are the same, exclude the first card's suit from possible second cards
+                if (firstCard[0] === secondCard[0]) {
+                    const firstCardSuit = firstCard[1];
+                    const filteredSecondCards = possibleSecondCards.filter(card => card[1] !== firstCardSuit);
+                    query.$and = [
+                        { heroHoleCards: { $regex: `^${firstCard}` } },
+                        { heroHoleCards: { $in: filteredSecondCards } }
+                    ];
                 } else {
-                    // Both cards are rank only
-                    console.log('Both cards are rank only');
-                    if (firstCard === secondCard) {
-                        // If ranks are the same, we need to ensure we get two different cards
-                        const possibleCards = ['h', 'd', 'c', 's'].map(suit => firstCard + suit);
-                        // Create all possible combinations of two different cards
-                        const combinations = [];
-                        for (let i = 0; i < possibleCards.length; i++) {
-                            for (let j = i + 1; j < possibleCards.length; j++) {
-                                combinations.push([possibleCards[i], possibleCards[j]]);
-                            }
+                    query.$and = [
+                        { heroHoleCards: { $regex: `^${firstCard}` } },
+                        { heroHoleCards: { $in: possibleSecondCards } }
+                    ];
+                }
+            } else if (cards[1].length >= 2) {
+                // First card is rank only, second card has rank and suit
+                const possibleFirstCards = ['h', 'd', 'c', 's'].map(suit => firstCard + suit);
+                // If ranks are the same, exclude the second card's suit from possible first cards
+                if (firstCard === secondCard[0]) {
+                    const secondCardSuit = secondCard[1];
+                    const filteredFirstCards = possibleFirstCards.filter(card => card[1] !== secondCardSuit);
+                    query.$and = [
+                        { heroHoleCards: { $in: filteredFirstCards } },
+                        { heroHoleCards: { $regex: `^${secondCard}` } }
+                    ];
+                } else {
+                    query.$and = [
+                        { heroHoleCards: { $in: possibleFirstCards } },
+                        { heroHoleCards: { $regex: `^${secondCard}` } }
+                    ];
+                }
+            } else {
+                // Both cards are rank only
+                if (firstCard === secondCard) {
+                    // If ranks are the same, we need to ensure we get two different cards
+                    const possibleCards = ['h', 'd', 'c', 's'].map(suit => firstCard + suit);
+                    // Create all possible combinations of two different cards
+                    const combinations = [];
+                    for (let i = 0; i < possibleCards.length; i++) {
+                        for (let j = i + 1; j < possibleCards.length; j++) {
+                            combinations.push([possibleCards[i], possibleCards[j]]);
                         }
-                        query.$or = combinations.map(combo => ({
-                            heroHoleCards: { $all: combo }
-                        }));
-                        console.log('Same rank combinations:', combinations);
-                    } else {
-                        const possibleFirstCards = ['h', 'd', 'c', 's'].map(suit => firstCard + suit);
-                        const possibleSecondCards = ['h', 'd', 'c', 's'].map(suit => secondCard + suit);
-                        query.$and = [
-                            { heroHoleCards: { $in: possibleFirstCards } },
-                            { heroHoleCards: { $in: possibleSecondCards } }
-                        ];
                     }
-                    console.log('Query for rank only:', query.$or || query.$and);
-                }
-            } else if (cards[0]) {
-                // For single card, convert to proper case for regex
-                console.log('Single card filter');
-                const firstCard = cards[0];
-                if (firstCard.length >= 2) {
-                    const formattedCard = firstCard[0].toUpperCase() + firstCard[1].toLowerCase();
-                    query.heroHoleCards = { $regex: `^${formattedCard}` };
-                    console.log('Query for single card with suit:', query.heroHoleCards);
+                    query.$or = combinations.map(combo => ({
+                        heroHoleCards: { $all: combo }
+                    }));
                 } else {
-                    // For single character (rank only), match any card with that rank
-                    query.heroHoleCards = { $regex: `^${firstCard.toUpperCase()}` };
-                    console.log('Query for single card rank only:', query.heroHoleCards);
+                    const possibleFirstCards = ['h', 'd', 'c', 's'].map(suit => firstCard + suit);
+                    const possibleSecondCards = ['h', 'd', 'c', 's'].map(suit => secondCard + suit);
+                    query.$and = [
+                        { heroHoleCards: { $in: possibleFirstCards } },
+                        { heroHoleCards: { $in: possibleSecondCards } }
+                    ];
                 }
             }
+        } else if (cards[0]) {
+            // For single card, convert to proper case for regex
+            const firstCard = cards[0];
+            if (firstCard.length >= 2) {
+                const formattedCard = firstCard[0].toUpperCase() + firstCard[1].toLowerCase();
+                query.heroHoleCards = { $regex: `^${formattedCard}` };
+            } else {
+                // For single character (rank only), match any card with that rank
+                query.heroHoleCards = { $regex: `^${firstCard.toUpperCase()}` };
+            }
         }
+    }
 
-        console.log('Final MongoDB query:', JSON.stringify(query, null, 2)); // Debug log
+    if (position) {
+        const positionQuery = buildPositionQuery(position);
+        query.$and = [...(query.$and || []), positionQuery.length > 0 ? { $or: positionQuery } : { _id: null }];
+    }
+
+    const conditions = [];
+
+    // Range notation such as "AQs+, 77-TT"; GET / and /export reject ranges that do not parse
+    if (holeCardRange) {
+        const { combos } = parseHoleCardRange(holeCardRange);
+        conditions.push(combos.length > 0
+            ? { $or: combos.map(combo => ({ heroHoleCards: { $all: combo } })) }
+            : { _id: null });
+    }
+
+    // Every texture asked for must be on the flop, e.g. "two-tone,connected"
+    if (flopTexture) {
+        conditions.push({ flopTexture: { $all: flopTexture.split(',') } });
+    }
+
+    // Final pot in big blinds
+    if (minPotSize || maxPotSize) {
+        const potSize = {};
+        if (minPotSize) potSize.$gte = Number(minPotSize);
+        if (maxPotSize) potSize.$lte = Number(maxPotSize);
+        conditions.push({ potSize });
+    }
+
+    if (potType) conditions.push({ 'actionLine.potType': potType });
+    if (heroRole) conditions.push({ 'actionLine.heroRole': heroRole });
+    if (flopLine) conditions.push(buildStreetLineQuery('flop', flopLine));
+    if (turnLine) conditions.push(buildStreetLineQuery('turn', turnLine));
+    if (riverLine) conditions.push(buildStreetLineQuery('river', riverLine));
 
-        // First, let's check if there are any hands in the database at all
-        const totalHands = await Hand.countDocuments();
-        console.log('Total hands in database:', totalHands);
+    // A villain is anyone who posted or acted in the hand
+    if (villain) {
+        conditions.push({ bettingActions: { $elemMatch: { playerId: villain, playerIndex: { $ne: 0 } } } });
+    }
+
+    if (showdown === 'true') {
+        conditions.push({ $expr: WENT_TO_SHOWDOWN });
+    } else if (showdown === 'false') {
+        conditions.push({ $expr: { $not: [WENT_TO_SHOWDOWN] } });
+    }
+
+    if (result === 'won') {
+        conditions.push({ heroNet: { $gt: 0 } });
+    } else if (result === 'lost') {
+        conditions.push({ heroNet: { $lt: 0 } });
+    }
 
-        // Let's also check if there are any hands with the username
-        if (username) {
-            const handsWithUsername = await Hand.countDocuments({ username });
-            console.log(`Hands with username ${username}:`, handsWithUsername);
+    // Pots where somebody was all in and hero was still in the hand at the end
+    if (allIn === 'true') {
+        conditions.push(
+            { bettingActions: { $elemMatch: { isAllIn: true } } },
+            { bettingActions: { $not: { $elemMatch: { playerIndex: 0, action: 'fold' } } } }
+        );
+    }
+
+    // Every tag asked for must be on the hand, e.g. "cooler,ask coach"
+    if (tag) {
+        conditions.push({ tags: { $all: tag.split(',').map(normalizeTag) } });
+    }
+
+    // Hands stored before review statuses existed count as unreviewed
+    if (reviewStatus) {
+        conditions.push(reviewStatus === 'unreviewed'
+            ? { reviewStatus: { $in: ['unreviewed', null] } }
+            : { reviewStatus });
+    }
+
+    if (conditions.length > 0) {
+        query.$and = [...(query.$and || []), ...conditions];
+    }
+
+    return query;
+}
+
+// Message for a holeCardRange with parts that cannot be read, otherwise null
+function findHoleCardRangeError({ holeCardRange }) {
+    if (!holeCardRange) return null;
+    const { invalid } = parseHoleCardRange(holeCardRange);
+    return invalid.length > 0 ? `Unrecognized hole card range: ${invalid.join(', ')}` : null;
+}
+
+// Sort for the hand list; ties are broken by _id so pages never overlap
+function buildHandsSort({ sortBy = 'timestamp', sortOrder = 'desc' }) {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    return { [SORT_FIELDS[sortBy] || 'timestamp']: direction, _id: direction };
+}
+
+// Get hands with optional filters.
+// With page or limit the response is one page of slim hands:
+//   { hands, total, page, limit, totalPages }
+// Without them every matching hand is returned in full.
+router.get('/', async (req, res) => {
+    try {
+        const rangeError = findHoleCardRangeError(req.query);
+        if (rangeError) {
+            return res.status(400).json({ message: rangeError });
+        }
+
+        const { filter, status, message } = await resolveHero(req, req.query);
+        if (!filter) {
+            return res.status(status).json({ message });
         }
 
-        let hands = await Hand.find(query)
-            .sort({ [sortBy]: -1 });
+        const query = { $and: [filter, buildHandsQuery(req.query)] };
+        const sort = buildHandsSort(req.query);
 
-        console.log(`Found ${hands.length} hands matching query`);
-        if (hands.length > 0) {
-            console.log('First hand sample:', JSON.stringify(hands[0], null, 2));
+        if (req.query.page === undefined && req.query.limit === undefined) {
+            const hands = await Hand.find(query).sort(sort);
+            return res.json(hands);
         }
 
-        res.json(hands);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [hands, total] = await Promise.all([
+            Hand.find(query)
+                .select(LIST_PROJECTION)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Hand.countDocuments(query)
+        ]);
+
+        res.json({
+            hands,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
     } catch (error) {
         console.error('Error fetching hands:', error);
         console.error('Error stack:', error.stack);
@@ -203,10 +374,10 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Get unique usernames
+// The signed-in account's screen names that have hands
 router.get('/usernames', async (req, res) => {
     try {
-        const usernames = await Hand.distinct('username');
+        const usernames = await Hand.distinct('username', ownHands(req));
         res.json(usernames);
     } catch (error) {
         console.error('Error fetching usernames:', error);
@@ -217,11 +388,69 @@ router.get('/usernames', async (req, res) => {
     }
 });
 
+// Every tag a user has put on a hand, for the tag filter
+router.get('/tags', async (req, res) => {
+    try {
+        const { filter, status, message } = await resolveHero(req, req.query);
+        if (!filter) {
+            return res.status(status).json({ message });
+        }
+
+        const tags = await Hand.distinct('tags', filter);
+        res.json(tags.sort());
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({
+            message: 'Error fetching tags',
+            error: error.message
+        });
+    }
+});
+
+// Export the hands matching the GET / filters, e.g. GET /export?format=ohh&username=grotle
+router.get('/export', async (req, res) => {
+    try {
+        const { format = 'ohh' } = req.query;
+
+        if (format !== 'ohh') {
+            return res.status(400).json({ message: `Unsupported export format: ${format}` });
+        }
+
+        const rangeError = findHoleCardRangeError(req.query);
+        if (rangeError) {
+            return res.status(400).json({ message: rangeError });
+        }
+
+        const { filter, status, message } = await resolveHero(req, req.query);
+        if (!filter) {
+            return res.status(status).json({ message });
+        }
+
+        const hands = await Hand.find({ $and: [filter, buildHandsQuery(req.query)] })
+            .sort(buildHandsSort(req.query));
+
+        // OHH files hold one {"ohh": ...} object per hand separated by a blank line
+        const body = hands
+            .map(hand => JSON.stringify(handToOpenHandHistory(hand)))
+            .join('\n\n');
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', 'attachment; filename="hands.ohh"');
+        res.send(body);
+    } catch (error) {
+        console.error('Error exporting hands:', error);
+        res.status(500).json({
+            message: 'Error exporting hands',
+            error: error.message
+        });
+    }
+});
+
 // Get a single hand by ID
 router.get('/:id', async (req, res) => {
     try {
         console.log('Fetching hand with ID:', req.params.id);
-        const hand = await Hand.findById(req.params.id);
+        const hand = await Hand.findOne({ _id: req.params.id, ...ownHands(req) });
         console.log('Found hand:', JSON.stringify(hand, null, 2));
         
         if (!hand) {
@@ -241,6 +470,10 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
     try {
         console.log('Received hand data:', req.body); // Debug log
+
+        if (!ownsScreenName(req, req.body.username, req.body.site || 'wpn')) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
         
         const hand = new Hand(req.body);
         const savedHand = await hand.save();
@@ -257,14 +490,51 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Re-parse stored hands from their raw text with the current parser, e.g.
+// POST /reparse { "username": "grotle", "batchId": "...", "outdatedOnly": true }
+router.post('/reparse', async (req, res) => {
+    try {
+        const { username, batchId, outdatedOnly } = req.body;
+
+        if (batchId && !batchId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ message: 'Invalid batch ID format' });
+        }
+
+        const owned = screenNameFilter(req, username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+
+        const result = await reparseHands({ filter: owned, importBatch: batchId, outdatedOnly: !!outdatedOnly });
+        res.json(result);
+    } catch (error) {
+        console.error('Error re-parsing hands:', error);
+        res.status(500).json({
+            message: 'Error re-parsing hands',
+            error: error.message
+        });
+    }
+});
+
 // Update a hand
 router.patch('/:id', async (req, res) => {
     try {
-        console.log('Updating hand:', req.params.id, 'with data:', req.body);
+        // Everything else on a hand comes from the parser and feeds the stats
+        const notEditable = Object.keys(req.body).filter(field => !EDITABLE_HAND_FIELDS.includes(field));
+        if (notEditable.length > 0) {
+            return res.status(400).json({
+                message: `Only ${EDITABLE_HAND_FIELDS.join(', ')} can be changed, not ${notEditable.join(', ')}`
+            });
+        }
+
+        const updates = { ...req.body };
+        if (Array.isArray(updates.tags)) {
+            updates.tags = [...new Set(updates.tags.map(normalizeTag).filter(Boolean))];
+        }
         
-        const hand = await Hand.findByIdAndUpdate(
-            req.params.id,
-            { $set: req.body },
+        const hand = await Hand.findOneAndUpdate(
+            { _id: req.params.id, ...ownHands(req) },
+            { $set: updates },
             { new: true, runValidators: true }
         );
         
@@ -272,7 +542,6 @@ router.patch('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Hand not found' });
         }
         
-        console.log('Updated hand:', hand);
         res.json(hand);
     } catch (error) {
         console.error('Error updating hand:', error);
@@ -284,6 +553,82 @@ router.patch('/:id', async (req, res) => {
     }
 });
 
+// Add a note to a hand, or to one of its actions with actionId; responds with the hand's notes
+router.post('/:id/notes', async (req, res) => {
+    try {
+        const { text, actionId } = req.body;
+        if (!text || !text.trim()) {
+            return res.status(400).json({ message: 'Note text is required' });
+        }
+
+        const hand = await Hand.findOne({ _id: req.params.id, ...ownHands(req) }).select('id bettingActions notes');
+        if (!hand) {
+            return res.status(404).json({ message: 'Hand not found' });
+        }
+        if (actionId && !actionIdsOf(hand).includes(actionId)) {
+            return res.status(400).json({ message: `No action ${actionId} in this hand` });
+        }
+
+        hand.notes.push({ text, actionId: actionId || undefined });
+        await hand.save();
+        res.status(201).json(hand.notes);
+    } catch (error) {
+        console.error('Error adding note:', error);
+        res.status(500).json({
+            message: 'Error adding note',
+            error: error.message
+        });
+    }
+});
+
+// Edit a note's text
+router.patch('/:id/notes/:noteId', async (req, res) => {
+    try {
+        const { text } = req.body;
+        if (!text || !text.trim()) {
+            return res.status(400).json({ message: 'Note text is required' });
+        }
+
+        const hand = await Hand.findOneAndUpdate(
+            { _id: req.params.id, 'notes._id': req.params.noteId, ...ownHands(req) },
+            { $set: { 'notes.$.text': text, 'notes.$.updatedAt': new Date() } },
+            { new: true }
+        ).select('notes');
+        if (!hand) {
+            return res.status(404).json({ message: 'Note not found' });
+        }
+
+        res.json(hand.notes);
+    } catch (error) {
+        console.error('Error updating note:', error);
+        res.status(500).json({
+            message: 'Error updating note',
+            error: error.message
+        });
+    }
+});
+
+router.delete('/:id/notes/:noteId', async (req, res) => {
+    try {
+        const hand = await Hand.findOneAndUpdate(
+            { _id: req.params.id, 'notes._id': req.params.noteId, ...ownHands(req) },
+            { $pull: { notes: { _id: req.params.noteId } } },
+            { new: true }
+        ).select('notes');
+        if (!hand) {
+            return res.status(404).json({ message: 'Note not found' });
+        }
+
+        res.json(hand.notes);
+    } catch (error) {
+        console.error('Error deleting note:', error);
+        res.status(500).json({
+            message: 'Error deleting note',
+            error: error.message
+        });
+    }
+});
+
 // Delete a hand
 router.delete('/:id', async (req, res) => {
     try {
@@ -294,12 +639,14 @@ router.delete('/:id', async (req, res) => {
             return res.status(400).json({ message: 'Invalid hand ID format' });
         }
 
-        const hand = await Hand.findByIdAndDelete(req.params.id);
+        const hand = await Hand.findOneAndDelete({ _id: req.params.id, ...ownHands(req) });
         
         if (!hand) {
             console.log('No hand found with ID:', req.params.id);
             return res.status(404).json({ message: 'Hand not found' });
         }
+        await updatePlayerStats([hand], -1);
+        await rebuildSessions(hand.username, hand.site);
 
         console.log('Successfully deleted hand:', hand);
         res.json({ message: 'Hand deleted successfully', deletedHand: hand });
@@ -315,7 +662,7 @@ router.delete('/:id', async (req, res) => {
 // Add this new route after the existing routes
 router.get('/debug/:handId', async (req, res) => {
     try {
-        const hand = await Hand.findOne({ id: req.params.handId });
+        const hand = await Hand.findOne({ id: req.params.handId, ...ownHands(req) });
         if (!hand) {
             return res.status(404).json({ error: 'Hand not found' });
         }
@@ -344,14 +691,19 @@ router.post('/process-hero-actions', async (req, res) => {
         if (!username) {
             return res.status(400).json({ message: 'Username is required' });
         }
+        const owned = screenNameFilter(req, username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
 
         // Find hands that belong to the user and have missing or empty heroActions
         const handsToProcess = await Hand.find({
-            username,
-            $or: [
-                { heroActions: { $exists: false } },
-                { heroActions: { $size: 0 } }
-            ]
+            $and: [owned, {
+                $or: [
+                    { heroActions: { $exists: false } },
+                    { heroActions: { $size: 0 } }
+                ]
+            }]
         });
 
         let processedHands = 0;
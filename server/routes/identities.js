@@ -0,0 +1,112 @@
+import express from 'express';
+import PlayerIdentity from '../models/PlayerIdentity.js';
+import { normalizeAliases, foreignScreenName, findIdentity } from '../utils/playerIdentity.js';
+
+const router = express.Router();
+
+// Checks a name and aliases from the request body. Returns { name, aliases } or { status, message }.
+function identityFields(req, { partial = false } = {}) {
+    const fields = {};
+
+    if (req.body.name !== undefined || !partial) {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) return { status: 400, message: 'Name is required' };
+        fields.name = name;
+    }
+
+    if (req.body.aliases !== undefined || !partial) {
+        const { aliases, error } = normalizeAliases(req.body.aliases ?? []);
+        if (error) return { status: 400, message: error };
+        const foreign = foreignScreenName(req, aliases);
+        if (foreign) return { status: 403, message: `${foreign} is not one of your screen names` };
+        fields.aliases = aliases;
+    }
+
+    return { fields };
+}
+
+// The signed-in account's identities, by name
+router.get('/', async (req, res) => {
+    try {
+        const identities = await PlayerIdentity.find({ owner: req.user._id }).sort({ name: 1 });
+        res.json(identities);
+    } catch (error) {
+        console.error('Error fetching player identities:', error);
+        res.status(500).json({
+            message: 'Error fetching player identities',
+            error: error.message
+        });
+    }
+});
+
+// Create an identity from { name, aliases: [{ site, screenName }] }
+router.post('/', async (req, res) => {
+    try {
+        const { fields, status, message } = identityFields(req);
+        if (!fields) {
+            return res.status(status).json({ message });
+        }
+        if (await PlayerIdentity.exists({ owner: req.user._id, name: fields.name })) {
+            return res.status(409).json({ message: `You already have an identity called ${fields.name}` });
+        }
+
+        const identity = await PlayerIdentity.create({ owner: req.user._id, ...fields });
+        res.status(201).json(identity);
+    } catch (error) {
+        console.error('Error creating player identity:', error);
+        res.status(500).json({
+            message: 'Error creating player identity',
+            error: error.message
+        });
+    }
+});
+
+// Rename an identity or replace its aliases
+router.patch('/:id', async (req, res) => {
+    try {
+        const { fields, status, message } = identityFields(req, { partial: true });
+        if (!fields) {
+            return res.status(status).json({ message });
+        }
+
+        const identity = await findIdentity(req, req.params.id);
+        if (!identity) {
+            return res.status(404).json({ message: 'Player identity not found' });
+        }
+        if (fields.name && fields.name !== identity.name &&
+            await PlayerIdentity.exists({ owner: req.user._id, name: fields.name })) {
+            return res.status(409).json({ message: `You already have an identity called ${fields.name}` });
+        }
+
+        identity.set(fields);
+        await identity.save();
+        res.json(identity);
+    } catch (error) {
+        console.error('Error updating player identity:', error);
+        res.status(500).json({
+            message: 'Error updating player identity',
+            error: error.message
+        });
+    }
+});
+
+// Remove an identity; its screen names and their hands stay
+router.delete('/:id', async (req, res) => {
+    try {
+        const identity = await findIdentity(req, req.params.id);
+        if (!identity) {
+            return res.status(404).json({ message: 'Player identity not found' });
+        }
+
+        await identity.deleteOne();
+        res.json({ message: 'Player identity deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting player identity:', error);
+        res.status(500).json({
+            message: 'Error deleting player identity',
+            error: error.message
+        });
+    }
+});
+
+export default router;
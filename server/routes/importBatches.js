@@ -0,0 +1,67 @@
+import express from 'express';
+import ImportBatch from '../models/ImportBatch.js';
+import Hand from '../models/Hand.js';
+import { updatePlayerStats } from '../utils/playerStats.js';
+import { rebuildSessions } from '../utils/sessionDetection.js';
+import { screenNameFilter, NOT_YOUR_SCREEN_NAME } from '../utils/auth.js';
+
+const router = express.Router();
+
+// List import batches, newest first, optionally for one of the user's screen names
+router.get('/', async (req, res) => {
+    try {
+        const owned = screenNameFilter(req, req.query.username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+
+        const batches = await ImportBatch.find(owned)
+            .select('-hands')
+            .sort({ createdAt: -1 });
+        res.json(batches);
+    } catch (error) {
+        console.error('Error fetching import batches:', error);
+        res.status(500).json({
+            message: 'Error fetching import batches',
+            error: error.message
+        });
+    }
+});
+
+// Undo an import: delete the batch and every hand it created
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ message: 'Invalid import batch ID format' });
+        }
+
+        const batch = await ImportBatch.findOne({ _id: req.params.id, ...screenNameFilter(req) });
+        if (!batch) {
+            return res.status(404).json({ message: 'Import batch not found' });
+        }
+
+        // Take the batch's hands back out of the opponent profiles before they go
+        const hands = await Hand.find({ importBatch: batch._id })
+            .select('username site bettingActions communityCards winners')
+            .lean();
+        await updatePlayerStats(hands, -1);
+
+        const result = await Hand.deleteMany({ importBatch: batch._id });
+        await batch.deleteOne();
+        await rebuildSessions(batch.username, batch.site);
+
+        console.log(`Deleted import batch ${batch._id} and ${result.deletedCount} hands`);
+        res.json({
+            message: 'Import batch deleted successfully',
+            deletedHands: result.deletedCount
+        });
+    } catch (error) {
+        console.error('Error deleting import batch:', error);
+        res.status(500).json({
+            message: 'Error deleting import batch',
+            error: error.message
+        });
+    }
+});
+
+export default router;
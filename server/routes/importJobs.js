@@ -0,0 +1,52 @@
+import express from 'express';
+import { createImportJob, getOwnImportJob, serializeImportJob } from '../utils/importJobs.js';
+import { requireAuth, createScopedToken, verifyScopedToken } from '../utils/auth.js';
+
+const router = express.Router();
+
+const eventsScope = jobId => `import-job:${jobId}`;
+
+// Create a job id to pass along with an upload, and the short-lived token that
+// opens its event stream (?token=), since EventSource cannot send the Authorization header
+router.post('/', requireAuth, (req, res) => {
+    const job = createImportJob(req.user._id);
+    res.status(201).json({
+        ...serializeImportJob(job),
+        eventsToken: createScopedToken(req.user._id, eventsScope(job.id))
+    });
+});
+
+// Stream a job's progress as Server-Sent Events until it finishes
+router.get('/:jobId/events', (req, res) => {
+    const userId = verifyScopedToken(req.query.token, eventsScope(req.params.jobId));
+    if (!userId) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+    const job = getOwnImportJob(req.params.jobId, userId);
+    if (!job) {
+        return res.status(404).json({ message: 'Import job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+        res.write(`event: progress\ndata: ${JSON.stringify(update)}\n\n`);
+        if (update.status === 'done' || update.status === 'failed') {
+            job.events.off('update', send);
+            res.end();
+        }
+    };
+
+    job.events.on('update', send);
+    req.on('close', () => job.events.off('update', send));
+
+    // Send the current state straight away so late subscribers catch up
+    send(serializeImportJob(job));
+});
+
+export default router;
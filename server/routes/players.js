@@ -0,0 +1,31 @@
+import express from 'express';
+import Player from '../models/Player.js';
+import { screenNameFilter } from '../utils/auth.js';
+import { combinePlayerProfiles } from '../utils/playerStats.js';
+
+const router = express.Router();
+
+// One opponent profile: the HUD counters plus the stats and sample sizes built
+// from them, counted over the signed-in account's own hands only. ?site=
+// narrows it to the hands played on one site.
+router.get('/:name', async (req, res) => {
+    try {
+        const query = { name: req.params.name };
+        if (req.query.site) query.site = req.query.site;
+
+        const players = await Player.find({ $and: [screenNameFilter(req), query] }).lean();
+        if (players.length === 0) {
+            return res.status(404).json({ message: 'Player not found' });
+        }
+
+        res.json(combinePlayerProfiles(req.params.name, players));
+    } catch (error) {
+        console.error('Error fetching player:', error);
+        res.status(500).json({
+            message: 'Error fetching player',
+            error: error.message
+        });
+    }
+});
+
+export default router;
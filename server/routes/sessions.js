@@ -0,0 +1,83 @@
+import express from 'express';
+import Session from '../models/Session.js';
+import { rebuildSessions } from '../utils/sessionDetection.js';
+import { screenNameFilter, NOT_YOUR_SCREEN_NAME } from '../utils/auth.js';
+
+const router = express.Router();
+
+// List a user's sessions, most recent first
+router.get('/', async (req, res) => {
+    try {
+        if (!req.query.username) {
+            return res.status(400).json({ message: 'Username is required' });
+        }
+        const owned = screenNameFilter(req, req.query.username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+
+        const sessions = await Session.find(owned)
+            .select('-hands')
+            .sort({ startTime: -1 });
+        res.json(sessions);
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({
+            message: 'Error fetching sessions',
+            error: error.message
+        });
+    }
+});
+
+// Detect a user's sessions again on every site they have the screen name on,
+// optionally with a new gap between sessions (in minutes)
+router.post('/rebuild', async (req, res) => {
+    try {
+        const { username, gapMinutes } = req.body;
+        if (!username) {
+            return res.status(400).json({ message: 'Username is required' });
+        }
+        if (!screenNameFilter(req, username)) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+        if (gapMinutes !== undefined && !(typeof gapMinutes === 'number' && gapMinutes > 0)) {
+            return res.status(400).json({ message: 'gapMinutes must be a positive number' });
+        }
+
+        let sessions = 0;
+        for (const { site } of req.user.screenNames.filter(({ screenName }) => screenName === username)) {
+            sessions += await rebuildSessions(username, site, { gapMinutes });
+        }
+        res.json({ message: `Detected ${sessions} sessions`, sessions });
+    } catch (error) {
+        console.error('Error rebuilding sessions:', error);
+        res.status(500).json({
+            message: 'Error rebuilding sessions',
+            error: error.message
+        });
+    }
+});
+
+// One session with the ids of its hands
+router.get('/:id', async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ message: 'Invalid session ID format' });
+        }
+
+        const session = await Session.findOne({ _id: req.params.id, ...screenNameFilter(req) });
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        res.json(session);
+    } catch (error) {
+        console.error('Error fetching session:', error);
+        res.status(500).json({
+            message: 'Error fetching session',
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -1,155 +1,239 @@
 import express from 'express';
 import Hand from '../models/Hand.js';
+import { HERO_POSITION, WENT_TO_SHOWDOWN } from '../utils/handExpressions.js';
+import { statsFromCounters } from '../utils/hudStats.js';
+import { buildResultsSeries } from '../utils/resultsGraph.js';
+import { resolveHero } from '../utils/playerIdentity.js';
 
 const router = express.Router();
 
-// Get player statistics
-router.get('/:username', async (req, res) => {
-    try {
-        const { username } = req.params;
-        
-        // Get all hands for the player
-        const hands = await Hand.find({ 'players.username': username });
-        
-        if (!hands || hands.length === 0) {
-            return res.status(404).json({ message: 'No hands found for this player' });
-        }
+// Per-hand counters summed by the pipeline, named as in models/Player.js
+const STAT_COUNTERS = [
+    'vpip', 'pfr',
+    'threeBet', 'threeBetOpportunities',
+    'cbet', 'cbetOpportunities',
+    'postflopAggressive', 'postflopCalls',
+    'sawFlop', 'wentToShowdown', 'wonAtShowdown'
+];
 
-        // Calculate basic statistics
-        const totalHands = hands.length;
-        const totalProfit = hands.reduce((sum, hand) => {
-            const playerHand = hand.players.find(p => p.username === username);
-            return sum + (playerHand?.profit || 0);
-        }, 0);
-        const winRate = hands.filter(hand => {
-            const playerHand = hand.players.find(p => p.username === username);
-            return playerHand?.profit > 0;
-        }).length / totalHands;
-
-        // Calculate position statistics
-        const positionStats = {};
-        hands.forEach(hand => {
-            const playerHand = hand.players.find(p => p.username === username);
-            if (playerHand) {
-                const position = playerHand.position;
-                if (!positionStats[position]) {
-                    positionStats[position] = {
-                        hands: 0,
-                        wins: 0,
-                        profit: 0
-                    };
-                }
-                positionStats[position].hands++;
-                if (playerHand.profit > 0) {
-                    positionStats[position].wins++;
-                }
-                positionStats[position].profit += playerHand.profit;
-            }
-        });
+const flag = condition => ({ $cond: [condition, 1, 0] });
 
-        // Calculate win rates for each position
-        Object.keys(positionStats).forEach(position => {
-            const stats = positionStats[position];
-            stats.winRate = stats.hands > 0 ? stats.wins / stats.hands : 0;
-        });
+const actionsWhere = (input, cond) => ({ $filter: { input, as: 'action', cond } });
+
+const isHero = { $eq: ['$$action.playerIndex', 0] };
+
+// Times 'raise' appears in $preflop before the given index
+const raisesBefore = index => ({
+    $size: {
+        $filter: {
+            input: { $range: [0, index] },
+            as: 'earlier',
+            cond: { $eq: [{ $arrayElemAt: ['$preflop.action', '$$earlier'] }, 'raise'] }
+        }
+    }
+});
+
+// Hero's hands, optionally for a date range and a game type
+function buildStatsMatch({ filter, startDate, endDate, gameType }) {
+    const match = { ...filter };
+    if (startDate || endDate) {
+        match.timestamp = {};
+        if (startDate) match.timestamp.$gte = new Date(startDate);
+        if (endDate) match.timestamp.$lte = new Date(endDate);
+    }
+    if (gameType) match.gameType = gameType;
+    return match;
+}
 
-        // Calculate street statistics
-        const streetStats = {
-            preflop: { win: 0, loss: 0 },
-            flop: { win: 0, loss: 0 },
-            turn: { win: 0, loss: 0 },
-            river: { win: 0, loss: 0 }
-        };
-
-        hands.forEach(hand => {
-            const playerHand = hand.players.find(p => p.username === username);
-            if (playerHand) {
-                ['preflop', 'flop', 'turn', 'river'].forEach(street => {
-                    if (playerHand[`${street}Profit`] > 0) {
-                        streetStats[street].win++;
-                    } else if (playerHand[`${street}Profit`] < 0) {
-                        streetStats[street].loss++;
+// Hero's stats from the stored hands, hero being playerIndex 0 in bettingActions:
+//   1. pick hero's hands and split out the streets the stats look at
+//   2. turn each hand into 0/1 counters (the same definitions as the HUD, from hero's side)
+//   3. sum them overall and by position
+function buildStatsPipeline(filters) {
+
+    const heroFoldedPreflop = { $anyElementTrue: [{ $map: { input: '$preflop', as: 'action', in: { $and: [isHero, { $eq: ['$$action.action', 'fold'] }] } } }] };
+    const sawFlop = {
+        $and: [
+            { $not: [heroFoldedPreflop] },
+            { $or: [{ $gt: [{ $size: { $ifNull: ['$communityCards.flop', []] } }, 0] }, { $gt: [{ $size: '$flop' }, 0] }] }
+        ]
+    };
+    const wentToShowdown = { $and: [sawFlop, WENT_TO_SHOWDOWN] };
+    const heroWon = {
+        $anyElementTrue: [{
+            $map: {
+                input: { $ifNull: ['$winners', []] },
+                as: 'winner',
+                in: { $and: [{ $eq: ['$$winner.username', '$username'] }, { $gt: ['$$winner.amount', 0] }] }
+            }
+        }]
+    };
+    const cbetOpportunity = {
+        $and: [
+            { $eq: ['$preflopRaiser', 0] },
+            { $gte: ['$heroFirstFlopAction', 0] },
+            {
+                $eq: [{
+                    $size: {
+                        $filter: {
+                            input: { $range: [0, { $max: ['$heroFirstFlopAction', 0] }] },
+                            as: 'earlier',
+                            cond: { $eq: [{ $arrayElemAt: ['$flop.action', '$$earlier'] }, 'bet'] }
+                        }
                     }
-                });
+                }, 0]
             }
-        });
-
-        // Calculate preflop statistics
-        let vpip = 0;
-        let pfr = 0;
-        let threeBet = 0;
-
-        hands.forEach(hand => {
-            const playerHand = hand.players.find(p => p.username === username);
-            if (playerHand) {
-                if (playerHand.voluntarilyPlayed) vpip++;
-                if (playerHand.raisedPreflop) pfr++;
-                if (playerHand.threeBet) threeBet++;
+        ]
+    };
+    const heroPostflop = actionsWhere('$bettingActions', { $and: [isHero, { $ne: ['$$action.street', 'preflop'] }] });
+
+    return [
+        { $match: buildStatsMatch(filters) },
+        {
+            $addFields: {
+                preflop: actionsWhere('$bettingActions', { $and: [{ $eq: ['$$action.street', 'preflop'] }, { $ne: ['$$action.action', 'post'] }] }),
+                flop: actionsWhere('$bettingActions', { $eq: ['$$action.street', 'flop'] })
             }
-        });
-
-        // Calculate hand strength statistics
-        const handStrengthStats = {
-            premium: { count: 0, win: 0 },
-            strong: { count: 0, win: 0 },
-            medium: { count: 0, win: 0 },
-            weak: { count: 0, win: 0 }
-        };
-
-        hands.forEach(hand => {
-            const playerHand = hand.players.find(p => p.username === username);
-            if (playerHand) {
-                const strength = calculateHandStrength(playerHand.holeCards);
-                handStrengthStats[strength].count++;
-                if (playerHand.profit > 0) {
-                    handStrengthStats[strength].win++;
+        },
+        {
+            $addFields: {
+                preflopRaiser: { $arrayElemAt: [actionsWhere('$preflop', { $eq: ['$$action.action', 'raise'] }), -1] },
+                heroFirstFlopAction: { $indexOfArray: ['$flop.playerIndex', 0] },
+                // Where hero first acted facing exactly one raise: the 3-bet spot
+                threeBetSpots: {
+                    $filter: {
+                        input: { $range: [0, { $size: '$preflop' }] },
+                        as: 'index',
+                        cond: {
+                            $and: [
+                                { $eq: [{ $arrayElemAt: ['$preflop.playerIndex', '$$index'] }, 0] },
+                                { $eq: [raisesBefore('$$index'), 1] }
+                            ]
+                        }
+                    }
                 }
             }
-        });
-
-        res.json({
-            totalHands,
-            totalProfit,
-            winRate,
-            vpip: totalHands > 0 ? vpip / totalHands : 0,
-            pfr: totalHands > 0 ? pfr / totalHands : 0,
-            threeBet: totalHands > 0 ? threeBet / totalHands : 0,
-            positionStats,
-            streetStats,
-            handStrength: handStrengthStats
-        });
-    } catch (error) {
-        console.error('Error getting player stats:', error);
-        res.status(500).json({ message: 'Error getting player statistics' });
-    }
-});
+        },
+        { $addFields: { preflopRaiser: '$preflopRaiser.playerIndex' } },
+        {
+            $project: {
+                position: HERO_POSITION,
+                heroNet: { $ifNull: ['$heroNet', 0] },
+                // All-in hands count what hero was expected to win (utils/allInEV.js)
+                evNet: { $ifNull: ['$allInEV.evNet', { $ifNull: ['$heroNet', 0] }] },
+                vpip: flag({ $anyElementTrue: [{ $map: { input: '$preflop', as: 'action', in: { $and: [isHero, { $in: ['$$action.action', ['call', 'raise']] }] } } }] }),
+                pfr: flag({ $anyElementTrue: [{ $map: { input: '$preflop', as: 'action', in: { $and: [isHero, { $eq: ['$$action.action', 'raise'] }] } } }] }),
+                threeBetOpportunities: flag({ $gt: [{ $size: '$threeBetSpots' }, 0] }),
+                threeBet: flag({ $eq: [{ $arrayElemAt: ['$preflop.action', { $arrayElemAt: ['$threeBetSpots', 0] }] }, 'raise'] }),
+                cbetOpportunities: flag(cbetOpportunity),
+                cbet: flag({ $and: [cbetOpportunity, { $eq: [{ $arrayElemAt: ['$flop.action', '$heroFirstFlopAction'] }, 'bet'] }] }),
+                postflopAggressive: { $size: actionsWhere(heroPostflop, { $in: ['$$action.action', ['bet', 'raise']] }) },
+                postflopCalls: { $size: actionsWhere(heroPostflop, { $eq: ['$$action.action', 'call'] }) },
+                sawFlop: flag(sawFlop),
+                wentToShowdown: flag(wentToShowdown),
+                wonAtShowdown: flag({ $and: [wentToShowdown, heroWon] })
+            }
+        },
+        {
+            $facet: {
+                overall: [{ $group: buildGroup(null) }],
+                positions: [{ $group: buildGroup('$position') }, { $sort: { _id: 1 } }]
+            }
+        }
+    ];
+}
 
-// Helper function to calculate hand strength
-function calculateHandStrength(holeCards) {
-    if (!holeCards || holeCards.length !== 2) return 'weak';
+function buildGroup(id) {
+    const group = { _id: id, hands: { $sum: 1 }, netWon: { $sum: '$heroNet' }, evNetWon: { $sum: '$evNet' } };
+    STAT_COUNTERS.forEach(counter => {
+        group[counter] = { $sum: `$${counter}` };
+    });
+    return group;
+}
 
-    const [card1, card2] = holeCards;
-    const values = {
-        'A': 14, 'K': 13, 'Q': 12, 'J': 11, 'T': 10,
-        '9': 9, '8': 8, '7': 7, '6': 6, '5': 5,
-        '4': 4, '3': 3, '2': 2
+// Net won is in big blinds (hands store heroNet in BB); bb/100 is per hundred hands.
+// The EV-adjusted figures swap all-in hands' results for their all-in EV.
+function summarize(counters = { hands: 0, netWon: 0, evNetWon: 0 }) {
+    const { vpip, pfr, threeBet, cbet, wtsd, wsd, af } = statsFromCounters(counters);
+    const per100 = value => counters.hands > 0 ? Number((value / counters.hands * 100).toFixed(2)) : 0;
+    return {
+        hands: counters.hands,
+        netWon: Number(counters.netWon.toFixed(2)),
+        bbPer100: per100(counters.netWon),
+        evNetWon: Number(counters.evNetWon.toFixed(2)),
+        evBbPer100: per100(counters.evNetWon),
+        vpip,
+        pfr,
+        threeBet,
+        cbet,
+        wtsd,
+        wsd,
+        af
     };
+}
 
-    const value1 = values[card1[0]];
-    const value2 = values[card2[0]];
-    const isSuited = card1[1] === card2[1];
-    const isPair = value1 === value2;
+// Whose hands: GET /:username for one screen name, /identity/:identityId for
+// every alias of a player identity. Returns { filter, label } or { status, message }.
+function statsHero(req) {
+    if (req.params.identityId) {
+        return resolveHero(req, { identity: req.params.identityId });
+    }
+    return resolveHero(req, { username: req.params.username });
+}
+
+// Cumulative net won hand by hand, split into showdown and non-showdown winnings,
+// with the all-in EV-adjusted net won alongside, in big blinds and chips; same filters as GET /:username
+async function getResults(req, res) {
+    try {
+        const { filter, label, status, message } = await statsHero(req);
+        const { startDate, endDate, gameType } = req.query;
+        if (!filter) {
+            return res.status(status).json({ message });
+        }
 
-    if (isPair) {
-        if (value1 >= 10) return 'premium';
-        if (value1 >= 7) return 'strong';
-        return 'medium';
+        const hands = await Hand.find(buildStatsMatch({ filter, startDate, endDate, gameType }))
+            .select('id username timestamp heroNet allInEV blindLevel.bigBlind stakes.bigBlind winners losers showdown')
+            .sort({ timestamp: 1, _id: 1 })
+            .lean();
+
+        res.json({ username: label, series: buildResultsSeries(hands) });
+    } catch (error) {
+        console.error('Error getting results graph:', error);
+        res.status(500).json({ message: 'Error getting results graph' });
     }
+}
+
+// Hero's stats, optionally for a date range (startDate, endDate) and a game type
+async function getStats(req, res) {
+    try {
+        const { filter, label, status, message } = await statsHero(req);
+        const { startDate, endDate, gameType } = req.query;
+        if (!filter) {
+            return res.status(status).json({ message });
+        }
+
+        const [{ overall, positions }] = await Hand.aggregate(
+            buildStatsPipeline({ filter, startDate, endDate, gameType })
+        );
 
-    if (value1 >= 12 && value2 >= 12) return 'premium';
-    if (value1 >= 10 && value2 >= 10) return 'strong';
-    if (value1 >= 8 && value2 >= 8) return 'medium';
-    return 'weak';
+        const { hands, ...stats } = summarize(overall[0]);
+        res.json({
+            username: label,
+            totalHands: hands,
+            ...stats,
+            positionStats: Object.fromEntries(positions
+                .filter(position => position._id)
+                .map(position => [position._id, summarize(position)]))
+        });
+    } catch (error) {
+        console.error('Error getting player stats:', error);
+        res.status(500).json({ message: 'Error getting player statistics' });
+    }
 }
 
-export default router; 
\ No newline at end of file
+router.get('/identity/:identityId/results', getResults);
+router.get('/identity/:identityId', getStats);
+router.get('/:username/results', getResults);
+router.get('/:username', getStats);
+
+export default router;
@@ -0,0 +1,101 @@
+import express from 'express';
+import Tournament from '../models/Tournament.js';
+import { screenNameFilter, NOT_YOUR_SCREEN_NAME } from '../utils/auth.js';
+
+const router = express.Router();
+
+// List tournaments, most recent first, optionally for one of the user's screen names
+router.get('/', async (req, res) => {
+    try {
+        const owned = screenNameFilter(req, req.query.username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+
+        const tournaments = await Tournament.find(owned).sort({ startedAt: -1, createdAt: -1 });
+        res.json(tournaments);
+    } catch (error) {
+        console.error('Error fetching tournaments:', error);
+        res.status(500).json({
+            message: 'Error fetching tournaments',
+            error: error.message
+        });
+    }
+});
+
+// Tournament numbers are only unique per site; ?site= (or site in the body) picks one
+// when the screen name played on several
+const onSite = site => (site ? { site } : {});
+
+// One tournament with the hands that share its tournamentId and site
+router.get('/:tournamentId', async (req, res) => {
+    try {
+        if (!req.query.username) {
+            return res.status(400).json({ message: 'Username is required' });
+        }
+        const owned = screenNameFilter(req, req.query.username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+
+        const tournament = await Tournament.findOne({
+            ...owned,
+            ...onSite(req.query.site),
+            tournamentId: req.params.tournamentId
+        });
+
+        if (!tournament) {
+            return res.status(404).json({ message: 'Tournament not found' });
+        }
+
+        await tournament.populate({
+            path: 'hands',
+            match: { username: tournament.username, site: tournament.site },
+            select: 'id timestamp heroPosition heroHoleCards blindLevel winners',
+            options: { sort: { timestamp: 1 } }
+        });
+        res.json(tournament);
+    } catch (error) {
+        console.error('Error fetching tournament:', error);
+        res.status(500).json({
+            message: 'Error fetching tournament',
+            error: error.message
+        });
+    }
+});
+
+// Enter the payout structure by hand (prizes from 1st place down), for ICM
+router.patch('/:tournamentId/payouts', async (req, res) => {
+    try {
+        const { username, site, payouts } = req.body;
+        if (!username) {
+            return res.status(400).json({ message: 'Username is required' });
+        }
+        const owned = screenNameFilter(req, username);
+        if (!owned) {
+            return res.status(403).json({ message: NOT_YOUR_SCREEN_NAME });
+        }
+        if (!Array.isArray(payouts) || payouts.some(payout => typeof payout !== 'number' || payout < 0)) {
+            return res.status(400).json({ message: 'Payouts must be a list of prizes from 1st place down' });
+        }
+
+        const tournament = await Tournament.findOneAndUpdate(
+            { ...owned, ...onSite(site), tournamentId: req.params.tournamentId },
+            { $set: { payouts } },
+            { new: true }
+        );
+        if (!tournament) {
+            return res.status(404).json({ message: 'Tournament not found' });
+        }
+
+        res.json(tournament);
+    } catch (error) {
+        console.error('Error updating tournament payouts:', error);
+        res.status(500).json({
+            message: 'Error updating tournament payouts',
+            error: error.message
+        });
+    }
+});
+
+export default router;
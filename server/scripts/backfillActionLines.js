@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Classify the action line and flop texture of hands imported before the
+ * classifiers existed. Both are worked out from the stored bettingActions and
+ * communityCards, so this also covers hands that have no rawText to re-parse.
+ *
+ * Usage:
+ *   node server/scripts/backfillActionLines.js [username] [--all]
+ *   Without --all only hands missing an actionLine or flopTexture are updated.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Hand from '../models/Hand.js';
+import { classifyActionLine } from '../utils/actionLineClassifier.js';
+import { classifyFlopTexture } from '../utils/boardTexture.js';
+
+dotenv.config();
+
+async function main() {
+  const args = process.argv.slice(2);
+  const username = args.find(arg => !arg.startsWith('--'));
+  const query = {};
+  if (username) query.username = username;
+  if (!args.includes('--all')) {
+    query.$or = [{ 'actionLine.potType': { $exists: false } }, { flopTexture: { $exists: false } }];
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost/poker-history');
+
+  let updated = 0;
+  const cursor = Hand.find(query)
+    .select('bettingActions communityCards numPlayers buttonPosition')
+    .lean()
+    .cursor();
+  for await (const hand of cursor) {
+    await Hand.updateOne({ _id: hand._id }, {
+      $set: {
+        actionLine: classifyActionLine(hand),
+        flopTexture: classifyFlopTexture(hand.communityCards?.flop)
+      }
+    });
+    updated++;
+    if (updated % 500 === 0) console.log(`Classified ${updated} hands...`);
+  }
+
+  console.log(`Classified the action line and flop texture of ${updated} hands.`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err);
+  mongoose.disconnect();
+});
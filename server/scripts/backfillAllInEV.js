@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Work out the all-in EV of hands imported before it existed. Only hands with
+ * an all-in are looked at; the rest have nothing to adjust.
+ *
+ * Usage:
+ *   node server/scripts/backfillAllInEV.js [username] [--all]
+ *   node server/scripts/backfillAllInEV.js --identity <name or id> [--all]
+ *   Without --all only hands that have no allInEV yet are updated.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Hand from '../models/Hand.js';
+import { calculateAllInEV } from '../utils/allInEV.js';
+import { handFilterOfIdentity } from '../utils/playerIdentity.js';
+
+dotenv.config();
+
+async function main() {
+  const args = process.argv.slice(2);
+  const identityArg = args.indexOf('--identity');
+  const identity = identityArg > -1 ? args[identityArg + 1] : null;
+  const username = identity ? null : args.find(arg => !arg.startsWith('--'));
+  const query = { 'bettingActions.isAllIn': true };
+  if (username) query.username = username;
+  if (!args.includes('--all')) query.allInEV = { $exists: false };
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost/poker-history');
+  if (identity) Object.assign(query, await handFilterOfIdentity(identity));
+
+  let updated = 0;
+  let adjusted = 0;
+  const cursor = Hand.find(query)
+    .select('heroHoleCards heroNet bettingActions communityCards villainCards showdown winners losers pots')
+    .lean()
+    .cursor();
+  for await (const hand of cursor) {
+    const allInEV = calculateAllInEV(hand);
+    await Hand.updateOne({ _id: hand._id }, { $set: { allInEV } });
+    updated++;
+    if (allInEV) adjusted++;
+    if (updated % 100 === 0) console.log(`Checked ${updated} hands...`);
+  }
+
+  console.log(`Checked ${updated} all-in hands, ${adjusted} against known cards.`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err);
+  mongoose.disconnect();
+});
@@ -2,10 +2,11 @@
 
 /**
  * Calculate EV for every street action the hero takes across all imported
- * hands for a given username.
+ * hands for a given username, or for every alias of a player identity.
  *
  * Usage:
- *   node server/scripts/calcHeroEV.js <username>
+ *   node server/scripts/calcHeroEV.js <username> [--payouts 50,30,20]
+ *   node server/scripts/calcHeroEV.js --identity <name or id> [--payouts 50,30,20]
  *
  * NOTE: This script assumes the hand histories have already been parsed and
  *       inserted into MongoDB (via ImportHandsPage upload). It will iterate
@@ -13,20 +14,36 @@
  *       pipeline (Steps 14-21) to compute per-branch EVs, weight them by the
  *       stored response frequencies on the action (fallback defaults), and
  *       write the result back into hand.bettingActions[actionIndex].evAnalysis.
+ *
+ *       In knockout tournaments the call and raise branches include the bounty
+ *       of a villain who would be all in against hero (Step 15b), valued with
+ *       the buy-in from the tournament's imported summary.
+ *
+ *       Tournament hands with a payout structure (from the tournament's
+ *       summary, or --payouts for tournaments without one) also get each
+ *       branch converted to ICM $EV (Step 21b) and are graded on both.
+ *
+ *       Each action is graded against folding, calling (or checking) and
+ *       betting or raising at the same spot (Step 18a).
  */
 
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import Hand from '../models/Hand.js';
+import Tournament from '../models/Tournament.js';
+import { handFilterOfIdentity } from '../utils/playerIdentity.js';
 
 // MidEV helpers
 import { calculateEVIfOpponentFolds } from '../../src/utils/EV_Calculation/MidEV/Step14/step14a.js';
 import { calculateEVIfOpponentCalls } from '../../src/utils/EV_Calculation/MidEV/Step15/step15a.js';
+import { calculateBountyOverlay } from '../../src/utils/EV_Calculation/MidEV/Step15/step15b.js';
 import { calculateEVIfOpponentRaises } from '../../src/utils/EV_Calculation/MidEV/Step16/step16a.js';
 import { weightOutcomeEVs } from '../../src/utils/EV_Calculation/MidEV/Step17/step17a.js';
+import { buildActionCandidates } from '../../src/utils/EV_Calculation/MidEV/Step18/step18a.js';
 import { compareActions } from '../../src/utils/EV_Calculation/MidEV/Step19/step19a.js';
 import { determineHighestEVAction } from '../../src/utils/EV_Calculation/MidEV/Step20/step20a.js';
 import { classifyAction } from '../../src/utils/EV_Calculation/MidEV/Step21/step21a.js';
+import { calculateICMEquities, calculateDollarEV } from '../../src/utils/EV_Calculation/MidEV/Step21/step21b.js';
 import { storeEVResult } from '../../src/utils/EV_Calculation/MidEV/Step22/step22a.js';
 
 // Basic helper – naive pot size before action by summing previous amounts
@@ -41,27 +58,135 @@ function getPotSizeBeforeAction(hand, actionIndex) {
   return pot;
 }
 
+// Chips committed by each player before actionIndex, using the same naive sum as above
+function getCommittedBeforeAction(hand, actionIndex) {
+  const committed = {};
+  for (let i = 0; i < actionIndex; i++) {
+    const a = hand.bettingActions[i];
+    if (['bet', 'raise', 'call', 'post'].includes(a.action)) {
+      committed[a.playerId] = (committed[a.playerId] || 0) + (a.amount || 0);
+    }
+  }
+  return committed;
+}
+
+// The opponent hero's action is aimed at: whoever acted last before hero
+function findVillainAction(hand, actionIndex, username) {
+  for (let i = actionIndex - 1; i >= 0; i--) {
+    const a = hand.bettingActions[i];
+    if (a.playerId !== username && a.action !== 'fold') return a;
+  }
+  return null;
+}
+
+// Tournament numbers are only unique per site, so tournaments are looked up
+// and cached by screen name, site and number
+const tournamentKey = (username, site, tournamentId) => `${username}\u0000${site}\u0000${tournamentId}`;
+
+// Chip value of a bounty needs the starting stack and the prize part of the
+// buy-in. The buy-in comes from the tournament summary; the starting stack is
+// estimated as the median stack of hero's first hand in the tournament.
+async function getTournamentChipValue(hand, username, cache) {
+  const tournamentId = hand.tournamentInfo?.tournamentId;
+  if (!tournamentId) return null;
+  const { site } = hand;
+  const key = tournamentKey(username, site, tournamentId);
+  if (cache.has(key)) return cache.get(key);
+
+  let chipValue = null;
+  const tournament = await Tournament.findOne({ username, site, tournamentId }).lean();
+  const firstHand = await Hand.findOne({ username, site, 'tournamentInfo.tournamentId': tournamentId })
+    .sort({ timestamp: 1 })
+    .lean();
+  if (tournament?.buyIn && firstHand?.playerStacks) {
+    const stacks = Object.values(firstHand.playerStacks).sort((a, b) => a - b);
+    chipValue = { prizeBuyIn: tournament.buyIn, startingStack: stacks[Math.floor(stacks.length / 2)] };
+  }
+
+  cache.set(key, chipValue);
+  return chipValue;
+}
+
+// Payouts for ICM: the tournament summary's, else the ones given on the command line
+async function getTournamentPayouts(hand, username, cache, enteredPayouts) {
+  const tournamentId = hand.tournamentInfo?.tournamentId;
+  if (!tournamentId) return null;
+  const { site } = hand;
+  const key = tournamentKey(username, site, tournamentId);
+  if (!cache.has(key)) {
+    const tournament = await Tournament.findOne({ username, site, tournamentId }).select('payouts').lean();
+    cache.set(key, tournament?.payouts?.length ? tournament.payouts : enteredPayouts);
+  }
+  return cache.get(key);
+}
+
 dotenv.config();
 
 async function main() {
-  const username = process.argv[2];
-  if (!username) {
-    console.error('Usage: node server/scripts/calcHeroEV.js <username>');
+  const identityArg = process.argv.indexOf('--identity');
+  const identity = identityArg > -1 ? process.argv[identityArg + 1] : null;
+  const username = identity ? null : process.argv[2];
+  if (!username && !identity) {
+    console.error('Usage: node server/scripts/calcHeroEV.js <username> | --identity <name or id> [--payouts 50,30,20]');
+    process.exit(1);
+  }
+  const payoutsArg = process.argv.indexOf('--payouts');
+  const enteredPayouts = payoutsArg > -1 ? (process.argv[payoutsArg + 1] || '').split(',').map(Number) : null;
+  if (enteredPayouts && !enteredPayouts.every(payout => payout > 0)) {
+    console.error('--payouts needs the prizes from 1st place down, e.g. --payouts 50,30,20');
     process.exit(1);
   }
 
   await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost/poker-history');
 
-  const hands = await Hand.find({ username }).exec();
-  console.log(`Processing ${hands.length} hands for ${username}...`);
+  const hands = await Hand.find(identity ? await handFilterOfIdentity(identity) : { username }).exec();
+  console.log(`Processing ${hands.length} hands for ${identity || username}...`);
+
+  const chipValues = new Map();
+  const tournamentPayouts = new Map();
 
   for (const hand of hands) {
+    // Hero is whichever alias the hand was imported for
+    const heroName = hand.username;
+    const playerBounties = hand.playerBounties ? Object.fromEntries(hand.playerBounties) : {};
+    const playerStacks = Object.fromEntries(hand.playerStacks || []);
+    const bigBlind = hand.blindLevel?.bigBlind || 1;
+    const chipValue = Object.keys(playerBounties).length > 0
+      ? await getTournamentChipValue(hand, heroName, chipValues)
+      : null;
+    const payouts = await getTournamentPayouts(hand, heroName, tournamentPayouts, enteredPayouts);
+    const stackNames = Object.keys(playerStacks);
+    const stacks = stackNames.map(name => playerStacks[name]);
+    // Hero's equity before acting is the same for every action in the hand
+    const equitiesBefore = payouts ? calculateICMEquities({ stacks, payouts }) : null;
+
     for (let i = 0; i < hand.bettingActions.length; i++) {
       const action = hand.bettingActions[i];
-      if (action.playerId !== username) continue; // hero only
+      if (action.playerId !== heroName) continue; // hero only
 
       const potBefore = getPotSizeBeforeAction(hand, i);
       const betSize = action.amount || 0;
+      const villainRaiseSize = betSize * 2;
+
+      // --- PKO bounty on the villain, if hero's chips would get him all in --
+      const villainAction = findVillainAction(hand, i, heroName);
+      const bountyFor = (villainAllIn) => {
+        if (!chipValue || !villainAction) return 0;
+        return calculateBountyOverlay({
+          villainBounty: playerBounties[villainAction.playerId],
+          villainAllIn,
+          heroStack: playerStacks[heroName],
+          villainStack: playerStacks[villainAction.playerId],
+          ...chipValue,
+          bigBlind
+        }).bountyValue;
+      };
+      const committed = getCommittedBeforeAction(hand, i);
+      const villainBehind = villainAction
+        ? (playerStacks[villainAction.playerId] || 0) / bigBlind - (committed[villainAction.playerId] || 0)
+        : Infinity;
+      const callBounty = bountyFor(villainAction?.isAllIn || villainBehind <= betSize);
+      const raiseBounty = bountyFor(villainBehind <= villainRaiseSize);
 
       // Default response frequencies if none stored
       const probs = action.responseFrequencies?.fold !== undefined ? {
@@ -72,8 +197,8 @@ async function main() {
 
       // --- Branch EVs ------------------------------------------------------
       const evFoldObj = calculateEVIfOpponentFolds({ potBeforeAction: potBefore });
-      const evCallObj = calculateEVIfOpponentCalls({ potBeforeAction: potBefore, betSize, equity: 0.5 }); // placeholder equity
-      const evRaiseObj = calculateEVIfOpponentRaises({ potBeforeAction: potBefore, heroBetSize: betSize, villainRaiseSize: betSize * 2, heroEquity: 0.45 });
+      const evCallObj = calculateEVIfOpponentCalls({ potBeforeAction: potBefore, betSize, equity: 0.5, bountyValue: callBounty }); // placeholder equity
+      const evRaiseObj = calculateEVIfOpponentRaises({ potBeforeAction: potBefore, heroBetSize: betSize, villainRaiseSize, heroEquity: 0.45, bountyValue: raiseBounty });
 
       const weighted = weightOutcomeEVs({
         evFold: evFoldObj.ev,
@@ -82,17 +207,61 @@ async function main() {
         probabilities: probs
       });
 
-      // For alternative actions we'd need more sizes; for now compare hero only
-      const comparison = compareActions({ actualIndex: 0, candidates: [ { label: 'actual', ev: weighted.totalEV } ] });
+      // --- ICM $EV of each branch (tournaments with known payouts) --------
+      let dollar = null;
+      const toDollarEV = payouts ? (chipEV) => calculateDollarEV({
+        stacks,
+        heroIndex: stackNames.indexOf(heroName),
+        villainIndex: villainAction ? stackNames.indexOf(villainAction.playerId) : null,
+        chipEV: chipEV * bigBlind,
+        payouts,
+        equitiesBefore
+      }).dollarEV : null;
+      if (toDollarEV) {
+        const branchEVs = { fold: toDollarEV(evFoldObj.ev), call: toDollarEV(evCallObj.ev), raise: toDollarEV(evRaiseObj.ev) };
+        dollar = {
+          branchEVs,
+          weighted: weightOutcomeEVs({ evFold: branchEVs.fold, evCall: branchEVs.call, evRaise: branchEVs.raise, probabilities: probs })
+        };
+      }
+
+      // --- Hero's action against folding, calling and raising instead ------
+      const toCall = Math.max((villainAction ? committed[villainAction.playerId] || 0 : 0) - (committed[heroName] || 0), 0);
+      const comparison = compareActions(buildActionCandidates({
+        action: action.action,
+        actual: { ev: weighted.totalEV, dollarEV: dollar?.weighted.totalEV },
+        potBeforeAction: potBefore,
+        toCall,
+        // A 3x raise, or a two-thirds pot bet when there is nothing to call
+        raiseSize: toCall > 0 ? toCall * 3 : potBefore * 2 / 3,
+        equity: 0.5, // placeholder equity, as for the branches above
+        probabilities: probs,
+        toDollarEV
+      }));
       const highest = determineHighestEVAction(comparison.sorted);
-      const classification = classifyAction({ heroEV: weighted.totalEV, bestEV: highest.best.ev, threshold: 0.05 });
+      const classification = classifyAction({
+        heroEV: weighted.totalEV,
+        bestEV: highest.best.ev,
+        threshold: 0.05,
+        heroDollarEV: dollar ? dollar.weighted.totalEV : null,
+        // The chip-EV best action need not be the $EV best one
+        bestDollarEV: dollar ? Math.max(...comparison.sorted.map(candidate => candidate.meta.dollarEV)) : null,
+        dollarThreshold: 0.01
+      });
 
       const analysis = {
         branchEVs: { fold: evFoldObj.ev, call: evCallObj.ev, raise: evRaiseObj.ev },
+        bountyEV: { call: evCallObj.details.bountyEV || 0, raise: evRaiseObj.details.bountyEV || 0 },
         probabilities: probs,
         totalEV: weighted.totalEV,
         classification: classification.classification,
-        delta: classification.delta
+        delta: classification.delta,
+        ...(dollar && {
+          dollarBranchEVs: dollar.branchEVs,
+          totalDollarEV: dollar.weighted.totalEV,
+          dollarClassification: classification.dollarClassification,
+          dollarDelta: classification.dollarDelta
+        })
       };
 
       await storeEVResult(Hand, hand._id, i, analysis);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild every opponent profile from the stored hands. Profiles are kept up
+ * to date as hands are imported, deleted and re-parsed; run this once for
+ * hands imported before profiles existed, or to start over.
+ *
+ * Usage:
+ *   node server/scripts/rebuildPlayers.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Hand from '../models/Hand.js';
+import Player from '../models/Player.js';
+import { updatePlayerStats } from '../utils/playerStats.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost/poker-history');
+  await Player.deleteMany({});
+
+  let counted = 0;
+  let batch = [];
+  const cursor = Hand.find()
+    .select('username site bettingActions communityCards winners timestamp')
+    .lean()
+    .cursor();
+  for await (const hand of cursor) {
+    batch.push(hand);
+    if (batch.length === BATCH_SIZE) {
+      await updatePlayerStats(batch);
+      counted += batch.length;
+      batch = [];
+      console.log(`Counted ${counted} hands...`);
+    }
+  }
+  await updatePlayerStats(batch);
+  counted += batch.length;
+
+  const players = await Player.countDocuments();
+  console.log(`Rebuilt ${players} player profiles from ${counted} hands.`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err);
+  mongoose.disconnect();
+});
@@ -11,12 +11,15 @@
  *
  * Usage:
  *   node server/scripts/runStep11HeroProcessing.js <username?>
- *   If <username> is provided, restricts processing to that user.
+ *   node server/scripts/runStep11HeroProcessing.js --identity <name or id>
+ *   If <username> is provided, restricts processing to that user; --identity
+ *   restricts it to every alias of that player identity.
  */
 
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import Hand from '../models/Hand.js';
+import { handFilterOfIdentity } from '../utils/playerIdentity.js';
 
 // Pipeline orchestrator (already handles persistence of sub-fields)
 import * as step11Mod from '../../src/utils/EV_Calculation/Step11/step11Pipeline.js';
@@ -25,13 +28,17 @@ const { runStep11Pipeline } = step11Mod;
 dotenv.config();
 
 async function main() {
-  const username = process.argv[2] || null;
+  const identityArg = process.argv.indexOf('--identity');
+  const identity = identityArg > -1 ? process.argv[identityArg + 1] : null;
+  const username = identity ? null : process.argv[2] || null;
 
   const uri = process.env.MONGODB_URI || 'mongodb://localhost/poker-history';
   await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
   console.log('Connected to MongoDB');
 
-  const query = username ? { username } : {};
+  const query = {};
+  if (identity) Object.assign(query, await handFilterOfIdentity(identity));
+  else if (username) query.username = username;
 
   const cursor = Hand.find(query).cursor();
   let handsProcessed = 0;
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Watch a folder that the poker client writes hand histories into and import
+ * new hands automatically while you play.  The script:
+ *   1. Connects to MongoDB (use MONGODB_URI env var or localhost fallback).
+ *   2. Polls the folder, importing new files and hands appended to files that
+ *      are still being written (byte offsets are kept in a state file so a
+ *      restart carries on where it left off).
+ *   3. Runs until interrupted with Ctrl+C.
+ *
+ * Usage:
+ *   node server/scripts/watchHandHistories.js <directory> <username> [--all] [--interval <seconds>]
+ *   HAND_HISTORY_DIR and HERO_USERNAME can be used instead of the positional arguments.
+ *   --all imports every dealt hand instead of only hands played postflop.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { createHandHistoryWatcher } from '../utils/handHistoryWatcher.js';
+
+dotenv.config();
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(arg => arg.startsWith('--')));
+  const intervalIndex = args.indexOf('--interval');
+  const intervalSeconds = intervalIndex === -1 ? 5 : Number(args[intervalIndex + 1]);
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && (intervalIndex === -1 || i !== intervalIndex + 1));
+
+  const directory = positional[0] || process.env.HAND_HISTORY_DIR;
+  const username = positional[1] || process.env.HERO_USERNAME;
+  if (!directory || !username) {
+    console.error('Usage: node server/scripts/watchHandHistories.js <directory> <username> [--all] [--interval <seconds>]');
+    process.exit(1);
+  }
+
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost/poker-history';
+  await mongoose.connect(uri);
+  console.log('Connected to MongoDB');
+
+  const watcher = createHandHistoryWatcher({
+    directory,
+    username,
+    importMode: flags.has('--all') ? 'all' : 'played',
+    intervalMs: intervalSeconds * 1000,
+    onImport: (fileName, batch, result) => {
+      console.log(`${fileName}: ${result.handsSaved} new hands, ${result.duplicates} duplicates (batch ${batch._id})`);
+    }
+  });
+  watcher.start();
+
+  process.on('SIGINT', async () => {
+    watcher.stop();
+    await mongoose.disconnect();
+    process.exit(0);
+  });
+}
+
+main().catch(err => {
+  console.error(err);
+  mongoose.disconnect();
+});
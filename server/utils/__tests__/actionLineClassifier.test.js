@@ -0,0 +1,109 @@
+const { parseHandHistoryContent } = require('../parseHandHistory');
+const { classifyActionLine } = require('../actionLineClassifier');
+
+const header = id => `Hand #${id} - Holdem (No Limit) - $0.05/$0.10 - 2025/04/25 17:40:12 UTC
+Young Harris 9-max Seat #1 is the button
+Seat 1: Wollt17 ($10.00)
+Seat 2: ST97 ($8.40)
+Seat 3: grotle ($12.50)
+ST97 posts the small blind $0.05
+grotle posts the big blind $0.10
+*** HOLE CARDS ***
+Dealt to grotle [Ah Kd]
+`;
+
+const parse = text => parseHandHistoryContent(text, 'grotle')[0];
+
+describe('action line classification', () => {
+  test('hero defends the big blind and check-raises the flop', () => {
+    const hand = parse(`${header(2439583001)}Wollt17 raises $0.30 to $0.30
+ST97 folds
+grotle calls $0.20
+*** FLOP *** [2c 3d Kh]
+grotle checks
+Wollt17 bets $0.40
+grotle raises $1.20 to $1.20
+Wollt17 folds
+Uncalled bet ($0.80) returned to grotle
+*** SUMMARY ***
+Total pot $1.45 | Rake $0.00
+Board [2c 3d Kh]
+Seat 1: Wollt17 (button) folded on the Flop
+Seat 2: ST97 (small blind) folded on the Pre-Flop
+Seat 3: grotle (big blind) did not show and won $1.45
+`);
+
+    expect(classifyActionLine(hand)).toEqual({
+      potType: 'SRP',
+      heroRole: 'caller',
+      playersToFlop: 2,
+      flop: { position: 'OOP', actions: ['check', 'raise'], tokens: ['check-raise'] }
+    });
+  });
+
+  test('hero 3-bets, c-bets the flop and probes the river after the turn checks through', () => {
+    const hand = parse(`${header(2439583002)}Wollt17 raises $0.30 to $0.30
+ST97 folds
+grotle raises $1.00 to $1.00
+Wollt17 calls $0.70
+*** FLOP *** [2c 3d Kh]
+grotle bets $0.80
+Wollt17 calls $0.80
+*** TURN *** [2c 3d Kh] [7s]
+grotle checks
+Wollt17 checks
+*** RIVER *** [2c 3d Kh 7s] [Qd]
+grotle bets $2.00
+Wollt17 folds
+Uncalled bet ($2.00) returned to grotle
+*** SUMMARY ***
+Total pot $3.65 | Rake $0.00
+Board [2c 3d Kh 7s Qd]
+Seat 1: Wollt17 (button) folded on the River
+Seat 2: ST97 (small blind) folded on the Pre-Flop
+Seat 3: grotle (big blind) did not show and won $3.65
+`);
+    const line = classifyActionLine(hand);
+
+    expect(line.potType).toBe('3BP');
+    expect(line.heroRole).toBe('PFR');
+    expect(line.flop).toEqual({ position: 'OOP', actions: ['bet'], tokens: ['cbet'] });
+    expect(line.turn.tokens).toEqual([]);
+    expect(line.river.tokens).toEqual(['probe']);
+  });
+
+  test('hero floats the flop in position and bets the turn when checked to', () => {
+    const line = classifyActionLine({
+      numPlayers: 2,
+      buttonPosition: 0,
+      communityCards: { flop: ['Td', '6d', 'Kd'], turn: '9s' },
+      bettingActions: [
+        { playerIndex: 1, street: 'preflop', action: 'raise', amount: 2.5 },
+        { playerIndex: 0, street: 'preflop', action: 'call', amount: 2 },
+        { playerIndex: 1, street: 'flop', action: 'bet', amount: 2 },
+        { playerIndex: 0, street: 'flop', action: 'call', amount: 2 },
+        { playerIndex: 1, street: 'turn', action: 'check', amount: 0 },
+        { playerIndex: 0, street: 'turn', action: 'bet', amount: 6.5 },
+        { playerIndex: 1, street: 'turn', action: 'fold', amount: 0 }
+      ]
+    });
+
+    expect(line.flop.position).toBe('IP');
+    expect(line.turn).toEqual({ position: 'IP', actions: ['bet'], tokens: ['float'] });
+  });
+
+  test('hands hero folds preflop have a pot type but no role or postflop line', () => {
+    const hand = parse(`${header(2439583003)}Wollt17 raises $0.30 to $0.30
+ST97 folds
+grotle folds
+Uncalled bet ($0.20) returned to Wollt17
+*** SUMMARY ***
+Total pot $0.25 | Rake $0.00
+Seat 1: Wollt17 (button) did not show and won $0.25
+Seat 2: ST97 (small blind) folded on the Pre-Flop
+Seat 3: grotle (big blind) folded on the Pre-Flop
+`);
+
+    expect(classifyActionLine(hand)).toEqual({ potType: 'SRP', heroRole: null, playersToFlop: null });
+  });
+});
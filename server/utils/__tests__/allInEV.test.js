@@ -0,0 +1,77 @@
+const { calculateAllInEV } = require('../allInEV');
+
+const action = (playerIndex, playerId, street, actionType, amount = 0, isAllIn = false) => ({
+  playerIndex, playerId, street, action: actionType, amount, isAllIn
+});
+
+// Hero (AA) bets the turn, ScrimitzuTV (KK) calls all-in, and the river pairs the king
+const turnAllIn = (extra = {}) => ({
+  heroHoleCards: ['Ah', 'Ad'],
+  heroNet: -50,
+  communityCards: { flop: ['2c', '7d', '9h'], turn: '3s', river: 'Kd' },
+  bettingActions: [
+    action(1, 'ScrimitzuTV', 'preflop', 'post', 0.5),
+    action(0, 'grotle', 'preflop', 'post', 1),
+    action(2, 'Wollt17', 'preflop', 'fold'),
+    action(1, 'ScrimitzuTV', 'preflop', 'raise', 3),
+    action(0, 'grotle', 'preflop', 'call', 2),
+    action(0, 'grotle', 'flop', 'check'),
+    action(1, 'ScrimitzuTV', 'flop', 'check'),
+    action(0, 'grotle', 'turn', 'bet', 47),
+    action(1, 'ScrimitzuTV', 'turn', 'call', 47, true)
+  ],
+  villainCards: [{ playerIndex: 1, cards: ['Kc', 'Ks'] }],
+  pots: [{
+    amount: 100.5,
+    eligiblePlayers: [0, 1],
+    winners: [{ playerIndex: 1, username: 'ScrimitzuTV', amount: 100 }]
+  }],
+  ...extra
+});
+
+describe('all-in EV', () => {
+  test('plays out every river after a turn all-in and adjusts hero net to the equity share of the pot', () => {
+    expect(calculateAllInEV(turnAllIn())).toEqual({
+      street: 'turn',
+      villain: 'ScrimitzuTV',
+      equity: 0.9545,
+      pot: 100,
+      won: 0,
+      evNet: 45.45
+    });
+  });
+
+  test('reads the villain cards from the showdown and estimates preflop all-ins', () => {
+    const allInEV = calculateAllInEV(turnAllIn({
+      heroHoleCards: ['Ah', 'As'],
+      heroNet: 50,
+      bettingActions: [
+        action(1, 'ScrimitzuTV', 'preflop', 'post', 0.5),
+        action(0, 'grotle', 'preflop', 'post', 1),
+        action(1, 'ScrimitzuTV', 'preflop', 'raise', 50, true),
+        action(0, 'grotle', 'preflop', 'call', 49)
+      ],
+      villainCards: [],
+      showdown: { hands: [{ player: 'ScrimitzuTV', cards: ['7c', '2d'] }] },
+      pots: [{
+        amount: 100,
+        eligiblePlayers: [0, 1],
+        winners: [{ playerIndex: 0, username: 'grotle', amount: 100 }]
+      }]
+    }));
+
+    expect(allInEV).toMatchObject({ street: 'preflop', pot: 100, won: 100 });
+    expect(allInEV.equity).toBeGreaterThan(0.8);
+    expect(allInEV.evNet).toBeCloseTo(50 - 100 + allInEV.equity * 100, 1);
+  });
+
+  test('leaves hands without an all-in before the river or without known villain cards alone', () => {
+    expect(calculateAllInEV(turnAllIn({ villainCards: [] }))).toBeNull();
+    expect(calculateAllInEV(turnAllIn({ communityCards: { flop: ['2c', '7d', '9h'], turn: '3s', river: null } }))).toBeNull();
+
+    const riverAllIn = turnAllIn();
+    riverAllIn.bettingActions = riverAllIn.bettingActions.map(entry =>
+      entry.street === 'turn' ? { ...entry, street: 'river' } : entry);
+    expect(calculateAllInEV(riverAllIn)).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  createScopedToken,
+  verifyScopedToken,
+  requireAuth,
+  SCOPED_TOKEN_LIFETIME_SECONDS,
+  screenNameFilter,
+  ownsScreenName,
+  TOKEN_LIFETIME_SECONDS
+} = require('../auth');
+
+describe('auth', () => {
+  beforeAll(() => {
+    process.env.AUTH_SECRET = 'test-secret';
+  });
+
+  test('hashes passwords with a salt and verifies them', () => {
+    const stored = hashPassword('correct horse');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    expect(hashPassword('correct horse')).not.toBe(stored);
+    expect(verifyPassword('correct horse', stored)).toBe(true);
+    expect(verifyPassword('wrong horse', stored)).toBe(false);
+    expect(verifyPassword('correct horse', 'not-a-hash')).toBe(false);
+  });
+
+  test('accepts its own tokens until they expire and rejects tampered ones', () => {
+    const now = Date.UTC(2025, 3, 25);
+    const token = createToken('665f1c2ab1e4a3d2c8f0a001', now);
+
+    expect(verifyToken(token, now)).toMatchObject({ sub: '665f1c2ab1e4a3d2c8f0a001' });
+    expect(verifyToken(token, now + TOKEN_LIFETIME_SECONDS * 1000)).toBeNull();
+
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', exp: now / 1000 + 60 })).toString('base64url');
+    expect(verifyToken(`${forged}.${signature}`, now)).toBeNull();
+    expect(verifyToken(`${payload}.${signature.slice(1)}`, now)).toBeNull();
+    expect(verifyToken(undefined, now)).toBeNull();
+  });
+
+  test('accepts scoped tokens only for their scope and only for a few minutes', () => {
+    const now = Date.UTC(2025, 3, 25);
+    const token = createScopedToken('665f1c2ab1e4a3d2c8f0a001', 'import-job:abc', now);
+
+    expect(verifyScopedToken(token, 'import-job:abc', now)).toBe('665f1c2ab1e4a3d2c8f0a001');
+    expect(verifyScopedToken(token, 'import-job:def', now)).toBeNull();
+    expect(verifyScopedToken(token, 'import-job:abc', now + SCOPED_TOKEN_LIFETIME_SECONDS * 1000)).toBeNull();
+    expect(verifyScopedToken(createToken('665f1c2ab1e4a3d2c8f0a001', now), 'import-job:abc', now)).toBeNull();
+    expect(verifyToken(token, now)).toMatchObject({ scope: 'import-job:abc' });
+  });
+
+  test('does not sign requests in with a scoped token', async () => {
+    const token = createScopedToken('665f1c2ab1e4a3d2c8f0a001', 'import-job:abc');
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    await requireAuth({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('limits queries to the signed-in user\'s screen names on their sites', () => {
+    const req = {
+      user: {
+        screenNames: [
+          { site: 'wpn', screenName: 'grotle' },
+          { site: 'pokerstars', screenName: 'grotle_ps' },
+          { site: 'pokerstars', screenName: 'grotle' }
+        ]
+      }
+    };
+
+    expect(screenNameFilter(req)).toEqual({
+      $or: [
+        { site: 'wpn', username: 'grotle' },
+        { site: 'pokerstars', username: 'grotle_ps' },
+        { site: 'pokerstars', username: 'grotle' }
+      ]
+    });
+    expect(screenNameFilter(req, 'grotle')).toEqual({
+      $or: [{ site: 'wpn', username: 'grotle' }, { site: 'pokerstars', username: 'grotle' }]
+    });
+    expect(screenNameFilter(req, 'someone')).toBeNull();
+    expect(screenNameFilter({ user: { screenNames: [] } })).toEqual({ username: { $in: [] } });
+  });
+
+  test('tells the same screen name on two sites apart', () => {
+    const req = { user: { screenNames: [{ site: 'wpn', screenName: 'grotle' }] } };
+
+    expect(ownsScreenName(req, 'grotle')).toBe(true);
+    expect(ownsScreenName(req, 'grotle', 'wpn')).toBe(true);
+    expect(ownsScreenName(req, 'grotle', 'pokerstars')).toBe(false);
+  });
+});
@@ -0,0 +1,12 @@
+const { classifyFlopTexture } = require('../boardTexture');
+
+describe('flop texture', () => {
+  test('tags the suits, pairs and straight potential of the flop', () => {
+    expect(classifyFlopTexture(['Ah', 'Kh', 'Qh'])).toEqual(['monotone', 'connected']);
+    expect(classifyFlopTexture(['5c', '6c', '9d'])).toEqual(['two-tone', 'connected']);
+    expect(classifyFlopTexture(['2c', '3d', 'Ah'])).toEqual(['rainbow', 'connected']);
+    expect(classifyFlopTexture(['7s', '7d', '2c'])).toEqual(['rainbow', 'paired']);
+    expect(classifyFlopTexture(['Kd', '9s', '2h'])).toEqual(['rainbow']);
+    expect(classifyFlopTexture([])).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+const { parseHandHistoryContent } = require('../parseHandHistory');
+const { handToOpenHandHistory } = require('../openHandHistory');
+
+const CASH_HANDS = `Hand #2439582001 - Holdem (No Limit) - $0.05/$0.10 - 2025/04/25 17:40:12 UTC\r
+Young Harris 9-max Seat #1 is the button\r
+Seat 1: Wollt17 ($10.00)\r
+Seat 2: ST97 ($8.40)\r
+Seat 3: grotle ($12.50)\r
+ST97 posts the small blind $0.05\r
+grotle posts the big blind $0.10\r
+*** HOLE CARDS ***\r
+Main pot $0.15 | Rake $0.00\r
+Dealt to grotle [Ah Kd]\r
+Wollt17 raises $0.30 to $0.30\r
+ST97 folds\r
+grotle calls $0.20\r
+*** FLOP *** [2c 3d Kh]\r
+Main pot $0.65 | Rake $0.00\r
+grotle checks\r
+Wollt17 bets $0.40\r
+grotle folds\r
+Uncalled bet ($0.40) returned to Wollt17\r
+Wollt17 does not show\r
+*** SUMMARY ***\r
+Total pot $0.65 | Rake $0.02\r
+Board [2c 3d Kh]\r
+Seat 1: Wollt17 did not show and won $0.63\r
+Seat 2: ST97 (small blind) folded on the Pre-Flop\r
+Seat 3: grotle (big blind) folded on the Flop\r
+\r
+Hand #2439582002 - Holdem (No Limit) - $0.05/$0.10 - 2025/04/25 17:41:02 UTC\r
+Young Harris 9-max Seat #2 is the button\r
+Seat 1: Wollt17 ($10.33)\r
+Seat 2: ST97 ($8.35)\r
+Seat 3: grotle ($12.10)\r
+grotle posts the small blind $0.05\r
+Wollt17 posts the big blind $0.10\r
+*** HOLE CARDS ***\r
+Main pot $0.15 | Rake $0.00\r
+Dealt to grotle [7c 2d]\r
+ST97 folds\r
+grotle folds\r
+*** SUMMARY ***\r
+Total pot $0.15 | Rake $0.00\r
+Seat 1: Wollt17 did not show and won $0.15\r
+Seat 2: ST97 folded on the Pre-Flop\r
+Seat 3: grotle (small blind) folded on the Pre-Flop\r
+`;
+
+describe('WPN cash game import', () => {
+  test('splits cash hands on the "Hand #" header', () => {
+    const hands = parseHandHistoryContent(CASH_HANDS, 'grotle');
+
+    expect(hands).toHaveLength(2);
+    expect(hands.map(hand => hand.id)).toEqual(['2439582001', '2439582002']);
+  });
+
+  test('reads stakes, currency and table size from the header and table line', () => {
+    const [hand] = parseHandHistoryContent(CASH_HANDS, 'grotle');
+
+    expect(hand.gameType).toBe('cash');
+    expect(hand.tournamentId).toBeNull();
+    expect(hand.stakes).toEqual({
+      smallBlind: 0.05,
+      bigBlind: 0.1,
+      currency: 'USD',
+      tableName: 'Young Harris',
+      tableSize: 9
+    });
+    expect(hand.playerStacks.get('grotle')).toBe(12.5);
+    expect(hand.heroStackSize).toBe(125);
+  });
+
+  test('converts dollar amounts into big blinds', () => {
+    const [hand] = parseHandHistoryContent(CASH_HANDS, 'grotle');
+    const heroCall = hand.bettingActions.find(action => action.playerId === 'grotle' && action.action === 'call');
+
+    expect(heroCall.amount).toBe(2);
+    expect(hand.potSizes.flop).toBeCloseTo(6.5);
+  });
+
+  test('exports cash hands to OHH using the cash stakes', () => {
+    const [hand] = parseHandHistoryContent(CASH_HANDS, 'grotle');
+    const ohh = handToOpenHandHistory({ ...hand, username: 'grotle' }).ohh;
+
+    expect(ohh.tournament).toBe(false);
+    expect(ohh.big_blind_amount).toBe(0.1);
+    expect(ohh.table_name).toBe('Young Harris');
+    expect(ohh.table_size).toBe(9);
+  });
+});
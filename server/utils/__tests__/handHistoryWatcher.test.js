@@ -0,0 +1,34 @@
+const { findCompleteHandsEnd, nextImport, tournamentNameFromFileName } = require('../handHistoryWatcher');
+
+describe('hand history watcher', () => {
+  test('finds the end of the last completely written hand', () => {
+    const complete = 'Game Hand #1\r\nSeat 1: grotle (1500)\r\n\r\n';
+    const buffer = Buffer.from(`${complete}Game Hand #2\r\nSeat 1: grotle (1500)\r\n`);
+
+    expect(findCompleteHandsEnd(buffer)).toBe(Buffer.byteLength(complete));
+  });
+
+  test('handles unix line endings and returns 0 when no hand is complete', () => {
+    expect(findCompleteHandsEnd(Buffer.from('Hand #1\nSeat 1: grotle ($2.00)\n'))).toBe(0);
+    expect(findCompleteHandsEnd(Buffer.from('Hand #1\n\nHand #2\n'))).toBe(9);
+  });
+
+  test('imports text files by the hands appended and JSON files whole once they stop growing', () => {
+    const pending = Buffer.from('Hand #2\n\nHand #3\n');
+
+    expect(nextImport({ entry: { offset: 100, size: 90 }, size: 117, json: false, pending }))
+      .toEqual({ start: 100, end: 109 });
+    expect(nextImport({ entry: { offset: 100, size: 117 }, size: 117, json: false, pending }))
+      .toEqual({ start: 100, end: 117 });
+
+    expect(nextImport({ entry: { offset: 100, size: 100 }, size: 250, json: true, pending: null })).toBeNull();
+    expect(nextImport({ entry: { offset: 100, size: 250 }, size: 250, json: true, pending: null }))
+      .toEqual({ start: 0, end: 250, wholeFile: true });
+    expect(nextImport({ entry: { offset: 250, size: 250 }, size: 250, json: true, pending: null })).toBeNull();
+  });
+
+  test('reads the tournament name from WPN file names', () => {
+    expect(tournamentNameFromFileName("HH20250425 SCHEDULEDID-G33456182T2 TN-$150 GTD GAMETYPE-Hold'em LIMIT-no.txt")).toBe('$150 GTD');
+    expect(tournamentNameFromFileName('hands.ohh')).toBe('');
+  });
+});
@@ -0,0 +1,43 @@
+const { classifyHeroInvolvement } = require('../parseHandHistory');
+
+const action = (playerIndex, street, type) => ({ playerIndex, street, action: type });
+
+describe('classifyHeroInvolvement', () => {
+  test('flags hands hero folded preflop', () => {
+    const hand = {
+      bettingActions: [
+        action(1, 'preflop', 'raise'),
+        action(0, 'preflop', 'fold'),
+        action(2, 'preflop', 'call'),
+        action(1, 'flop', 'bet')
+      ]
+    };
+
+    expect(classifyHeroInvolvement(hand)).toBe('folded-preflop');
+  });
+
+  test('flags hands that end preflop without hero folding', () => {
+    const hand = {
+      bettingActions: [
+        action(1, 'preflop', 'fold'),
+        action(0, 'preflop', 'raise'),
+        action(2, 'preflop', 'fold')
+      ]
+    };
+
+    expect(classifyHeroInvolvement(hand)).toBe('preflop-only');
+  });
+
+  test('flags hands hero played after the flop', () => {
+    const hand = {
+      bettingActions: [
+        action(0, 'preflop', 'raise'),
+        action(1, 'preflop', 'call'),
+        action(1, 'flop', 'check'),
+        action(0, 'flop', 'bet')
+      ]
+    };
+
+    expect(classifyHeroInvolvement(hand)).toBe('postflop');
+  });
+});
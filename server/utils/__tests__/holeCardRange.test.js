@@ -0,0 +1,34 @@
+const { parseHoleCardRange } = require('../holeCardRange');
+
+const handClasses = text => {
+  const { combos } = parseHoleCardRange(text);
+  return Array.from(new Set(combos.map(([first, second]) => {
+    if (first[0] === second[0]) return first[0] + second[0];
+    return first[0] + second[0] + (first[1] === second[1] ? 's' : 'o');
+  })));
+};
+
+describe('hole card ranges', () => {
+  test('reads pairs, suited and offsuit hands and exact combos', () => {
+    expect(parseHoleCardRange('77').combos).toHaveLength(6);
+    expect(parseHoleCardRange('AKs').combos).toHaveLength(4);
+    expect(parseHoleCardRange('ako').combos).toHaveLength(12);
+    expect(parseHoleCardRange('KA').combos).toHaveLength(16);
+    expect(parseHoleCardRange('khQh').combos).toEqual([['Kh', 'Qh']]);
+  });
+
+  test('expands plus and dash ranges', () => {
+    expect(handClasses('AQs+, 77-TT')).toEqual(['AQs', 'AKs', '77', '88', '99', 'TT']);
+    expect(handClasses('QQ+')).toEqual(['QQ', 'KK', 'AA']);
+    expect(handClasses('A2s-A4s')).toEqual(['A2s', 'A3s', 'A4s']);
+    expect(parseHoleCardRange('AQ+').combos).toHaveLength(32);
+  });
+
+  test('counts overlapping tokens once and reports the ones it cannot read', () => {
+    expect(parseHoleCardRange('77-TT, 88').combos).toHaveLength(24);
+    expect(parseHoleCardRange('AKs, AKx, AhAh, AKs-K9s')).toEqual({
+      combos: parseHoleCardRange('AKs').combos,
+      invalid: ['AKx', 'AhAh', 'AKs-K9s']
+    });
+  });
+});
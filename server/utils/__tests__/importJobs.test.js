@@ -0,0 +1,46 @@
+const {
+  createImportJob,
+  getImportJob,
+  getOwnImportJob,
+  updateImportJob,
+  finishImportJob
+} = require('../importJobs');
+
+const OWNER = '665f1c2ab1e4a3d2c8f0a001';
+
+describe('import jobs', () => {
+  test('streams progress updates to subscribers until the job finishes', () => {
+    const job = createImportJob(OWNER);
+    const updates = [];
+    job.events.on('update', update => updates.push(update));
+
+    updateImportJob(job.id, { totalHands: 100, handsToSave: 40, parsed: 98, skipped: 2 });
+    updateImportJob(job.id, { saved: 25 });
+    finishImportJob(job.id);
+
+    expect(updates.map(update => update.status)).toEqual(['running', 'running', 'done']);
+    expect(updates[1].progress).toMatchObject({ totalHands: 100, handsToSave: 40, parsed: 98, saved: 25, skipped: 2 });
+    expect(getImportJob(job.id).status).toBe('done');
+  });
+
+  test('records the error message of a failed job', () => {
+    const job = createImportJob(OWNER);
+
+    finishImportJob(job.id, new Error('File already imported'));
+
+    expect(getImportJob(job.id)).toMatchObject({ status: 'failed', error: 'File already imported' });
+  });
+
+  test('only gives a job to the account that created it', () => {
+    const job = createImportJob(OWNER);
+
+    expect(getOwnImportJob(job.id, OWNER)).toBe(job);
+    expect(getOwnImportJob(job.id, '665f1c2ab1e4a3d2c8f0a002')).toBeNull();
+    expect(getOwnImportJob('missing', OWNER)).toBeNull();
+  });
+
+  test('ignores updates for unknown jobs', () => {
+    expect(() => updateImportJob('missing', { saved: 1 })).not.toThrow();
+    expect(getImportJob('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const { parseHandHistoryContent } = require('../parseHandHistory');
+const { buildImportReport } = require('../importReport');
+
+const GOOD_HAND = `Game Hand #1001 - Tournament #77 - Holdem (No Limit) - Level 1 (10.00/20.00) - 2025/04/25 17:28:55 UTC
+Table '1' 6-max Seat #1 is the button
+Seat 1: Alice (1500.00)
+Seat 2: Bob Smith
+Seat 3: grotle (1500.00)
+Bob Smith posts the small blind 10.00
+grotle posts the big blind 20.00
+*** HOLE CARDS ***
+Main pot 30.00
+Dealt to grotle [Ah Kd]
+Alice folds
+Bob Smith folds
+*** SUMMARY ***
+Total pot 30.00
+Seat 3: grotle did not show and won 30.00
+`;
+
+const HAND_WITHOUT_HERO = `Game Hand #1002 - Tournament #77 - Holdem (No Limit) - Level 1 (10.00/20.00) - 2025/04/25 17:29:55 UTC
+Table '1' 6-max Seat #2 is the button
+Seat 1: Alice (1500.00)
+Seat 2: Carol (1500.00)
+Alice posts the small blind 10.00
+Carol posts the big blind 20.00
+*** HOLE CARDS ***
+Main pot 30.00
+Alice folds
+*** SUMMARY ***
+Total pot 30.00
+Seat 2: Carol did not show and won 30.00
+`;
+
+describe('import diagnostics', () => {
+  test('records skipped hands with their file line number', () => {
+    const diagnostics = [];
+    const hands = parseHandHistoryContent(`${GOOD_HAND}\n${HAND_WITHOUT_HERO}`, 'grotle', diagnostics);
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+    expect(hands.map(hand => hand.id)).toEqual(['1001']);
+    expect(errors).toEqual([
+      expect.objectContaining({
+        code: 'parse-error',
+        handId: '1002',
+        lineNumber: 17,
+        message: 'Could not find seat for hero grotle',
+        line: HAND_WITHOUT_HERO.split('\n')[0]
+      })
+    ]);
+  });
+
+  test('warns about seat and action lines for players it could not read', () => {
+    const diagnostics = [];
+    parseHandHistoryContent(GOOD_HAND, 'grotle', diagnostics);
+
+    expect(diagnostics).toEqual(expect.arrayContaining([
+      expect.objectContaining({ severity: 'warning', code: 'unparsed-seat', handId: '1001', lineNumber: 4 }),
+      expect.objectContaining({
+        severity: 'warning',
+        code: 'unknown-player',
+        message: 'Could not find seat for player Bob Smith',
+        lineNumber: 12,
+        line: 'Bob Smith folds'
+      })
+    ]));
+  });
+
+  test('groups diagnostics into skipped hands, duplicates and warnings', () => {
+    const report = buildImportReport([
+      { severity: 'error', code: 'parse-error' },
+      { severity: 'info', code: 'duplicate' },
+      { severity: 'warning', code: 'unknown-player' }
+    ]);
+
+    expect(report.skippedHands).toHaveLength(1);
+    expect(report.duplicates).toHaveLength(1);
+    expect(report.warnings).toHaveLength(1);
+  });
+});
@@ -0,0 +1,47 @@
+const { backfillSites, LEGACY_SITE } = require('../legacySites');
+const { screenNameFilter } = require('../auth');
+
+// A stand-in for a model over plain documents, applying the one update backfillSites makes
+function fakeModel(modelName, documents) {
+  return {
+    modelName,
+    documents,
+    async updateMany(filter, update) {
+      const matched = documents.filter(doc => !('site' in doc));
+      matched.forEach(doc => Object.assign(doc, update.$set));
+      return { modifiedCount: matched.length };
+    }
+  };
+}
+
+// Whether a document matches a screenNameFilter: any of its { site, username } clauses
+const visible = (doc, filter) => filter.$or.some(clause =>
+  Object.entries(clause).every(([field, value]) => doc[field] === value)
+);
+
+describe('legacy documents without a site', () => {
+  const req = { user: { screenNames: [{ site: 'wpn', screenName: 'grotle' }] } };
+
+  test('are invisible to screen-name lookups until they get one', () => {
+    expect(visible({ username: 'grotle', id: '2439584001' }, screenNameFilter(req))).toBe(false);
+  });
+
+  test('get the WPN site and stay visible, without touching documents that have one', async () => {
+    const hands = fakeModel('Hand', [
+      { username: 'grotle', id: '2439584001' },
+      { username: 'grotle', id: '2439584002', site: 'pokerstars' }
+    ]);
+    const players = fakeModel('Player', [{ username: 'grotle', name: 'ST97' }]);
+    const tournaments = fakeModel('Tournament', [{ username: 'grotle', tournamentId: '187654321' }]);
+
+    await expect(backfillSites([hands, players, tournaments]))
+      .resolves.toEqual({ Hand: 1, Player: 1, Tournament: 1 });
+
+    expect(LEGACY_SITE).toBe('wpn');
+    expect(hands.documents.map(hand => hand.site)).toEqual(['wpn', 'pokerstars']);
+    [hands.documents[0], players.documents[0], tournaments.documents[0]].forEach(doc => {
+      expect(visible(doc, screenNameFilter(req))).toBe(true);
+    });
+    await expect(backfillSites([hands])).resolves.toEqual({ Hand: 0 });
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  isOpenHandHistory,
+  splitOpenHandHistories,
+  parseOpenHandHistory,
+  handToOpenHandHistory
+} = require('../openHandHistory');
+const { detectHandHistoryFormat, detectHandHistorySite, parseHandHistoryContent } = require('../parseHandHistory');
+
+const ASSETS_DIR = path.join(__dirname, '../../../src/assets');
+const WPN_FILE = fs.readdirSync(ASSETS_DIR).find(name => name.startsWith('HH') && name.endsWith('.txt'));
+
+function parseQuietly(content, hero) {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  try {
+    return parseHandHistoryContent(content, hero);
+  } finally {
+    log.mockRestore();
+  }
+}
+
+const actionSummary = action => ({
+  playerId: action.playerId,
+  playerIndex: action.playerIndex,
+  position: action.position,
+  action: action.action,
+  amount: action.amount,
+  chipAmount: action.chipAmount,
+  street: action.street,
+  isAllIn: !!action.isAllIn
+});
+
+describe('Open Hand History import / export', () => {
+  const content = fs.readFileSync(path.join(ASSETS_DIR, WPN_FILE), 'utf8');
+  const hands = parseQuietly(content, 'grotle')
+    .map(hand => ({ ...hand, username: 'grotle' }));
+  const sourceText = hand => content.split(/(?=^Game Hand #)/m).find(block => block.startsWith(`Game Hand #${hand.id}`));
+
+  test('exports a hand with chip amounts and table seats', () => {
+    const { ohh } = handToOpenHandHistory(hands[0]);
+
+    expect(ohh.spec_version).toBeDefined();
+    expect(ohh.game_number).toBe(hands[0].id);
+    expect(ohh.tournament).toBe(true);
+    expect(ohh.big_blind_amount).toBe(2800);
+    expect(ohh.players.map(player => player.name)).toEqual([...hands[0].playerStacks.keys()]);
+    expect(ohh.rounds[0].street).toBe('Preflop');
+    expect(ohh.rounds[0].actions.find(action => action.action === 'Dealt Cards').cards).toEqual(hands[0].heroHoleCards);
+    expect(ohh.pots[0].player_wins.length).toBeGreaterThan(0);
+  });
+
+  test('round-trips every action and amount', () => {
+    for (const hand of hands) {
+      const exported = JSON.parse(JSON.stringify(handToOpenHandHistory(hand)));
+      const imported = parseOpenHandHistory(exported, 'grotle');
+
+      expect(imported.id).toBe(hand.id);
+      expect(imported.bettingActions.map(actionSummary)).toEqual(hand.bettingActions.map(actionSummary));
+      expect(imported.communityCards).toEqual(hand.communityCards);
+      expect(imported.heroHoleCards).toEqual(hand.heroHoleCards);
+      expect(imported.villainCards).toEqual(hand.villainCards);
+      expect(imported.buttonPosition).toBe(hand.buttonPosition);
+      expect(imported.heroStackSize).toBe(hand.heroStackSize);
+      expect(Object.fromEntries(imported.playerStacks)).toEqual(Object.fromEntries(hand.playerStacks));
+      expect(imported.pots.map(pot => [pot.amount, pot.winners])).toEqual(hand.pots.map(pot => [pot.amount, pot.winners]));
+    }
+  });
+
+  test('exports the chip amounts written in the source file, not rounded big blinds', () => {
+    const { ohh } = handToOpenHandHistory(hands[0]);
+    const postflop = ohh.rounds.filter(round => ['Flop', 'Turn', 'River'].includes(round.street));
+    const bets = postflop.flatMap(round => round.actions).filter(action => action.action === 'Bet');
+
+    expect(bets.map(action => action.amount)).toEqual([12250, 36750, 45938]);
+    expect(ohh.pots.map(pot => pot.amount)).toEqual([275626]);
+    expect(ohh.pots[0].player_wins.map(win => win.win_amount)).toEqual([275626]);
+
+    // Every postflop bet and call, in the order the source file lists them
+    for (const hand of hands) {
+      const [, afterFlop = ''] = sourceText(hand).split('*** FLOP ***');
+      const sourceAmounts = [...afterFlop.split('*** SUMMARY ***')[0].matchAll(/^.+ (?:bets|calls) ([\d.]+)/gm)]
+        .map(match => parseFloat(match[1]));
+      const exportedAmounts = handToOpenHandHistory(hand).ohh.rounds
+        .filter(round => ['Flop', 'Turn', 'River'].includes(round.street))
+        .flatMap(round => round.actions)
+        .filter(action => action.action === 'Bet' || action.action === 'Call')
+        .map(action => action.amount);
+      expect(exportedAmounts).toEqual(sourceAmounts);
+    }
+  });
+
+  test('names blinds from the seat relative to the button', () => {
+    const posts = hand => handToOpenHandHistory(hand).ohh.rounds[0].actions
+      .filter(action => action.action.startsWith('Post') && action.action !== 'Post Ante')
+      .map(action => [action.action, action.amount]);
+    expect(posts(hands[0])).toEqual([['Post SB', 1400], ['Post BB', 2800]]);
+
+    // A big blind all in for less than a big blind is still the big blind
+    const shortBigBlind = {
+      ...hands[0],
+      bettingActions: hands[0].bettingActions.map(action => (action.action === 'post' && action.amount === 1
+        ? { ...action, amount: 0.25, chipAmount: 700, isAllIn: true }
+        : action))
+    };
+    expect(posts(shortBigBlind)).toEqual([['Post SB', 1400], ['Post BB', 700]]);
+  });
+
+  test('exports the tournament fee and bounty apart from the buy-in', () => {
+    const hand = { ...hands[0], tournamentInfo: { ...hands[0].tournamentInfo, buyIn: 8.8, fee: 0.8, bounty: 4 } };
+    const exported = JSON.parse(JSON.stringify(handToOpenHandHistory(hand)));
+
+    expect(exported.ohh.tournament_info).toMatchObject({ buyin_amount: 4, fee_amount: 0.8, bounty_fee_amount: 4 });
+    expect(parseOpenHandHistory(exported, 'grotle').tournamentInfo).toMatchObject({ buyIn: 8.8, fee: 0.8, bounty: 4 });
+  });
+
+  test('indexes winners and losers from hero\'s seat whether a hand is imported as text or as OHH', () => {
+    const result = player => ({ playerIndex: player.playerIndex, username: player.username, position: player.position });
+    // Every winner and loser sits where their betting actions put them (hero = 0)
+    const expectSameSeats = hand => {
+      [...hand.winners, ...hand.losers].forEach(player => {
+        const action = hand.bettingActions.find(candidate => candidate.playerId === player.username);
+        if (action) expect(player.playerIndex).toBe(action.playerIndex);
+      });
+    };
+
+    for (const hand of hands) {
+      const imported = parseOpenHandHistory(JSON.parse(JSON.stringify(handToOpenHandHistory(hand))), 'grotle');
+
+      expect(imported.winners.map(result)).toEqual(hand.winners.map(result));
+      expectSameSeats(hand);
+      expectSameSeats(imported);
+    }
+  });
+
+  test('reads files with one OHH object per block as well as JSON arrays', () => {
+    const documents = hands.slice(0, 2).map(hand => handToOpenHandHistory(hand));
+    const blocks = documents.map(document => JSON.stringify(document)).join('\n\n');
+
+    expect(isOpenHandHistory(blocks)).toBe(true);
+    expect(detectHandHistoryFormat(blocks)).toBe('ohh');
+    expect(splitOpenHandHistories(blocks)).toHaveLength(2);
+    expect(splitOpenHandHistories(JSON.stringify(documents))).toHaveLength(2);
+    expect(parseQuietly(blocks, 'grotle').map(hand => hand.id)).toEqual([hands[0].id, hands[1].id]);
+  });
+
+  test('reads the site of a file before parsing it', () => {
+    const exported = handToOpenHandHistory(hands[0]);
+
+    expect(detectHandHistorySite(JSON.stringify(exported))).toBe('wpn');
+    exported.ohh.site_name = 'PokerStars';
+    exported.ohh.network_name = 'PokerStars';
+    expect(detectHandHistorySite(JSON.stringify(exported))).toBe('pokerstars');
+    expect(detectHandHistorySite(hands[0].rawText)).toBe('wpn');
+    expect(detectHandHistorySite('{"ohh": ')).toBe('other');
+  });
+
+  test('skips hands where the hero is not seated', () => {
+    const exported = handToOpenHandHistory(hands[0]);
+    exported.ohh.hero_player_id = undefined;
+
+    expect(() => parseOpenHandHistory(exported, 'nobody')).toThrow('Could not find hero');
+  });
+});
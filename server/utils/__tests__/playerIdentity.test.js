@@ -0,0 +1,62 @@
+const { normalizeAliases, aliasHandFilter, foreignScreenName, resolveHero } = require('../playerIdentity');
+
+const req = {
+  user: {
+    _id: '665f1c2ab1e4a3d2c8f0a001',
+    screenNames: [{ site: 'wpn', screenName: 'grotle' }, { site: 'pokerstars', screenName: 'grotle_ps' }]
+  }
+};
+
+describe('player identities', () => {
+  test('trims and de-duplicates aliases and rejects incomplete ones', () => {
+    expect(normalizeAliases([
+      { site: 'wpn', screenName: ' grotle ' },
+      { site: 'pokerstars', screenName: 'grotle_ps' },
+      { site: 'wpn', screenName: 'grotle' }
+    ])).toEqual({
+      aliases: [
+        { site: 'wpn', screenName: 'grotle' },
+        { site: 'pokerstars', screenName: 'grotle_ps' }
+      ]
+    });
+    expect(normalizeAliases([{ site: 'partypoker', screenName: 'grotle' }]).error).toBeDefined();
+    expect(normalizeAliases([{ site: 'wpn', screenName: '  ' }]).error).toBeDefined();
+    expect(normalizeAliases('grotle').error).toBeDefined();
+  });
+
+  test('only allows the account\'s own screen names as aliases, on their own site', () => {
+    expect(foreignScreenName(req, [{ site: 'wpn', screenName: 'grotle' }])).toBeNull();
+    expect(foreignScreenName(req, [{ site: 'wpn', screenName: 'grotle' }, { site: 'other', screenName: 'turtwig' }]))
+      .toBe('turtwig');
+    expect(foreignScreenName(req, [{ site: 'pokerstars', screenName: 'grotle' }])).toBe('grotle');
+  });
+
+  test('matches each alias on its own site only', () => {
+    expect(aliasHandFilter({
+      aliases: [
+        { site: 'wpn', screenName: 'grotle' },
+        { site: 'pokerstars', screenName: 'grotle' }
+      ]
+    })).toEqual({
+      $or: [
+        { site: 'wpn', username: 'grotle' },
+        { site: 'pokerstars', username: 'grotle' }
+      ]
+    });
+    expect(aliasHandFilter({ aliases: [{ site: 'wpn', screenName: 'grotle' }] }))
+      .toEqual({ $or: [{ site: 'wpn', username: 'grotle' }] });
+    expect(aliasHandFilter({ aliases: [] })).toEqual({ username: { $in: [] } });
+  });
+
+  test('resolves a screen name to a hand filter without an identity', async () => {
+    await expect(resolveHero(req, { username: 'grotle_ps' })).resolves.toEqual({
+      filter: { $or: [{ site: 'pokerstars', username: 'grotle_ps' }] },
+      label: 'grotle_ps'
+    });
+    await expect(resolveHero(req, {})).resolves.toMatchObject({
+      filter: { $or: [{ site: 'wpn', username: 'grotle' }, { site: 'pokerstars', username: 'grotle_ps' }] }
+    });
+    await expect(resolveHero(req, { username: 'turtwig' })).resolves.toMatchObject({ status: 403 });
+    await expect(resolveHero(req, { identity: 'not-an-id' })).resolves.toMatchObject({ status: 404 });
+  });
+});
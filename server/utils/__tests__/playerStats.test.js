@@ -0,0 +1,113 @@
+const { parseHandHistoryContent } = require('../parseHandHistory');
+const { playerStatsFromHand, updatePlayerStats, combinePlayerProfiles } = require('../playerStats');
+const Player = require('../../models/Player').default;
+
+const HAND = `Hand #2439584001 - Holdem (No Limit) - $0.05/$0.10 - 2025/04/25 17:40:12 UTC
+Young Harris 9-max Seat #1 is the button
+Seat 1: Wollt17 ($10.00)
+Seat 2: ST97 ($8.40)
+Seat 3: grotle ($12.50)
+ST97 posts the small blind $0.05
+grotle posts the big blind $0.10
+*** HOLE CARDS ***
+Dealt to grotle [7h 2d]
+Wollt17 raises $0.30 to $0.30
+ST97 raises $1.00 to $1.00
+grotle folds
+Wollt17 calls $0.70
+*** FLOP *** [2c 3d Kh]
+ST97 bets $1.00
+Wollt17 calls $1.00
+*** TURN *** [2c 3d Kh] [7s]
+ST97 bets $2.00
+Wollt17 raises $6.00 to $6.00
+ST97 calls $4.00
+*** RIVER *** [2c 3d Kh 7s] [Qd]
+ST97 checks
+Wollt17 checks
+ST97 shows [Ah Ad]
+Wollt17 shows [Kc Qc]
+*** SUMMARY ***
+Total pot $16.10 | Rake $0.00
+Board [2c 3d Kh 7s Qd]
+Seat 1: Wollt17 (button) showed [Kc Qc] and won $16.10 with two pair, Kings and Queens [Kc Kh Qc Qd 7s]
+Seat 2: ST97 (small blind) showed [Ah Ad] and lost with a pair of Aces [Ah Ad Kh Qd 7s]
+Seat 3: grotle (big blind) folded on the Pre-Flop
+`;
+
+describe('opponent profile counters', () => {
+  const stats = playerStatsFromHand(parseHandHistoryContent(HAND, 'grotle')[0]);
+
+  test('counts one hand for every player at the table', () => {
+    expect([...stats.keys()].sort()).toEqual(['ST97', 'Wollt17', 'grotle']);
+    stats.forEach(counters => expect(counters.hands).toBe(1));
+  });
+
+  test('tracks preflop raises, 3-bets and the opener facing the 3-bet', () => {
+    expect(stats.get('Wollt17')).toMatchObject({
+      vpip: 1, pfr: 1, threeBetOpportunities: 0, foldToThreeBet: 0, foldToThreeBetOpportunities: 1
+    });
+    expect(stats.get('ST97')).toMatchObject({ vpip: 1, pfr: 1, threeBet: 1, threeBetOpportunities: 1 });
+    expect(stats.get('grotle')).toMatchObject({ vpip: 0, threeBetOpportunities: 0, sawFlop: 0 });
+  });
+
+  test('tracks the c-bet, aggression and showdown', () => {
+    expect(stats.get('ST97')).toMatchObject({
+      cbet: 1, cbetOpportunities: 1, postflopAggressive: 2, postflopCalls: 1,
+      sawFlop: 1, wentToShowdown: 1, wonAtShowdown: 0
+    });
+    expect(stats.get('Wollt17')).toMatchObject({
+      foldToCbet: 0, foldToCbetOpportunities: 1, postflopAggressive: 1, postflopCalls: 1,
+      sawFlop: 1, wentToShowdown: 1, wonAtShowdown: 1
+    });
+  });
+});
+
+describe('player HUD stats', () => {
+  test('turns the counters into percentages with their sample sizes', () => {
+    const player = new Player({
+      name: 'Wollt17', hands: 40, vpip: 10, pfr: 8, threeBet: 1, threeBetOpportunities: 12,
+      postflopAggressive: 9, postflopCalls: 4, sawFlop: 12, wentToShowdown: 3, wonAtShowdown: 2
+    });
+
+    expect(player.stats).toMatchObject({
+      vpip: { value: 25, sample: 40 },
+      pfr: { value: 20, sample: 40 },
+      threeBet: { value: 8.3, sample: 12 },
+      cbet: { value: null, sample: 0 },
+      af: { value: 2.25, sample: 13 },
+      wtsd: { value: 25, sample: 12 },
+      wsd: { value: 66.7, sample: 3 }
+    });
+  });
+});
+
+describe('profiles per screen name', () => {
+  const hand = parseHandHistoryContent(HAND, 'grotle')[0];
+
+  test('counts hands towards the profiles of the screen name and site they were stored for', async () => {
+    const bulkWrite = jest.spyOn(Player, 'bulkWrite').mockResolvedValue({});
+    try {
+      await updatePlayerStats([
+        { ...hand, username: 'grotle', site: 'wpn' },
+        { ...hand, username: 'turtwig', site: 'wpn' }
+      ]);
+      const filters = bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.filter);
+      expect(filters).toContainEqual({ username: 'grotle', site: 'wpn', name: 'ST97' });
+      expect(filters).toContainEqual({ username: 'turtwig', site: 'wpn', name: 'ST97' });
+      expect(filters).toHaveLength(6);
+    } finally {
+      bulkWrite.mockRestore();
+    }
+  });
+
+  test('sums the profiles of one player into one', () => {
+    const profile = combinePlayerProfiles('Wollt17', [
+      { hands: 30, vpip: 6, pfr: 5, lastSeenAt: new Date('2025-04-24') },
+      { hands: 10, vpip: 4, pfr: 3, lastSeenAt: new Date('2025-04-25') }
+    ]);
+
+    expect(profile).toMatchObject({ name: 'Wollt17', hands: 40, vpip: 10, pfr: 8, lastSeenAt: new Date('2025-04-25') });
+    expect(profile.stats).toMatchObject({ vpip: { value: 25, sample: 40 }, pfr: { value: 20, sample: 40 } });
+  });
+});
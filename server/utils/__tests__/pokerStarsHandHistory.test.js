@@ -0,0 +1,167 @@
+const {
+  isPokerStarsHistory,
+  splitPokerStarsHands,
+  parsePokerStarsHeader,
+  parsePokerStarsBounties,
+  normalizePokerStarsHand
+} = require('../pokerStarsHandHistory');
+const { detectHandHistoryFormat, parseHandHistoryContent } = require('../parseHandHistory');
+
+const POKERSTARS_HAND = `PokerStars Hand #235123456789: Tournament #3456789012, $10+$1 USD Hold'em No Limit - Level IV (50/100) - 2022/01/15 20:00:00 ET
+Table '3456789012 1' 6-max Seat #1 is the button
+Seat 1: Alice (1500 in chips)
+Seat 2: Bob (2000 in chips)
+Seat 3: grotle (3000 in chips)
+Alice: posts the ante 10
+Bob: posts the ante 10
+grotle: posts the ante 10
+Bob: posts small blind 50
+grotle: posts big blind 100
+*** HOLE CARDS ***
+Dealt to grotle [Ah Kd]
+Alice: raises 150 to 250
+Bob said, "nice calls"
+Bob: folds
+grotle: calls 150
+*** FLOP *** [2c 3d Kh]
+grotle: checks
+Alice: bets 300
+grotle: calls 300
+*** TURN *** [2c 3d Kh] [5s]
+grotle: checks
+Alice: checks
+*** RIVER *** [2c 3d Kh 5s] [9c]
+grotle: bets 400
+Alice: folds
+Uncalled bet (400) returned to grotle
+grotle collected 1180 from pot
+grotle: doesn't show hand
+*** SUMMARY ***
+Total pot 1180 | Rake 0
+Board [2c 3d Kh 5s 9c]
+Seat 1: Alice (button) folded on the River
+Seat 2: Bob (small blind) folded before Flop
+Seat 3: grotle (big blind) collected (1180)
+`;
+
+describe('PokerStars hand history import', () => {
+  test('detects the PokerStars format and splits hands on the header line', () => {
+    const content = `${POKERSTARS_HAND}\n\n${POKERSTARS_HAND.replace('#235123456789', '#235123456790')}`;
+
+    expect(isPokerStarsHistory(content)).toBe(true);
+    expect(detectHandHistoryFormat(content)).toBe('pokerstars');
+    expect(detectHandHistoryFormat('Game Hand #2449392532 - Tournament #33493054')).toBe('wpn');
+    expect(splitPokerStarsHands(content)).toHaveLength(2);
+  });
+
+  test('parses tournament id, buy-in and roman numeral blind level from the header', () => {
+    const header = parsePokerStarsHeader(POKERSTARS_HAND.split('\n')[0]);
+
+    expect(header).toMatchObject({
+      handId: '235123456789',
+      tournamentId: '3456789012',
+      buyIn: 10,
+      fee: 1,
+      currency: 'USD',
+      level: 4,
+      smallBlind: 50,
+      bigBlind: 100
+    });
+  });
+
+  test('rewrites actions into the WPN dialect and drops chat lines', () => {
+    const normalized = normalizePokerStarsHand(POKERSTARS_HAND).split('\n');
+
+    expect(normalized[0]).toBe('Game Hand #235123456789 - Tournament #3456789012 - Holdem (No Limit) - Level 4 (50.00/100.00) - 2022/01/15 20:00:00 UTC');
+    expect(normalized).toContain('Seat 1: Alice (1500)');
+    expect(normalized).toContain('Bob posts the small blind 50');
+    expect(normalized).toContain('Alice raises 150 to 250');
+    expect(normalized).toContain('Seat 3: grotle did not show and won 1180');
+    expect(normalized.some(line => line.includes('said'))).toBe(false);
+    // Antes only before the hole cards, then the pot carried into each street
+    expect(normalized).toContain('Main pot 30.00');
+    expect(normalized).toContain('Main pot 580.00');
+    expect(normalized).toContain('Main pot 1180.00');
+  });
+
+  test('produces the same hand shape as the WPN parser', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const [hand] = parseHandHistoryContent(POKERSTARS_HAND, 'grotle');
+    log.mockRestore();
+
+    expect(hand.id).toBe('235123456789');
+    expect(hand.site).toBe('pokerstars');
+    expect(hand.gameType).toBe('tournament');
+    expect(hand.tournamentInfo).toMatchObject({ tournamentId: '3456789012', buyIn: 11, currency: 'USD' });
+    expect(hand.heroHoleCards).toEqual(['Ah', 'Kd']);
+    expect(hand.communityCards).toEqual({ flop: ['2c', '3d', 'Kh'], turn: '5s', river: '9c' });
+    expect(hand.numPlayers).toBe(3);
+    expect(hand.bettingActions.map(a => [a.playerId, a.action, a.street])).toEqual([
+      ['Bob', 'post', 'preflop'],
+      ['grotle', 'post', 'preflop'],
+      ['Alice', 'raise', 'preflop'],
+      ['Bob', 'fold', 'preflop'],
+      ['grotle', 'call', 'preflop'],
+      ['grotle', 'check', 'flop'],
+      ['Alice', 'bet', 'flop'],
+      ['grotle', 'call', 'flop'],
+      ['grotle', 'check', 'turn'],
+      ['Alice', 'check', 'turn'],
+      ['grotle', 'bet', 'river'],
+      ['Alice', 'fold', 'river']
+    ]);
+    expect(hand.winners).toHaveLength(1);
+    expect(hand.winners[0]).toMatchObject({ username: 'grotle', amount: 12 });
+  });
+});
+
+const POKERSTARS_PKO_HAND = `PokerStars Hand #235123456800: Tournament #3456789013, $4.40+$5.00+$0.60 USD Hold'em No Limit - Level II (15/30) - 2022/01/15 20:10:00 ET
+Table '3456789013 1' 6-max Seat #1 is the button
+Seat 1: Alice (900 in chips, $5 bounty)
+Seat 2: Bob (2000 in chips, $5 bounty)
+Seat 3: grotle (3100 in chips, $7.50 bounty)
+Bob: posts small blind 15
+grotle: posts big blind 30
+*** HOLE CARDS ***
+Dealt to grotle [Ah Ad]
+Alice: raises 870 to 900 and is all-in
+Bob: folds
+grotle: calls 870
+*** FLOP *** [2c 3d Kh]
+*** TURN *** [2c 3d Kh] [5s]
+*** RIVER *** [2c 3d Kh 5s] [9c]
+*** SHOW DOWN ***
+grotle: shows [Ah Ad] (a pair of Aces)
+Alice: shows [Qs Qd] (a pair of Queens)
+grotle collected 1815 from pot
+grotle wins $2.50 for eliminating Alice and their own bounty increases by $2.50 to $10
+Alice finished the tournament in 3rd place
+*** SUMMARY ***
+Total pot 1815 | Rake 0
+Board [2c 3d Kh 5s 9c]
+Seat 1: Alice (button) showed [Qs Qd] and lost with a pair of Queens
+Seat 2: Bob (small blind) folded before Flop
+Seat 3: grotle (big blind) showed [Ah Ad] and won (1815) with a pair of Aces
+`;
+
+describe('PokerStars knockout bounties', () => {
+  test('reads each player\'s bounty and the bounties won', () => {
+    expect(parsePokerStarsBounties(POKERSTARS_PKO_HAND)).toEqual({
+      playerBounties: new Map([['Alice', 5], ['Bob', 5], ['grotle', 7.5]]),
+      bountiesWon: [{ username: 'grotle', amount: 2.5, eliminated: 'Alice' }]
+    });
+    expect(parsePokerStarsBounties(POKERSTARS_HAND)).toBeNull();
+  });
+
+  test('merges the bounties onto the parsed hand', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const [hand] = parseHandHistoryContent(POKERSTARS_PKO_HAND, 'grotle');
+    log.mockRestore();
+
+    expect(hand.tournamentInfo.buyIn).toBe(10);
+    expect(hand.playerStacks.get('Alice')).toBe(900);
+    expect(hand.playerBounties.get('Alice')).toBe(5);
+    expect(hand.bountiesWon).toEqual([{ username: 'grotle', amount: 2.5, eliminated: 'Alice' }]);
+    expect(hand.winners[0]).toMatchObject({ username: 'grotle' });
+  });
+});
@@ -0,0 +1,113 @@
+const { parseHandHistoryContent, buildHandUpsert, PARSER_VERSION } = require('../parseHandHistory');
+const { buildReparsedFields } = require('../reparseHands');
+
+const HAND = `Hand #2439582001 - Holdem (No Limit) - $0.05/$0.10 - 2025/04/25 17:40:12 UTC
+Young Harris 9-max Seat #1 is the button
+Seat 1: Wollt17 ($10.00)
+Seat 2: ST97 ($8.40)
+Seat 3: grotle ($12.50)
+ST97 posts the small blind $0.05
+grotle posts the big blind $0.10
+*** HOLE CARDS ***
+Main pot $0.15 | Rake $0.00
+Dealt to grotle [Ah Kd]
+Wollt17 raises $0.30 to $0.30
+ST97 folds
+grotle calls $0.20
+*** FLOP *** [2c 3d Kh]
+Main pot $0.65 | Rake $0.00
+grotle checks
+Wollt17 bets $0.40
+grotle folds
+Uncalled bet ($0.40) returned to Wollt17
+Wollt17 does not show
+*** SUMMARY ***
+Total pot $0.65 | Rake $0.02
+Board [2c 3d Kh]
+Seat 1: Wollt17 did not show and won $0.63
+Seat 2: ST97 (small blind) folded on the Pre-Flop
+Seat 3: grotle (big blind) folded on the Flop
+`;
+
+const TOURNAMENT_HAND = `Game Hand #2439693177 - Tournament #33456182 - Holdem (No Limit) - Level 16 (2000.00/4000.00) - 2025/04/25 20:00:32 UTC
+Table '2' 8-max Seat #6 is the button
+Seat 5: grotle (172237.00)
+Seat 6: medvedka (221056.00)
+Seat 7: Pokerplus (29650.00)
+medvedka posts the small blind 2000.00
+Pokerplus posts the big blind 4000.00
+*** HOLE CARDS ***
+Main pot 6000.00
+Dealt to grotle [8c 2h]
+grotle folds
+medvedka folds
+Uncalled bet (2000.00) returned to Pokerplus
+Pokerplus does not show
+*** SUMMARY ***
+Total pot 4000.00
+Seat 5: grotle folded on the Pre-Flop and did not bet
+Seat 6: medvedka (small blind) folded on the Pre-Flop
+Seat 7: Pokerplus (big blind) did not show and won 4000.00
+`;
+
+describe('re-parsing stored hands', () => {
+  test('keeps each hand\'s raw text and the parser version', () => {
+    const [hand] = parseHandHistoryContent(`${HAND}\n${HAND.replace('2439582001', '2439582002')}`, 'grotle');
+
+    expect(hand.rawText.trim()).toBe(HAND.trim());
+    expect(hand.parserVersion).toBe(PARSER_VERSION);
+  });
+
+  test('rebuilds the parsed fields from the raw text', () => {
+    const fields = buildReparsedFields({ rawText: HAND, username: 'grotle' });
+
+    expect(fields.bettingActions.map(action => action.action)).toEqual(['post', 'post', 'raise', 'fold', 'call', 'check', 'bet', 'fold']);
+    expect(fields.heroInvolvement).toBe('postflop');
+    expect(fields.playerStacks).toEqual({ Wollt17: 10, ST97: 8.4, grotle: 12.5 });
+    expect(fields.parserVersion).toBe(PARSER_VERSION);
+  });
+
+  test('never overwrites fields the user owns', () => {
+    const fields = buildReparsedFields({ rawText: HAND, username: 'grotle', tournamentName: 'Renamed', viewed: true });
+
+    for (const field of ['_id', 'id', 'username', 'site', 'importBatch', 'tournamentName', 'viewed', 'notes', 'tags', 'reviewStatus']) {
+      expect(fields).not.toHaveProperty(field);
+    }
+  });
+
+  test('keeps the buy-in of a tournament summary imported before the re-parse', () => {
+    const tournament = { tournamentId: '33456182', buyIn: 135, bounty: 0, fee: 15, currency: 'USD' };
+    const fields = buildReparsedFields({ rawText: TOURNAMENT_HAND, username: 'grotle' }, [], tournament);
+
+    expect(fields.tournamentInfo).toMatchObject({ tournamentId: '33456182', buyIn: 150, currency: 'USD' });
+    expect(fields.buyIn).toBe(150);
+    expect(buildReparsedFields({ rawText: TOURNAMENT_HAND, username: 'grotle' }).tournamentInfo.buyIn).toBe(0);
+  });
+
+  test('fails when the stored text no longer parses', () => {
+    expect(() => buildReparsedFields({ rawText: HAND, username: 'someone-else' }))
+      .toThrow('Could not find seat for hero someone-else');
+  });
+});
+
+describe('importing a stored hand again', () => {
+  const [hand] = parseHandHistoryContent(HAND, 'grotle').map(parsed => ({ ...parsed, username: 'grotle' }));
+
+  test('only writes the fields the user owns when the hand is new', () => {
+    const { filter, update } = buildHandUpsert(hand, { importBatchId: 'batch-1' });
+
+    expect(filter).toEqual({ username: 'grotle', site: 'wpn', id: '2439582001' });
+    expect(update.$setOnInsert).toMatchObject({ _id: hand._id, username: 'grotle', site: 'wpn', importBatch: 'batch-1' });
+    expect(update.$setOnInsert).toHaveProperty('tournamentName', null);
+    expect(update.$set).not.toHaveProperty('tournamentName');
+    expect(update.$set).toHaveProperty('bettingActions');
+  });
+
+  test('sets a tournament name typed in for the upload', () => {
+    const named = { ...hand, tournamentName: 'Sunday Special' };
+    const { update } = buildHandUpsert(named, { uploadFields: ['tournamentName'] });
+
+    expect(update.$set.tournamentName).toBe('Sunday Special');
+    expect(update.$setOnInsert).not.toHaveProperty('tournamentName');
+  });
+});
@@ -0,0 +1,62 @@
+const { buildResultsSeries, heroWentToShowdown } = require('../resultsGraph');
+
+const hand = (id, heroNet, extra = {}) => ({
+  id,
+  username: 'grotle',
+  timestamp: new Date(`2025-04-25T17:0${id}:00Z`),
+  heroNet,
+  stakes: { bigBlind: 0.1 },
+  winners: [],
+  losers: [],
+  ...extra
+});
+
+describe('results graph', () => {
+  test('detects showdowns from the shown hands in winners, losers and showdown', () => {
+    expect(heroWentToShowdown(hand(1, 5, {
+      winners: [{ username: 'grotle', amount: 5, hand: { description: 'a pair of Kings', cards: ['Ks', 'Kd'] } }]
+    }))).toBe(true);
+    expect(heroWentToShowdown(hand(2, -3, {
+      winners: [{ username: 'Wollt17', amount: 6, hand: { cards: ['Ah', 'Ad'] } }],
+      losers: [{ username: 'grotle', amount: 0, hand: { cards: ['Ks', 'Kd'] } }]
+    }))).toBe(true);
+    expect(heroWentToShowdown(hand(3, 2, { winners: [{ username: 'grotle', amount: 2 }] }))).toBe(false);
+  });
+
+  test('accumulates net won in big blinds and chips, split by showdown', () => {
+    const series = buildResultsSeries([
+      hand(1, 2.5, { winners: [{ username: 'grotle', amount: 2.5 }] }),
+      hand(2, -10, {
+        blindLevel: { bigBlind: 200 },
+        stakes: undefined,
+        losers: [{ username: 'grotle', amount: 0, hand: { cards: ['Ks', 'Kd'] } }]
+      }),
+      hand(3, -1)
+    ]);
+
+    expect(series.map(point => point.bb)).toEqual([2.5, -7.5, -8.5]);
+    expect(series[2]).toMatchObject({
+      handNumber: 3,
+      handId: 3,
+      showdown: false,
+      netBB: -1,
+      netChips: -0.1,
+      chips: -1999.85,
+      showdownBB: -10,
+      showdownChips: -2000,
+      nonShowdownBB: 1.5,
+      nonShowdownChips: 0.15
+    });
+  });
+
+  test('counts all-in hands at their all-in EV on the EV line', () => {
+    const series = buildResultsSeries([
+      hand(1, -50, { allInEV: { street: 'turn', equity: 0.9545, pot: 100, won: 0, evNet: 45.45 } }),
+      hand(2, 3)
+    ]);
+
+    expect(series.map(point => point.bb)).toEqual([-50, -47]);
+    expect(series.map(point => point.evBB)).toEqual([45.45, 48.45]);
+    expect(series[1]).toMatchObject({ evNetBB: 3, evChips: 4.85 });
+  });
+});
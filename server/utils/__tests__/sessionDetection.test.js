@@ -0,0 +1,42 @@
+const { detectSessions } = require('../sessionDetection');
+
+const hand = (id, time, extra = {}) => ({
+  id,
+  timestamp: new Date(`2025-04-25T${time}:00Z`),
+  gameType: 'cash',
+  stakes: { tableName: 'Maysville' },
+  heroNet: 1,
+  ...extra
+});
+
+describe('session detection', () => {
+  test('keeps concurrent tables and tournaments in one session until play stops for longer than the gap', () => {
+    const sessions = detectSessions([
+      hand('1', '17:00'),
+      hand('2', '17:10', { gameType: 'tournament', tournamentName: '$150 GTD', stakes: undefined, heroNet: -4 }),
+      hand('3', '17:35'),
+      hand('4', '18:04', { gameType: 'tournament', tournamentName: '$150 GTD', stakes: undefined, heroNet: 2.5 }),
+      hand('5', '19:00', { stakes: { tableName: 'Bellevue' } }),
+      hand('6', '19:20', { stakes: { tableName: 'Bellevue' } })
+    ], 30);
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions[0]).toMatchObject({
+      startTime: new Date('2025-04-25T17:00:00Z'),
+      endTime: new Date('2025-04-25T18:04:00Z'),
+      hands: ['1', '2', '3', '4'],
+      handCount: 4,
+      tables: ['Maysville', '$150 GTD'],
+      gameType: 'mixed',
+      netWon: 0.5,
+      gapMinutes: 30
+    });
+    expect(sessions[1]).toMatchObject({ hands: ['5', '6'], tables: ['Bellevue'], gameType: 'cash', netWon: 2 });
+  });
+
+  test('a shorter gap splits the same hands into more sessions', () => {
+    const hands = [hand('1', '17:00'), hand('2', '17:10'), hand('3', '17:35')];
+    expect(detectSessions(hands, 20).map(session => session.hands)).toEqual([['1', '2'], ['3']]);
+    expect(detectSessions([], 20)).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+const { computePots } = require('../handHistoryHelpers');
+const { parseWpnHand } = require('../wpnHandParser');
+
+const SIDE_POT_HAND = `Game Hand #2439577257 - Tournament #33456182 - Holdem (No Limit) - Level 5 (500.00/1000.00) - 2025/04/25 17:27:35 UTC
+Table '3' 8-max Seat #2 is the button
+Seat 1: P19738905 (60625.00)
+Seat 2: grotle (82075.00)
+Seat 3: ValAnd59 (29148.00)
+Seat 4: 420jayk420 (47550.00)
+Seat 5: theANMATOR (141061.00)
+Seat 6: jaytaleon (138392.00)
+Seat 7: MPA30TA (36360.00)
+P19738905 posts ante 125.00
+grotle posts ante 125.00
+ValAnd59 posts ante 125.00
+420jayk420 posts ante 125.00
+theANMATOR posts ante 125.00
+jaytaleon posts ante 125.00
+MPA30TA posts ante 125.00
+ValAnd59 posts the small blind 500.00
+420jayk420 posts the big blind 1000.00
+*** HOLE CARDS ***
+Main pot 875.00
+Dealt to grotle [Ks Ad]
+theANMATOR folds
+jaytaleon calls 1000.00
+MPA30TA folds
+P19738905 folds
+grotle raises 2000.00 to 2000.00
+ValAnd59 raises 28523.00 to 29023.00 and is all-in
+420jayk420 calls 28023.00
+jaytaleon calls 28023.00
+grotle calls 27023.00
+*** FLOP *** [8h 3c 8s]
+Main pot 116967.00
+420jayk420 checks
+jaytaleon bets 109244.00 and is all-in
+grotle calls 52927.00 and is all-in
+420jayk420 calls 18402.00 and is all-in
+Uncalled bet (56317.00) returned to jaytaleon
+*** TURN *** [8h 3c 8s] [5c]
+Main pot 116967.00
+Side pot(1) 55206.00
+Side pot(2) 69050.00
+*** RIVER *** [8h 3c 8s 5c] [7d]
+Main pot 116967.00
+Side pot(1) 55206.00
+Side pot(2) 69050.00
+*** SHOW DOWN ***
+Main pot 116967.00
+Side pot(1) 55206.00
+Side pot(2) 69050.00
+grotle shows [Ks Ad] (a pair of Eights [8s 8h Ad Ks 7d])
+ValAnd59 shows [As Jd] (a pair of Eights [8s 8h As Jd 7d])
+420jayk420 shows [Qc Ah] (a pair of Eights [8s 8h Ah Qc 7d])
+jaytaleon shows [4d Kh] (a pair of Eights [8s 8h Kh 7d 5c])
+grotle collected 116967.00 from main pot
+420jayk420 collected 55206.00 from side pot-1
+grotle collected 69050.00 from side pot-2
+*** SUMMARY ***
+Total pot 241223.00
+Board [8h 3c 8s 5c 7d]
+Seat 1: P19738905 folded on the Pre-Flop and did not bet
+Seat 2: grotle (button) showed [Ks Ad] and won 186017.00 with a pair of Eights [8s 8h Ad Ks 7d]
+Seat 3: ValAnd59 (small blind) showed [As Jd] and lost with a pair of Eights [8s 8h As Jd 7d]
+Seat 4: 420jayk420 (big blind) showed [Qc Ah] and won 55206.00 with a pair of Eights [8s 8h Ah Qc 7d]
+Seat 5: theANMATOR folded on the Pre-Flop and did not bet
+Seat 6: jaytaleon showed [4d Kh] and lost with a pair of Eights [8s 8h Kh 7d 5c]
+Seat 7: MPA30TA folded on the Pre-Flop and did not bet
+`;
+
+describe('side pots', () => {
+  test('splits contributions into a main pot and side pots at each all-in amount', () => {
+    const pots = computePots(new Map([[0, 100], [1, 300], [2, 300], [3, 50]]), [3]);
+
+    expect(pots).toEqual([
+      { amount: 350, eligiblePlayers: [0, 1, 2] },
+      { amount: 400, eligiblePlayers: [1, 2] }
+    ]);
+  });
+
+  test('keeps a bet nobody called in the pot below it', () => {
+    const pots = computePots(new Map([[0, 100], [1, 250]]), []);
+
+    expect(pots).toEqual([{ amount: 350, eligiblePlayers: [0, 1] }]);
+  });
+
+  test('stores every pot of a multi-way all-in with who could win it and who did', () => {
+    const hand = parseWpnHand(SIDE_POT_HAND, 'grotle');
+
+    // Hero is player 0; ValAnd59 is 1, 420jayk420 is 2 and jaytaleon is 4
+    expect(hand.pots).toEqual([
+      {
+        amount: 117, chipAmount: 116967, eligiblePlayers: [0, 1, 2, 4],
+        winners: [{ playerIndex: 0, username: 'grotle', amount: 117, chipAmount: 116967 }]
+      },
+      {
+        amount: 55, chipAmount: 55206, eligiblePlayers: [0, 2, 4],
+        winners: [{ playerIndex: 2, username: '420jayk420', amount: 55, chipAmount: 55206 }]
+      },
+      {
+        amount: 69, chipAmount: 69050, eligiblePlayers: [0, 4],
+        winners: [{ playerIndex: 0, username: 'grotle', amount: 69, chipAmount: 69050 }]
+      }
+    ]);
+  });
+});
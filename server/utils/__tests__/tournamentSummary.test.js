@@ -0,0 +1,99 @@
+const { isTournamentSummary, parseTournamentSummary, applyTournamentBuyIns } = require('../tournamentSummary');
+const Tournament = require('../../models/Tournament').default;
+
+const POKERSTARS_SUMMARY = `PokerStars Tournament #2871234567, No Limit Hold'em
+Buy-In: $4.40/$5.00/$0.60 USD
+180 players
+Total Prize Pool: $1692.00 USD
+Tournament started 2025/04/25 17:00:00 CET [2025/04/25 11:00:00 ET]
+  1: Wollt17 (Germany), $310.12 (18.32%)
+  2: ST97 (Canada), $220.40 (13.02%)
+ 15: grotle (Canada), $12.80 (0.75%)
+ 16: grotle2 (Canada), $12.80 (0.75%)
+You finished in 15th place.
+You won $27.50 in bounties.
+Tournament finished 2025/04/25 19:42:10 CET [2025/04/25 13:42:10 ET]
+`;
+
+const WPN_SUMMARY = `Game Tournament #21004711 - $150 GTD
+Buy-In: $10 + $1
+Registered players: 64
+Prize pool: $640.00
+Tournament started: 2025/04/25 17:00:00
+grotle finished in 3rd place and won $96.00
+Tournament finished: 2025/04/25 20:15:33
+`;
+
+describe('tournament summary import', () => {
+  test('recognises summaries but not hand histories', () => {
+    expect(isTournamentSummary(POKERSTARS_SUMMARY)).toBe(true);
+    expect(isTournamentSummary(`\uFEFF${WPN_SUMMARY}`)).toBe(true);
+    expect(isTournamentSummary('Game Hand #2439577257 - Tournament #21004711 - Holdem (No Limit) - Level 1 (10.00/20.00)')).toBe(false);
+  });
+
+  test('reads a PokerStars knockout summary', () => {
+    expect(parseTournamentSummary(POKERSTARS_SUMMARY, 'grotle')).toEqual({
+      tournamentId: '2871234567',
+      site: 'pokerstars',
+      name: null,
+      buyIn: 4.4,
+      bounty: 5,
+      fee: 0.6,
+      currency: 'USD',
+      entrants: 180,
+      prizePool: 1692,
+      finishPosition: 15,
+      prize: 12.8,
+      bountiesWon: 27.5,
+      payouts: [310.12, 220.4, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 12.8, 12.8],
+      startedAt: new Date('2025-04-25T17:00:00Z'),
+      finishedAt: new Date('2025-04-25T19:42:10Z')
+    });
+  });
+
+  test('reads a WPN summary', () => {
+    const tournament = parseTournamentSummary(WPN_SUMMARY, 'grotle');
+
+    expect(tournament).toMatchObject({
+      tournamentId: '21004711',
+      site: 'wpn',
+      name: '$150 GTD',
+      buyIn: 10,
+      bounty: 0,
+      fee: 1,
+      currency: 'USD',
+      entrants: 64,
+      prizePool: 640,
+      finishPosition: 3,
+      prize: 96,
+      bountiesWon: 0,
+      payouts: []
+    });
+  });
+
+  test('leaves the finish empty when hero is not in the summary', () => {
+    expect(parseTournamentSummary(WPN_SUMMARY, 'someone-else').finishPosition).toBeNull();
+  });
+
+  test('gives hands the buy-in of their own site\'s tournament only', async () => {
+    const tournaments = [
+      { site: 'wpn', tournamentId: '21004711', buyIn: 10, bounty: 0, fee: 1, currency: 'USD' },
+      { site: 'pokerstars', tournamentId: '21004711', buyIn: 4.4, bounty: 5, fee: 0.6, currency: 'USD' }
+    ];
+    const find = jest.spyOn(Tournament, 'find').mockReturnValue({ lean: async () => tournaments });
+    const hand = site => ({ site, tournamentInfo: { tournamentId: '21004711', buyIn: 0 } });
+    const hands = [hand('wpn'), hand('pokerstars'), hand('other')];
+    try {
+      await applyTournamentBuyIns(hands, 'grotle');
+
+      expect(find.mock.calls[0][0]).toMatchObject({ username: 'grotle', site: { $in: ['wpn', 'pokerstars', 'other'] } });
+      expect(hands.map(({ tournamentInfo }) => tournamentInfo)).toEqual([
+        { tournamentId: '21004711', buyIn: 11, fee: 1, bounty: 0, currency: 'USD' },
+        { tournamentId: '21004711', buyIn: 10, fee: 0.6, bounty: 5, currency: 'USD' },
+        { tournamentId: '21004711', buyIn: 0 }
+      ]);
+    } finally {
+      find.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { parseWpnHand, tokenizeWpnHand, HeroNotDealtError } = require('../wpnHandParser');
+const { parseHandHistoryContent } = require('../parseHandHistory');
+
+const TRICKY_HAND = `Hand #2483931001 - Holdem (No Limit) - $0.05/$0.10 - 2025/06/18 11:40:02 UTC\r
+Young Harris 9-max Seat #2 is the button\r
+Seat 1: Big Dice ($10.00)\r
+Seat 2: h.o.c ($7.20)\r
+Seat 3: grotle ($12.50)\r
+Seat 4: Gandalf-2 ($9.00) is sitting out\r
+Seat 5: calls4fun ($11.00)\r
+Seat 6: Big ($5.00)\r
+Seat 7: Late Joiner will be allowed to play after the button\r
+grotle posts the small blind $0.05\r
+calls4fun posts the big blind $0.10\r
+Big waits for big blind\r
+*** HOLE CARDS ***\r
+Main pot $0.15 | Rake $0.00\r
+Dealt to grotle [Ah Ad]\r
+Big Dice raises $0.20 to $0.30\r
+h.o.c: nice hand earlier\r
+h.o.c calls $0.30\r
+grotle raises $0.80 to $1.10\r
+calls4fun is disconnected\r
+calls4fun has timed out\r
+calls4fun folds\r
+Big Dice calls $0.80\r
+h.o.c calls $0.80\r
+*** FLOP *** [Ks 7d 2c]\r
+Main pot $3.40 | Rake $0.00\r
+grotle checks\r
+calls4fun is connected\r
+Big Dice checks\r
+h.o.c checks\r
+*** TURN *** [Ks 7d 2c] [Kd]\r
+Main pot $3.40 | Rake $0.00\r
+grotle checks\r
+Big Dice checks\r
+h.o.c checks\r
+*** RIVER *** [Ks 7d 2c Kd] [2h]\r
+Main pot $3.40 | Rake $0.00\r
+grotle checks\r
+Big Dice checks\r
+h.o.c checks\r
+*** SHOW DOWN ***\r
+Main pot $3.40 | Rake $0.00\r
+grotle shows [Ah Ad] (two pair, Aces and Kings [Ah Ad Ks Kd 7d])\r
+Big Dice shows [As Ac] (two pair, Aces and Kings [As Ac Ks Kd 7d])\r
+h.o.c shows [Qc Jc] (two pair, Kings and Deuces [Ks Kd 2c 2h Qc])\r
+grotle collected $1.62 from main pot\r
+Big Dice collected $1.62 from main pot\r
+*** SUMMARY ***\r
+Total pot $3.40 | Rake $0.16\r
+Board [Ks 7d 2c Kd 2h]\r
+Seat 1: Big Dice showed [As Ac] and won $1.62 with two pair, Aces and Kings [As Ac Ks Kd 7d]\r
+Seat 2: h.o.c (button) showed [Qc Jc] and lost with two pair, Kings and Deuces [Ks Kd 2c 2h Qc]\r
+Seat 3: grotle (small blind) showed [Ah Ad] and won $1.62 with two pair, Aces and Kings [Ah Ad Ks Kd 7d]\r
+Seat 5: calls4fun (big blind) folded on the Pre-Flop\r
+`;
+
+// One line per hand, enough to notice when the parser reads a hand differently
+function summarizeHand(hand) {
+  const actions = hand.bettingActions
+    .map(action => `${action.playerIndex}:${action.action}${action.amount ? ` ${action.amount}` : ''}`)
+    .join(',');
+  const winners = hand.winners.map(winner => `${winner.username} ${winner.amount}`).join(',');
+  return `${hand.id} ${hand.numPlayers}p ${hand.heroHoleCards.join('')} [${actions}] won: ${winners}`;
+}
+
+function readFixture(...segments) {
+  return fs.readFileSync(path.join(__dirname, '..', '..', '..', ...segments), 'utf8');
+}
+
+describe('WPN hand parser', () => {
+  test('resolves player names containing spaces, dots, hyphens and action words', () => {
+    const hand = parseWpnHand(TRICKY_HAND, 'grotle');
+
+    expect(hand.bettingActions.map(action => `${action.playerId} ${action.action}`)).toEqual([
+      'grotle post',
+      'calls4fun post',
+      'Big Dice raise',
+      'h.o.c call',
+      'grotle raise',
+      'calls4fun fold',
+      'Big Dice call',
+      'h.o.c call',
+      'grotle check',
+      'Big Dice check',
+      'h.o.c check',
+      'grotle check',
+      'Big Dice check',
+      'h.o.c check',
+      'grotle check',
+      'Big Dice check',
+      'h.o.c check'
+    ]);
+  });
+
+  test('leaves out players who are sitting out or waiting to be dealt in', () => {
+    const hand = parseWpnHand(TRICKY_HAND, 'grotle');
+
+    expect(hand.numPlayers).toBe(4);
+    expect([...hand.playerStacks.keys()]).toEqual(['Big Dice', 'h.o.c', 'grotle', 'calls4fun']);
+  });
+
+  test('ignores chat and connection lines without warnings', () => {
+    const diagnostics = [];
+    const tokens = tokenizeWpnHand(TRICKY_HAND.split('\n'));
+
+    parseWpnHand(TRICKY_HAND, 'grotle', diagnostics);
+
+    expect(diagnostics).toEqual([]);
+    expect(tokens.filter(token => token.type === 'chat')).toEqual([
+      expect.objectContaining({ player: 'h.o.c', text: 'nice hand earlier' })
+    ]);
+    expect(tokens.filter(token => token.type === 'status').map(token => token.status)).toEqual([
+      'will be allowed to play after the button',
+      'waits for big blind',
+      'is disconnected',
+      'has timed out',
+      'is connected'
+    ]);
+  });
+
+  test('records every winner of a split pot and the players who lost at showdown', () => {
+    const hand = parseWpnHand(TRICKY_HAND, 'grotle');
+
+    expect(hand.winners.map(winner => [winner.username, winner.amount])).toEqual([
+      ['Big Dice', 16],
+      ['grotle', 16]
+    ]);
+    expect(hand.losers.map(loser => loser.username)).toEqual(['h.o.c']);
+    expect(hand.heroWon).toBe(true);
+    expect(hand.heroProfit).toBe(16);
+    // $1.62 back for the $1.10 hero put in
+    expect(hand.heroNet).toBe(5.2);
+  });
+
+  test('keeps the exact loss of a hand hero folded after posting only the ante', () => {
+    const hand = parseWpnHand(`Game Hand #2439693177 - Tournament #33456182 - Holdem (No Limit) - Level 16 (2000.00/4000.00) - 2025/04/25 20:00:32 UTC
+Table '2' 8-max Seat #6 is the button
+Seat 5: grotle (172237.00)
+Seat 6: medvedka (221056.00)
+Seat 7: Pokerplus (29650.00)
+Seat 8: QwkTlkr (50000.00)
+grotle posts ante 500.00
+medvedka posts ante 500.00
+Pokerplus posts ante 500.00
+QwkTlkr posts ante 500.00
+Pokerplus posts the small blind 2000.00
+QwkTlkr posts the big blind 4000.00
+*** HOLE CARDS ***
+Main pot 4000.00
+Dealt to grotle [8c 2h]
+grotle folds
+medvedka folds
+Pokerplus raises 25650.00 to 29150.00 and is all-in
+QwkTlkr folds
+Uncalled bet (25150.00) returned to Pokerplus
+Pokerplus does not show
+*** SUMMARY ***
+Total pot 10000.00
+Seat 5: grotle folded on the Pre-Flop and did not bet
+Seat 6: medvedka (button) folded on the Pre-Flop
+Seat 7: Pokerplus (small blind) did not show and won 10000.00
+Seat 8: QwkTlkr (big blind) folded on the Pre-Flop
+`, 'grotle');
+
+    // A 500 ante at 4000 big blind is an eighth of a big blind
+    expect(hand.heroNet).toBe(-0.125);
+  });
+
+  test('tells a hand hero was seated at but not dealt into apart from a parse error', () => {
+    const sittingOut = TRICKY_HAND.replace('Seat 3: grotle ($12.50)', 'Seat 3: grotle ($12.50) is sitting out')
+      .replace(/^grotle .*\r\n/gm, '');
+
+    expect(() => parseWpnHand(sittingOut, 'grotle')).toThrow(HeroNotDealtError);
+    expect(() => parseWpnHand(TRICKY_HAND, 'Late Joiner')).toThrow(HeroNotDealtError);
+    expect(() => parseWpnHand(TRICKY_HAND, 'nobody')).toThrow('Could not find seat for hero nobody');
+  });
+
+  test('reports hands hero was not dealt into as info, not as skipped hands', () => {
+    const diagnostics = [];
+    const hands = parseHandHistoryContent(TRICKY_HAND.replace(/\r/g, ''), 'Late Joiner', diagnostics);
+
+    expect(hands).toEqual([]);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ severity: 'info', code: 'hero-not-dealt', handId: '2483931001' })
+    ]);
+  });
+
+  test('matches the recorded parse of a cash game upload', () => {
+    const content = readFixture('uploads', "1747343457242-HH20250425 CASHID-G33412353T1851 TN-Maysville GAMETYPE-Hold'em LIMIT-no CUR-REAL OND-F BUYIN-0 MIN-1 MAX-2.txt");
+    const diagnostics = [];
+
+    const hands = parseHandHistoryContent(content, 'grotle', diagnostics);
+
+    expect(diagnostics).toEqual([]);
+    expect(hands.map(summarizeHand)).toMatchSnapshot();
+  });
+
+  test('matches the recorded parse of the tournament sample', () => {
+    const content = readFixture('src', 'assets', "HH20250426 SCHEDULEDID-G33460037T7 TN-Lightning PKO - $8 GTD GAMETYPE-Hold'em LIMIT-no CUR-REAL OND-F BUYIN-0.txt");
+
+    const hands = parseHandHistoryContent(content, 'grotle');
+
+    expect(hands.map(summarizeHand)).toMatchSnapshot();
+  });
+});
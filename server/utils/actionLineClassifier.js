@@ -0,0 +1,134 @@
+// Describes the betting line of a hand from hero's side, so hands can be
+// searched by spot ("3-bet pot, hero c-bets flop"):
+//   potType       - 'limped', 'SRP', '3BP' or '4BP+' from the preflop raises
+//   heroRole      - 'PFR' if hero made the last preflop raise, otherwise 'caller'
+//   playersToFlop - players left when the flop was dealt
+//   flop/turn/river - for each street hero saw:
+//     position    - 'IP' if hero acts last among the players left, otherwise 'OOP'
+//     actions     - hero's actions on the street, in order
+//     tokens      - cbet, donk, check-raise, float and probe, as defined below
+// Works on stored or freshly parsed hands: indices are hero-relative (hero = 0).
+
+const POSTFLOP_STREETS = ['flop', 'turn', 'river'];
+
+const AGGRESSIVE_ACTIONS = ['bet', 'raise'];
+
+function potTypeFromRaises(raises, hasLimp) {
+    if (raises === 0) return hasLimp ? 'limped' : null;
+    if (raises === 1) return 'SRP';
+    if (raises === 2) return '3BP';
+    return '4BP+';
+}
+
+// Postflop acting order: small blind first, button last (heads-up the button acts last)
+function postflopOrder(playerIndex, hand) {
+    return (playerIndex - hand.buttonPosition - 1 + hand.numPlayers) % hand.numPlayers;
+}
+
+function lastAggressor(actions) {
+    const aggressive = actions.filter(action => AGGRESSIVE_ACTIONS.includes(action.action));
+    return aggressive.length > 0 ? aggressive[aggressive.length - 1].playerIndex : null;
+}
+
+// Hero's line tokens for one street:
+//   cbet        - hero bets first as the previous street's aggressor
+//   donk        - hero bets first into the previous street's aggressor, who acts after hero
+//   check-raise - hero checks, then raises
+//   float       - hero called a bet in position on the previous street and bets when checked to
+//   probe       - out of position, hero bets first after the previous street was checked through
+function streetTokens({ streetActions, heroActions, previousAggressor, previousStreetActions, position, hand }) {
+    const tokens = [];
+    const firstBet = streetActions.find(action => action.action === 'bet');
+    const heroLeads = firstBet?.playerIndex === 0;
+
+    if (heroLeads && previousAggressor === 0) {
+        tokens.push('cbet');
+    }
+
+    if (heroLeads && previousAggressor !== null && previousAggressor !== 0) {
+        const aggressorActedFirst = streetActions
+            .slice(0, streetActions.indexOf(firstBet))
+            .some(action => action.playerIndex === previousAggressor);
+        if (!aggressorActedFirst && postflopOrder(previousAggressor, hand) > postflopOrder(0, hand)) {
+            tokens.push('donk');
+        }
+    }
+
+    const heroCheckIndex = heroActions.findIndex(action => action.action === 'check');
+    if (heroCheckIndex > -1 && heroActions.slice(heroCheckIndex + 1).some(action => action.action === 'raise')) {
+        tokens.push('check-raise');
+    }
+
+    const heroCalledIP = previousStreetActions !== null && position.previous === 'IP' &&
+        previousStreetActions.some(action => action.playerIndex === 0 && action.action === 'call') &&
+        previousAggressor !== 0;
+    if (heroLeads && heroCalledIP && position.current === 'IP') {
+        tokens.push('float');
+    }
+
+    const previousCheckedThrough = previousStreetActions !== null &&
+        previousStreetActions.length > 0 &&
+        !previousStreetActions.some(action => AGGRESSIVE_ACTIONS.includes(action.action));
+    if (heroLeads && previousCheckedThrough && position.current === 'OOP') {
+        tokens.push('probe');
+    }
+
+    return tokens;
+}
+
+export function classifyActionLine(hand) {
+    const actions = hand.bettingActions || [];
+    const preflop = actions.filter(action => action.street === 'preflop' && action.action !== 'post');
+    const raises = preflop.filter(action => action.action === 'raise').length;
+    const hasLimp = preflop.some(action => action.action === 'call' || action.action === 'check');
+    const preflopAggressor = lastAggressor(preflop);
+
+    const heroFoldedPreflop = preflop.some(action => action.playerIndex === 0 && action.action === 'fold');
+    const line = {
+        potType: potTypeFromRaises(raises, hasLimp),
+        heroRole: heroFoldedPreflop ? null : (preflopAggressor === 0 ? 'PFR' : 'caller'),
+        playersToFlop: null
+    };
+
+    const folded = new Set(preflop.filter(action => action.action === 'fold').map(action => action.playerIndex));
+    const sawFlop = (hand.communityCards?.flop || []).length > 0 || actions.some(action => action.street === 'flop');
+    if (!sawFlop) return line;
+    line.playersToFlop = hand.numPlayers - folded.size;
+
+    let previousAggressor = preflopAggressor;
+    let previousStreetActions = null;
+    let previousPosition = null;
+    for (const street of POSTFLOP_STREETS) {
+        if (folded.has(0)) break;
+        const streetActions = actions.filter(action => action.street === street);
+        const reached = streetActions.length > 0 ||
+            (street === 'flop' ? sawFlop : !!hand.communityCards?.[street]);
+        if (!reached) break;
+
+        // Hero is in position when no player still in the hand acts after hero
+        const live = Array.from({ length: hand.numPlayers }, (_, playerIndex) => playerIndex)
+            .filter(playerIndex => !folded.has(playerIndex));
+        const position = live.every(playerIndex => postflopOrder(playerIndex, hand) <= postflopOrder(0, hand)) ? 'IP' : 'OOP';
+        const heroActions = streetActions.filter(action => action.playerIndex === 0);
+
+        line[street] = {
+            position,
+            actions: heroActions.map(action => action.action),
+            tokens: streetTokens({
+                streetActions,
+                heroActions,
+                previousAggressor,
+                previousStreetActions,
+                position: { current: position, previous: previousPosition },
+                hand
+            })
+        };
+
+        streetActions.filter(action => action.action === 'fold').forEach(action => folded.add(action.playerIndex));
+        previousAggressor = lastAggressor(streetActions);
+        previousStreetActions = streetActions;
+        previousPosition = position;
+    }
+
+    return line;
+}
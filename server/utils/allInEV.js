@@ -0,0 +1,109 @@
+import { estimateEquityVsCallingRange } from '../../src/utils/EV_Calculation/MidEV/Step12/step12a.js';
+
+// All-in EV: when hero got all the money in before the river against one
+// villain whose cards are known, hero's result is replaced by what hero was
+// expected to win from that moment on:
+//   evNet = heroNet - won + equity * pot
+// where pot is what was collected from the pots hero played for and won is
+// hero's share of it, so rake and dead money stay as they were. Equity comes
+// from Step 12a; it is exact after the turn and a Monte-Carlo estimate
+// before it. Multiway all-ins are left alone.
+
+const MONTE_CARLO_SAMPLES = 2000;
+
+const RANKS = '23456789TJQKA';
+const SUITS = 'cdhs';
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
+
+function boardAtAllIn(street, communityCards = {}) {
+    if (street === 'preflop') return [];
+    if (street === 'flop') return [...(communityCards.flop || [])];
+    return [...(communityCards.flop || []), communityCards.turn];
+}
+
+function isHoleCards(cards) {
+    return Array.isArray(cards) && cards.length === 2 && cards.every(Boolean);
+}
+
+// The villain's cards from villainCards, the showdown, or a shown winner or loser
+function villainHoleCards(hand, playerIndex, name) {
+    const known = (hand.villainCards || []).find(villain => villain.playerIndex === playerIndex);
+    if (isHoleCards(known?.cards)) return known.cards;
+
+    const shown = (hand.showdown?.hands || []).find(entry => entry.player === name);
+    if (isHoleCards(shown?.cards)) return shown.cards;
+
+    const result = [...(hand.winners || []), ...(hand.losers || [])]
+        .find(entry => entry.username === name && isHoleCards(entry.hand?.cards));
+    return result ? result.hand.cards : null;
+}
+
+function heroEquity(heroCards, villainCards, board) {
+    const heroRange = [{ combo: heroCards, weight: 1 }];
+    const callRange = [{ combo: villainCards, weight: 1 }];
+
+    if (board.length < 4) {
+        return estimateEquityVsCallingRange({ board, heroRange, callRange, samples: MONTE_CARLO_SAMPLES }).equity;
+    }
+
+    // On the turn every river card is played out
+    const dead = new Set([...board, ...heroCards, ...villainCards]);
+    const rivers = [...RANKS].flatMap(rank => [...SUITS].map(suit => rank + suit)).filter(card => !dead.has(card));
+    const total = rivers.reduce((sum, river) =>
+        sum + estimateEquityVsCallingRange({ board: [...board, river], heroRange, callRange }).equity, 0);
+    return Number((total / rivers.length).toFixed(4));
+}
+
+// What was collected from the pots hero was eligible for, and hero's part of it (BB).
+// Hands without pots fall back to the winners, which are matched by name.
+function contestedPot(hand) {
+    const sum = winners => winners.reduce((total, winner) => total + (winner.amount || 0), 0);
+    const pots = (hand.pots || []).filter(pot => (pot.eligiblePlayers || []).includes(0));
+
+    if (pots.length > 0) {
+        const winners = pots.flatMap(pot => pot.winners || []);
+        return { pot: sum(winners), won: sum(winners.filter(winner => winner.playerIndex === 0)) };
+    }
+
+    const heroName = hand.bettingActions.find(action => action.playerIndex === 0)?.playerId;
+    const winners = hand.winners || [];
+    return { pot: sum(winners), won: sum(winners.filter(winner => winner.username === heroName)) };
+}
+
+// Returns { street, villain, equity, pot, won, evNet } for an all-in hand, otherwise null.
+// Works on stored or freshly parsed hands: indices are hero-relative (hero = 0).
+export function calculateAllInEV(hand) {
+    const heroCards = hand.heroHoleCards;
+    const actions = (hand.bettingActions || []).filter(action => action.action !== 'post');
+    if (!isHoleCards(heroCards) || actions.length === 0 || !hand.communityCards?.river) return null;
+
+    // The betting stopped before the river with someone all-in and the board ran out
+    const street = actions[actions.length - 1].street;
+    if (street === 'river' || !actions.some(action => action.street === street && action.isAllIn)) return null;
+
+    const folded = new Set(actions.filter(action => action.action === 'fold').map(action => action.playerIndex));
+    const live = [...new Set(hand.bettingActions.map(action => action.playerIndex))]
+        .filter(playerIndex => !folded.has(playerIndex));
+    if (live.length !== 2 || !live.includes(0)) return null;
+
+    const villainIndex = live.find(playerIndex => playerIndex !== 0);
+    const villain = hand.bettingActions.find(action => action.playerIndex === villainIndex).playerId;
+    const villainCards = villainHoleCards(hand, villainIndex, villain);
+    if (!villainCards) return null;
+
+    const { pot, won } = contestedPot(hand);
+    if (pot === 0) return null;
+
+    const equity = heroEquity(heroCards, villainCards, boardAtAllIn(street, hand.communityCards));
+    return {
+        street,
+        villain,
+        equity,
+        pot: round(pot),
+        won: round(won),
+        evNet: round((hand.heroNet || 0) - won + equity * pot)
+    };
+}
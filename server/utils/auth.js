@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+
+// Passwords are stored as scrypt hashes and requests carry a signed token
+// (Authorization: Bearer <token>), both built on Node's crypto:
+//   password hash - scrypt$<salt>$<hash>
+//   token         - <base64url payload>.<base64url HMAC-SHA256 of the payload>
+// The payload is { sub: user id, exp: seconds since the epoch }, plus scope for
+// short-lived tokens that only open one thing, such as an import job's event
+// stream (EventSource cannot send the Authorization header, so those go in the
+// query string). AUTH_SECRET signs the tokens; without it a random secret is
+// used and every login ends when the server restarts.
+
+export const TOKEN_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+export const SCOPED_TOKEN_LIFETIME_SECONDS = 15 * 60;
+
+let generatedSecret = null;
+function authSecret() {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+    if (!generatedSecret) {
+        console.warn('AUTH_SECRET is not set; tokens will stop working when the server restarts');
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return generatedSecret;
+}
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', authSecret()).update(payload).digest('base64url');
+}
+
+export function createToken(userId, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: String(userId),
+        exp: Math.floor(now / 1000) + TOKEN_LIFETIME_SECONDS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// A token that is only good for scope (e.g. 'import-job:<id>') for a few minutes
+export function createScopedToken(userId, scope, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: String(userId),
+        scope,
+        exp: Math.floor(now / 1000) + SCOPED_TOKEN_LIFETIME_SECONDS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// The user id a scoped token was issued to, or null unless it is valid for scope
+export function verifyScopedToken(token, scope, now = Date.now()) {
+    const claims = verifyToken(token, now);
+    return claims && claims.scope === scope ? claims.sub : null;
+}
+
+// The token's payload, or null when it is malformed, tampered with or expired
+export function verifyToken(token, now = Date.now()) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims.exp > now / 1000 ? claims : null;
+    } catch {
+        return null;
+    }
+}
+
+// Rejects requests without a valid token; otherwise sets req.user to the account
+export async function requireAuth(req, res, next) {
+    try {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        const claims = scheme === 'Bearer' ? verifyToken(token) : null;
+        // Scoped tokens only open what they were issued for
+        const user = claims && !claims.scope && await User.findById(claims.sub);
+        if (!user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export const NOT_YOUR_SCREEN_NAME = 'That screen name belongs to another account';
+
+// Screen names are bound per site ({ site, screenName }), so the same name on two
+// sites can belong to two accounts. Documents that belong to a screen name
+// (hands, tournaments, sessions, import batches) store it as username next to
+// its site.
+
+// The query conditions for a request's documents: those of the screen name asked
+// for if it belongs to the signed-in user, of every one of their screen names
+// when none is asked for, and null when it belongs to someone else
+export function screenNameFilter(req, username) {
+    const screenNames = (req.user.screenNames || [])
+        .filter(({ screenName }) => !username || screenName === username);
+    if (username && screenNames.length === 0) return null;
+    if (screenNames.length === 0) return { username: { $in: [] } };
+    return { $or: screenNames.map(({ site, screenName }) => ({ site, username: screenName })) };
+}
+
+// Whether the user has the screen name, on the given site or on any
+export function ownsScreenName(req, username, site = null) {
+    return (req.user.screenNames || [])
+        .some(name => name.screenName === username && (!site || name.site === site));
+}
+
+// Whether another account has the screen name on the site
+export async function screenNameTaken(user, site, screenName) {
+    return !!await User.exists({
+        _id: { $ne: user._id },
+        screenNames: { $elemMatch: { site, screenName } }
+    });
+}
+
+// Bind a screen name on a site to the user, once a file they uploaded showed it
+// is theirs. Returns false when another account already has it.
+export async function bindScreenName(user, site, screenName) {
+    if (user.screenNames.some(name => name.site === site && name.screenName === screenName)) return true;
+    if (await screenNameTaken(user, site, screenName)) return false;
+
+    try {
+        await User.updateOne({ _id: user._id }, { $addToSet: { screenNames: { site, screenName } } });
+    } catch (error) {
+        // Another account bound it in the meantime
+        if (error.code === 11000) return false;
+        throw error;
+    }
+    user.screenNames.push({ site, screenName });
+    return true;
+}
@@ -0,0 +1,32 @@
+// Texture tags of a flop, stored on each hand so hands can be searched by board:
+//   'monotone', 'two-tone' or 'rainbow' - how many suits the flop has (always one of these)
+//   'paired'    - two or three cards share a rank
+//   'connected' - three different ranks that fit in one straight (the ace plays high or low)
+
+export const FLOP_TEXTURES = ['monotone', 'two-tone', 'rainbow', 'paired', 'connected'];
+
+const RANKS = '23456789TJQKA';
+
+const SUIT_TEXTURES = { 1: 'monotone', 2: 'two-tone', 3: 'rainbow' };
+
+function fitsInStraight(rankValues) {
+    const span = values => Math.max(...values) - Math.min(...values);
+    const aceLow = rankValues.map(value => (value === RANKS.length - 1 ? -1 : value));
+    return span(rankValues) <= 4 || span(aceLow) <= 4;
+}
+
+export function classifyFlopTexture(flop) {
+    if (!Array.isArray(flop) || flop.length < 3) return [];
+
+    const cards = flop.slice(0, 3);
+    const rankValues = cards.map(card => RANKS.indexOf(card[0].toUpperCase()));
+    const suits = new Set(cards.map(card => card[1].toLowerCase()));
+
+    const textures = [SUIT_TEXTURES[suits.size]];
+    if (new Set(rankValues).size < 3) {
+        textures.push('paired');
+    } else if (fitsInStraight(rankValues)) {
+        textures.push('connected');
+    }
+    return textures;
+}
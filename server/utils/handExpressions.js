@@ -0,0 +1,53 @@
+// MongoDB aggregation expressions over stored hands, shared by the hand search
+// (routes/hands.js) and the stats pipeline (routes/stats.js). Player indices
+// are hero-relative, as in bettingActions: hero is 0.
+
+// Position names by table size, counted from the button, as the hand list shows them
+export const POSITIONS_BY_TABLE_SIZE = {
+    2: ['BTN/SB', 'BB'],
+    3: ['BTN', 'SB', 'BB'],
+    4: ['BTN', 'SB', 'BB', 'UTG'],
+    5: ['BTN', 'SB', 'BB', 'UTG', 'CO'],
+    6: ['BTN', 'SB', 'BB', 'UTG', 'HJ', 'CO'],
+    7: ['BTN', 'SB', 'BB', 'UTG', 'LJ', 'HJ', 'CO'],
+    8: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'LJ', 'HJ', 'CO'],
+    9: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'LJ', 'HJ', 'CO'],
+    10: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'MP', 'LJ', 'HJ', 'CO']
+};
+
+// Hero's position name; heads-up the index is the position itself
+export const HERO_POSITION = {
+    $switch: {
+        branches: Object.entries(POSITIONS_BY_TABLE_SIZE).map(([tableSize, positions]) => {
+            const numPlayers = Number(tableSize);
+            const index = numPlayers === 2
+                ? '$heroPosition'
+                : { $mod: [{ $add: [{ $subtract: ['$heroPosition', '$buttonPosition'] }, numPlayers] }, numPlayers] };
+            return {
+                case: { $eq: ['$numPlayers', numPlayers] },
+                then: { $arrayElemAt: [{ $literal: positions }, index] }
+            };
+        }),
+        default: null
+    }
+};
+
+// Hero reached showdown: hero never folded and at least one other player who
+// was dealt in (posted or acted) never folded either
+export const WENT_TO_SHOWDOWN = (() => {
+    const foldedPlayers = {
+        $setUnion: [{
+            $map: {
+                input: { $filter: { input: '$bettingActions', as: 'action', cond: { $eq: ['$$action.action', 'fold'] } } },
+                as: 'action',
+                in: '$$action.playerIndex'
+            }
+        }]
+    };
+    return {
+        $and: [
+            { $not: [{ $in: [0, foldedPlayers] }] },
+            { $gte: [{ $subtract: [{ $size: { $setUnion: ['$bettingActions.playerIndex'] } }, { $size: foldedPlayers }] }, 2] }
+        ]
+    };
+})();
@@ -0,0 +1,87 @@
+// Helpers shared by the hand history parsers
+
+// Helper function to parse card string into array
+export function parseCards(cardString) {
+    return cardString.replace(/[\[\]]/g, '').split(' ');
+}
+
+// Define positions dictionary at module level
+export const positions = {
+    2: ['BTN/SB', 'BB'],
+    3: ['BTN', 'SB', 'BB'],
+    4: ['BTN', 'SB', 'BB', 'UTG'],
+    5: ['BTN', 'SB', 'BB', 'UTG', 'CO'],
+    6: ['BTN', 'SB', 'BB', 'UTG', 'HJ', 'CO'],
+    7: ['BTN', 'SB', 'BB', 'UTG', 'LJ', 'HJ', 'CO'],
+    8: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'LJ', 'HJ', 'CO'],
+    9: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'LJ', 'HJ', 'CO'],
+    10: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'MP', 'LJ', 'HJ', 'CO']
+};
+
+// Helper function to calculate position from button
+export function calculatePosition(buttonPosition, playerSeat, numPlayers, heroSeat) {
+    // For 2 players, positions are fixed
+    if (numPlayers === 2) {
+        return positions[2][playerSeat - 1];
+    }
+
+    // Get the base positions for the current number of players
+    const basePositions = positions[numPlayers];
+    
+    // Calculate the position index based on the distance from the button
+    // We need to calculate clockwise distance from button
+    const distanceFromButton = (playerSeat - buttonPosition + numPlayers) % numPlayers;
+    
+    return basePositions[distanceFromButton];
+}
+
+// Helper function to round to nearest 0.5
+export function roundToNearestHalf(num) {
+    return Math.round(num * 2) / 2;
+}
+
+// Helper function to get position names array rotated so hero is always at index 0
+export function getRotatedPositions(numPlayers, heroTableIndex) {
+    const arr = positions[numPlayers];
+    // Rotate so heroTableIndex is at index 0
+    return arr.slice(heroTableIndex).concat(arr.slice(0, heroTableIndex));
+}
+
+// Split what every player put in into a main pot and side pots.
+// contributions maps playerIndex to the chips that player put in over the
+// whole hand (antes and blinds included, uncalled bets taken off); players in
+// foldedPlayers pay into the pots but cannot win them. Each all-in amount
+// below the biggest contribution closes off a pot, e.g. a short stack all-in
+// for 100 against two players who put in 300 gives a main pot of 300 that all
+// three can win and a side pot of 400 for the other two.
+export function computePots(contributions, foldedPlayers = []) {
+    const folded = new Set(foldedPlayers);
+    const entries = [...contributions.entries()].filter(([, amount]) => amount > 0);
+    const liveEntries = entries.filter(([playerIndex]) => !folded.has(playerIndex));
+    if (liveEntries.length === 0) return [];
+
+    // Whatever folded players put in beyond the last caller still belongs in the last pot
+    const levels = [...new Set(liveEntries.map(([, amount]) => amount))].sort((a, b) => a - b);
+    levels[levels.length - 1] = Math.max(...entries.map(([, amount]) => amount));
+
+    const pots = [];
+    let previousLevel = 0;
+    for (const level of levels) {
+        const amount = entries.reduce((total, [, contributed]) =>
+            total + Math.max(0, Math.min(contributed, level) - previousLevel), 0);
+        const eligiblePlayers = liveEntries
+            .filter(([, contributed]) => contributed > previousLevel)
+            .map(([playerIndex]) => playerIndex);
+        pots.push({ amount, eligiblePlayers });
+        previousLevel = level;
+    }
+
+    // A top pot only one player can win is a bet nobody called that the
+    // history did not return in full; it stays with the pot below it
+    const lastPot = pots[pots.length - 1];
+    if (pots.length > 1 && lastPot.eligiblePlayers.length === 1) {
+        pots.pop();
+        pots[pots.length - 1].amount += lastPot.amount;
+    }
+    return pots;
+}
@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import { hashContent, findImportBatch, runImportBatch } from './importBatch.js';
+
+// Watches a folder that a poker client writes hand histories into and imports
+// hands as they appear. The folder is polled rather than watched with fs.watch,
+// which misses appends on some platforms. For every file the watcher remembers
+// how many bytes it has already imported, so text files that are still being
+// written are picked up hand by hand. JSON files (Open Hand History) cannot be
+// read in pieces, so they are imported whole again once they stop growing.
+// Everything imported from one file while the watcher runs goes into one
+// ImportBatch, keyed by the hash of the file as imported so far, and hands are
+// upserted by id, so re-running the watcher over the same files imports
+// nothing twice.
+
+const HAND_HISTORY_FILE = /\.(txt|json|ohh)$/i;
+
+const JSON_FILE = /\.(json|ohh)$/i;
+
+const NEWLINE = 0x0a;
+const CARRIAGE_RETURN = 0x0d;
+
+// Byte offset just past the last blank line in buffer, i.e. the end of the
+// last hand that has been completely written. 0 if no hand is complete yet.
+export function findCompleteHandsEnd(buffer) {
+    for (let i = buffer.length - 1; i > 0; i--) {
+        if (buffer[i] !== NEWLINE) continue;
+
+        let previous = i - 1;
+        if (buffer[previous] === CARRIAGE_RETURN) previous--;
+        if (previous >= 0 && buffer[previous] === NEWLINE) {
+            return i + 1;
+        }
+    }
+    return 0;
+}
+
+// What to import from a file on this poll, or null if nothing yet:
+//   { start, end }      - the bytes of the hands completed since the last import
+//   { start: 0, end, wholeFile: true } - a JSON file, read again in full
+// entry is the file's { offset, size } from the previous poll; a file that has
+// not grown since then is done being written, so its last hand counts as
+// complete even without a trailing blank line. pending holds the bytes from
+// entry.offset to size (text files only).
+export function nextImport({ entry, size, json, pending }) {
+    const quiet = size === entry.size;
+    if (size === entry.offset) return null;
+
+    if (json) {
+        return quiet ? { start: 0, end: size, wholeFile: true } : null;
+    }
+
+    const completeEnd = quiet ? pending.length : findCompleteHandsEnd(pending);
+    return completeEnd === 0 ? null : { start: entry.offset, end: entry.offset + completeEnd };
+}
+
+// Tournament name from a WPN file name, e.g. "HH20250425 SCHEDULEDID-G1T2 TN-$150 GTD GAMETYPE-Hold'em ..."
+export function tournamentNameFromFileName(fileName) {
+    return fileName.match(/TN-(.*?)GAMETYPE/)?.[1].trim() || '';
+}
+
+function loadState(stateFile) {
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+        return { files: {} };
+    }
+}
+
+function readBytes(filePath, start, end) {
+    const buffer = Buffer.alloc(end - start);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return buffer;
+}
+
+// Options:
+//   directory  - folder to watch
+//   username   - hero's screen name in the files
+//   importMode - 'played' or 'all', as for uploads
+//   intervalMs - how often to look for new hands
+//   stateFile  - where byte offsets are kept between runs
+//   onImport   - called with (fileName, batch, result) after each import; batch is
+//                the same document for every import from one file
+export function createHandHistoryWatcher({
+    directory,
+    username,
+    importMode = 'played',
+    intervalMs = 5000,
+    stateFile = path.join(directory, '.pokerhistory-watch.json'),
+    onImport = () => {}
+}) {
+    const state = loadState(stateFile);
+    // The ImportBatch each file's hands go into while the watcher runs
+    const batches = new Map();
+    let timer = null;
+    let polling = false;
+
+    const saveState = () => {
+        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    };
+
+    const importFile = async (fileName, { start, end, wholeFile }) => {
+        const filePath = path.join(directory, fileName);
+        // The batch stands for the file up to end, so uploading the finished file later is refused as a duplicate
+        const fileHash = hashContent(readBytes(filePath, 0, end));
+
+        if (await findImportBatch(username, fileHash)) {
+            console.log(`Skipping ${fileName} up to byte ${end}: already imported`);
+            return;
+        }
+
+        const { batch, result } = await runImportBatch({
+            filePath,
+            fileName,
+            fileHash,
+            username,
+            tournamentName: tournamentNameFromFileName(fileName),
+            importMode,
+            batch: batches.get(fileName),
+            byteRange: wholeFile ? null : { start, end }
+        });
+        batches.set(fileName, batch);
+        onImport(fileName, batch, result);
+    };
+
+    const pollFile = async (fileName) => {
+        const { size } = fs.statSync(path.join(directory, fileName));
+        const entry = state.files[fileName] || { offset: 0, size: -1 };
+        state.files[fileName] = entry;
+
+        // A file that shrank was replaced; start over (hands are upserted by id)
+        if (size < entry.offset) {
+            entry.offset = 0;
+        }
+
+        const json = JSON_FILE.test(fileName);
+        const pending = json ? null : readBytes(path.join(directory, fileName), entry.offset, size);
+        const next = nextImport({ entry, size, json, pending });
+        entry.size = size;
+        if (!next) return;
+
+        await importFile(fileName, next);
+        entry.offset = next.end;
+        saveState();
+    };
+
+    const poll = async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            // Dot files are skipped, which also keeps the watcher away from its own state file
+            const fileNames = fs.readdirSync(directory)
+                .filter(fileName => HAND_HISTORY_FILE.test(fileName) && !fileName.startsWith('.'));
+            for (const fileName of fileNames) {
+                try {
+                    await pollFile(fileName);
+                } catch (error) {
+                    console.error(`Error importing ${fileName}:`, error);
+                }
+            }
+        } finally {
+            polling = false;
+        }
+    };
+
+    return {
+        poll,
+        start() {
+            if (timer) return;
+            console.log(`Watching ${directory} for ${username}'s hand histories`);
+            poll();
+            timer = setInterval(poll, intervalMs);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
@@ -0,0 +1,116 @@
+// Parses hole card ranges written the usual way, e.g. "AQs+, 77-TT, KhQh":
+//   77, AKs, AKo, AK  - a pair, suited, offsuit, or both
+//   77+               - the pair and every higher pair
+//   AQs+, AQ+         - the hand and every better kicker below the top card (AQs, AKs)
+//   77-TT, A2s-A5s    - every hand between the two, inclusive
+//   KhQh              - one exact combo
+// and turns them into the combos they cover, as [card, card] pairs.
+
+const RANKS = '23456789TJQKA';
+const SUITS = ['h', 'd', 'c', 's'];
+
+const HAND_PATTERN = /^([2-9TJQKA])([2-9TJQKA])([so])?$/;
+const COMBO_PATTERN = /^([2-9TJQKA][hdcs])([2-9TJQKA][hdcs])$/;
+
+// Ranks upper case, suits and the s/o suffix lower case: 'kHqh' -> 'KhQh', 'aqS+' -> 'AQs+'
+function normalize(token) {
+    if (/^([2-9TJQKA][HDCS]){2}$/i.test(token)) {
+        return token.replace(/([2-9TJQKA])([HDCS])/gi, (card, rank, suit) => rank.toUpperCase() + suit.toLowerCase());
+    }
+    return token.toUpperCase().replace(/([2-9TJQKA]{2})([SO])/g, (hand, ranks, suffix) => ranks + suffix.toLowerCase());
+}
+
+// Every combo of one hand class such as 'AKs', 'AKo', 'AK' or '77'
+function combosOfHand(high, low, suitedness) {
+    const combos = [];
+    SUITS.forEach((firstSuit, i) => {
+        SUITS.forEach((secondSuit, j) => {
+            if (high === low) {
+                if (j > i) combos.push([high + firstSuit, low + secondSuit]);
+                return;
+            }
+            const suited = firstSuit === secondSuit;
+            if ((suitedness === 's' && !suited) || (suitedness === 'o' && suited)) return;
+            combos.push([high + firstSuit, low + secondSuit]);
+        });
+    });
+    return combos;
+}
+
+// Hand classes named by one range token, e.g. 'AQs+' -> [['A', 'Q', 's'], ['A', 'K', 's']]
+function handsOfToken(token) {
+    const plus = token.endsWith('+');
+    const [from, to] = (plus ? token.slice(0, -1) : token).split('-');
+
+    const start = from.match(HAND_PATTERN);
+    if (!start) return null;
+    let [, high, low, suitedness] = start;
+    if (RANKS.indexOf(low) > RANKS.indexOf(high)) [high, low] = [low, high];
+    const isPair = high === low;
+    if (isPair && suitedness) return null;
+
+    if (!plus && to === undefined) return [[high, low, suitedness]];
+
+    if (plus) {
+        const hands = [];
+        if (isPair) {
+            for (let rank = RANKS.indexOf(high); rank < RANKS.length; rank++) {
+                hands.push([RANKS[rank], RANKS[rank], suitedness]);
+            }
+        } else {
+            for (let rank = RANKS.indexOf(low); rank < RANKS.indexOf(high); rank++) {
+                hands.push([high, RANKS[rank], suitedness]);
+            }
+        }
+        return hands;
+    }
+
+    // A dash range keeps the top card of a non-pair fixed and walks the other one
+    const end = to.match(HAND_PATTERN);
+    if (!end) return null;
+    let [, endHigh, endLow, endSuitedness] = end;
+    if (RANKS.indexOf(endLow) > RANKS.indexOf(endHigh)) [endHigh, endLow] = [endLow, endHigh];
+    if (endSuitedness !== suitedness || (endHigh === endLow) !== isPair) return null;
+    if (!isPair && endHigh !== high) return null;
+
+    const [lowest, highest] = [RANKS.indexOf(low), RANKS.indexOf(endLow)].sort((a, b) => a - b);
+    const hands = [];
+    for (let rank = lowest; rank <= highest; rank++) {
+        hands.push(isPair ? [RANKS[rank], RANKS[rank]] : [high, RANKS[rank], suitedness]);
+    }
+    return hands;
+}
+
+// Returns { combos, invalid }: the combos the range covers (no duplicates) and
+// the tokens that could not be read
+export function parseHoleCardRange(text) {
+    const combos = new Map();
+    const invalid = [];
+
+    (text || '').split(/[,\s]+/).filter(Boolean).forEach(rawToken => {
+        const token = normalize(rawToken);
+        const exact = token.match(COMBO_PATTERN);
+        if (exact) {
+            if (exact[1] === exact[2]) {
+                invalid.push(rawToken);
+                return;
+            }
+            const combo = [exact[1], exact[2]];
+            combos.set([...combo].sort().join(''), combo);
+            return;
+        }
+
+        const hands = handsOfToken(token);
+        if (!hands) {
+            invalid.push(rawToken);
+            return;
+        }
+        hands.forEach(([high, low, suitedness]) => {
+            combosOfHand(high, low, suitedness).forEach(combo => {
+                combos.set([...combo].sort().join(''), combo);
+            });
+        });
+    });
+
+    return { combos: Array.from(combos.values()), invalid };
+}
@@ -0,0 +1,29 @@
+// Turns HUD counters (the names used by models/Player.js) into the stats shown
+// to the user. Percentages come with the sample they were taken from; AF is
+// (bets + raises) / calls. A stat with no sample has a null value.
+
+function percentage(count = 0, sample = 0) {
+    return {
+        value: sample > 0 ? Number((count / sample * 100).toFixed(1)) : null,
+        sample
+    };
+}
+
+export function statsFromCounters(counters) {
+    const aggressive = counters.postflopAggressive || 0;
+    const calls = counters.postflopCalls || 0;
+    return {
+        vpip: percentage(counters.vpip, counters.hands),
+        pfr: percentage(counters.pfr, counters.hands),
+        threeBet: percentage(counters.threeBet, counters.threeBetOpportunities),
+        foldToThreeBet: percentage(counters.foldToThreeBet, counters.foldToThreeBetOpportunities),
+        cbet: percentage(counters.cbet, counters.cbetOpportunities),
+        foldToCbet: percentage(counters.foldToCbet, counters.foldToCbetOpportunities),
+        af: {
+            value: calls > 0 ? Number((aggressive / calls).toFixed(2)) : null,
+            sample: aggressive + calls
+        },
+        wtsd: percentage(counters.wentToShowdown, counters.sawFlop),
+        wsd: percentage(counters.wonAtShowdown, counters.wentToShowdown)
+    };
+}
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import ImportBatch from '../models/ImportBatch.js';
+import { processHandHistories } from './parseHandHistory.js';
+import { rebuildSessions } from './sessionDetection.js';
+
+// sha256 of a file's (or part of a file's) contents, stored as ImportBatch.fileHash
+export function hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export function findImportBatch(username, fileHash) {
+    return ImportBatch.findOne({ username, fileHash }).select('-hands');
+}
+
+// Record an ImportBatch and import the file's hands into it, then detect the
+// user's sessions again. Options are passed through to processHandHistories;
+// if processing fails the batch is removed again so the file can be retried.
+// With batch (returned by an earlier call) the hands are added to that batch
+// instead, as the watcher does for a file that keeps growing; fileHash then
+// replaces the batch's hash.
+export async function runImportBatch({ filePath, fileName, fileHash, username, tournamentName, importMode = 'played', batch: previousBatch = null, ...options }) {
+    // The earlier batch may have been undone in the meantime
+    const existingBatch = previousBatch && await ImportBatch.findById(previousBatch._id);
+    const batch = existingBatch || await ImportBatch.create({
+        username,
+        fileName,
+        fileHash,
+        tournamentName,
+        importMode
+    });
+
+    let result;
+    try {
+        result = await processHandHistories(filePath, tournamentName, username, {
+            ...options,
+            importMode,
+            importBatchId: batch._id
+        });
+    } catch (error) {
+        if (!existingBatch) await batch.deleteOne();
+        throw error;
+    }
+
+    if (existingBatch && !options.byteRange) {
+        // The whole file was read again: its totals replace the old ones, and
+        // the hands this batch saved before now come back as duplicates
+        batch.totalHands = result.totalHands;
+        batch.handsPlayed = result.handsPlayed;
+        batch.duplicates = Math.max(result.duplicates - batch.handsSaved, 0);
+    } else {
+        batch.totalHands += result.totalHands;
+        batch.handsPlayed += result.handsPlayed;
+        batch.duplicates += result.duplicates;
+    }
+    batch.handsSaved += result.handsSaved;
+    batch.hands.push(...result.createdHandIds);
+    batch.fileHash = fileHash;
+    batch.site = batch.site || result.site;
+    await batch.save();
+
+    // New hands can start, extend or join sessions; a failure here doesn't undo the import
+    if (result.handsSaved > 0) {
+        try {
+            await rebuildSessions(username, result.site);
+        } catch (error) {
+            console.error('Error detecting sessions:', error);
+        }
+    }
+
+    return { batch, result };
+}
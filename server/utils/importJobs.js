@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// In-memory registry of running imports, so the client can follow an upload
+// over Server-Sent Events while processHandHistories works through the file.
+// Jobs live in this process only and are dropped a while after they finish.
+// Each job belongs to the account that created it; only that account's
+// uploads can report on it and only it can follow it.
+
+const JOB_TTL_MS = 5 * 60 * 1000;
+
+const jobs = new Map();
+
+export function createImportJob(owner) {
+    const job = {
+        id: crypto.randomUUID(),
+        owner: String(owner),
+        status: 'pending',
+        progress: {
+            totalHands: 0,
+            handsToSave: 0,
+            parsed: 0,
+            saved: 0,
+            duplicates: 0,
+            skipped: 0
+        },
+        error: null,
+        events: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+
+    // Clean up jobs that were created but never used
+    setTimeout(() => {
+        if (jobs.get(job.id)?.status === 'pending') jobs.delete(job.id);
+    }, JOB_TTL_MS).unref();
+
+    return job;
+}
+
+export function getImportJob(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+// The job, if it exists and was created by the user
+export function getOwnImportJob(jobId, userId) {
+    const job = getImportJob(jobId);
+    return job && job.owner === String(userId) ? job : null;
+}
+
+// Public view of a job, as sent to the client
+export function serializeImportJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        progress: job.progress,
+        error: job.error
+    };
+}
+
+export function updateImportJob(jobId, progress) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    job.status = 'running';
+    job.progress = { ...job.progress, ...progress };
+    job.events.emit('update', serializeImportJob(job));
+}
+
+export function finishImportJob(jobId, error = null) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    job.status = error ? 'failed' : 'done';
+    job.error = error ? error.message : null;
+    job.events.emit('update', serializeImportJob(job));
+
+    setTimeout(() => jobs.delete(jobId), JOB_TTL_MS).unref();
+}
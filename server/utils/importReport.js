@@ -0,0 +1,26 @@
+// Diagnostics collected while importing a hand history file.
+//
+// Every problem is recorded as
+//   { severity, code, message, handId, lineNumber, line }
+// where severity is 'error' (the hand was skipped), 'warning' (the hand was
+// imported but something in it was ignored) or 'info'.
+
+export function createDiagnostic({ severity = 'warning', code, message, handId = null, lineNumber = null, line = null }) {
+    return {
+        severity,
+        code,
+        message,
+        handId,
+        lineNumber,
+        line: line === null ? null : line.replace(/\r$/, '')
+    };
+}
+
+// Group diagnostics into the sections shown on the import page
+export function buildImportReport(diagnostics) {
+    return {
+        skippedHands: diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+        duplicates: diagnostics.filter(diagnostic => diagnostic.code === 'duplicate'),
+        warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning')
+    };
+}
@@ -0,0 +1,23 @@
+import Hand from '../models/Hand.js';
+import Player from '../models/Player.js';
+import Tournament from '../models/Tournament.js';
+
+// Documents saved before PokerStars support have no site field; the schema
+// default only fills it in on new ones. Every screen-name lookup matches
+// { site, username }, so until they get one those hands, profiles and
+// tournaments match nothing. They all came from WPN files.
+export const LEGACY_SITE = 'wpn';
+
+// Sets the site on every document of the models that has none. Returns the
+// number updated per model name.
+export async function backfillSites(models = [Hand, Player, Tournament]) {
+    const updated = {};
+    for (const model of models) {
+        const result = await model.updateMany(
+            { site: { $exists: false } },
+            { $set: { site: LEGACY_SITE } }
+        );
+        updated[model.modelName] = result.modifiedCount;
+    }
+    return updated;
+}
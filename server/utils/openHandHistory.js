@@ -0,0 +1,504 @@
+// Open Hand History (OHH) support.
+//
+// OHH is the JSON interchange format shared by most trackers
+// (https://hh-specs.handhistory.org). Hands are mapped straight to and from
+// the Hand document shape: OHH carries chip amounts while Hand documents
+// store bettingActions, pots and winners in big blinds rounded to the nearest
+// half, like the text parsers do, with the exact chips alongside as
+// chipAmount. Exports write chipAmount, so a hand goes out with the amounts
+// it was played with; exporting a hand and importing it again keeps every
+// action and amount.
+
+import mongoose from 'mongoose';
+import { getRotatedPositions, roundToNearestHalf, computePots } from './handHistoryHelpers.js';
+
+export const OHH_SPEC_VERSION = '1.4.6';
+
+const STREET_NAMES = {
+    preflop: 'Preflop',
+    flop: 'Flop',
+    turn: 'Turn',
+    river: 'River'
+};
+
+const LIMIT_TYPES = {
+    NL: 'No Limit',
+    PL: 'Pot Limit',
+    FL: 'Fixed Limit'
+};
+
+const SITE_NAMES = {
+    wpn: { site_name: 'Americas Cardroom', network_name: 'WPN' },
+    pokerstars: { site_name: 'PokerStars', network_name: 'PokerStars' }
+};
+
+// OHH action name -> Hand bettingAction action
+const ACTIONS = {
+    'Post SB': 'post',
+    'Post BB': 'post',
+    'Post Dead': 'post',
+    'Post Extra Blind': 'post',
+    'Straddle': 'post',
+    'Fold': 'fold',
+    'Check': 'check',
+    'Call': 'call',
+    'Bet': 'bet',
+    'Raise': 'raise'
+};
+
+// Helper function to keep chip/BB conversions from drifting on round trips
+function roundAmount(amount, decimals = 4) {
+    return Number((amount || 0).toFixed(decimals));
+}
+
+export function siteFromOhh(ohh) {
+    const name = `${ohh.site_name || ''} ${ohh.network_name || ''}`;
+    if (/pokerstars/i.test(name)) return 'pokerstars';
+    if (/wpn|winning|acr|americas/i.test(name)) return 'wpn';
+    return 'other';
+}
+
+export function isOpenHandHistory(content) {
+    const trimmed = content.trim();
+    return (trimmed.startsWith('{') || trimmed.startsWith('[')) && trimmed.includes('"ohh"');
+}
+
+// OHH files hold either a JSON array or one {"ohh": ...} object per block
+export function splitOpenHandHistories(content) {
+    const trimmed = content.trim();
+    try {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        return trimmed
+            .split(/\r?\n\s*\r?\n/)
+            .filter(block => block.trim())
+            .map(block => JSON.parse(block));
+    }
+}
+
+// Map one OHH hand onto the hand object produced by the text parsers
+export function parseOpenHandHistory(document, heroUsername) {
+    const ohh = document.ohh || document;
+    const players = [...(ohh.players || [])].sort((a, b) => a.seat - b.seat);
+    const numPlayers = players.length;
+    const bigBlind = ohh.big_blind_amount || 1;
+    const timestamp = new Date(ohh.start_date_utc);
+
+    const heroOriginalIndex = players.findIndex(player =>
+        (ohh.hero_player_id !== undefined && player.id === ohh.hero_player_id) || player.name === heroUsername
+    );
+    if (heroOriginalIndex === -1) {
+        throw new Error(`Could not find hero ${heroUsername} in OHH hand ${ohh.game_number}`);
+    }
+    const heroName = players[heroOriginalIndex].name;
+
+    const buttonOriginalIndex = Math.max(0, players.findIndex(player => player.seat === ohh.dealer_seat));
+    const heroPosRelativeToButton = (heroOriginalIndex - buttonOriginalIndex + numPlayers) % numPlayers;
+    const rotatedPositions = getRotatedPositions(numPlayers, heroPosRelativeToButton);
+
+    // Hero is always player index 0, as with the text parsers
+    const playersById = new Map();
+    players.forEach((player, originalIndex) => {
+        const playerIndex = (originalIndex - heroOriginalIndex + numPlayers) % numPlayers;
+        playersById.set(player.id, {
+            name: player.name,
+            playerIndex,
+            position: rotatedPositions[playerIndex]
+        });
+    });
+
+    const hand = {
+        site: siteFromOhh(ohh),
+        id: String(ohh.game_number),
+        _id: new mongoose.Types.ObjectId(),
+        timestamp,
+        gameType: ohh.tournament ? 'tournament' : 'cash',
+        tournamentName: ohh.tournament_info?.name || null,
+        tournamentId: null,
+        limitType: LIMIT_TYPES[ohh.bet_limit?.bet_type] || 'No Limit',
+        currency: ohh.currency,
+        smallBlind: ohh.small_blind_amount || 0,
+        bigBlind,
+        ante: ohh.ante_amount || 0,
+        blindLevel: {
+            smallBlind: ohh.small_blind_amount || 0,
+            bigBlind,
+            ante: ohh.ante_amount || 0
+        },
+        stakes: ohh.tournament ? undefined : {
+            smallBlind: ohh.small_blind_amount || 0,
+            bigBlind,
+            currency: ohh.currency,
+            tableName: ohh.table_name || null,
+            tableSize: ohh.table_size || null
+        },
+        communityCards: {
+            flop: [],
+            turn: null,
+            river: null
+        },
+        bettingActions: [],
+        streetBets: [],
+        foldedPlayers: [],
+        villainCards: [],
+        winners: [],
+        losers: [],
+        playerStacks: new Map(players.map(player => [player.name, player.starting_stack])),
+        finalStacks: new Map(),
+        potSizes: {
+            preflop: 0,
+            flop: 0,
+            turn: 0,
+            river: 0,
+            final: 0
+        },
+        showdown: {
+            board: [],
+            hands: []
+        },
+        numPlayers,
+        heroPosition: 0,
+        buttonPosition: playersById.get(players[buttonOriginalIndex]?.id)?.playerIndex || 0,
+        heroStackSize: roundToNearestHalf(players[heroOriginalIndex].starting_stack / bigBlind),
+        heroPlayerIndex: heroOriginalIndex
+    };
+
+    // Knockout tournaments carry each player's bounty
+    if (players.some(player => player.player_bounty != null)) {
+        hand.playerBounties = new Map(players
+            .filter(player => player.player_bounty != null)
+            .map(player => [player.name, player.player_bounty]));
+    }
+
+    if (ohh.tournament) {
+        hand.tournamentId = ohh.tournament_info?.tournament_number || null;
+        hand.tournamentInfo = {
+            tournamentId: hand.tournamentId,
+            buyIn: (ohh.tournament_info?.buyin_amount || 0) +
+                (ohh.tournament_info?.bounty_fee_amount || 0) +
+                (ohh.tournament_info?.fee_amount || 0),
+            fee: ohh.tournament_info?.fee_amount || 0,
+            bounty: ohh.tournament_info?.bounty_fee_amount || 0,
+            limitType: hand.limitType,
+            currency: ohh.tournament_info?.currency || ohh.currency
+        };
+    }
+
+    let currentStreet = 'preflop';
+    let pot = 0;
+    const contributions = new Map();
+    const putIn = (player, amount) => {
+        pot += amount || 0;
+        contributions.set(player.playerIndex, (contributions.get(player.playerIndex) || 0) + (amount || 0));
+    };
+    for (const round of ohh.rounds || []) {
+        const street = (round.street || '').toLowerCase();
+
+        if (STREET_NAMES[street]) {
+            currentStreet = street;
+            hand.potSizes[street] = roundAmount(pot / bigBlind);
+        }
+        if (street === 'flop') hand.communityCards.flop = round.cards || [];
+        if (street === 'turn') hand.communityCards.turn = round.cards?.[0] || null;
+        if (street === 'river') hand.communityCards.river = round.cards?.[0] || null;
+        if (street === 'showdown') currentStreet = 'showdown';
+
+        for (const action of round.actions || []) {
+            const player = playersById.get(action.player_id);
+            if (!player) continue;
+
+            if (action.action === 'Dealt Cards' && player.name === heroName) {
+                hand.heroHoleCards = action.cards;
+                continue;
+            }
+            if (action.action === 'Shows Cards') {
+                if (player.name !== heroName) {
+                    hand.villainCards.push({ playerIndex: player.playerIndex, cards: action.cards });
+                }
+                hand.showdown.hands.push({ player: player.name, cards: action.cards, description: '', board: [] });
+                continue;
+            }
+            if (action.action === 'Post Ante') {
+                putIn(player, action.amount);
+                continue;
+            }
+
+            const mappedAction = ACTIONS[action.action];
+            if (!mappedAction || !STREET_NAMES[currentStreet]) continue;
+
+            putIn(player, action.amount);
+            hand.bettingActions.push({
+                playerId: player.name,
+                playerIndex: player.playerIndex,
+                position: player.position,
+                action: mappedAction,
+                amount: mappedAction === 'post'
+                    ? roundAmount((action.amount || 0) / bigBlind)
+                    : roundToNearestHalf((action.amount || 0) / bigBlind),
+                chipAmount: action.amount || 0,
+                street: currentStreet,
+                timestamp,
+                order: hand.bettingActions.length,
+                isAllIn: !!action.is_allin
+            });
+            if (mappedAction === 'fold') {
+                hand.foldedPlayers.push(player.playerIndex);
+            }
+        }
+    }
+
+    const board = [
+        ...hand.communityCards.flop,
+        hand.communityCards.turn,
+        hand.communityCards.river
+    ].filter(Boolean);
+    if (currentStreet === 'showdown') {
+        hand.showdown.board = board;
+        hand.showdown.hands.forEach(shown => { shown.board = board; });
+    }
+
+    // Winners come from the pots; players who showed and won nothing lost
+    const winnings = new Map();
+    let totalPot = 0;
+    for (const potInfo of ohh.pots || []) {
+        totalPot += potInfo.amount || 0;
+        for (const win of potInfo.player_wins || []) {
+            winnings.set(win.player_id, (winnings.get(win.player_id) || 0) + (win.win_amount || 0));
+        }
+    }
+    for (const [playerId, amount] of winnings) {
+        const player = playersById.get(playerId);
+        if (!player) continue;
+        hand.winners.push({
+            playerIndex: player.playerIndex,
+            username: player.name,
+            position: player.position,
+            isWinner: true,
+            amount: roundToNearestHalf(amount / bigBlind),
+            chipAmount: amount
+        });
+    }
+    for (const shown of hand.showdown.hands) {
+        if (!hand.winners.some(winner => winner.username === shown.player)) {
+            const player = [...playersById.values()].find(p => p.name === shown.player);
+            hand.losers.push({
+                playerIndex: player.playerIndex,
+                username: player.name,
+                position: player.position,
+                isWinner: false,
+                amount: 0
+            });
+        }
+    }
+
+    // OHH pots do not say who could win them, so that comes from what everyone put in
+    const computedPots = computePots(contributions, hand.foldedPlayers);
+    hand.pots = (ohh.pots || []).map((potInfo, potIndex) => ({
+        amount: roundToNearestHalf((potInfo.amount || 0) / bigBlind),
+        chipAmount: potInfo.amount || 0,
+        eligiblePlayers: (computedPots[potIndex] || computedPots[computedPots.length - 1])?.eligiblePlayers || [],
+        winners: (potInfo.player_wins || [])
+            .filter(win => playersById.has(win.player_id))
+            .map(win => ({
+                playerIndex: playersById.get(win.player_id).playerIndex,
+                username: playersById.get(win.player_id).name,
+                amount: roundToNearestHalf((win.win_amount || 0) / bigBlind),
+                chipAmount: win.win_amount || 0
+            }))
+    }));
+
+    hand.potSizes.final = roundAmount((totalPot || pot) / bigBlind);
+    hand.currentStreet = currentStreet;
+    hand.potSize = roundToNearestHalf(hand.potSizes.final);
+    hand.streetBets = Object.keys(STREET_NAMES).map(street =>
+        hand.bettingActions.filter(action => action.street === street)
+    );
+
+    const heroWin = hand.winners.find(winner => winner.username === heroName);
+    hand.heroProfit = heroWin ? heroWin.amount : 0;
+    hand.heroWon = !!heroWin;
+    hand.heroNet = roundAmount(((winnings.get(players[heroOriginalIndex].id) || 0) - (contributions.get(0) || 0)) / bigBlind);
+
+    return hand;
+}
+
+// Build an OHH document ({ ohh: {...} }) from a stored Hand document
+export function handToOpenHandHistory(hand) {
+    const doc = hand.toObject ? hand.toObject({ flattenMaps: true }) : hand;
+    const stacks = doc.playerStacks instanceof Map ? Object.fromEntries(doc.playerStacks) : (doc.playerStacks || {});
+    const bounties = doc.playerBounties instanceof Map ? Object.fromEntries(doc.playerBounties) : (doc.playerBounties || {});
+    const names = Object.keys(stacks);
+    const numPlayers = names.length || doc.numPlayers;
+    const heroOriginalIndex = Math.max(0, names.indexOf(doc.username));
+    const bigBlind = doc.blindLevel?.bigBlind || doc.stakes?.bigBlind || 1;
+    const toChips = amount => roundAmount((amount || 0) * bigBlind, 2);
+    // Hands stored before chipAmount existed only have their rounded big blinds to go on
+    const chipsOf = item => item?.chipAmount ?? toChips(item?.amount);
+
+    // Undo the hero-relative rotation so seats follow the table order
+    const originalIndexOf = playerIndex => (playerIndex + heroOriginalIndex) % numPlayers;
+    const players = names.map((name, originalIndex) => ({
+        id: originalIndex,
+        seat: originalIndex + 1,
+        name,
+        display: name,
+        starting_stack: stacks[name],
+        ...(bounties[name] != null && { player_bounty: bounties[name] })
+    }));
+    const playerIdByName = new Map(players.map(player => [player.name, player.id]));
+
+    // Blinds are named from the poster's seat relative to the button, the way
+    // positions are worked out on import; heads-up the button posts the small blind
+    const smallBlindSeat = numPlayers === 2 ? 0 : 1;
+    const postAction = action => {
+        const seatsFromButton = (action.playerIndex - (doc.buttonPosition || 0) + numPlayers) % numPlayers;
+        if (seatsFromButton === smallBlindSeat) return 'Post SB';
+        if (seatsFromButton === (smallBlindSeat + 1) % numPlayers) return 'Post BB';
+        if (seatsFromButton === (smallBlindSeat + 2) % numPlayers && action.amount > 1) return 'Straddle';
+        return 'Post Extra Blind';
+    };
+
+    let actionNumber = 0;
+    const nextAction = (fields) => ({ action_number: ++actionNumber, ...fields });
+
+    const rounds = Object.entries(STREET_NAMES).map(([street, streetName], id) => {
+        const actions = [];
+
+        if (street === 'preflop') {
+            if (doc.blindLevel?.ante) {
+                players.forEach(player => {
+                    actions.push(nextAction({ player_id: player.id, action: 'Post Ante', amount: doc.blindLevel.ante }));
+                });
+            }
+            doc.bettingActions
+                .filter(action => action.street === 'preflop' && action.action === 'post')
+                .forEach(action => {
+                    actions.push(nextAction({
+                        player_id: playerIdByName.get(action.playerId),
+                        action: postAction(action),
+                        amount: chipsOf(action),
+                        is_allin: !!action.isAllIn
+                    }));
+                });
+            if (doc.heroHoleCards?.length) {
+                actions.push(nextAction({
+                    player_id: playerIdByName.get(doc.username),
+                    action: 'Dealt Cards',
+                    cards: doc.heroHoleCards
+                }));
+            }
+        }
+
+        doc.bettingActions
+            .filter(action => action.street === street && action.action !== 'post')
+            .forEach(action => {
+                const ohhAction = Object.keys(ACTIONS).find(name =>
+                    ACTIONS[name] === action.action && !name.startsWith('Post') && name !== 'Straddle'
+                );
+                actions.push(nextAction({
+                    player_id: playerIdByName.get(action.playerId),
+                    action: ohhAction,
+                    amount: chipsOf(action),
+                    is_allin: !!action.isAllIn
+                }));
+            });
+
+        let cards = [];
+        if (street === 'flop') cards = doc.communityCards?.flop || [];
+        if (street === 'turn' && doc.communityCards?.turn) cards = [doc.communityCards.turn];
+        if (street === 'river' && doc.communityCards?.river) cards = [doc.communityCards.river];
+
+        return { id, street: streetName, cards, actions };
+    }).filter(round => round.street === 'Preflop' || round.cards.length || round.actions.length);
+
+    const shownHands = doc.showdown?.hands?.length
+        ? doc.showdown.hands.map(shown => ({ name: shown.player, cards: shown.cards }))
+        : (doc.villainCards || []).map(villain => ({
+            name: names[originalIndexOf(villain.playerIndex)],
+            cards: villain.cards
+        }));
+    if (shownHands.length) {
+        rounds.push({
+            id: rounds.length,
+            street: 'Showdown',
+            cards: [],
+            actions: shownHands
+                .filter(shown => playerIdByName.has(shown.name))
+                .map(shown => nextAction({
+                    player_id: playerIdByName.get(shown.name),
+                    action: 'Shows Cards',
+                    cards: shown.cards
+                }))
+        });
+    }
+
+    const playerWins = (doc.winners || [])
+        .filter(winner => winner.isWinner !== false && playerIdByName.has(winner.username))
+        .map(winner => ({
+            player_id: playerIdByName.get(winner.username),
+            win_amount: chipsOf(winner),
+            contributed_rake: 0
+        }));
+
+    const ohh = {
+        spec_version: OHH_SPEC_VERSION,
+        site_name: SITE_NAMES[doc.site]?.site_name || 'Unknown',
+        network_name: SITE_NAMES[doc.site]?.network_name || 'Unknown',
+        internal_version: '1.0.0',
+        tournament: doc.gameType === 'tournament',
+        game_number: doc.id,
+        start_date_utc: new Date(doc.timestamp).toISOString(),
+        table_name: doc.stakes?.tableName || doc.tournamentName || '',
+        game_type: 'Holdem',
+        bet_limit: {
+            bet_type: Object.keys(LIMIT_TYPES).find(key => LIMIT_TYPES[key] === doc.tournamentInfo?.limitType) || 'NL',
+            bet_cap: 0
+        },
+        table_size: doc.stakes?.tableSize || doc.numPlayers,
+        currency: doc.stakes?.currency || doc.tournamentInfo?.currency || 'USD',
+        dealer_seat: originalIndexOf(doc.buttonPosition || 0) + 1,
+        small_blind_amount: doc.blindLevel?.smallBlind || doc.stakes?.smallBlind || bigBlind / 2,
+        big_blind_amount: bigBlind,
+        ante_amount: doc.blindLevel?.ante || 0,
+        hero_player_id: playerIdByName.get(doc.username),
+        flags: [],
+        players,
+        rounds,
+        pots: doc.pots?.length ? doc.pots.map((pot, number) => ({
+            number,
+            amount: chipsOf(pot),
+            rake: 0,
+            jackpot: 0,
+            player_wins: (pot.winners || [])
+                .filter(winner => playerIdByName.has(winner.username))
+                .map(winner => ({
+                    player_id: playerIdByName.get(winner.username),
+                    win_amount: chipsOf(winner),
+                    contributed_rake: 0
+                }))
+        })) : [{
+            number: 0,
+            amount: playerWins.reduce((total, win) => total + win.win_amount, 0) || toChips(doc.potSizes?.final),
+            rake: 0,
+            jackpot: 0,
+            player_wins: playerWins
+        }]
+    };
+
+    if (ohh.tournament) {
+        // tournamentInfo.buyIn is the whole entry; OHH lists the fee and bounty apart from it
+        const fee = doc.tournamentInfo?.fee || 0;
+        const bounty = doc.tournamentInfo?.bounty || 0;
+        ohh.tournament_info = {
+            tournament_number: doc.tournamentInfo?.tournamentId,
+            name: doc.tournamentName || '',
+            currency: doc.tournamentInfo?.currency || 'USD',
+            buyin_amount: roundAmount((doc.tournamentInfo?.buyIn || 0) - fee - bounty, 2),
+            fee_amount: fee,
+            bounty_fee_amount: bounty
+        };
+    }
+
+    return { ohh };
+}
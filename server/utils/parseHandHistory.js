@@ -1,742 +1,324 @@
 import fs from 'fs';
 import path from 'path';
-import mongoose from 'mongoose';
 import Hand from '../models/Hand.js';
+import {
+    isPokerStarsHistory,
+    splitPokerStarsHands,
+    parsePokerStarsHeader,
+    parsePokerStarsBounties,
+    normalizePokerStarsHand
+} from './pokerStarsHandHistory.js';
+import {
+    isOpenHandHistory,
+    splitOpenHandHistories,
+    parseOpenHandHistory,
+    siteFromOhh
+} from './openHandHistory.js';
+import { createDiagnostic, buildImportReport } from './importReport.js';
+import { WPN_HAND_START, parseWpnHand, HeroNotDealtError } from './wpnHandParser.js';
+import { applyTournamentBuyIns } from './tournamentSummary.js';
+import { classifyActionLine } from './actionLineClassifier.js';
+import { classifyFlopTexture } from './boardTexture.js';
+import { calculateAllInEV } from './allInEV.js';
+import { updatePlayerStats } from './playerStats.js';
+
+// Stored on every hand as parserVersion. Bump it whenever a parser change
+// alters the documents it produces, so out-of-date hands can be found and
+// re-parsed from their rawText (POST /api/hands/reparse).
+export const PARSER_VERSION = 2;
+
+// Split a WPN file into hand blocks on the "Game Hand #" (tournament) or "Hand #" (cash) header lines
+function splitWpnHands(content) {
+    const hands = [];
+    let current = null;
+
+    for (const line of content.split('\n')) {
+        if (WPN_HAND_START.test(line)) {
+            if (current) hands.push(current.join('\n'));
+            current = [line];
+        } else if (current) {
+            current.push(line);
+        }
+    }
+    if (current) hands.push(current.join('\n'));
 
-// Helper function to parse card string into array
-function parseCards(cardString) {
-    return cardString.replace(/[\[\]]/g, '').split(' ');
+    return hands.filter(hand => hand.trim());
 }
 
-// Define positions dictionary at module level
-const positions = {
-    2: ['BTN/SB', 'BB'],
-    3: ['BTN', 'SB', 'BB'],
-    4: ['BTN', 'SB', 'BB', 'UTG'],
-    5: ['BTN', 'SB', 'BB', 'UTG', 'CO'],
-    6: ['BTN', 'SB', 'BB', 'UTG', 'HJ', 'CO'],
-    7: ['BTN', 'SB', 'BB', 'UTG', 'LJ', 'HJ', 'CO'],
-    8: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'LJ', 'HJ', 'CO'],
-    9: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'LJ', 'HJ', 'CO'],
-    10: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'MP', 'LJ', 'HJ', 'CO']
-};
-
-// Helper function to calculate position from button
-function calculatePosition(buttonPosition, playerSeat, numPlayers, heroSeat) {
-    // For 2 players, positions are fixed
-    if (numPlayers === 2) {
-        return positions[2][playerSeat - 1];
+export function detectHandHistoryFormat(content) {
+    if (isOpenHandHistory(content)) {
+        return 'ohh';
     }
-
-    // Get the base positions for the current number of players
-    const basePositions = positions[numPlayers];
-    
-    // Calculate the position index based on the distance from the button
-    // We need to calculate clockwise distance from button
-    const distanceFromButton = (playerSeat - buttonPosition + numPlayers) % numPlayers;
-    
-    return basePositions[distanceFromButton];
+    if (isPokerStarsHistory(content)) {
+        return 'pokerstars';
+    }
+    return 'wpn';
 }
 
-// Helper function to round to nearest 0.5
-function roundToNearestHalf(num) {
-    return Math.round(num * 2) / 2;
+// The site (Hand.site) of a file's hands, known before any of them are parsed;
+// an OHH file names it in its first hand
+export function detectHandHistorySite(content) {
+    const format = detectHandHistoryFormat(content);
+    if (format !== 'ohh') return format;
+    try {
+        const [first] = splitOpenHandHistories(content);
+        return first ? siteFromOhh(first.ohh || first) : 'other';
+    } catch (error) {
+        // The import reports the broken JSON
+        return 'other';
+    }
 }
 
-// Helper function to get position names array rotated so hero is always at index 0
-function getRotatedPositions(numPlayers, heroTableIndex) {
-    const arr = positions[numPlayers];
-    // Rotate so heroTableIndex is at index 0
-    return arr.slice(heroTableIndex).concat(arr.slice(0, heroTableIndex));
-}
+// Returns a function giving the 1-based line number of each hand's header line.
+// Hands are looked up in file order, so each search starts where the last one ended.
+function createHandLocator(content) {
+    let searchFrom = 0;
+    let lineNumber = 1;
 
-async function parseHandHistory(filePath, heroUsername) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        
-        // Split content into individual hands
-        const handBoundary = 'Game Hand #';
-        const hands = content.split(handBoundary).filter(hand => hand.trim());
-        
-        console.log(`Found ${hands.length} hands in file`);
-        
-        const parsedHands = [];
-        
-        // Process each hand
-        for (const handContent of hands) {
-            try {
-                // Add back the hand boundary marker that was removed by split
-                const fullHandContent = handBoundary + handContent;
-                const lines = fullHandContent.split('\n');
-
-                // Initialize hand object
-                const hand = {
-                    // Tournament Information
-                    tournamentId: null,
-                    tournamentName: null,
-                    buyIn: 0,
-                    gameType: 'Hold\'em',
-                    limitType: 'No Limit',
-                    currency: 'REAL',
-                    
-                    // Blind Level Information
-                    level: null,
-                    smallBlind: 0,
-                    bigBlind: 0,
-                    ante: 0,
-                    
-                    // Hand Information
-                    communityCards: {
-                        flop: [],
-                        turn: null,
-                        river: null
-                    },
-                    gameType: 'tournament',
-                    bettingActions: [],
-                    streetBets: [],
-                    foldedPlayers: [],
-                    villainCards: [],
-                    winners: [],
-                    losers: [],
-                    totalPot: 0,
-                    summary: [], // Add summary array to store player results
-                    
-                    // Stack Information
-                    playerStacks: new Map(), // Starting stacks
-                    finalStacks: new Map(),  // Final stacks
-                    
-                    // Pot Information
-                    potSizes: {
-                        preflop: 0,
-                        flop: 0,
-                        turn: 0,
-                        river: 0,
-                        final: 0
-                    },
-                    
-                    // Hand Strength
-                    showdown: {
-                        board: [],
-                        hands: [] // Array of {player, cards, description, strength}
-                    }
-                };
+    return headerLine => {
+        const offset = content.indexOf(headerLine, searchFrom);
+        if (offset === -1) {
+            return null;
+        }
+        for (let i = searchFrom; i < offset; i++) {
+            if (content[i] === '\n') lineNumber++;
+        }
+        searchFrom = offset + headerLine.length;
+        return lineNumber;
+    };
+}
 
-                let currentStreet = 'preflop';
-                let currentStreetActions = [];
-                let buttonPosition = 0;
-                let numPlayers = 0;
-                let heroStackSize = 0;
-                let bigBlind = 0;
-                let heroSeat = 0;
-                let players = new Map(); // Track players and their seats
-                let heroPlayerIndex = null;
-                let heroStackSizeBB = 0;
-                let seatToPlayerIndex = new Map(); // Map seat numbers to player indices
+// Parse every hand in a file. Hands that fail to parse are skipped and, like
+// any warnings raised while parsing, recorded on diagnostics with their line
+// number in the file.
+export function parseHandHistoryContent(content, heroUsername, diagnostics = []) {
+    const format = detectHandHistoryFormat(content);
+    const splitters = {
+        ohh: splitOpenHandHistories,
+        pokerstars: splitPokerStarsHands,
+        wpn: splitWpnHands
+    };
+    const hands = splitters[format](content);
+
+    console.log(`Found ${hands.length} ${format} hands in file`);
+
+    const parsedHands = [];
+    const locateHand = createHandLocator(content);
+
+    // Process each hand
+    for (const handContent of hands) {
+        const isText = typeof handContent === 'string';
+        const headerLine = isText ? handContent.split('\n')[0] : null;
+        const startLine = isText ? locateHand(headerLine) : null;
+        const handId = isText ? headerLine.match(/#(\d+)/)?.[1] || null : String((handContent.ohh || handContent).game_number);
+        const handDiagnostics = [];
 
-                // First pass: Parse player seats and stack sizes, set heroStackSize
-                for (const line of lines) {
-                    if (line.startsWith('Seat ')) {
-                        const match = line.match(/Seat (\d+): (\w+) \(([\d.]+)\)/);
-                        if (match) {
-                            numPlayers++;
-                            const [_, seat, player, stack] = match;
-                            const seatNum = parseInt(seat);
-                            const playerIndex = numPlayers - 1; // 0-based player index
-                            seatToPlayerIndex.set(seatNum, playerIndex);
-                            players.set(player, {
-                                seat: seatNum,
-                                stack: parseFloat(stack),
-                                playerIndex: playerIndex
-                            });
-                            if (player === heroUsername) {
-                                heroSeat = seatNum;
-                                heroStackSize = parseFloat(stack);
-                                heroPlayerIndex = playerIndex;
-                            }
-                        }
-                    }
+        try {
+            let hand;
+            if (format === 'ohh') {
+                hand = parseOpenHandHistory(handContent, heroUsername);
+            } else if (format === 'pokerstars') {
+                const header = parsePokerStarsHeader(handContent.split('\n')[0]);
+                hand = parseWpnHand(normalizePokerStarsHand(handContent), heroUsername, handDiagnostics);
+                hand.site = 'pokerstars';
+                if (header.isCash && hand.stakes) {
+                    hand.stakes.currency = header.currency || hand.stakes.currency;
+                    hand.currency = hand.stakes.currency;
                 }
-
-                // Second pass: Parse the rest of the hand
-                for (const line of lines) {
-                    // Parse game type and tournament info
-                    if (line.startsWith('Game Hand #')) {
-                        const [handId, tournamentId] = line.match(/#(\d+)/g).map(m => m.substring(1));
-                        hand.id = handId;
-                        hand._id = new mongoose.Types.ObjectId();
-                        
-                        // Extract timestamp
-                        const timestampMatch = line.match(/(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2})/);
-                        if (timestampMatch) {
-                            hand.timestamp = new Date(timestampMatch[1]);
-                        }
-
-                        // Extract blinds
-                        const blindsMatch = line.match(/Level \d+ \(([\d.]+)\/([\d.]+)\)/);
-                        if (blindsMatch) {
-                            bigBlind = parseFloat(blindsMatch[2]);
-                            heroStackSizeBB = heroStackSize / bigBlind;
-                        }
-
-                        // Parse tournament information
-                        const tournamentMatch = line.match(/Tournament #(\d+)/);
-                        if (tournamentMatch) {
-                            hand.tournamentId = tournamentMatch[1];
-                        }
-                        
-                        const levelMatch = line.match(/Level (\d+) \(([\d.]+)\/([\d.]+)\)/);
-                        if (levelMatch) {
-                            hand.level = parseInt(levelMatch[1]);
-                            hand.smallBlind = parseFloat(levelMatch[2]);
-                            hand.bigBlind = parseFloat(levelMatch[3]);
-                            hand.blindLevel = {
-                                level: parseInt(levelMatch[1]),
-                                smallBlind: parseFloat(levelMatch[2]),
-                                bigBlind: parseFloat(levelMatch[3])
-                            };
-                        }
-                    }
-
-                    // Parse button position
-                    if (line.includes('is the button')) {
-                        const buttonSeat = parseInt(line.match(/Seat #(\d+)/)[1]);
-                        const buttonPlayer = Array.from(players.entries()).find(([_, info]) => info.seat === buttonSeat);
-                        if (buttonPlayer) {
-                            buttonPosition = buttonPlayer[1].playerIndex;
-                        }
-                    }
-
-                    // Parse hole cards
-                    if (line.includes(`Dealt to ${heroUsername}`)) {
-                        const match = line.match(/\[(.*?)\]/);
-                        if (match) {
-                            hand.heroHoleCards = parseCards(match[1]);
-                        }
-                    }
-
-                    // Parse community cards and street transitions
-                    if (line.includes('*** FLOP ***')) {
-                        hand.streetBets.push([...currentStreetActions]);
-                        currentStreetActions = [];
-                        currentStreet = 'flop';
-                        const match = line.match(/\[(.*?)\]/);
-                        if (match) {
-                            hand.communityCards.flop = parseCards(match[1]);
-                        }
-                    } else if (line.includes('*** TURN ***')) {
-                        hand.streetBets.push([...currentStreetActions]);
-                        currentStreetActions = [];
-                        currentStreet = 'turn';
-                        const match = line.match(/\[(.*?)\] \[(.*?)\]/);
-                        if (match) {
-                            hand.communityCards.turn = match[2];
-                        }
-                    } else if (line.includes('*** RIVER ***')) {
-                        hand.streetBets.push([...currentStreetActions]);
-                        currentStreetActions = [];
-                        currentStreet = 'river';
-                        const match = line.match(/\[(.*?)\] \[(.*?)\]/);
-                        if (match) {
-                            hand.communityCards.river = match[2];
-                        }
-                    } else if (line.includes('*** SHOW DOWN ***')) {
-                        hand.streetBets.push([...currentStreetActions]);
-                        currentStreetActions = [];
-                        currentStreet = 'showdown';
-                    }
-
-                    // Parse betting actions
-                    if (line.trim() && !line.includes('***') && !line.includes('Main pot') && !line.includes('Dealt to')) {
-                        let actionObj = null;
-                        if (line.includes('posts the small blind')) {
-                            const match = line.match(/^(\w+) posts the small blind ([\d.]+)/);
-                            if (match) {
-                                const [_, player, amount] = match;
-                                const playerInfo = players.get(player);
-                                if (playerInfo) {
-                                    const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                    actionObj = {
-                                        playerId: player,
-                                        playerIndex: playerInfo.playerIndex,
-                                        position: playerPosition,
-                                        action: 'post',
-                                        amount: parseFloat(amount) / bigBlind,
-                                        street: 'preflop',
-                                        timestamp: new Date(),
-                                        order: hand.bettingActions.length
-                                    };
-                                }
-                            }
-                        } else if (line.includes('posts the big blind')) {
-                            const match = line.match(/^(\w+) posts the big blind ([\d.]+)/);
-                            if (match) {
-                                const [_, player, amount] = match;
-                                const playerInfo = players.get(player);
-                                if (playerInfo) {
-                                    const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                    actionObj = {
-                                        playerId: player,
-                                        playerIndex: playerInfo.playerIndex,
-                                        position: playerPosition,
-                                        action: 'post',
-                                        amount: parseFloat(amount) / bigBlind,
-                                        street: 'preflop',
-                                        timestamp: new Date(),
-                                        order: hand.bettingActions.length
-                                    };
-                                }
-                            }
-                        } else if (line.includes('folds')) {
-                            const player = line.match(/^(\w+)/)[1];
-                            const playerInfo = players.get(player);
-                            if (playerInfo) {
-                                const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                actionObj = {
-                                    playerId: player,
-                                    playerIndex: playerInfo.playerIndex,
-                                    position: playerPosition,
-                                    action: 'fold',
-                                    amount: 0,
-                                    street: currentStreet,
-                                    timestamp: new Date(),
-                                    order: hand.bettingActions.length
-                                };
-                                hand.foldedPlayers.push(playerInfo.playerIndex);
-                            }
-                        } else if (line.includes('calls')) {
-                            const match = line.match(/^(\w+) calls ([\d.]+)/);
-                            if (match) {
-                                const [_, player, amount] = match;
-                                const playerInfo = players.get(player);
-                                if (playerInfo) {
-                                    const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                    let callAmountBB = parseFloat(amount) / bigBlind;
-                                    
-                                    if (line.includes('all-in')) {
-                                        callAmountBB = Math.min(callAmountBB, heroStackSizeBB);
-                                        actionObj = {
-                                            playerId: player,
-                                            playerIndex: playerInfo.playerIndex,
-                                            position: playerPosition,
-                                            action: 'call',
-                                            amount: roundToNearestHalf(callAmountBB),
-                                            street: currentStreet,
-                                            timestamp: new Date(),
-                                            order: hand.bettingActions.length,
-                                            isAllIn: true
-                                        };
-                                    } else {
-                                        actionObj = {
-                                            playerId: player,
-                                            playerIndex: playerInfo.playerIndex,
-                                            position: playerPosition,
-                                            action: 'call',
-                                            amount: roundToNearestHalf(callAmountBB),
-                                            street: currentStreet,
-                                            timestamp: new Date(),
-                                            order: hand.bettingActions.length,
-                                            isAllIn: false
-                                        };
-                                    }
-                                }
-                            }
-                        } else if (line.includes('raises')) {
-                            const match = line.match(/^(\w+) raises ([\d.]+) to ([\d.]+)/);
-                            if (match) {
-                                const [_, player, raiseAmount, totalAmount] = match;
-                                const playerInfo = players.get(player);
-                                if (playerInfo) {
-                                    const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                    let raiseToAmountBB = parseFloat(totalAmount) / bigBlind;
-                                    if (currentStreet === 'preflop') {
-                                        if (playerPosition === 'BB') {
-                                            raiseToAmountBB -= 1;
-                                        } else if (playerPosition === 'SB') {
-                                            raiseToAmountBB -= 0.5;
-                                        }
-                                    }
-                                    if (line.includes('all-in')) {
-                                        raiseToAmountBB = Math.min(raiseToAmountBB, heroStackSizeBB);
-                                        actionObj = {
-                                            playerId: player,
-                                            playerIndex: playerInfo.playerIndex,
-                                            position: playerPosition,
-                                            action: 'raise',
-                                            amount: roundToNearestHalf(raiseToAmountBB),
-                                            street: currentStreet,
-                                            timestamp: new Date(),
-                                            order: hand.bettingActions.length,
-                                            isAllIn: true
-                                        };
-                                    } else {
-                                        raiseToAmountBB = Math.min(raiseToAmountBB, heroStackSizeBB);
-                                        actionObj = {
-                                            playerId: player,
-                                            playerIndex: playerInfo.playerIndex,
-                                            position: playerPosition,
-                                            action: 'raise',
-                                            amount: roundToNearestHalf(raiseToAmountBB),
-                                            street: currentStreet,
-                                            timestamp: new Date(),
-                                            order: hand.bettingActions.length,
-                                            isAllIn: false
-                                        };
-                                    }
-                                }
-                            }
-                        } else if (line.includes('bets')) {
-                            const match = line.match(/^(\w+) bets ([\d.]+)/);
-                            if (match) {
-                                const [_, player, amount] = match;
-                                const playerInfo = players.get(player);
-                                if (playerInfo) {
-                                    const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                    let betAmountBB = parseFloat(amount) / bigBlind;
-                                    
-                                    const isAllIn = line.includes('all-in');
-                                    if (isAllIn) {
-                                        betAmountBB = Math.min(betAmountBB, heroStackSizeBB);
-                                    }
-                                    
-                                    actionObj = {
-                                        playerId: player,
-                                        playerIndex: playerInfo.playerIndex,
-                                        position: playerPosition,
-                                        action: 'bet',
-                                        amount: roundToNearestHalf(betAmountBB),
-                                        street: currentStreet,
-                                        timestamp: new Date(),
-                                        order: hand.bettingActions.length,
-                                        isAllIn: isAllIn
-                                    };
-                                }
-                            }
-                        } else if (line.includes('checks')) {
-                            const player = line.match(/^(\w+)/)[1];
-                            const playerInfo = players.get(player);
-                            if (playerInfo) {
-                                const playerPosition = calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex);
-                                actionObj = {
-                                    playerId: player,
-                                    playerIndex: playerInfo.playerIndex,
-                                    position: playerPosition,
-                                    action: 'check',
-                                    amount: 0,
-                                    street: currentStreet,
-                                    timestamp: new Date(),
-                                    order: hand.bettingActions.length
-                                };
-                            }
-                        }
-                        if (actionObj) {
-                            hand.bettingActions.push(actionObj);
-                            currentStreetActions.push(actionObj);
-                        }
-                    }
-
-                    // Parse villain cards
-                    if (line.includes('shows')) {
-                        const match = line.match(/(\w+) shows \[(.*?)\]/);
-                        if (match) {
-                            const [_, player, cards] = match;
-                            const playerInfo = players.get(player);
-                            if (playerInfo) {
-                                if (playerInfo.playerIndex !== heroPlayerIndex) {
-                                    hand.villainCards.push({
-                                        playerIndex: playerInfo.playerIndex,
-                                        cards: parseCards(cards)
-                                    });
-                                }
-                            }
-                        }
-                    }
-
-                    // Parse pot size
-                    if (line.includes('Main pot')) {
-                        const match = line.match(/Main pot ([\d.]+)/);
-                        if (match) {
-                            const potSize = parseFloat(match[1]);
-                            hand.potSizes[currentStreet] = potSize / bigBlind;
-                            if (currentStreet === 'river') {
-                                hand.potSizes.final = potSize / bigBlind;
-                            }
-                        }
-                    }
-
-                    // Parse winner and loser information
-                    if (line.includes('did not show and won') || line.includes('shows') || line.includes('collected') || 
-                        line.includes('and won') || line.includes('and lost')) {
-                        console.log('\n=== Parsing Winner/Loser Line ===');
-                        console.log('Line:', line);
-                        
-                        // Match formats:
-                        // 1. "Seat X: Player did not show and won (amount)"
-                        // 2. "Seat X: Player shows [cards] and won amount with a hand [board]"
-                        // 3. "Seat X: Player showed [cards] and lost with a hand [board]"
-                        const playerMatch = line.match(/Seat (\d+): (\w+) (?:did not show and won|shows|collected|showed \[.*?\] and (?:won|lost)) (?:\[.*?\] )?(?:with a .*? \[.*?\])?\(?([\d.]+)\)?/);
-                        if (playerMatch) {
-                            const [_, seat, player, amount] = playerMatch;
-                            console.log('Player Match:', { seat, player, amount });
-                            
-                            const playerInfo = players.get(player);
-                            if (playerInfo) {
-                                // Check for loss first, then win conditions
-                                const isWinner = !line.includes('and lost') && 
-                                               (line.includes('and won') || 
-                                                line.includes('collected') || 
-                                                line.includes('did not show and won'));
-                                const winAmount = amount ? parseFloat(amount) / bigBlind : 0;
-                                
-                                const playerResult = {
-                                    playerIndex: playerInfo.playerIndex,
-                                    username: player,
-                                    position: calculatePosition(buttonPosition, playerInfo.playerIndex, numPlayers, heroPlayerIndex),
-                                    isWinner: isWinner,
-                                    amount: isWinner ? roundToNearestHalf(winAmount) : 0
-                                };
-
-                                // If the line includes the hand description, add it
-                                const handMatch = line.match(/with a (.*?) \[(.*?)\]/);
-                                if (handMatch) {
-                                    playerResult.hand = {
-                                        description: handMatch[1],
-                                        cards: parseCards(handMatch[2])
-                                    };
-                                }
-
-                                console.log('Player Result:', playerResult);
-
-                                // Add to summary array
-                                const summaryEntry = {
-                                    seat: parseInt(seat),
-                                    player: player,
-                                    result: line.includes('did not show and won') ? 'did not show and won' :
-                                           line.includes('shows') ? 'shows' :
-                                           line.includes('collected') ? 'collected' :
-                                           line.includes('and won') ? 'won' : 'lost',
-                                    amount: winAmount
-                                };
-                                hand.summary.push(summaryEntry);
-                                console.log('Added to summary:', summaryEntry);
-
-                                if (isWinner) {
-                                    if (!hand.winners) hand.winners = [];
-                                    hand.winners.push(playerResult);
-                                    console.log('Added to winners:', playerResult);
-                                } else {
-                                    if (!hand.losers) hand.losers = [];
-                                    hand.losers.push(playerResult);
-                                    console.log('Added to losers:', playerResult);
-                                }
-                            }
-                        }
-                    }
-
-                    // Track stack sizes
-                    if (line.startsWith('Seat ')) {
-                        const stackMatch = line.match(/Seat (\d+): (\w+) \(([\d.]+)\)/);
-                        if (stackMatch) {
-                            const [_, seat, player, stack] = stackMatch;
-                            hand.playerStacks.set(player, parseFloat(stack));
-                        }
-                    }
-
-                    // Track ante amounts
-                    if (line.includes('posts ante')) {
-                        const anteMatch = line.match(/posts ante ([\d.]+)/);
-                        if (anteMatch) {
-                            hand.ante = parseFloat(anteMatch[1]);
-                        }
-                    }
-
-                    // Track uncalled bets
-                    if (line.includes('Uncalled bet')) {
-                        console.log('\n=== Parsing Uncalled Bet ===');
-                        console.log('Line:', line);
-                        
-                        const uncalledMatch = line.match(/Uncalled bet \(([\d.]+)\) returned to (\w+)/);
-                        if (uncalledMatch) {
-                            const [_, amount, player] = uncalledMatch;
-                            hand.uncalledBet = {
-                                amount: parseFloat(amount) / bigBlind,
-                                player: player
-                            };
-                            console.log('Uncalled Bet:', hand.uncalledBet);
-                        }
-                    }
-
-                    // Track showdown information
-                    if (line.includes('*** SHOW DOWN ***')) {
-                        hand.showdown.board = [
-                            ...hand.communityCards.flop,
-                            hand.communityCards.turn,
-                            hand.communityCards.river
-                        ].filter(Boolean);
-                    }
-
-                    if (line.includes('shows') || line.includes('collected')) {
-                        const handMatch = line.match(/(\w+) (?:shows|collected) \[(.*?)\] (?:and (?:won|lost) (?:[\d.]+) )?with a (.*?) \[(.*?)\]/);
-                        if (handMatch) {
-                            const [_, player, cards, description, board] = handMatch;
-                            hand.showdown.hands.push({
-                                player,
-                                cards: parseCards(cards),
-                                description,
-                                board: parseCards(board)
-                            });
-                        }
-                    }
+                if (header.tournamentId) {
+                    hand.tournamentInfo = {
+                        ...hand.tournamentInfo,
+                        buyIn: header.buyIn + header.bounty + header.fee,
+                        fee: header.fee,
+                        bounty: header.bounty,
+                        currency: header.currency || hand.tournamentInfo.currency
+                    };
+                    hand.buyIn = hand.tournamentInfo.buyIn;
                 }
+                const bounties = parsePokerStarsBounties(handContent);
+                if (bounties) Object.assign(hand, bounties);
+            } else {
+                hand = parseWpnHand(handContent, heroUsername, handDiagnostics);
+            }
 
-                // After parsing all lines, calculate positions based on adjusted button and player order
-                const preflopActions = hand.bettingActions.filter(action => action.street === 'preflop');
-                const uniqueActors = [...new Set(preflopActions.map(action => action.playerIndex))];
-                
-                // Create a mapping of player indices to their positions based on action order
-                const playerIndexToPosition = {};
-                
-                // Get the appropriate position array based on number of players
-                const positionArray = positions[numPlayers] || positions[6];
-
-                // Assign positions based on action order
-                uniqueActors.forEach((playerIndex, index) => {
-                    playerIndexToPosition[playerIndex] = positionArray[index];
-                });
-
-                // Update all preflop actions with the correct positions
-                hand.bettingActions.forEach(action => {
-                    if (action.street === 'preflop') {
-                        action.position = playerIndexToPosition[action.playerIndex];
-                    } else {
-                        const adjustedPosition = (action.playerIndex - buttonPosition + numPlayers) % numPlayers;
-                        action.position = positions[numPlayers][adjustedPosition];
-                    }
-                });
-
-                // Create streetBets array with the updated positions
-                hand.streetBets = hand.bettingActions.map(action => ({
-                    playerIndex: action.playerIndex,
-                    position: action.position,
-                    action: action.action,
-                    amount: action.amount,
-                    street: action.street,
-                    timestamp: action.timestamp,
-                    order: action.order,
-                    isAllIn: action.isAllIn
+            // Keep the hand exactly as it appeared in the file so it can be parsed again later
+            hand.rawText = isText ? handContent : JSON.stringify(handContent);
+            hand.parserVersion = PARSER_VERSION;
+            parsedHands.push(hand);
+        } catch (error) {
+            if (error instanceof HeroNotDealtError) {
+                // A valid hand with nothing of hero's in it: left out, but not skipped
+                handDiagnostics.push(createDiagnostic({
+                    severity: 'info',
+                    code: 'hero-not-dealt',
+                    message: error.message,
+                    handId,
+                    lineNumber: 1,
+                    line: headerLine
                 }));
-
-                // Find hero's seat number
-                const heroSeatMatch = lines.find(line => line.includes('Seat') && line.includes(heroUsername));
-                if (heroSeatMatch) {
-                    const heroSeatNum = parseInt(heroSeatMatch.match(/Seat (\d+):/)[1]);
-                    const heroPosRelativeToButton = (heroPlayerIndex - buttonPosition + numPlayers) % numPlayers;
-                    
-                    hand.heroPosition = 0;
-                    hand.buttonPosition = (numPlayers - heroPosRelativeToButton) % numPlayers;
-
-                    const rotatedPositions = getRotatedPositions(numPlayers, heroPosRelativeToButton);
-                    
-                    const playerIndexToAdjustedIndex = new Map();
-                    Array.from(players.entries()).forEach(([name, info]) => {
-                        const adjustedIndex = (info.playerIndex - heroPlayerIndex + numPlayers) % numPlayers;
-                        playerIndexToAdjustedIndex.set(info.playerIndex, adjustedIndex);
-                    });
-                    
-                    hand.bettingActions = hand.bettingActions.map(action => {
-                        const adjustedIndex = playerIndexToAdjustedIndex.get(action.playerIndex);
-                        return {
-                            ...action,
-                            playerIndex: adjustedIndex,
-                            position: rotatedPositions[adjustedIndex]
-                        };
-                    });
-                    
-                    hand.foldedPlayers = hand.foldedPlayers.map(index => 
-                        playerIndexToAdjustedIndex.get(index)
-                    );
-                    
-                    hand.villainCards = hand.villainCards.map(villain => ({
-                        ...villain,
-                        playerIndex: playerIndexToAdjustedIndex.get(villain.playerIndex)
-                    }));
-
-                    hand.streetBets = [
-                        hand.bettingActions.filter(action => action.street === 'preflop'),
-                        hand.bettingActions.filter(action => action.street === 'flop'),
-                        hand.bettingActions.filter(action => action.street === 'turn'),
-                        hand.bettingActions.filter(action => action.street === 'river')
-                    ];
-                } else {
-                    hand.heroPosition = 0;
-                    hand.buttonPosition = 0;
-                }
-
-                // Set final values
-                hand.numPlayers = numPlayers;
-                hand.heroStackSize = roundToNearestHalf(heroStackSizeBB);
-                hand.currentStreet = currentStreet;
-                hand.heroPlayerIndex = heroPlayerIndex;
-                hand.potSize = roundToNearestHalf(hand.potSizes[currentStreet]);
-                
-                // Calculate hero's profit/loss
-                const heroWin = hand.winners.find(w => w.username === heroUsername);
-                hand.heroProfit = heroWin ? heroWin.amount : 0;
-                hand.heroWon = !!heroWin;
-
-                parsedHands.push(hand);
-                
-            } catch (error) {
+            } else {
                 console.error('Error parsing individual hand:', error);
-                continue;
+                handDiagnostics.push(createDiagnostic({
+                    severity: 'error',
+                    code: 'parse-error',
+                    message: error.message,
+                    handId,
+                    lineNumber: 1,
+                    line: headerLine
+                }));
             }
         }
 
-        return parsedHands;
+        // PokerStars hands are parsed after being rewritten, so their line numbers only point at the hand
+        handDiagnostics.forEach(diagnostic => {
+            diagnostics.push({
+                ...diagnostic,
+                handId: diagnostic.handId || handId,
+                lineNumber: startLine === null ? null : startLine + (format === 'wpn' ? diagnostic.lineNumber - 1 : 0)
+            });
+        });
+    }
+
+    return parsedHands;
+}
+
+// byteRange ({ start, end }) limits parsing to part of the file, e.g. the hands appended since the last read
+async function parseHandHistory(filePath, heroUsername, diagnostics = [], byteRange = null) {
+    try {
+        const buffer = fs.readFileSync(filePath);
+        const content = (byteRange ? buffer.subarray(byteRange.start, byteRange.end) : buffer).toString('utf8');
+        return parseHandHistoryContent(content, heroUsername, diagnostics);
     } catch (error) {
         console.error('Error parsing hand history file:', error);
         throw error;
     }
 }
 
+// Report import progress every this many saved hands
+const PROGRESS_INTERVAL = 25;
+
+// Work out how far hero got in a hand:
+//   'folded-preflop' - hero folded before the flop
+//   'preflop-only'   - the hand ended preflop, or hero never acted after the flop
+//   'postflop'       - hero saw the flop and acted on it
+export function classifyHeroInvolvement(hand) {
+    const heroFoldedPreflop = hand.bettingActions.some(action =>
+        action.playerIndex === 0 &&
+        action.street === 'preflop' &&
+        action.action === 'fold'
+    );
+    if (heroFoldedPreflop) {
+        return 'folded-preflop';
+    }
+
+    const streets = new Set(hand.bettingActions.map(action => action.street));
+    const heroPostflopActions = hand.bettingActions.some(action =>
+        action.playerIndex === 0 &&
+        action.street !== 'preflop'
+    );
+
+    return streets.size > 1 && heroPostflopActions ? 'postflop' : 'preflop-only';
+}
+
+// Fields the user owns, or that say where the hand came from; neither a re-parse
+// nor importing the hand again overwrites them
+export const PRESERVED_FIELDS = ['_id', 'id', 'username', 'site', 'importBatch', 'tournamentName', 'viewed', 'notes', 'tags', 'reviewStatus'];
+
+// Shape a parsed hand for MongoDB, converting Map objects to plain objects
+export function toHandDocument(hand) {
+    return {
+        ...hand,
+        playerStacks: Object.fromEntries(hand.playerStacks),
+        finalStacks: Object.fromEntries(hand.finalStacks),
+        ...(hand.playerBounties && { playerBounties: Object.fromEntries(hand.playerBounties) }),
+        winners: hand.winners || [],
+        losers: hand.losers || [],
+        summary: hand.summary || [],
+        uncalledBet: hand.uncalledBet || null
+    };
+}
+
+// The filter and update that store a parsed hand for its screen name. A hand
+// is the same hand only for the same screen name on the same site; another
+// player's copy of it is a separate document. The preserved fields are only
+// written when the hand is new, so importing it again never moves it to
+// another batch or account or wipes the user's edits, except for the ones this
+// upload gives a value (a tournament name typed in on the import page).
+export function buildHandUpsert(hand, { importBatchId = null, uploadFields = [] } = {}) {
+    const { username, site, ...handData } = toHandDocument(hand);
+    const insertOnly = { username, site, importBatch: importBatchId };
+    PRESERVED_FIELDS
+        .filter(field => field !== 'id' && field in handData && !uploadFields.includes(field))
+        .forEach(field => {
+            insertOnly[field] = handData[field];
+            delete handData[field];
+        });
+
+    return {
+        filter: { username, site, id: hand.id },
+        update: { $set: handData, $setOnInsert: insertOnly }
+    };
+}
+
 // Main function to process all hand history files
-export async function processHandHistories(filePath, tournamentName, heroUsername) {
+// Options:
+//   importMode    - 'played' (default) keeps only hands hero played postflop; 'all' keeps every dealt hand
+//   importBatchId - ImportBatch that new hands are tagged with
+//   onProgress    - called with { totalHands, handsToSave, parsed, saved, duplicates, skipped } as hands are saved
+//   byteRange     - { start, end } byte offsets to import only part of the file
+export async function processHandHistories(filePath, tournamentName, heroUsername, { importMode = 'played', importBatchId = null, onProgress = () => {}, byteRange = null } = {}) {
     try {
         console.log(`Processing file: ${filePath}`);
-        console.log('Parameters:', { tournamentName, heroUsername });
+        console.log('Parameters:', { tournamentName, heroUsername, importMode, importBatchId });
         
         let totalHands = 0;
         let handsPlayed = 0;
         let handsSaved = 0;
+        let duplicates = 0;
+        let site = null;
+        const createdHandIds = [];
+        const newHands = [];
+        const diagnostics = [];
         
         try {
-            const hands = await parseHandHistory(filePath, heroUsername);
-            totalHands += hands.length;
+            const hands = await parseHandHistory(filePath, heroUsername, diagnostics, byteRange);
+            site = hands[0]?.site || null;
+            const skippedHands = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+            totalHands += hands.length + skippedHands;
             console.log(`Parsed ${hands.length} hands from file`);
             
-            // Filter out hands that end at preflop or where hero is not involved
-            const playedHands = hands.filter(hand => {
-                const streets = hand.bettingActions.map(action => action.street);
-                const uniqueStreets = [...new Set(streets)];
-                
-                const heroFoldedPreflop = hand.bettingActions.some(action => 
-                    action.playerIndex === 0 && 
-                    action.street === 'preflop' && 
-                    action.action === 'fold'
-                );
-                
-                const heroPostflopActions = hand.bettingActions.some(action => 
-                    action.playerIndex === 0 && 
-                    action.street !== 'preflop'
-                );
-                
-                return uniqueStreets.length > 1 && !heroFoldedPreflop && heroPostflopActions;
+            // Flag how far hero got in every hand, the line it took and the flop texture, then keep only the hands the import mode asks for
+            hands.forEach(hand => {
+                hand.heroInvolvement = classifyHeroInvolvement(hand);
+                hand.actionLine = classifyActionLine(hand);
+                hand.flopTexture = classifyFlopTexture(hand.communityCards?.flop);
+            });
+            const playedHands = hands.filter(hand => hand.heroInvolvement === 'postflop');
+            const handsToSave = importMode === 'all' ? hands : playedHands;
+            // All-in EV runs out the board, so it is only worked out for the hands being saved
+            handsToSave.forEach(hand => {
+                hand.allInEV = calculateAllInEV(hand);
             });
             
             handsPlayed += playedHands.length;
             console.log(`Filtered to ${playedHands.length} played hands`);
+
+            let handsProcessed = 0;
+            const reportProgress = () => onProgress({
+                totalHands,
+                handsToSave: handsToSave.length,
+                parsed: hands.length,
+                saved: handsSaved,
+                duplicates,
+                skipped: skippedHands + handsProcessed - handsSaved - duplicates
+            });
+            reportProgress();
+
+            // Hand headers don't always carry the buy-in; an imported tournament summary does
+            await applyTournamentBuyIns(handsToSave, heroUsername);
             
-            // Save each played hand to the database
-            for (const hand of playedHands) {
+            // Save each hand to the database
+            for (const hand of handsToSave) {
                 try {
                     // Add tournament name if provided
                     if (tournamentName) {
@@ -757,22 +339,11 @@ export async function processHandHistories(filePath, tournamentName, heroUsernam
                     console.log('\nFinal Stacks:', JSON.stringify(Object.fromEntries(hand.finalStacks), null, 2));
                     console.log('========================\n');
 
-                    // Convert Map objects to plain objects for MongoDB
-                    const handData = {
-                        ...hand,
-                        playerStacks: Object.fromEntries(hand.playerStacks),
-                        finalStacks: Object.fromEntries(hand.finalStacks),
-                        winners: hand.winners || [],
-                        losers: hand.losers || [],
-                        summary: hand.summary || [],
-                        uncalledBet: hand.uncalledBet || null
-                    };
-
-                    const result = await Hand.updateOne(
-                        { id: hand.id },
-                        { $set: handData },
-                        { upsert: true }
-                    );
+                    const { filter, update } = buildHandUpsert(hand, {
+                        importBatchId,
+                        uploadFields: tournamentName ? ['tournamentName'] : []
+                    });
+                    const result = await Hand.updateOne(filter, update, { upsert: true });
                     
                     console.log('Database Update Result:', {
                         matchedCount: result.matchedCount,
@@ -780,28 +351,76 @@ export async function processHandHistories(filePath, tournamentName, heroUsernam
                         upsertedCount: result.upsertedCount
                     });
                     
-                    handsSaved++;
+                    if (result.matchedCount > 0) {
+                        duplicates++;
+                        diagnostics.push(createDiagnostic({
+                            severity: 'info',
+                            code: 'duplicate',
+                            message: 'Hand was already imported; the stored copy was updated',
+                            handId: hand.id
+                        }));
+                    } else {
+                        handsSaved++;
+                        createdHandIds.push(update.$setOnInsert._id);
+                        newHands.push({ ...filter, ...update.$set });
+                    }
                 } catch (err) {
                     if (err.code === 11000) {
                         console.log('Duplicate hand skipped:', hand.id);
+                        duplicates++;
+                        diagnostics.push(createDiagnostic({
+                            severity: 'info',
+                            code: 'duplicate',
+                            message: 'Hand was already imported and was skipped',
+                            handId: hand.id
+                        }));
                         continue;
                     }
                     console.error(`Error saving hand ${hand.id}:`, err.message);
+                    diagnostics.push(createDiagnostic({
+                        severity: 'error',
+                        code: 'save-error',
+                        message: `Could not save hand: ${err.message}`,
+                        handId: hand.id
+                    }));
+                } finally {
+                    handsProcessed++;
+                    if (handsProcessed % PROGRESS_INTERVAL === 0 || handsProcessed === handsToSave.length) {
+                        reportProgress();
+                    }
                 }
             }
             
+            // Only hands stored for the first time count towards opponent profiles
+            try {
+                const players = await updatePlayerStats(newHands);
+                console.log(`Updated the profiles of ${players} players`);
+            } catch (error) {
+                console.error('Error updating player profiles:', error);
+            }
+            
             console.log(`Successfully parsed ${hands.length} hands from file`);
-            console.log(`Filtered out ${hands.length - playedHands.length} preflop-only hands`);
-            console.log(`Saved ${playedHands.length} hands to the database`);
+            console.log(`Filtered out ${hands.length - handsToSave.length} preflop-only hands`);
+            console.log(`Saved ${handsSaved} hands to the database`);
             
         } catch (error) {
             console.error(`Error processing file ${filePath}:`, error);
+            diagnostics.push(createDiagnostic({
+                severity: 'error',
+                code: 'file-error',
+                message: `Could not read file: ${error.message}`
+            }));
         }
         
         return {
             totalHands,
             handsPlayed,
-            handsSaved
+            handsSaved,
+            duplicates,
+            // Site of the hands hero was dealt into; null when there were none
+            site,
+            createdHandIds,
+            report: buildImportReport(diagnostics)
         };
         
     } catch (error) {
@@ -0,0 +1,80 @@
+import PlayerIdentity from '../models/PlayerIdentity.js';
+import { screenNameFilter, ownsScreenName, NOT_YOUR_SCREEN_NAME } from './auth.js';
+
+// Player identities group an account's screen names across sites. Routes take
+// either a username (one screen name) or an identity (every alias of it) and
+// turn it into the conditions for Hand queries.
+
+export const ALIAS_SITES = ['wpn', 'pokerstars', 'other'];
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// The Hand conditions for an identity: each alias's screen name on its own
+// site only, so an alias on one site never pulls in another site's player of
+// the same name
+export function aliasHandFilter(identity) {
+    const aliases = identity?.aliases || [];
+    if (aliases.length === 0) return { username: { $in: [] } };
+    return { $or: aliases.map(({ site, screenName }) => ({ site, username: screenName })) };
+}
+
+// Trims and de-duplicates (site, screenName) pairs. Returns { aliases } or { error }.
+export function normalizeAliases(aliases) {
+    if (!Array.isArray(aliases)) {
+        return { error: 'Aliases must be a list of { site, screenName }' };
+    }
+
+    const seen = new Set();
+    const normalized = [];
+    for (const alias of aliases) {
+        const screenName = typeof alias?.screenName === 'string' ? alias.screenName.trim() : '';
+        if (!screenName || !ALIAS_SITES.includes(alias.site)) {
+            return { error: `Every alias needs a screen name and a site (${ALIAS_SITES.join(', ')})` };
+        }
+        const key = `${alias.site}\u0000${screenName}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        normalized.push({ site: alias.site, screenName });
+    }
+    return { aliases: normalized };
+}
+
+// Only the account's own screen names, on the site they are bound on, can be
+// aliases; returns the first one that is not
+export function foreignScreenName(req, aliases) {
+    return aliases.find(alias => !ownsScreenName(req, alias.screenName, alias.site))?.screenName || null;
+}
+
+// One of the signed-in account's identities, or null
+export async function findIdentity(req, identityId) {
+    if (!OBJECT_ID.test(identityId)) return null;
+    return PlayerIdentity.findOne({ _id: identityId, owner: req.user._id });
+}
+
+// Whose hands a request asks for: { filter, label } with the Hand query
+// conditions and a name to show, or { status, message } when it cannot have them
+export async function resolveHero(req, { username, identity }) {
+    if (identity) {
+        const found = await findIdentity(req, identity);
+        if (!found) return { status: 404, message: 'Player identity not found' };
+        return { filter: aliasHandFilter(found), label: found.name };
+    }
+
+    const filter = screenNameFilter(req, username);
+    if (!filter) return { status: 403, message: NOT_YOUR_SCREEN_NAME };
+    return { filter, label: username };
+}
+
+// For the batch scripts, which run without an account: the Hand conditions for
+// the identity with this id or name. Throws when the name is not unique.
+export async function handFilterOfIdentity(idOrName) {
+    const query = OBJECT_ID.test(idOrName) ? { _id: idOrName } : { name: idOrName };
+    const identities = await PlayerIdentity.find(query).lean();
+    if (identities.length === 0) {
+        throw new Error(`No player identity ${idOrName}`);
+    }
+    if (identities.length > 1) {
+        throw new Error(`${identities.length} accounts have an identity called ${idOrName}; use its id instead`);
+    }
+    return aliasHandFilter(identities[0]);
+}
@@ -0,0 +1,186 @@
+import Player from '../models/Player.js';
+import { statsFromCounters } from './hudStats.js';
+
+// Opponent profiles: every seat of every stored hand adds to the HUD counters
+// of the player in it (models/Player.js), in the profile kept for the hand's
+// screen name and site. Counting happens once per hand, as the hand is stored;
+// deleting or re-parsing a hand takes its counts back out.
+
+export const PLAYER_COUNTERS = [
+    'hands', 'vpip', 'pfr',
+    'threeBet', 'threeBetOpportunities',
+    'foldToThreeBet', 'foldToThreeBetOpportunities',
+    'cbet', 'cbetOpportunities',
+    'foldToCbet', 'foldToCbetOpportunities',
+    'postflopAggressive', 'postflopCalls',
+    'sawFlop', 'wentToShowdown', 'wonAtShowdown'
+];
+
+const POSTFLOP_STREETS = ['flop', 'turn', 'river'];
+
+// Counters for every player in one hand, keyed by screen name:
+//   vpip / pfr     - called or raised / raised preflop
+//   threeBet       - raised the first time they faced exactly one raise
+//   foldToThreeBet - the opener folded the first time they faced the 3-bet
+//   cbet           - the preflop raiser bet the flop before anyone else bet
+//   foldToCbet     - folded the first time they acted after that c-bet
+//   wentToShowdown - saw the flop and was still in at the end, with someone else
+//   wonAtShowdown  - went to showdown and won money
+export function playerStatsFromHand(hand) {
+    const allActions = hand.bettingActions || [];
+    const names = new Map();
+    allActions.forEach(action => {
+        if (action.playerId && !names.has(action.playerIndex)) {
+            names.set(action.playerIndex, action.playerId);
+        }
+    });
+
+    const counters = new Map();
+    names.forEach((name, playerIndex) => {
+        const playerCounters = Object.fromEntries(PLAYER_COUNTERS.map(key => [key, 0]));
+        playerCounters.hands = 1;
+        counters.set(playerIndex, playerCounters);
+    });
+    const count = (playerIndex, key) => {
+        const playerCounters = counters.get(playerIndex);
+        if (playerCounters) playerCounters[key]++;
+    };
+
+    const actions = allActions.filter(action => action.action !== 'post');
+    const preflop = actions.filter(action => action.street === 'preflop');
+
+    // Preflop: walk the raises in order to know what each player was facing
+    const voluntary = new Set();
+    const raisers = new Set();
+    const facedOneRaise = new Set();
+    let raises = 0;
+    let opener = null;
+    let openerFacedThreeBet = false;
+    let preflopRaiser = null;
+    preflop.forEach(action => {
+        const { playerIndex } = action;
+        if (action.action === 'call' || action.action === 'raise') voluntary.add(playerIndex);
+
+        if (raises === 1 && playerIndex !== opener && !facedOneRaise.has(playerIndex)) {
+            facedOneRaise.add(playerIndex);
+            count(playerIndex, 'threeBetOpportunities');
+            if (action.action === 'raise') count(playerIndex, 'threeBet');
+        }
+        if (raises === 2 && playerIndex === opener && !openerFacedThreeBet) {
+            openerFacedThreeBet = true;
+            count(playerIndex, 'foldToThreeBetOpportunities');
+            if (action.action === 'fold') count(playerIndex, 'foldToThreeBet');
+        }
+
+        if (action.action === 'raise') {
+            raises++;
+            raisers.add(playerIndex);
+            preflopRaiser = playerIndex;
+            if (raises === 1) opener = playerIndex;
+        }
+    });
+    voluntary.forEach(playerIndex => count(playerIndex, 'vpip'));
+    raisers.forEach(playerIndex => count(playerIndex, 'pfr'));
+
+    const folded = new Set(preflop.filter(action => action.action === 'fold').map(action => action.playerIndex));
+    const sawFlop = (hand.communityCards?.flop || []).length > 0 || actions.some(action => action.street === 'flop');
+    if (!sawFlop) return byName(counters, names);
+
+    const flopPlayers = [...names.keys()].filter(playerIndex => !folded.has(playerIndex));
+    flopPlayers.forEach(playerIndex => count(playerIndex, 'sawFlop'));
+
+    // C-bet: the preflop raiser's first flop action, if nobody bet before it
+    const flop = actions.filter(action => action.street === 'flop');
+    const raiserFirstAction = flop.findIndex(action => action.playerIndex === preflopRaiser);
+    if (preflopRaiser !== null && raiserFirstAction > -1 &&
+        !flop.slice(0, raiserFirstAction).some(action => action.action === 'bet')) {
+        count(preflopRaiser, 'cbetOpportunities');
+        if (flop[raiserFirstAction].action === 'bet') {
+            count(preflopRaiser, 'cbet');
+            const responded = new Set();
+            flop.slice(raiserFirstAction + 1).forEach(action => {
+                if (action.playerIndex === preflopRaiser || responded.has(action.playerIndex)) return;
+                responded.add(action.playerIndex);
+                count(action.playerIndex, 'foldToCbetOpportunities');
+                if (action.action === 'fold') count(action.playerIndex, 'foldToCbet');
+            });
+        }
+    }
+
+    actions.filter(action => POSTFLOP_STREETS.includes(action.street)).forEach(action => {
+        if (action.action === 'bet' || action.action === 'raise') count(action.playerIndex, 'postflopAggressive');
+        if (action.action === 'call') count(action.playerIndex, 'postflopCalls');
+        if (action.action === 'fold') folded.add(action.playerIndex);
+    });
+
+    const atShowdown = flopPlayers.filter(playerIndex => !folded.has(playerIndex));
+    if (atShowdown.length >= 2) {
+        atShowdown.forEach(playerIndex => {
+            count(playerIndex, 'wentToShowdown');
+            const won = (hand.winners || []).some(winner =>
+                winner.username === names.get(playerIndex) && winner.amount > 0
+            );
+            if (won) count(playerIndex, 'wonAtShowdown');
+        });
+    }
+
+    return byName(counters, names);
+}
+
+function byName(counters, names) {
+    return new Map([...counters].map(([playerIndex, playerCounters]) => [names.get(playerIndex), playerCounters]));
+}
+
+// Add the hands' counters to their players (direction 1), or take them back
+// out (direction -1) when hands are deleted or about to be re-parsed. Hands
+// need their username and site: that is whose profiles they count towards.
+export async function updatePlayerStats(hands, direction = 1) {
+    const totals = new Map();
+    hands.forEach(hand => {
+        const { username, site } = hand;
+        playerStatsFromHand(hand).forEach((playerCounters, name) => {
+            const key = `${username}\u0000${site}\u0000${name}`;
+            const total = totals.get(key) || {
+                owner: { username, site, name },
+                counters: Object.fromEntries(PLAYER_COUNTERS.map(counter => [counter, 0])),
+                lastSeenAt: null
+            };
+            PLAYER_COUNTERS.forEach(counter => {
+                total.counters[counter] += playerCounters[counter] * direction;
+            });
+            if (hand.timestamp && (!total.lastSeenAt || hand.timestamp > total.lastSeenAt)) {
+                total.lastSeenAt = hand.timestamp;
+            }
+            totals.set(key, total);
+        });
+    });
+    if (totals.size === 0) return 0;
+
+    const operations = [...totals.values()].map(({ owner, counters, lastSeenAt }) => ({
+        updateOne: {
+            filter: owner,
+            update: direction > 0 && lastSeenAt
+                ? { $inc: counters, $max: { lastSeenAt } }
+                : { $inc: counters },
+            upsert: direction > 0
+        }
+    }));
+    await Player.bulkWrite(operations, { ordered: false });
+    return totals.size;
+}
+
+// One profile for a player out of the ones kept for each of an account's
+// screen names: the counters summed, with the HUD stats built from them
+export function combinePlayerProfiles(name, players) {
+    const profile = Object.fromEntries(PLAYER_COUNTERS.map(counter => [counter, 0]));
+    let lastSeenAt = null;
+    players.forEach(player => {
+        PLAYER_COUNTERS.forEach(counter => {
+            profile[counter] += player[counter] || 0;
+        });
+        if (player.lastSeenAt && (!lastSeenAt || player.lastSeenAt > lastSeenAt)) {
+            lastSeenAt = player.lastSeenAt;
+        }
+    });
+    return { name, ...profile, lastSeenAt, stats: statsFromCounters(profile) };
+}
@@ -0,0 +1,296 @@
+// PokerStars hand history support.
+//
+// PokerStars files are rewritten hand by hand into the WPN ("Game Hand #")
+// dialect understood by parseHandHistory, so both sites go through the same
+// hand parser and end up with the same Hand document shape. Anything the WPN
+// header cannot carry (buy-in, fee, currency) is returned by
+// parsePokerStarsHeader, and knockout bounties by parsePokerStarsBounties;
+// both are merged onto the parsed hand afterwards.
+
+const HAND_START = /^PokerStars (?:Zoom )?(?:Hand|Game) #/;
+
+const ROMAN_NUMERALS = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+
+const LIMIT_TYPES = {
+    'No Limit': 'No Limit',
+    'Pot Limit': 'Pot Limit',
+    'Limit': 'Fixed Limit'
+};
+
+// Player actions are written as "<name>: <action>" on PokerStars
+const ACTION_LINE = /^(.*): (posts|folds|checks|calls|bets|raises|shows|mucks|doesn't show)(.*)$/;
+
+// Helper function to convert a PokerStars blind level (e.g. "XIV") to a number
+function romanToInt(roman) {
+    if (/^\d+$/.test(roman)) return parseInt(roman);
+    let total = 0;
+    for (let i = 0; i < roman.length; i++) {
+        const value = ROMAN_NUMERALS[roman[i]] || 0;
+        const next = ROMAN_NUMERALS[roman[i + 1]] || 0;
+        total += value < next ? -value : value;
+    }
+    return total;
+}
+
+// Helper function to strip currency symbols from an amount
+function parseAmount(amount) {
+    return parseFloat(String(amount).replace(/[^\d.]/g, '')) || 0;
+}
+
+// Helper function to print an amount the way WPN files do (2 decimals)
+function formatAmount(amount, currencySymbol = '') {
+    return `${currencySymbol}${amount.toFixed(2)}`;
+}
+
+// Helper function to pad single digit hours ("8:03:51" -> "08:03:51")
+function normalizeTimestamp(timestamp) {
+    return timestamp.replace(/ (\d):/, ' 0$1:');
+}
+
+export function isPokerStarsHistory(content) {
+    return content.split('\n').some(line => HAND_START.test(line.trim()));
+}
+
+export function splitPokerStarsHands(content) {
+    const hands = [];
+    let current = null;
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.replace(/\r$/, '').replace(/^\uFEFF/, '');
+        if (HAND_START.test(line)) {
+            if (current) hands.push(current.join('\n'));
+            current = [line];
+        } else if (current) {
+            current.push(line);
+        }
+    }
+    if (current) hands.push(current.join('\n'));
+
+    return hands.filter(hand => hand.trim());
+}
+
+// Parse the first line of a PokerStars hand, e.g.
+//   PokerStars Hand #2350: Tournament #3456, $10+$1 USD Hold'em No Limit - Level IV (50/100) - 2022/01/15 20:00:00 ET
+//   PokerStars Hand #2351: Hold'em No Limit ($0.01/$0.02 USD) - 2022/01/15 20:00:00 ET
+export function parsePokerStarsHeader(line) {
+    const header = {
+        handId: null,
+        tournamentId: null,
+        isCash: false,
+        buyIn: 0,
+        bounty: 0,
+        fee: 0,
+        currency: null,
+        limitType: 'No Limit',
+        level: null,
+        smallBlind: 0,
+        bigBlind: 0,
+        timestamp: null
+    };
+
+    const idMatch = line.match(/#(\d+):/);
+    if (idMatch) header.handId = idMatch[1];
+
+    const limitMatch = line.match(/Hold'em (No Limit|Pot Limit|Limit)/);
+    if (limitMatch) header.limitType = LIMIT_TYPES[limitMatch[1]];
+
+    const timestampMatch = line.match(/(\d{4}\/\d{2}\/\d{2} \d{1,2}:\d{2}:\d{2})/);
+    if (timestampMatch) header.timestamp = normalizeTimestamp(timestampMatch[1]);
+
+    const tournamentMatch = line.match(/Tournament #(\d+)/);
+    if (tournamentMatch) {
+        header.tournamentId = tournamentMatch[1];
+
+        // Buy-in is "<buy-in>+<fee>" or "<buy-in>+<bounty>+<fee>" for knockouts
+        const buyInMatch = line.match(/Tournament #\d+, ([^\s]+?)(?: ([A-Z]{3}))? Hold'em/);
+        if (buyInMatch && buyInMatch[1] !== 'Freeroll') {
+            const parts = buyInMatch[1].split('+').map(parseAmount);
+            header.buyIn = parts[0] || 0;
+            header.fee = parts[parts.length - 1] || 0;
+            if (parts.length === 3) header.bounty = parts[1];
+            if (parts.length === 1) header.fee = 0;
+            header.currency = buyInMatch[2] || null;
+        }
+
+        const levelMatch = line.match(/Level ([IVXLC\d]+) \(([\d.]+)\/([\d.]+)\)/);
+        if (levelMatch) {
+            header.level = romanToInt(levelMatch[1]);
+            header.smallBlind = parseFloat(levelMatch[2]);
+            header.bigBlind = parseFloat(levelMatch[3]);
+        }
+    } else {
+        const stakesMatch = line.match(/\((\$|€|£)?([\d.]+)\/(?:\$|€|£)?([\d.]+)(?: ([A-Z]{3}))?\)/);
+        if (stakesMatch) {
+            header.isCash = true;
+            header.smallBlind = parseFloat(stakesMatch[2]);
+            header.bigBlind = parseFloat(stakesMatch[3]);
+            header.currency = stakesMatch[4] || null;
+        }
+    }
+
+    return header;
+}
+
+// Knockout tournaments print each player's bounty on the seat line and a line
+// per elimination; neither exists in the WPN dialect, so they are read here:
+//   Seat 1: Alice (1500 in chips, $5 bounty)
+//   grotle wins $2.50 for eliminating Alice and their own bounty increases by $2.50 to $7.50
+//   grotle wins the $5 bounty for eliminating Alice
+// Returns { playerBounties: Map(name -> bounty), bountiesWon: [{ username, amount, eliminated }] },
+// or null for hands without bounties.
+export function parsePokerStarsBounties(handContent) {
+    const playerBounties = new Map();
+    const bountiesWon = [];
+    let inSummary = false;
+
+    for (const rawLine of handContent.split('\n')) {
+        const line = rawLine.replace(/\r$/, '');
+        if (line.includes('*** SUMMARY ***')) inSummary = true;
+
+        const seatMatch = !inSummary && line.match(/^Seat \d+: (.+?) \([\d.]+ in chips, (?:\$|€|£)?([\d.]+) bounty\)/);
+        if (seatMatch) {
+            playerBounties.set(seatMatch[1], parseFloat(seatMatch[2]));
+            continue;
+        }
+
+        const bountyMatch = line.match(/^(.+?) wins (?:the )?((?:\$|€|£)?[\d.]+)(?: bounty)? for (?:splitting the elimination of|eliminating) (.+?)(?: and (?:their|his|her) own bounty increases by .*)?$/);
+        if (bountyMatch) {
+            const [, username, amount, eliminated] = bountyMatch;
+            bountiesWon.push({ username, amount: parseAmount(amount), eliminated });
+        }
+    }
+
+    if (playerBounties.size === 0 && bountiesWon.length === 0) return null;
+    return { playerBounties, bountiesWon };
+}
+
+// Rewrite a single PokerStars hand into the WPN line format
+export function normalizePokerStarsHand(handContent) {
+    const lines = handContent.split('\n').map(line => line.replace(/\r$/, ''));
+    const header = parsePokerStarsHeader(lines[0]);
+    const output = [];
+
+    // Running pot so "Main pot" lines can be emitted at each street, as WPN does
+    let collectedPot = 0;
+    let committed = new Map();
+    const commit = (player, amount) => {
+        committed.set(player, (committed.get(player) || 0) + amount);
+    };
+    const collectStreet = () => {
+        for (const amount of committed.values()) collectedPot += amount;
+        committed = new Map();
+    };
+
+    if (header.tournamentId) {
+        output.push(`Game Hand #${header.handId} - Tournament #${header.tournamentId} - Holdem (${header.limitType}) - ` +
+            `Level ${header.level} (${formatAmount(header.smallBlind)}/${formatAmount(header.bigBlind)}) - ${header.timestamp} UTC`);
+    } else {
+        output.push(`Hand #${header.handId} - Holdem (${header.limitType}) - ` +
+            `$${header.smallBlind}/$${header.bigBlind} - ${header.timestamp} UTC`);
+    }
+
+    let inSummary = false;
+    for (const line of lines.slice(1)) {
+        if (!line.trim()) continue;
+
+        if (line.startsWith('***')) {
+            if (/\*\*\* (FLOP|TURN|RIVER|SHOW DOWN) \*\*\*/.test(line)) {
+                collectStreet();
+                output.push(line);
+                output.push(`Main pot ${formatAmount(collectedPot)}`);
+            } else if (line.includes('*** HOLE CARDS ***')) {
+                output.push(line);
+                output.push(`Main pot ${formatAmount(collectedPot)}`);
+            } else {
+                if (line.includes('*** SUMMARY ***')) inSummary = true;
+                output.push(line);
+            }
+            continue;
+        }
+
+        if (line.startsWith('Table ')) {
+            output.push(line);
+            continue;
+        }
+
+        if (line.startsWith('Seat ')) {
+            if (!inSummary) {
+                // "Seat 1: name (1500 in chips, $5 bounty) is sitting out" -> "Seat 1: name (1500) is sitting out"
+                output.push(line.replace(/ \((\$?[\d.]+) in chips(?:, [^)]*)?\)/, ' ($1)'));
+                continue;
+            }
+            const summaryLine = line
+                .replace(/ \((?:button|small blind|big blind)\)/g, '')
+                .replace(/ collected \((\$?[\d.]+)\)/, ' did not show and won $1')
+                .replace(/ and won \((\$?[\d.]+)\)/, ' and won $1');
+            output.push(summaryLine);
+            continue;
+        }
+
+        if (line.startsWith('Dealt to ') || line.startsWith('Board ') || line.startsWith('Total pot')) {
+            output.push(line);
+            continue;
+        }
+
+        const uncalledMatch = line.match(/^Uncalled bet \((\$?[\d.]+)\) returned to (.*)$/);
+        if (uncalledMatch) {
+            const [, amount, player] = uncalledMatch;
+            commit(player, -parseAmount(amount));
+            output.push(line);
+            continue;
+        }
+
+        const collectedMatch = line.match(/^(.*) collected (\$?[\d.]+) from (main pot|side pot(?:-\d+)?|pot)$/);
+        if (collectedMatch) {
+            const [, player, amount, pot] = collectedMatch;
+            output.push(`${player} collected ${amount} from ${pot === 'pot' ? 'main pot' : pot}`);
+            continue;
+        }
+
+        const actionMatch = line.match(ACTION_LINE);
+        if (!actionMatch) {
+            // Chat, connection and table movement lines carry nothing we store
+            continue;
+        }
+
+        const [, player, verb, rest] = actionMatch;
+        if (verb === 'posts') {
+            const postMatch = rest.match(/^ (the ante|small blind|big blind|small & big blinds) (\$?[\d.]+)/);
+            if (!postMatch) continue;
+            const [, postType, amount] = postMatch;
+            const value = parseAmount(amount);
+            if (postType === 'the ante') {
+                collectedPot += value;
+                output.push(`${player} posts ante ${amount}`);
+            } else if (postType === 'small blind') {
+                commit(player, value);
+                output.push(`${player} posts the small blind ${amount}`);
+            } else if (postType === 'big blind') {
+                commit(player, value);
+                output.push(`${player} posts the big blind ${amount}`);
+            } else {
+                commit(player, value);
+                output.push(`${player} posts ${amount}`);
+            }
+        } else if (verb === 'calls' || verb === 'bets') {
+            const amountMatch = rest.match(/^ (\$?[\d.]+)/);
+            if (amountMatch) commit(player, parseAmount(amountMatch[1]));
+            output.push(`${player} ${verb}${rest}`);
+        } else if (verb === 'raises') {
+            const raiseMatch = rest.match(/^ (\$?[\d.]+) to (\$?[\d.]+)/);
+            if (raiseMatch) {
+                const raiseTo = parseAmount(raiseMatch[2]);
+                commit(player, raiseTo - (committed.get(player) || 0));
+            }
+            output.push(`${player} ${verb}${rest}`);
+        } else if (verb === 'shows') {
+            output.push(`${player} shows${rest}`);
+        } else if (verb === 'folds' || verb === 'checks') {
+            output.push(`${player} ${verb}`);
+        } else if (verb === "doesn't show") {
+            output.push(`${player} does not show`);
+        }
+    }
+
+    return output.join('\n');
+}
@@ -0,0 +1,79 @@
+import Hand from '../models/Hand.js';
+import Tournament from '../models/Tournament.js';
+import {
+    PARSER_VERSION,
+    PRESERVED_FIELDS,
+    parseHandHistoryContent,
+    classifyHeroInvolvement,
+    toHandDocument
+} from './parseHandHistory.js';
+import { classifyActionLine } from './actionLineClassifier.js';
+import { classifyFlopTexture } from './boardTexture.js';
+import { calculateAllInEV } from './allInEV.js';
+import { updatePlayerStats } from './playerStats.js';
+import { setTournamentBuyIn } from './tournamentSummary.js';
+
+// Regenerates stored hands from their rawText with the current parser, so a
+// parser fix reaches hands that were imported before it.
+
+// The $set for one stored hand, built from a fresh parse of its rawText.
+// tournament is the hand's imported tournament summary, if any, whose buy-in
+// wins over the one in the hand header. Throws if the text no longer parses.
+export function buildReparsedFields(storedHand, diagnostics = [], tournament = null) {
+    const [hand] = parseHandHistoryContent(storedHand.rawText, storedHand.username, diagnostics);
+    if (!hand) {
+        const error = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+        throw new Error(error ? error.message : 'No hand found in the stored text');
+    }
+
+    if (tournament && hand.tournamentInfo) setTournamentBuyIn(hand, tournament);
+    hand.heroInvolvement = classifyHeroInvolvement(hand);
+    hand.actionLine = classifyActionLine(hand);
+    hand.flopTexture = classifyFlopTexture(hand.communityCards?.flop);
+    hand.allInEV = calculateAllInEV(hand);
+    const fields = toHandDocument(hand);
+    PRESERVED_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+}
+
+// Options:
+//   filter       - only re-parse hands matching these conditions, e.g. an account's screen names
+//   importBatch  - only re-parse hands from this ImportBatch
+//   outdatedOnly - skip hands already parsed by the current parser version
+export async function reparseHands({ filter = {}, importBatch, outdatedOnly = false } = {}) {
+    const query = { ...filter, rawText: { $exists: true } };
+    if (importBatch) query.importBatch = importBatch;
+    if (outdatedOnly) query.parserVersion = { $not: { $gte: PARSER_VERSION } };
+
+    const result = { matched: 0, reparsed: 0, failed: [], parserVersion: PARSER_VERSION };
+    const cursor = Hand.find(query).select('+rawText').lean().cursor();
+    // Tournament summaries by username, site and tournament id, looked up once each
+    const tournaments = new Map();
+    const findTournament = async (username, site, tournamentId) => {
+        if (!tournamentId) return null;
+        const key = `${username}\u0000${site}\u0000${tournamentId}`;
+        if (!tournaments.has(key)) {
+            tournaments.set(key, await Tournament.findOne({ username, site, tournamentId }).lean());
+        }
+        return tournaments.get(key);
+    };
+
+    for await (const storedHand of cursor) {
+        result.matched++;
+        try {
+            const tournament = await findTournament(storedHand.username, storedHand.site, storedHand.tournamentInfo?.tournamentId);
+            const fields = buildReparsedFields(storedHand, [], tournament);
+            // heroActions are derived from the old bettingActions; POST /process-hero-actions rebuilds them
+            await Hand.updateOne({ _id: storedHand._id }, { $set: fields, $unset: { heroActions: '' } });
+            // Swap the hand's old counts in the opponent profiles for the new ones
+            await updatePlayerStats([storedHand], -1);
+            await updatePlayerStats([{ ...storedHand, ...fields }]);
+            result.reparsed++;
+        } catch (error) {
+            console.error(`Error re-parsing hand ${storedHand.id}:`, error.message);
+            result.failed.push({ handId: storedHand.id, message: error.message });
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,62 @@
+// Hand-by-hand cumulative results for the results graph (GET /api/stats/:username/results).
+// Each hand's heroNet (BB) is split into showdown or non-showdown winnings and
+// also converted to chips with the hand's big blind: tournament chips, or the
+// cash game's currency. The EV line counts all-in hands at their all-in EV
+// (allInEV.evNet) instead of what they won.
+
+// Hero showed down when hero's cards were shown: hero is a showdown winner or
+// loser with a hand, or appears in the showdown's hands
+export function heroWentToShowdown(hand) {
+    const heroName = hand.username;
+    const showedDown = entry => entry.username === heroName &&
+        (entry.hand?.cards?.length > 0 || !!entry.hand?.description);
+
+    return (hand.winners || []).some(showedDown) ||
+        (hand.losers || []).some(showedDown) ||
+        (hand.showdown?.hands || []).some(shown => shown.player === heroName);
+}
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
+
+// hands must be in the order they were played
+export function buildResultsSeries(hands) {
+    const totals = {
+        bb: 0, chips: 0,
+        showdownBB: 0, showdownChips: 0,
+        nonShowdownBB: 0, nonShowdownChips: 0,
+        evBB: 0, evChips: 0
+    };
+
+    return hands.map((hand, index) => {
+        const netBB = hand.heroNet || 0;
+        const bigBlind = hand.blindLevel?.bigBlind || hand.stakes?.bigBlind || 0;
+        const netChips = netBB * bigBlind;
+        const showdown = heroWentToShowdown(hand);
+        const evNetBB = hand.allInEV?.evNet ?? netBB;
+
+        totals.bb += netBB;
+        totals.chips += netChips;
+        if (showdown) {
+            totals.showdownBB += netBB;
+            totals.showdownChips += netChips;
+        } else {
+            totals.nonShowdownBB += netBB;
+            totals.nonShowdownChips += netChips;
+        }
+        totals.evBB += evNetBB;
+        totals.evChips += evNetBB * bigBlind;
+
+        return {
+            handNumber: index + 1,
+            handId: hand.id,
+            timestamp: hand.timestamp,
+            showdown,
+            netBB: round(netBB),
+            netChips: round(netChips),
+            evNetBB: round(evNetBB),
+            ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]))
+        };
+    });
+}
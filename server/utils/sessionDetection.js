@@ -0,0 +1,66 @@
+import Hand from '../models/Hand.js';
+import Session from '../models/Session.js';
+
+// Sessions are found from hand timestamps alone: all of a user's hands, from
+// every table and tournament, are put on one timeline and a new session starts
+// whenever no hand was played for longer than the gap. Concurrent tables and
+// tournaments therefore share a session as long as one of them is running.
+
+export const DEFAULT_SESSION_GAP_MINUTES = 30;
+
+function tableOf(hand) {
+    if (hand.gameType === 'tournament') {
+        return hand.tournamentName || `Tournament ${hand.tournamentInfo?.tournamentId || 'unknown'}`;
+    }
+    return hand.stakes?.tableName || 'Unknown table';
+}
+
+// hands must be in the order they were played
+export function detectSessions(hands, gapMinutes = DEFAULT_SESSION_GAP_MINUTES) {
+    const gap = gapMinutes * 60000;
+    const sessions = [];
+    let current = null;
+
+    hands.forEach(hand => {
+        const timestamp = new Date(hand.timestamp);
+        if (!current || timestamp - current.endTime > gap) {
+            current = { startTime: timestamp, endTime: timestamp, hands: [], tables: new Set(), gameTypes: new Set(), netWon: 0 };
+            sessions.push(current);
+        }
+        current.endTime = timestamp;
+        current.hands.push(hand.id);
+        current.tables.add(tableOf(hand));
+        current.gameTypes.add(hand.gameType);
+        current.netWon += hand.heroNet || 0;
+    });
+
+    return sessions.map(({ tables, gameTypes, netWon, ...session }) => ({
+        ...session,
+        handCount: session.hands.length,
+        tables: [...tables],
+        gameType: gameTypes.size === 1 ? [...gameTypes][0] : 'mixed',
+        netWon: Number(netWon.toFixed(4)),
+        gapMinutes
+    }));
+}
+
+// Replace a screen name's sessions on a site with ones detected from its stored
+// hands. Without gapMinutes the gap the sessions were last detected with is kept.
+export async function rebuildSessions(username, site, { gapMinutes } = {}) {
+    if (gapMinutes === undefined) {
+        const previous = await Session.findOne({ username, site }).select('gapMinutes').lean();
+        gapMinutes = previous?.gapMinutes || DEFAULT_SESSION_GAP_MINUTES;
+    }
+
+    const hands = await Hand.find({ username, site })
+        .select('id timestamp gameType tournamentName tournamentInfo.tournamentId stakes.tableName heroNet')
+        .sort({ timestamp: 1, _id: 1 })
+        .lean();
+    const sessions = detectSessions(hands, gapMinutes).map(session => ({ ...session, username, site }));
+
+    await Session.deleteMany({ username, site });
+    if (sessions.length > 0) {
+        await Session.insertMany(sessions);
+    }
+    return sessions.length;
+}
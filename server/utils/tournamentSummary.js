@@ -0,0 +1,211 @@
+import Tournament from '../models/Tournament.js';
+import Hand from '../models/Hand.js';
+
+// Tournament summary files.
+//
+// Sites write one summary per tournament next to the hand histories, e.g.
+//   PokerStars Tournament #2871234567, No Limit Hold'em
+//   Buy-In: $4.40/$5.00/$0.60 USD
+//   180 players
+//   ...
+//   You finished in 15th place and received $5.00.
+// The WPN ("Game Tournament #") summaries carry the same facts under slightly
+// different labels, so the parser reads labels rather than fixed line numbers.
+
+const SUMMARY_START = /^(?:PokerStars |Game )?Tournament #(\d+)/;
+
+const CURRENCY_CODES = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+// Helper function to strip currency symbols from an amount
+function parseAmount(amount) {
+    return parseFloat(String(amount).replace(/[^\d.]/g, '')) || 0;
+}
+
+function parseDate(text) {
+    const match = text.match(/(\d{4})\/(\d{2})\/(\d{2}) (\d{1,2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match;
+    return new Date(`${year}-${month}-${day}T${hour.padStart(2, '0')}:${minute}:${second}Z`);
+}
+
+// "1st", "2nd", "15th" -> 15
+function parsePlace(text) {
+    const match = text.match(/(\d+)(?:st|nd|rd|th)?/);
+    return match ? parseInt(match[1]) : null;
+}
+
+export function isTournamentSummary(content) {
+    const firstLine = content.replace(/^\uFEFF/, '').split('\n').find(line => line.trim()) || '';
+    return SUMMARY_START.test(firstLine.trim()) && /Buy-?In/i.test(content);
+}
+
+export function parseTournamentSummary(content, heroUsername) {
+    const lines = content.replace(/^\uFEFF/, '').split('\n').map(line => line.replace(/\r$/, ''));
+    const firstLine = lines.find(line => line.trim()).trim();
+    const tournament = {
+        tournamentId: firstLine.match(SUMMARY_START)[1],
+        site: firstLine.startsWith('PokerStars') ? 'pokerstars' : 'wpn',
+        name: null,
+        buyIn: 0,
+        bounty: 0,
+        fee: 0,
+        currency: null,
+        entrants: null,
+        prizePool: null,
+        finishPosition: null,
+        prize: 0,
+        bountiesWon: 0,
+        payouts: [],
+        startedAt: null,
+        finishedAt: null
+    };
+
+    // WPN puts the tournament's name after the id; PokerStars only the game
+    const name = firstLine.replace(SUMMARY_START, '').replace(/^\s*[,\-:]\s*/, '').trim();
+    if (name && tournament.site === 'wpn') tournament.name = name;
+
+    const escapedHero = heroUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const heroPlaceLine = new RegExp(`^\\s*(\\d+):\\s*${escapedHero}(?: \\([^)]*\\))?(?:,\\s*([^\\s(]+))?`);
+
+    for (const rawLine of lines.slice(1)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const buyInMatch = line.match(/^Buy-?In:?\s*(.+)$/i);
+        if (buyInMatch) {
+            // "<buy-in>/<fee>" or "<buy-in>/<bounty>/<fee>"; WPN writes "+" instead of "/"
+            const [amounts, code] = buyInMatch[1].split(/\s+(?=[A-Z]{3}$)/);
+            const parts = amounts.split(/\s*[/+]\s*/).map(parseAmount);
+            tournament.buyIn = parts[0] || 0;
+            tournament.fee = parts.length > 1 ? parts[parts.length - 1] : 0;
+            if (parts.length === 3) tournament.bounty = parts[1];
+            tournament.currency = code || CURRENCY_CODES[amounts.trim()[0]] || null;
+            continue;
+        }
+
+        const entrantsMatch = line.match(/^(\d+) (?:players|entrants)$/i) ||
+            line.match(/^(?:Registered players|Entrants|Players)\s*:\s*(\d+)/i);
+        if (entrantsMatch) {
+            tournament.entrants = parseInt(entrantsMatch[1]);
+            continue;
+        }
+
+        const prizePoolMatch = line.match(/^(?:Total )?Prize ?pool\s*:\s*(.+)$/i);
+        if (prizePoolMatch) {
+            tournament.prizePool = parseAmount(prizePoolMatch[1].split(/\s/)[0]);
+            continue;
+        }
+
+        const startedMatch = line.match(/^Tournament (started|finished)/i);
+        if (startedMatch) {
+            tournament[startedMatch[1].toLowerCase() === 'started' ? 'startedAt' : 'finishedAt'] = parseDate(line);
+            continue;
+        }
+
+        // Bounties are listed on their own line: "You won $12.50 in bounties",
+        // "Bounties won: $12.50", "You received $12.50 for eliminating 5 players"
+        if (/bount|for eliminating/i.test(line)) {
+            const amountMatch = line.match(/[$€£]?\d[\d,]*(?:\.\d+)?/);
+            if (amountMatch && /[$€£.]/.test(amountMatch[0])) {
+                tournament.bountiesWon += parseAmount(amountMatch[0]);
+            }
+            continue;
+        }
+
+        // "You finished in 15th place and received $5.00." / "grotle finished in 15th place"
+        const finishedMatch = line.match(/^(.+?) finished (?:the tournament )?in (\d+(?:st|nd|rd|th)?) place(?:.*?(?:received|won) ([$€£]?[\d,.]+))?/i);
+        if (finishedMatch && (finishedMatch[1] === 'You' || finishedMatch[1] === heroUsername)) {
+            tournament.finishPosition = parsePlace(finishedMatch[2]);
+            if (finishedMatch[3]) tournament.prize = parseAmount(finishedMatch[3]);
+            continue;
+        }
+
+        const receivedMatch = line.match(/^You (?:received|won) a total of ([$€£]?[\d,.]+)/i);
+        if (receivedMatch) {
+            tournament.prize = parseAmount(receivedMatch[1]);
+            continue;
+        }
+
+        // The payout list: "  15: grotle (Canada), $5.00 (1.40%)"
+        const payoutMatch = line.match(/^(\d+):.*,\s*([$€£]?\d[\d,]*\.?\d*)(?:\s|$)/);
+        if (payoutMatch) {
+            tournament.payouts[parseInt(payoutMatch[1]) - 1] = parseAmount(payoutMatch[2]);
+        }
+        const placeMatch = line.match(heroPlaceLine);
+        if (placeMatch) {
+            tournament.finishPosition = parseInt(placeMatch[1]);
+            if (placeMatch[2]) tournament.prize = parseAmount(placeMatch[2]);
+        }
+    }
+
+    // Only places that are paid, with gaps for places the summary left out
+    tournament.payouts = Array.from(tournament.payouts, payout => payout || 0);
+    while (tournament.payouts.length > 0 && tournament.payouts[tournament.payouts.length - 1] === 0) {
+        tournament.payouts.pop();
+    }
+
+    return tournament;
+}
+
+// Buy-in and currency as stored on tournamentInfo of every hand from the tournament
+function handTournamentInfo(tournament) {
+    return {
+        'tournamentInfo.buyIn': tournament.buyIn + tournament.bounty + tournament.fee,
+        'tournamentInfo.fee': tournament.fee,
+        'tournamentInfo.bounty': tournament.bounty,
+        'tournamentInfo.currency': tournament.currency
+    };
+}
+
+// Save a summary file's tournament for username and fill in the buy-in on the
+// hands already imported from it.
+export async function importTournamentSummary({ content, username, fileName = null }) {
+    const parsed = parseTournamentSummary(content, username);
+    if (parsed.finishPosition === null) {
+        throw new Error(`${username} is not listed in the summary of tournament #${parsed.tournamentId}`);
+    }
+
+    // A summary without a payout list keeps the payouts that were entered by hand
+    const { payouts, ...fields } = parsed;
+    const tournament = await Tournament.findOneAndUpdate(
+        { username, site: parsed.site, tournamentId: parsed.tournamentId },
+        { $set: { ...fields, fileName, ...(payouts.length > 0 && { payouts }) } },
+        { upsert: true, new: true, runValidators: true }
+    );
+
+    const result = await Hand.updateMany(
+        { username, site: parsed.site, 'tournamentInfo.tournamentId': parsed.tournamentId },
+        { $set: handTournamentInfo(parsed) }
+    );
+
+    return { tournament, handsLinked: result.matchedCount };
+}
+
+// Hands imported after their tournament's summary pick up its buy-in here,
+// from the summary of the same site only
+export async function applyTournamentBuyIns(hands, username) {
+    const tournamentHands = hands.filter(hand => hand.tournamentInfo?.tournamentId);
+    if (tournamentHands.length === 0) return;
+
+    const tournaments = await Tournament.find({
+        username,
+        site: { $in: [...new Set(tournamentHands.map(hand => hand.site))] },
+        tournamentId: { $in: [...new Set(tournamentHands.map(hand => hand.tournamentInfo.tournamentId))] }
+    }).lean();
+    const key = (site, tournamentId) => `${site}\u0000${tournamentId}`;
+    const byKey = new Map(tournaments.map(tournament => [key(tournament.site, tournament.tournamentId), tournament]));
+
+    tournamentHands.forEach(hand => {
+        const tournament = byKey.get(key(hand.site, hand.tournamentInfo.tournamentId));
+        if (tournament) setTournamentBuyIn(hand, tournament);
+    });
+}
+
+// Replace the buy-in a parsed hand read from its header with the summary's
+export function setTournamentBuyIn(hand, tournament) {
+    hand.tournamentInfo.buyIn = tournament.buyIn + tournament.bounty + tournament.fee;
+    hand.tournamentInfo.fee = tournament.fee;
+    hand.tournamentInfo.bounty = tournament.bounty;
+    hand.tournamentInfo.currency = tournament.currency || hand.tournamentInfo.currency;
+    hand.buyIn = hand.tournamentInfo.buyIn;
+}
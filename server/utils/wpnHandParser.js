@@ -0,0 +1,722 @@
+import mongoose from 'mongoose';
+import { createDiagnostic } from './importReport.js';
+import {
+    parseCards,
+    calculatePosition,
+    roundToNearestHalf,
+    getRotatedPositions,
+    computePots
+} from './handHistoryHelpers.js';
+
+// WPN (ACR) hand parser.
+//
+// A hand is parsed in two steps. tokenizeWpnHand classifies every line into a
+// token ({ type, ...fields }). Player names are resolved against the hand's
+// seat list rather than matched with a pattern, so names with spaces, dots or
+// hyphens, or names containing words like "calls", are attributed correctly.
+// parseWpnHand then walks the tokens, tracking the current street, and builds
+// the hand object stored in the database.
+
+// Thrown for a hand hero sat at but was not dealt into (sitting out, or waiting
+// for the button or the big blind). There is nothing to import, but it is not a
+// parse error either.
+export class HeroNotDealtError extends Error {
+    constructor(heroUsername) {
+        super(`${heroUsername} was not dealt into this hand`);
+        this.name = 'HeroNotDealtError';
+    }
+}
+
+// Tournament hands start with "Game Hand #", cash hands with "Hand #"
+export const WPN_HAND_START = /^(?:Game )?Hand #\d+/;
+
+const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP'
+};
+
+// What can follow a player's name on an action, showdown or status line
+const PLAYER_LINE_PATTERNS = [
+    { pattern: /^posts ante \$?([\d.]+)(?: and is all-in)?$/, token: m => ({ type: 'post', postType: 'ante', amount: parseFloat(m[1]) }) },
+    { pattern: /^posts the small blind \$?([\d.]+)(?: and is all-in)?$/, token: m => ({ type: 'post', postType: 'small blind', amount: parseFloat(m[1]) }) },
+    { pattern: /^posts the big blind \$?([\d.]+)(?: and is all-in)?$/, token: m => ({ type: 'post', postType: 'big blind', amount: parseFloat(m[1]) }) },
+    { pattern: /^posts dead \$?([\d.]+)$/, token: m => ({ type: 'post', postType: 'dead', amount: parseFloat(m[1]) }) },
+    { pattern: /^posts \$?([\d.]+)(?: and is all-in)?$/, token: m => ({ type: 'post', postType: 'posted', amount: parseFloat(m[1]) }) },
+    { pattern: /^folds$/, token: () => ({ type: 'action', action: 'fold' }) },
+    { pattern: /^checks$/, token: () => ({ type: 'action', action: 'check' }) },
+    { pattern: /^calls \$?([\d.]+)( and is all-in)?$/, token: m => ({ type: 'action', action: 'call', amount: parseFloat(m[1]), isAllIn: !!m[2] }) },
+    { pattern: /^bets \$?([\d.]+)( and is all-in)?$/, token: m => ({ type: 'action', action: 'bet', amount: parseFloat(m[1]), isAllIn: !!m[2] }) },
+    { pattern: /^raises \$?([\d.]+) to \$?([\d.]+)( and is all-in)?$/, token: m => ({ type: 'action', action: 'raise', amount: parseFloat(m[2]), raiseBy: parseFloat(m[1]), isAllIn: !!m[3] }) },
+    { pattern: /^(?:shows|collected) \[(.*?)\] (?:and (?:won|lost) \$?[\d.]+ )?with a (.*?) \[(.*?)\]$/, token: m => ({ type: 'showdownHand', cards: m[1], description: m[2], board: m[3] }) },
+    { pattern: /^shows \[(.*?)\](?: \((.*)\))?$/, token: m => ({ type: 'shows', cards: m[1], description: m[2] || null }) },
+    { pattern: /^does not show$/, token: () => ({ type: 'noShow' }) },
+    { pattern: /^mucks(?: hand)?(?: \[(.*?)\])?$/, token: m => ({ type: 'muck', cards: m[1] || null }) },
+    { pattern: /^collected \$?([\d.]+) from (main pot|side pot(?:-\d+)?)(?: \d+)?$/, token: m => ({ type: 'collected', amount: parseFloat(m[1]), pot: m[2] }) },
+    { pattern: /^(is sitting out|sits out|waits for big blind|will be allowed to play after the button|has timed out|is disconnected|is connected|has reconnected|has returned)$/, token: m => ({ type: 'status', status: m[1] }) },
+    { pattern: /^said, "(.*)"$/, token: m => ({ type: 'chat', text: m[1] }) }
+];
+
+// Statuses that mean a seated player was not dealt into the hand, unless they post or act anyway
+const NOT_DEALT_STATUSES = ['is sitting out', 'sits out', 'waits for big blind', 'will be allowed to play after the button'];
+
+// What can follow "Seat N: <name> " in the summary, after any "(button)" style tag
+const SUMMARY_PATTERNS = [
+    { pattern: /^did not show and won \(?\$?([\d.]+)\)?/, result: 'did not show and won', isWinner: true },
+    { pattern: /^showed \[(.*?)\] and won \(?\$?([\d.]+)\)?(?: with a (.*?) \[(.*?)\])?/, result: 'won', isWinner: true },
+    { pattern: /^showed \[(.*?)\] and lost(?: with a (.*?) \[(.*?)\])?/, result: 'lost', isWinner: false },
+    { pattern: /^collected \(?\$?([\d.]+)\)?/, result: 'collected', isWinner: true }
+];
+
+// Resolve "<name> <rest>" against the seated names, longest name first so that
+// "Big Dice" wins over "Big" when both are seated
+function classifyPlayerLine(line, names) {
+    for (const name of names) {
+        if (line.startsWith(`${name}: `)) {
+            return { type: 'chat', player: name, text: line.slice(name.length + 2) };
+        }
+        if (!line.startsWith(`${name} `)) continue;
+
+        const rest = line.slice(name.length + 1);
+        for (const { pattern, token } of PLAYER_LINE_PATTERNS) {
+            const match = rest.match(pattern);
+            if (match) {
+                return { ...token(match), player: name };
+            }
+        }
+    }
+
+    // An action by someone who is not in the seat list
+    const unknownMatch = line.match(/^(.+?) (?:posts|folds|checks|calls|bets|raises)\b/);
+    if (unknownMatch) {
+        return { type: 'unknownPlayer', player: unknownMatch[1] };
+    }
+
+    return { type: 'unknown' };
+}
+
+function classifySummarySeat(seat, text, seats) {
+    const seatInfo = seats.get(seat);
+    if (!seatInfo || !text.startsWith(`${seatInfo.player} `)) {
+        return { type: 'unknown' };
+    }
+
+    const rest = text.slice(seatInfo.player.length + 1).replace(/^(?:\((?:button|small blind|big blind)\) )+/, '');
+    for (const { pattern, result, isWinner } of SUMMARY_PATTERNS) {
+        const match = rest.match(pattern);
+        if (!match) continue;
+
+        const summary = { type: 'summarySeat', seat, player: seatInfo.player, result, isWinner, amount: 0, hand: null };
+        if (result === 'won') {
+            summary.amount = parseFloat(match[2]);
+            if (match[3]) summary.hand = { description: match[3], cards: match[4] };
+        } else if (result === 'lost') {
+            if (match[2]) summary.hand = { description: match[2], cards: match[3] };
+        } else {
+            summary.amount = parseFloat(match[1]);
+        }
+        return summary;
+    }
+
+    return { type: 'summarySeat', seat, player: seatInfo.player, result: null };
+}
+
+// Turn the lines of one hand into tokens. Each token keeps the index of the line it came from.
+export function tokenizeWpnHand(lines) {
+    const tokens = [];
+    const seats = new Map();
+    let names = [];
+    let section = 'setup';
+
+    lines.forEach((rawLine, lineIndex) => {
+        const line = rawLine.replace(/\r$/, '').replace(/^﻿/, '');
+        const push = token => tokens.push({ ...token, lineIndex });
+
+        if (!line.trim()) return;
+
+        if (WPN_HAND_START.test(line)) {
+            return push({ type: 'header', line });
+        }
+
+        const streetMatch = line.match(/^\*\*\* (HOLE CARDS|FLOP|TURN|RIVER|SHOW DOWN|SUMMARY|RUN IT TWICE)(?: (\d+))? \*\*\*(.*)$/);
+        if (streetMatch) {
+            const [, street, run, cards] = streetMatch;
+            section = street === 'SUMMARY' ? 'summary' : 'play';
+            return push({ type: 'street', street, run: run ? parseInt(run) : null, cards: cards.trim() });
+        }
+
+        if (line.includes(' is the button')) {
+            const buttonMatch = line.match(/Seat #(\d+) is the button/);
+            const tableMatch = line.match(/^(?:Table '(.*?)'|(.*?)) (\d+)-max/);
+            return push({
+                type: 'table',
+                buttonSeat: buttonMatch ? parseInt(buttonMatch[1]) : null,
+                tableName: tableMatch ? tableMatch[1] || tableMatch[2] : null,
+                tableSize: tableMatch ? parseInt(tableMatch[3]) : null
+            });
+        }
+
+        const seatMatch = line.match(/^Seat (\d+): (.*)$/);
+        if (seatMatch) {
+            const seat = parseInt(seatMatch[1]);
+            const text = seatMatch[2];
+
+            if (section === 'summary') {
+                return push(classifySummarySeat(seat, text, seats));
+            }
+
+            const stackMatch = text.match(/^(.+) \(\$?([\d.]+)\)( is sitting out)?$/);
+            const waitingMatch = text.match(/^(.+) will be allowed to play after the button$/);
+            if (stackMatch) {
+                const seatToken = { type: 'seat', seat, player: stackMatch[1], stack: parseFloat(stackMatch[2]), sittingOut: !!stackMatch[3] };
+                seats.set(seat, seatToken);
+                names = [...seats.values()].map(info => info.player).sort((a, b) => b.length - a.length);
+                return push(seatToken);
+            }
+            if (waitingMatch) {
+                return push({ type: 'status', player: waitingMatch[1], status: 'will be allowed to play after the button' });
+            }
+            return push({ type: 'unparsedSeat' });
+        }
+
+        const dealtMatch = line.match(/^Dealt to (.+?) \[(.*)\]$/);
+        if (dealtMatch) {
+            return push({ type: 'dealt', player: dealtMatch[1], cards: dealtMatch[2] });
+        }
+
+        // "Main pot 1500.00", "Main pot $0.57 | Rake $0.03", or "Main pot 2 $0.57 | ..." when run twice
+        const mainPotMatch = line.match(/^Main pot(?: (\d+)(?= \$?[\d.]+))? \$?([\d.]+)/);
+        if (mainPotMatch) {
+            return push({ type: 'pot', pot: 'main', run: mainPotMatch[1] ? parseInt(mainPotMatch[1]) : null, amount: parseFloat(mainPotMatch[2]) });
+        }
+
+        const sidePotMatch = line.match(/^Side pot\((\d+)\) \$?([\d.]+)/);
+        if (sidePotMatch) {
+            return push({ type: 'pot', pot: `side pot-${sidePotMatch[1]}`, run: null, amount: parseFloat(sidePotMatch[2]) });
+        }
+
+        const uncalledMatch = line.match(/^Uncalled bet \(\$?([\d.]+)\) returned to (.+)$/);
+        if (uncalledMatch) {
+            return push({ type: 'uncalled', amount: parseFloat(uncalledMatch[1]), player: uncalledMatch[2] });
+        }
+
+        const totalPotMatch = line.match(/^Total pot \$?([\d.]+)/);
+        if (totalPotMatch) {
+            return push({ type: 'totalPot', amount: parseFloat(totalPotMatch[1]) });
+        }
+
+        if (/^Board(?: \d+)? \[/.test(line)) {
+            return push({ type: 'board' });
+        }
+
+        push(classifyPlayerLine(line, names));
+    });
+
+    return tokens;
+}
+
+// Parse the header line, e.g.
+//   Game Hand #2449392532 - Tournament #33493054 - Holdem (No Limit) - Level 3 (400.00/800.00) - 2025/04/25 17:05:12 UTC
+//   Hand #2439578325 - Holdem (No Limit) - $0.01/$0.02 - 2025/04/25 17:28:55 UTC
+function applyHeader(hand, line) {
+    hand.id = line.match(/#(\d+)/)[1];
+    hand._id = new mongoose.Types.ObjectId();
+
+    const timestampMatch = line.match(/(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2})/);
+    if (timestampMatch) {
+        hand.timestamp = new Date(timestampMatch[1]);
+    }
+
+    const limitMatch = line.match(/Holdem \((No Limit|Pot Limit|Fixed Limit)\)/);
+    if (limitMatch) {
+        hand.limitType = limitMatch[1];
+    }
+
+    const tournamentMatch = line.match(/Tournament #(\d+)/);
+    if (tournamentMatch) {
+        hand.tournamentId = tournamentMatch[1];
+        hand.tournamentInfo = {
+            tournamentId: tournamentMatch[1],
+            buyIn: hand.buyIn,
+            limitType: hand.limitType,
+            currency: hand.currency
+        };
+    }
+
+    const levelMatch = line.match(/Level (\d+) \(([\d.]+)\/([\d.]+)\)/);
+    if (levelMatch) {
+        hand.level = parseInt(levelMatch[1]);
+        hand.smallBlind = parseFloat(levelMatch[2]);
+        hand.bigBlind = parseFloat(levelMatch[3]);
+        hand.blindLevel = {
+            level: parseInt(levelMatch[1]),
+            smallBlind: parseFloat(levelMatch[2]),
+            bigBlind: parseFloat(levelMatch[3])
+        };
+    }
+
+    // Cash hands carry the stakes instead of a level
+    const stakesMatch = !tournamentMatch && line.match(/ - ([$€£])?([\d.]+)\/[$€£]?([\d.]+) - /);
+    if (stakesMatch) {
+        hand.gameType = 'cash';
+        hand.currency = CURRENCY_SYMBOLS[stakesMatch[1]] || hand.currency;
+        hand.smallBlind = parseFloat(stakesMatch[2]);
+        hand.bigBlind = parseFloat(stakesMatch[3]);
+        hand.stakes = {
+            ...hand.stakes,
+            smallBlind: hand.smallBlind,
+            bigBlind: hand.bigBlind,
+            currency: hand.currency
+        };
+    }
+}
+
+// Seated players who were actually dealt in: players sitting out or waiting
+// for the big blind are left out unless they post or act anyway (tournament
+// players who are sitting out still post and fold every hand).
+function findDealtSeats(tokens) {
+    const notDealt = new Set();
+    const active = new Set();
+
+    for (const token of tokens) {
+        if (token.type === 'street') break;
+        if (token.type === 'seat' && token.sittingOut) notDealt.add(token.player);
+        if (token.type === 'status' && NOT_DEALT_STATUSES.includes(token.status)) notDealt.add(token.player);
+        if (token.type === 'post') active.add(token.player);
+    }
+    for (const token of tokens) {
+        if (token.type === 'action' || token.type === 'post') active.add(token.player);
+    }
+
+    return tokens.filter(token => token.type === 'seat' && (!notDealt.has(token.player) || active.has(token.player)));
+}
+
+// Attach winners to the pots computed from what everyone put in. "collected X
+// from side pot-N" lines name the pot; without them (e.g. everyone folded) the
+// pot goes to the summary's winners who were eligible for it, split evenly.
+function buildPots(pots, collected, winners, bigBlind) {
+    return pots.map((pot, potIndex) => {
+        let potWinners = [];
+        for (const win of collected) {
+            const winPotIndex = win.pot === 'main pot' ? 0 : parseInt(win.pot.split('-')[1] || '1');
+            if (Math.min(winPotIndex, pots.length - 1) !== potIndex) continue;
+
+            const existing = potWinners.find(winner => winner.playerIndex === win.playerIndex);
+            if (existing) {
+                existing.amount += win.amount;
+            } else {
+                potWinners.push({ playerIndex: win.playerIndex, username: win.username, amount: win.amount });
+            }
+        }
+
+        if (potWinners.length === 0) {
+            const eligibleWinners = winners.filter(winner => pot.eligiblePlayers.includes(winner.playerIndex));
+            potWinners = eligibleWinners.map(winner => ({
+                playerIndex: winner.playerIndex,
+                username: winner.username,
+                amount: pot.amount / eligibleWinners.length
+            }));
+        }
+
+        return {
+            amount: roundToNearestHalf(pot.amount / bigBlind),
+            chipAmount: pot.amount,
+            eligiblePlayers: pot.eligiblePlayers,
+            winners: potWinners.map(winner => ({
+                ...winner,
+                amount: roundToNearestHalf(winner.amount / bigBlind),
+                chipAmount: winner.amount
+            }))
+        };
+    });
+}
+
+// Parse a single WPN ("Game Hand #" / "Hand #") hand block into a hand object.
+// Problems that do not stop the hand from being imported are pushed onto
+// diagnostics, with lineNumber counted from the hand's header line.
+export function parseWpnHand(fullHandContent, heroUsername, diagnostics = []) {
+    const lines = fullHandContent.split('\n');
+    const tokens = tokenizeWpnHand(lines);
+
+    const hand = {
+        // Site the hand was played on ('wpn' or 'pokerstars')
+        site: 'wpn',
+
+        // Tournament Information
+        tournamentId: null,
+        tournamentName: null,
+        buyIn: 0,
+        gameType: 'tournament',
+        limitType: 'No Limit',
+        currency: 'REAL',
+
+        // Blind Level Information
+        level: null,
+        smallBlind: 0,
+        bigBlind: 0,
+        ante: 0,
+
+        // Hand Information
+        communityCards: {
+            flop: [],
+            turn: null,
+            river: null
+        },
+        bettingActions: [],
+        streetBets: [],
+        foldedPlayers: [],
+        villainCards: [],
+        winners: [],
+        losers: [],
+        totalPot: 0,
+        summary: [], // Player results from the summary section
+
+        // Stack Information
+        playerStacks: new Map(), // Starting stacks
+        finalStacks: new Map(),  // Final stacks
+
+        // Pot Information
+        potSizes: {
+            preflop: 0,
+            flop: 0,
+            turn: 0,
+            river: 0,
+            final: 0
+        },
+
+        // Hand Strength
+        showdown: {
+            board: [],
+            hands: [] // Array of {player, cards, description, board}
+        }
+    };
+
+    const warn = (code, message, lineIndex) => {
+        diagnostics.push(createDiagnostic({
+            code,
+            message,
+            handId: hand.id,
+            lineNumber: lineIndex + 1,
+            line: lines[lineIndex]
+        }));
+    };
+
+    // Players in seat order, indexed from 0
+    const players = new Map();
+    findDealtSeats(tokens).forEach((seatToken, playerIndex) => {
+        players.set(seatToken.player, { seat: seatToken.seat, stack: seatToken.stack, playerIndex });
+        hand.playerStacks.set(seatToken.player, seatToken.stack);
+    });
+    const numPlayers = players.size;
+
+    const hero = players.get(heroUsername);
+    const heroSeated = tokens.some(token => (token.type === 'seat' || token.type === 'status') && token.player === heroUsername);
+    if (!hero && heroSeated) {
+        throw new HeroNotDealtError(heroUsername);
+    }
+    if (!hero) {
+        throw new Error(`Could not find seat for hero ${heroUsername}`);
+    }
+    const heroPlayerIndex = hero.playerIndex;
+
+    let bigBlind = 0;
+    let heroStackSizeBB = 0;
+    let buttonPosition = 0;
+    let currentStreet = 'preflop';
+
+    // Chips each player put in over the whole hand and in the current betting round
+    const contributions = new Map();
+    let streetCommitted = new Map();
+    const collected = [];
+    let heroWonChips = 0;
+    const putIn = (playerIndex, chips, countsForStreet = true) => {
+        contributions.set(playerIndex, (contributions.get(playerIndex) || 0) + chips);
+        if (countsForStreet) {
+            streetCommitted.set(playerIndex, (streetCommitted.get(playerIndex) || 0) + chips);
+        }
+    };
+
+    const positionOf = playerIndex => calculatePosition(buttonPosition, playerIndex, numPlayers, heroPlayerIndex);
+    // Amounts are stored in big blinds rounded to the nearest half; chipAmount keeps the same amount in chips, unrounded
+    const toChips = amountBB => Number((amountBB * bigBlind).toFixed(2));
+
+    for (const token of tokens) {
+        const playerInfo = token.player !== undefined ? players.get(token.player) : null;
+
+        switch (token.type) {
+        case 'header':
+            applyHeader(hand, token.line);
+            bigBlind = hand.bigBlind;
+            heroStackSizeBB = hero.stack / bigBlind;
+            break;
+
+        case 'table': {
+            const buttonPlayer = [...players.values()].find(info => info.seat === token.buttonSeat);
+            if (buttonPlayer) {
+                buttonPosition = buttonPlayer.playerIndex;
+            }
+            if (token.tableSize) {
+                hand.stakes = {
+                    ...hand.stakes,
+                    tableName: token.tableName,
+                    tableSize: token.tableSize
+                };
+            }
+            break;
+        }
+
+        case 'unparsedSeat':
+            warn('unparsed-seat', 'Could not read player and stack from seat line', token.lineIndex);
+            break;
+
+        case 'dealt':
+            if (token.player === heroUsername) {
+                hand.heroHoleCards = parseCards(token.cards);
+            }
+            break;
+
+        case 'street':
+            // When the board is run twice only the first run is kept
+            if (token.run && token.run > 1) break;
+            if (['FLOP', 'TURN', 'RIVER'].includes(token.street)) {
+                streetCommitted = new Map();
+            }
+
+            if (token.street === 'FLOP') {
+                currentStreet = 'flop';
+                hand.communityCards.flop = parseCards(token.cards.match(/\[(.*?)\]/)[1]);
+            } else if (token.street === 'TURN') {
+                currentStreet = 'turn';
+                hand.communityCards.turn = token.cards.match(/\[(.*?)\] \[(.*?)\]/)[2];
+            } else if (token.street === 'RIVER') {
+                currentStreet = 'river';
+                hand.communityCards.river = token.cards.match(/\[(.*?)\] \[(.*?)\]/)[2];
+            } else if (token.street === 'SHOW DOWN') {
+                currentStreet = 'showdown';
+                hand.showdown.board = [
+                    ...hand.communityCards.flop,
+                    hand.communityCards.turn,
+                    hand.communityCards.river
+                ].filter(Boolean);
+            }
+            break;
+
+        case 'post':
+            if (!playerInfo) break;
+            // Antes and dead blinds go into the pot without counting towards the bet to call
+            putIn(playerInfo.playerIndex, token.amount, token.postType !== 'ante' && token.postType !== 'dead');
+            if (token.postType === 'ante') {
+                hand.ante = token.amount;
+                if (hand.blindLevel) {
+                    hand.blindLevel.ante = hand.ante;
+                }
+            } else if (token.postType === 'small blind' || token.postType === 'big blind') {
+                hand.bettingActions.push({
+                    playerId: token.player,
+                    playerIndex: playerInfo.playerIndex,
+                    position: positionOf(playerInfo.playerIndex),
+                    action: 'post',
+                    amount: token.amount / bigBlind,
+                    chipAmount: token.amount,
+                    street: 'preflop',
+                    timestamp: new Date(),
+                    order: hand.bettingActions.length
+                });
+            }
+            break;
+
+        case 'action': {
+            if (!playerInfo) break;
+            const playerPosition = positionOf(playerInfo.playerIndex);
+            const action = {
+                playerId: token.player,
+                playerIndex: playerInfo.playerIndex,
+                position: playerPosition,
+                action: token.action,
+                amount: 0,
+                chipAmount: 0,
+                street: currentStreet,
+                timestamp: new Date(),
+                order: hand.bettingActions.length
+            };
+
+            if (token.action === 'fold') {
+                hand.foldedPlayers.push(playerInfo.playerIndex);
+            } else if (token.action === 'call' || token.action === 'bet') {
+                putIn(playerInfo.playerIndex, token.amount);
+                action.chipAmount = token.amount;
+                let amountBB = token.amount / bigBlind;
+                if (token.isAllIn) {
+                    amountBB = Math.min(amountBB, heroStackSizeBB);
+                }
+                action.amount = roundToNearestHalf(amountBB);
+                action.isAllIn = token.isAllIn;
+            } else if (token.action === 'raise') {
+                putIn(playerInfo.playerIndex, token.amount - (streetCommitted.get(playerInfo.playerIndex) || 0));
+                // Raises are stored as the amount put in on top of the blind already posted
+                let raiseToAmountBB = token.amount / bigBlind;
+                if (currentStreet === 'preflop') {
+                    if (playerPosition === 'BB') {
+                        raiseToAmountBB -= 1;
+                    } else if (playerPosition === 'SB') {
+                        raiseToAmountBB -= 0.5;
+                    }
+                }
+                action.amount = roundToNearestHalf(Math.min(raiseToAmountBB, heroStackSizeBB));
+                action.chipAmount = toChips(raiseToAmountBB);
+                action.isAllIn = token.isAllIn;
+            }
+
+            hand.bettingActions.push(action);
+            break;
+        }
+
+        case 'unknownPlayer':
+            warn('unknown-player', `Could not find seat for player ${token.player}`, token.lineIndex);
+            break;
+
+        case 'shows':
+            // A board run twice shows the same cards twice
+            if (playerInfo && playerInfo.playerIndex !== heroPlayerIndex &&
+                !hand.villainCards.some(villain => villain.playerIndex === playerInfo.playerIndex)) {
+                hand.villainCards.push({
+                    playerIndex: playerInfo.playerIndex,
+                    cards: parseCards(token.cards)
+                });
+            }
+            break;
+
+        case 'showdownHand':
+            hand.showdown.hands.push({
+                player: token.player,
+                cards: parseCards(token.cards),
+                description: token.description,
+                board: parseCards(token.board)
+            });
+            break;
+
+        case 'pot':
+            // Only the main pot is tracked per street
+            if (token.pot === 'main' && (!token.run || token.run === 1)) {
+                hand.potSizes[currentStreet] = token.amount / bigBlind;
+                if (currentStreet === 'river') {
+                    hand.potSizes.final = token.amount / bigBlind;
+                }
+            }
+            break;
+
+        case 'uncalled':
+            if (playerInfo) {
+                putIn(playerInfo.playerIndex, -token.amount);
+            }
+            hand.uncalledBet = {
+                amount: token.amount / bigBlind,
+                player: token.player
+            };
+            break;
+
+        case 'collected':
+            if (playerInfo) {
+                collected.push({ playerIndex: playerInfo.playerIndex, username: token.player, pot: token.pot, amount: token.amount });
+            }
+            break;
+
+        case 'summarySeat': {
+            if (!token.result || !playerInfo) break;
+            const amountBB = token.amount / bigBlind;
+            if (token.isWinner && token.player === heroUsername) heroWonChips += token.amount;
+            const playerResult = {
+                playerIndex: playerInfo.playerIndex,
+                username: token.player,
+                position: positionOf(playerInfo.playerIndex),
+                isWinner: token.isWinner,
+                amount: token.isWinner ? roundToNearestHalf(amountBB) : 0,
+                chipAmount: token.isWinner ? token.amount : 0
+            };
+            if (token.hand) {
+                playerResult.hand = {
+                    description: token.hand.description,
+                    cards: parseCards(token.hand.cards)
+                };
+            }
+
+            hand.summary.push({
+                seat: token.seat,
+                player: token.player,
+                result: token.result,
+                amount: amountBB
+            });
+
+            // When the board is run twice every player is listed once per board;
+            // a player who won either board is a winner, with the amounts added up
+            const previousWin = hand.winners.find(winner => winner.username === token.player);
+            if (token.isWinner && previousWin) {
+                previousWin.amount = roundToNearestHalf(previousWin.amount + amountBB);
+                previousWin.chipAmount += token.amount;
+            } else if (token.isWinner) {
+                hand.winners.push(playerResult);
+                hand.losers = hand.losers.filter(loser => loser.username !== token.player);
+            } else if (!previousWin && !hand.losers.some(loser => loser.username === token.player)) {
+                hand.losers.push(playerResult);
+            }
+            break;
+        }
+
+        default:
+            // Chat, status, board and total pot lines carry nothing we store
+            break;
+        }
+    }
+
+    if (!bigBlind) {
+        throw new Error('Could not read the blinds from the hand header');
+    }
+
+    // Rotate seat indices so hero is always player 0, and name positions from there
+    const heroPosRelativeToButton = (heroPlayerIndex - buttonPosition + numPlayers) % numPlayers;
+    const rotatedPositions = getRotatedPositions(numPlayers, heroPosRelativeToButton);
+    const rotate = playerIndex => (playerIndex - heroPlayerIndex + numPlayers) % numPlayers;
+
+    hand.heroPosition = 0;
+    hand.buttonPosition = (numPlayers - heroPosRelativeToButton) % numPlayers;
+
+    hand.bettingActions = hand.bettingActions.map(action => ({
+        ...action,
+        playerIndex: rotate(action.playerIndex),
+        position: rotatedPositions[rotate(action.playerIndex)]
+    }));
+    hand.pots = buildPots(computePots(contributions, hand.foldedPlayers), collected, hand.winners, bigBlind)
+        .map(pot => ({
+            ...pot,
+            eligiblePlayers: pot.eligiblePlayers.map(rotate),
+            winners: pot.winners.map(winner => ({ ...winner, playerIndex: rotate(winner.playerIndex) }))
+        }));
+    hand.foldedPlayers = hand.foldedPlayers.map(rotate);
+    hand.winners = hand.winners.map(winner => ({ ...winner, playerIndex: rotate(winner.playerIndex) }));
+    hand.losers = hand.losers.map(loser => ({ ...loser, playerIndex: rotate(loser.playerIndex) }));
+    hand.villainCards = hand.villainCards.map(villain => ({
+        ...villain,
+        playerIndex: rotate(villain.playerIndex)
+    }));
+
+    hand.streetBets = ['preflop', 'flop', 'turn', 'river'].map(street =>
+        hand.bettingActions.filter(action => action.street === street)
+    );
+
+    // Set final values
+    hand.numPlayers = numPlayers;
+    hand.heroStackSize = roundToNearestHalf(heroStackSizeBB);
+    hand.currentStreet = currentStreet;
+    hand.heroPlayerIndex = heroPlayerIndex;
+    hand.potSize = roundToNearestHalf(hand.potSizes[currentStreet]);
+
+    // Calculate hero's profit/loss
+    const heroWin = hand.winners.find(w => w.username === heroUsername);
+    hand.heroProfit = heroWin ? heroWin.amount : 0;
+    hand.heroWon = !!heroWin;
+    // What hero won minus everything hero put in, after rake; kept exact (antes are
+    // fractions of a big blind) and only rounded for display
+    hand.heroNet = Number(((heroWonChips - (contributions.get(heroPlayerIndex) || 0)) / bigBlind).toFixed(4));
+
+    return hand;
+}
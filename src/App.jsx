@@ -1,14 +1,27 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Home from './components/Home';
 import NewHandPage from './components/NewHandPage';
 import HandHistoryPage from './components/HandHistoryPage';
 import HandReplayPage from './components/HandReplayPage';
 import ImportHandsPage from './components/ImportHandsPage';
 import PlayerStats from './components/PlayerStats';
+import SessionsPage from './components/SessionsPage';
+import PlayerIdentitiesPage from './components/PlayerIdentitiesPage';
+import LoginPage from './components/LoginPage';
 import Navbar from './components/Navbar';
+import apiService from './services/api.service';
 import './App.css';
 
+// Pages that load hands need an account; send the user to log in first
+const RequireAuth = ({ children }) => {
+    const location = useLocation();
+    if (!apiService.isLoggedIn()) {
+        return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+    }
+    return children;
+};
+
 function App() {
     return (
         <Router>
@@ -16,11 +29,15 @@ function App() {
                 <Navbar />
                 <Routes>
                     <Route path="/" element={<Home />} />
-                    <Route path="/new-hand" element={<NewHandPage />} />
-                    <Route path="/hand-history" element={<HandHistoryPage />} />
-                    <Route path="/hand-replay/:handId" element={<HandReplayPage />} />
-                    <Route path="/import-hands" element={<ImportHandsPage />} />
-                    <Route path="/stats/:username" element={<PlayerStats />} />
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/new-hand" element={<RequireAuth><NewHandPage /></RequireAuth>} />
+                    <Route path="/hand-history" element={<RequireAuth><HandHistoryPage /></RequireAuth>} />
+                    <Route path="/hand-replay/:handId" element={<RequireAuth><HandReplayPage /></RequireAuth>} />
+                    <Route path="/import-hands" element={<RequireAuth><ImportHandsPage /></RequireAuth>} />
+                    <Route path="/stats/:username" element={<RequireAuth><PlayerStats /></RequireAuth>} />
+                    <Route path="/stats/identity/:identityId" element={<RequireAuth><PlayerStats /></RequireAuth>} />
+                    <Route path="/identities" element={<RequireAuth><PlayerIdentitiesPage /></RequireAuth>} />
+                    <Route path="/sessions" element={<RequireAuth><SessionsPage /></RequireAuth>} />
                 </Routes>
             </div>
         </Router>
@@ -1,12 +1,77 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import apiService from '../services/api.service';
 import './HandHistoryPage.css';
 
+// Hands fetched per request; the next page loads as the list is scrolled to the bottom
+const PAGE_SIZE = 50;
+
+const SORT_OPTIONS = [
+    { value: 'timestamp', label: 'Date' },
+    { value: 'potSize', label: 'Pot size' },
+    { value: 'heroNet', label: 'Hero net' },
+    { value: 'stackSize', label: 'Stack (BB)' }
+];
+
+// The username select also lists player identities, as 'identity:<id>'; they
+// show the hands of every alias at once
+const IDENTITY_PREFIX = 'identity:';
+
+const heroParams = (selected) => (selected.startsWith(IDENTITY_PREFIX)
+    ? { identity: selected.slice(IDENTITY_PREFIX.length) }
+    : { username: selected });
+
+const FLOP_TEXTURES = ['monotone', 'two-tone', 'rainbow', 'paired', 'connected'];
+
+// Hero's line on a street: a line token, or hero's actions on the street joined by dashes
+const STREET_LINE_OPTIONS = [
+    'cbet', 'donk', 'check-raise', 'float', 'probe',
+    'check', 'check-call', 'check-fold', 'bet', 'bet-call', 'bet-fold', 'call', 'raise', 'fold'
+];
+
+const DEFAULT_FILTERS = {
+    gameType: '',
+    minStack: 0,
+    maxStack: 200,
+    holeCards: ['', ''],
+    holeCardRange: '',
+    tournamentName: '',
+    position: '',
+    showFolded: false,
+    flopTexture: [],
+    minPotSize: '',
+    maxPotSize: '',
+    potType: '',
+    heroRole: '',
+    flopLine: '',
+    turnLine: '',
+    riverLine: '',
+    villain: '',
+    showdown: '',
+    result: '',
+    allIn: false,
+    tag: '',
+    reviewStatus: ''
+};
+
+const REVIEW_STATUSES = ['unreviewed', 'flagged', 'reviewed'];
+
 const HandHistoryPage = () => {
     const navigate = useNavigate();
     const handsGridRef = useRef(null);
+    // ?session=<id> from the sessions page shows that session's hands instead of a date
+    const [searchParams, setSearchParams] = useSearchParams();
+    const sessionId = searchParams.get('session');
+    const [session, setSession] = useState(null);
     const [hands, setHands] = useState([]);
+    const [page, setPage] = useState(1);
+    const [totalHands, setTotalHands] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [sort, setSort] = useState(() => {
+        const savedSort = localStorage.getItem('handHistorySort');
+        return savedSort ? JSON.parse(savedSort) : { sortBy: 'timestamp', sortOrder: 'desc' };
+    });
     const [selectedDate, setSelectedDate] = useState(() => {
         return localStorage.getItem('selectedDate') || '';
     });
@@ -16,6 +81,8 @@ const HandHistoryPage = () => {
     const [tournamentName, setTournamentName] = useState('');
     const [deleteConfirmation, setDeleteConfirmation] = useState({ show: false, handId: null });
     const [usernames, setUsernames] = useState([]);
+    const [identities, setIdentities] = useState([]);
+    const [tags, setTags] = useState([]);
     const [selectedUsername, setSelectedUsername] = useState(() => {
         // Initialize from localStorage or default to 'grotle'
         return localStorage.getItem('selectedUsername') || 'grotle';
@@ -24,16 +91,9 @@ const HandHistoryPage = () => {
         return localStorage.getItem('filtersCollapsed') === 'true';
     });
     const [filters, setFilters] = useState(() => {
-        // Initialize from localStorage or use defaults
+        // Initialize from localStorage or use defaults; filters added since the last visit start at their defaults
         const savedFilters = localStorage.getItem('handHistoryFilters');
-        return savedFilters ? JSON.parse(savedFilters) : {
-            gameType: '',
-            minStack: 0,
-            maxStack: 200,
-            holeCards: ['', ''],
-            tournamentName: '',
-            position: ''
-        };
+        return savedFilters ? { ...DEFAULT_FILTERS, ...JSON.parse(savedFilters) } : DEFAULT_FILTERS;
     });
 
     // Save filters to localStorage whenever they change
@@ -46,6 +106,11 @@ const HandHistoryPage = () => {
         localStorage.setItem('selectedDate', selectedDate);
     }, [selectedDate]);
 
+    // Save the sort order to localStorage whenever it changes
+    useEffect(() => {
+        localStorage.setItem('handHistorySort', JSON.stringify(sort));
+    }, [sort]);
+
     // Save filtersCollapsed to localStorage whenever it changes
     useEffect(() => {
         localStorage.setItem('filtersCollapsed', filtersCollapsed);
@@ -60,79 +125,144 @@ const HandHistoryPage = () => {
     }, []);
 
     useEffect(() => {
-        if (selectedUsername) {
+        const fetchSession = async () => {
+            try {
+                const data = await apiService.getSession(sessionId);
+                setSession(data);
+                setSelectedUsername(data.username);
+            } catch (error) {
+                console.error('Error fetching session:', error);
+                setError('Failed to load the session');
+            }
+        };
+
+        setSession(null);
+        if (sessionId) {
+            fetchSession();
+        }
+    }, [sessionId]);
+
+    useEffect(() => {
+        if (selectedUsername && (!sessionId || session)) {
             fetchHands();
         }
-    }, [selectedDate, filters.maxStack, filters.holeCards, filters.tournamentName, filters.position, selectedUsername]);
+    }, [session, selectedDate, filters.maxStack, filters.holeCards, filters.holeCardRange, filters.tournamentName, filters.position, filters.gameType, filters.showFolded,
+        filters.flopTexture, filters.minPotSize, filters.maxPotSize, filters.potType, filters.heroRole, filters.flopLine, filters.turnLine, filters.riverLine,
+        filters.villain, filters.showdown, filters.result, filters.allIn, filters.tag, filters.reviewStatus, selectedUsername, sort]);
+
+    // Tags the selected user has put on hands, for the tag filter
+    useEffect(() => {
+        if (!selectedUsername) return;
+        apiService.getHandTags(heroParams(selectedUsername))
+            .then(setTags)
+            .catch(() => setTags([]));
+    }, [selectedUsername]);
 
     const fetchUsernames = async () => {
         try {
-            const response = await apiService.getUsernames();
-            setUsernames(response);
+            const [usernameList, identityList] = await Promise.all([
+                apiService.getUsernames(),
+                apiService.getIdentities()
+            ]);
+            setUsernames(usernameList);
+            setIdentities(identityList);
         } catch (error) {
             console.error('Error fetching usernames:', error);
             setError('Failed to load usernames');
         }
     };
 
-    const fetchHands = async () => {
-        try {
-            setLoading(true);
-            let queryParams = {
-                minStackSize: filters.minStack,
-                maxStackSize: filters.maxStack,
-                holeCards: filters.holeCards.join(','),
-                gameType: filters.gameType,
-                tournamentName: filters.tournamentName,
-                username: selectedUsername
-            };
+    const buildQueryParams = () => {
+        let queryParams = {
+            minStackSize: filters.minStack,
+            maxStackSize: filters.maxStack,
+            holeCards: filters.holeCards.join(','),
+            gameType: filters.gameType,
+            tournamentName: filters.tournamentName,
+            position: filters.position,
+            hideFolded: !filters.showFolded,
+            holeCardRange: filters.holeCardRange,
+            flopTexture: filters.flopTexture.join(','),
+            minPotSize: filters.minPotSize,
+            maxPotSize: filters.maxPotSize,
+            potType: filters.potType,
+            heroRole: filters.heroRole,
+            flopLine: filters.flopLine,
+            turnLine: filters.turnLine,
+            riverLine: filters.riverLine,
+            villain: filters.villain,
+            showdown: filters.showdown,
+            result: filters.result,
+            allIn: filters.allIn,
+            tag: filters.tag,
+            reviewStatus: filters.reviewStatus,
+            ...heroParams(selectedUsername),
+            sortBy: sort.sortBy,
+            sortOrder: sort.sortOrder
+        };
 
-            if (selectedDate) {
-                const [year, month, day] = selectedDate.split('-').map(Number);
-                const startDate = new Date(year, month - 1, day, 0, 0, 0, 0);
-                const endDate = new Date(year, month - 1, day, 23, 59, 59, 999);
-                queryParams.startDate = startDate.toISOString();
-                queryParams.endDate = endDate.toISOString();
+        if (session) {
+            queryParams.startDate = session.startTime;
+            queryParams.endDate = session.endTime;
+        } else if (selectedDate) {
+            const [year, month, day] = selectedDate.split('-').map(Number);
+            const startDate = new Date(year, month - 1, day, 0, 0, 0, 0);
+            const endDate = new Date(year, month - 1, day, 23, 59, 59, 999);
+            queryParams.startDate = startDate.toISOString();
+            queryParams.endDate = endDate.toISOString();
+        }
+
+        return queryParams;
+    };
+
+    // Load one page of hands; page 1 replaces the list, later pages are appended to it
+    const fetchHands = async (pageToLoad = 1) => {
+        try {
+            if (pageToLoad === 1) {
+                setLoading(true);
+            } else {
+                setLoadingMore(true);
             }
+            const queryParams = {
+                ...buildQueryParams(),
+                page: pageToLoad,
+                limit: PAGE_SIZE
+            };
 
-            console.log('Selected username:', selectedUsername);
             console.log('Fetching hands with params:', queryParams);
 
             const response = await apiService.getHands(queryParams);
-            console.log('Received hands:', response);
-            // Filter by position in the frontend
-            let filteredHands = response;
-            if (filters.position) {
-                filteredHands = response.filter(hand => {
-                    // Get the hero's position string for this hand
-                    const positions = {
-                        2: ['BTN/SB', 'BB'],
-                        3: ['BTN', 'SB', 'BB'],
-                        4: ['BTN', 'SB', 'BB', 'UTG'],
-                        5: ['BTN', 'SB', 'BB', 'UTG', 'CO'],
-                        6: ['BTN', 'SB', 'BB', 'UTG', 'HJ', 'CO'],
-                        7: ['BTN', 'SB', 'BB', 'UTG', 'LJ', 'HJ', 'CO'],
-                        8: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'LJ', 'HJ', 'CO'],
-                        9: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'LJ', 'HJ', 'CO'],
-                        10: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'MP', 'LJ', 'HJ', 'CO']
-                    };
-                    if (hand.numPlayers === 2) {
-                        return positions[2][hand.heroPosition] === filters.position;
-                    }
-                    const basePositions = positions[hand.numPlayers];
-                    const distanceFromButton = (hand.heroPosition - hand.buttonPosition + hand.numPlayers) % hand.numPlayers;
-                    return basePositions[distanceFromButton] === filters.position;
-                });
-            }
-            setHands(filteredHands);
+            setHands(prev => pageToLoad === 1 ? response.hands : [...prev, ...response.hands]);
+            setPage(pageToLoad);
+            setTotalHands(response.total);
+            setHasMore(pageToLoad < response.totalPages);
+            setError(null);
         } catch (error) {
             console.error('Error fetching hands:', error);
-            setError('Failed to load hands');
+            // The server explains filters it cannot read, e.g. a mistyped hole card range
+            setError(error.response?.status === 400 ? error.response.data.message : 'Failed to load hands');
         } finally {
             setLoading(false);
+            setLoadingMore(false);
         }
     };
 
+    const handleGridScroll = (e) => {
+        if (!hasMore || loadingMore) return;
+        const grid = e.currentTarget;
+        if (grid.scrollTop + grid.clientHeight >= grid.scrollHeight - 200) {
+            fetchHands(page + 1);
+        }
+    };
+
+    const handleSortChange = (e) => {
+        const { name, value } = e.target;
+        setSort(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
     const handleDateChange = (e) => {
         const newDate = e.target.value;
         setSelectedDate(newDate);
@@ -214,6 +344,7 @@ const HandHistoryPage = () => {
             const response = await apiService.deleteHand(deleteConfirmation.handId);
             if (response.deletedHand) {
                 setHands(prev => prev.filter(hand => hand._id !== deleteConfirmation.handId));
+                setTotalHands(prev => prev - 1);
             } else {
                 setError('Failed to delete hand: No confirmation from server');
             }
@@ -242,6 +373,22 @@ const HandHistoryPage = () => {
         }
     };
 
+    const handleExport = async () => {
+        try {
+            const blob = await apiService.exportHands(buildQueryParams(), 'ohh');
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            const identity = identities.find(({ _id }) => IDENTITY_PREFIX + _id === selectedUsername);
+            link.download = `${identity ? identity.name : selectedUsername || 'hands'}.ohh`;
+            link.click();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting hands:', error);
+            setError('Failed to export hands');
+        }
+    };
+
     const handleTournamentNameSearch = (e) => {
         setFilters(prev => ({
             ...prev,
@@ -284,15 +431,40 @@ const HandHistoryPage = () => {
         }));
     };
 
+    const handleGameTypeChange = (e) => {
+        setFilters(prev => ({
+            ...prev,
+            gameType: e.target.value
+        }));
+    };
+
+    const handleShowFoldedChange = (e) => {
+        setFilters(prev => ({
+            ...prev,
+            showFolded: e.target.checked
+        }));
+    };
+
+    // Text, select and checkbox filters that map straight onto one filters key
+    const handleFilterChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFilters(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+    };
+
+    const handleFlopTextureChange = (texture) => {
+        setFilters(prev => ({
+            ...prev,
+            flopTexture: prev.flopTexture.includes(texture)
+                ? prev.flopTexture.filter(t => t !== texture)
+                : [...prev.flopTexture, texture]
+        }));
+    };
+
     const handleResetFilters = () => {
-        setFilters({
-            gameType: '',
-            minStack: 0,
-            maxStack: 200,
-            holeCards: ['', ''],
-            tournamentName: '',
-            position: ''
-        });
+        setFilters(DEFAULT_FILTERS);
         setSelectedDate('');
     };
 
@@ -310,6 +482,8 @@ const HandHistoryPage = () => {
 
     // Restore scroll position when component mounts
     useEffect(() => {
+        // Later pages are appended below; jumping back would undo the scroll that loaded them
+        if (page !== 1) return;
         const savedScrollPosition = localStorage.getItem('handHistoryScrollPosition');
         if (savedScrollPosition && handsGridRef.current) {
             handsGridRef.current.scrollTop = parseInt(savedScrollPosition);
@@ -333,6 +507,15 @@ const HandHistoryPage = () => {
                                     {username}
                                 </option>
                             ))}
+                            {identities.length > 0 && (
+                                <optgroup label="All aliases of">
+                                    {identities.map(identity => (
+                                        <option key={identity._id} value={IDENTITY_PREFIX + identity._id}>
+                                            {identity.name}
+                                        </option>
+                                    ))}
+                                </optgroup>
+                            )}
                         </select>
                     </div>
                 </div>
@@ -369,6 +552,53 @@ const HandHistoryPage = () => {
                                 </select>
                             </div>
 
+                            <div className="filter-group" key="game-type-filter">
+                                <label>Game Type:</label>
+                                <select
+                                    value={filters.gameType}
+                                    onChange={handleGameTypeChange}
+                                    className="position-select"
+                                >
+                                    <option value="">All Games</option>
+                                    <option value="cash">Cash</option>
+                                    <option value="tournament">Tournament</option>
+                                </select>
+                            </div>
+
+                            <div className="filter-group" key="sort">
+                                <label>Sort By:</label>
+                                <select
+                                    name="sortBy"
+                                    value={sort.sortBy}
+                                    onChange={handleSortChange}
+                                    className="position-select"
+                                >
+                                    {SORT_OPTIONS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    name="sortOrder"
+                                    value={sort.sortOrder}
+                                    onChange={handleSortChange}
+                                    className="position-select"
+                                >
+                                    <option value="desc">High to low</option>
+                                    <option value="asc">Low to high</option>
+                                </select>
+                            </div>
+
+                            <div className="filter-group" key="show-folded-filter">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={!!filters.showFolded}
+                                        onChange={handleShowFoldedChange}
+                                    />
+                                    Show preflop folds
+                                </label>
+                            </div>
+
                             <div className="filter-group" key="stack-range">
                                 <label>Stack Size (BB):</label>
                                 <div className="stack-range">
@@ -408,6 +638,179 @@ const HandHistoryPage = () => {
                                 <div className="card-format-hint">
                                     Format: Ah Kd
                                 </div>
+                                <input
+                                    type="text"
+                                    name="holeCardRange"
+                                    value={filters.holeCardRange}
+                                    onChange={handleFilterChange}
+                                    placeholder="Range, e.g. AQs+, 77-TT"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="filters-row">
+                            <div className="filter-group" key="flop-texture">
+                                <label>Flop:</label>
+                                <div className="flop-texture-options">
+                                    {FLOP_TEXTURES.map(texture => (
+                                        <label key={texture}>
+                                            <input
+                                                type="checkbox"
+                                                checked={filters.flopTexture.includes(texture)}
+                                                onChange={() => handleFlopTextureChange(texture)}
+                                            />
+                                            {texture}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="filter-group" key="pot-size">
+                                <label>Pot (BB):</label>
+                                <div className="pot-size-range">
+                                    <input
+                                        type="number"
+                                        name="minPotSize"
+                                        min="0"
+                                        value={filters.minPotSize}
+                                        onChange={handleFilterChange}
+                                        placeholder="Min"
+                                    />
+                                    <input
+                                        type="number"
+                                        name="maxPotSize"
+                                        min="0"
+                                        value={filters.maxPotSize}
+                                        onChange={handleFilterChange}
+                                        placeholder="Max"
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="filter-group" key="pot-type">
+                                <label>Pot Type:</label>
+                                <select
+                                    name="potType"
+                                    value={filters.potType}
+                                    onChange={handleFilterChange}
+                                    className="position-select"
+                                >
+                                    <option value="">Any</option>
+                                    <option value="limped">Limped</option>
+                                    <option value="SRP">Single raised</option>
+                                    <option value="3BP">3-bet</option>
+                                    <option value="4BP+">4-bet+</option>
+                                </select>
+                                <select
+                                    name="heroRole"
+                                    value={filters.heroRole}
+                                    onChange={handleFilterChange}
+                                    className="position-select"
+                                >
+                                    <option value="">Any role</option>
+                                    <option value="PFR">Preflop raiser</option>
+                                    <option value="caller">Caller</option>
+                                </select>
+                            </div>
+
+                            {['flop', 'turn', 'river'].map(street => (
+                                <div className="filter-group" key={`${street}-line`}>
+                                    <label>{street[0].toUpperCase() + street.slice(1)} Line:</label>
+                                    <select
+                                        name={`${street}Line`}
+                                        value={filters[`${street}Line`]}
+                                        onChange={handleFilterChange}
+                                        className="position-select"
+                                    >
+                                        <option value="">Any</option>
+                                        {STREET_LINE_OPTIONS.map(line => (
+                                            <option key={line} value={line}>{line}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="filters-row">
+                            <div className="filter-group" key="villain">
+                                <label>Villain:</label>
+                                <input
+                                    type="text"
+                                    name="villain"
+                                    value={filters.villain}
+                                    onChange={handleFilterChange}
+                                    placeholder="Player name"
+                                />
+                            </div>
+
+                            <div className="filter-group" key="showdown">
+                                <label>Showdown:</label>
+                                <select
+                                    name="showdown"
+                                    value={filters.showdown}
+                                    onChange={handleFilterChange}
+                                    className="position-select"
+                                >
+                                    <option value="">Any</option>
+                                    <option value="true">Went to showdown</option>
+                                    <option value="false">No showdown</option>
+                                </select>
+                            </div>
+
+                            <div className="filter-group" key="result">
+                                <label>Result:</label>
+                                <select
+                                    name="result"
+                                    value={filters.result}
+                                    onChange={handleFilterChange}
+                                    className="position-select"
+                                >
+                                    <option value="">Any</option>
+                                    <option value="won">Won</option>
+                                    <option value="lost">Lost</option>
+                                </select>
+                            </div>
+
+                            <div className="filter-group" key="all-in">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        name="allIn"
+                                        checked={!!filters.allIn}
+                                        onChange={handleFilterChange}
+                                    />
+                                    All-in pots
+                                </label>
+                            </div>
+
+                            <div className="filter-group" key="tag">
+                                <label>Tag:</label>
+                                <select
+                                    name="tag"
+                                    value={filters.tag}
+                                    onChange={handleFilterChange}
+                                    className="position-select"
+                                >
+                                    <option value="">Any</option>
+                                    {tags.map(tag => (
+                                        <option key={tag} value={tag}>{tag}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="filter-group" key="review-status">
+                                <label>Review:</label>
+                                <select
+                                    name="reviewStatus"
+                                    value={filters.reviewStatus}
+                                    onChange={handleFilterChange}
+                                    className="position-select"
+                                >
+                                    <option value="">Any</option>
+                                    {REVIEW_STATUSES.map(status => (
+                                        <option key={status} value={status}>{status}</option>
+                                    ))}
+                                </select>
                             </div>
                         </div>
 
@@ -429,12 +832,32 @@ const HandHistoryPage = () => {
                                     >
                                         Reset Filters
                                     </button>
+                                    <button
+                                        className="reset-filters-button"
+                                        onClick={handleExport}
+                                        disabled={!selectedUsername}
+                                        title="Export the filtered hands as Open Hand History (OHH) JSON"
+                                    >
+                                        Export OHH
+                                    </button>
                                 </div>
                             </div>
                         </div>
                     </div>
                 </div>
 
+                {session && (
+                    <div className="session-banner">
+                        <span>
+                            Session of {new Date(session.startTime).toLocaleString()}: {session.handCount} hands
+                            at {session.tables.length} table(s) over {session.durationMinutes} minutes
+                        </span>
+                        <button onClick={() => setSearchParams({})} className="session-banner-clear">
+                            Show all hands
+                        </button>
+                    </div>
+                )}
+
                 {error && (
                     <div className="hand-history-error-message">
                         {error}
@@ -445,12 +868,16 @@ const HandHistoryPage = () => {
                     <div className="loading-message">Loading hands...</div>
                 ) : hands.length === 0 ? (
                     <div className="no-hands-message">
-                        {!selectedDate && !filters.tournamentName ? 
+                        {!session && !selectedDate && !filters.tournamentName ? 
                             "Select a date or enter a tournament name to view hands" :
                             "No hands found matching your criteria"}
                     </div>
                 ) : (
-                    <div className="hands-grid" ref={handsGridRef}>
+                    <>
+                    <div className="hands-count">
+                        Showing {hands.length} of {totalHands} hands
+                    </div>
+                    <div className="hands-grid" ref={handsGridRef} onScroll={handleGridScroll}>
                         {hands.map(hand => (
                             <div 
                                 key={hand._id} 
@@ -508,6 +935,16 @@ const HandHistoryPage = () => {
                                         </button>
                                     </div>
                                 </div>
+                                {(hand.tags?.length > 0 || (hand.reviewStatus && hand.reviewStatus !== 'unreviewed')) && (
+                                    <div className="hand-review-badges">
+                                        {hand.reviewStatus && hand.reviewStatus !== 'unreviewed' && (
+                                            <span className={`review-badge review-badge-${hand.reviewStatus}`}>{hand.reviewStatus}</span>
+                                        )}
+                                        {hand.tags?.map(tag => (
+                                            <span key={tag} className="tag-badge">{tag}</span>
+                                        ))}
+                                    </div>
+                                )}
                                 <div className="hand-details">
                                     <div className="detail-column">
                                         <div className="detail-label">Position:</div>
@@ -596,6 +1033,8 @@ const HandHistoryPage = () => {
                             </div>
                         ))}
                     </div>
+                    {loadingMore && <div className="loading-message">Loading more hands...</div>}
+                    </>
                 )}
 
                 {deleteConfirmation.show && (
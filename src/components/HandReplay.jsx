@@ -2,8 +2,13 @@ import React, { useState, useEffect } from 'react';
 import './PokerTable.css';
 import './HandReplay.css';
 import cardBack from '../assets/BackOfCard.png';
+import apiService from '../services/api.service';
+import MarkdownText from './MarkdownText';
+import { actionIdAt } from './HandReview';
 
-const HandReplay = ({ handData }) => {
+// notes: the hand's review notes; the ones on the action being shown are displayed under it.
+// onActionChange is told which bettingActions index the replay is on.
+const HandReplay = ({ handData, notes = [], onActionChange }) => {
     // Log hand ID on mount
     useEffect(() => {
         if (handData?.id) {
@@ -24,6 +29,7 @@ const HandReplay = ({ handData }) => {
     const [playerBets, setPlayerBets] = useState({});
     const [allInPlayers, setAllInPlayers] = useState(new Set());
     const [revealedVillains, setRevealedVillains] = useState(new Set());
+    const [playerProfiles, setPlayerProfiles] = useState({});
 
     // Reset state when hand data changes
     useEffect(() => {
@@ -43,6 +49,57 @@ const HandReplay = ({ handData }) => {
         }
     }, [handData]);
 
+    useEffect(() => {
+        if (onActionChange) onActionChange(currentActionIndex);
+    }, [currentActionIndex]);
+
+    // Load the HUD stats of everyone at the table; players without a profile get no HUD
+    useEffect(() => {
+        if (!handData?.bettingActions) return;
+        let cancelled = false;
+        const names = [...new Set(handData.bettingActions.map(action => action.playerId).filter(Boolean))];
+
+        Promise.all(names.map(name =>
+            apiService.getPlayer(name, handData.site)
+                .then(player => [name, player])
+                .catch(() => [name, null])
+        )).then(entries => {
+            if (!cancelled) setPlayerProfiles(Object.fromEntries(entries));
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [handData]);
+
+    const getPlayerName = (index) => {
+        const action = handData.bettingActions?.find(action => action.playerIndex === index);
+        return action ? action.playerId : null;
+    };
+
+    // VPIP/PFR/3B on the first line, AF and WTSD below; every stat with its sample in the tooltip
+    const renderHud = (index) => {
+        const player = playerProfiles[getPlayerName(index)];
+        if (!player) return null;
+
+        const { stats } = player;
+        const show = (stat) => (stat.value === null ? '-' : Math.round(stat.value));
+        const tooltip = [
+            `${player.name} (${player.hands} hands)`,
+            `VPIP ${show(stats.vpip)}  PFR ${show(stats.pfr)}`,
+            `3-bet ${show(stats.threeBet)} (${stats.threeBet.sample})  Fold to 3-bet ${show(stats.foldToThreeBet)} (${stats.foldToThreeBet.sample})`,
+            `C-bet ${show(stats.cbet)} (${stats.cbet.sample})  Fold to c-bet ${show(stats.foldToCbet)} (${stats.foldToCbet.sample})`,
+            `AF ${stats.af.value ?? '-'}  WTSD ${show(stats.wtsd)} (${stats.wtsd.sample})  W$SD ${show(stats.wsd)} (${stats.wsd.sample})`
+        ].join('\n');
+
+        return (
+            <div className="seat-hud" title={tooltip}>
+                <div>{show(stats.vpip)}/{show(stats.pfr)}/{show(stats.threeBet)} ({player.hands})</div>
+                <div>AF {stats.af.value ?? '-'} WTSD {show(stats.wtsd)}</div>
+            </div>
+        );
+    };
+
     const getPlayerPosition = (index) => {
         if (handData.playerPositions) {
             return handData.playerPositions[index];
@@ -648,6 +705,7 @@ const HandReplay = ({ handData }) => {
                         </div>
                     )}
                     {renderPlayerCards(i)}
+                    {renderHud(i)}
                 </div>
             );
         }
@@ -680,6 +738,43 @@ const HandReplay = ({ handData }) => {
         );
     };
 
+    const renderActionNotes = () => {
+        if (currentActionIndex < 0 || isStreetTransition) return null;
+        const actionId = actionIdAt(handData, currentActionIndex);
+        const actionNotes = notes.filter(note => note.actionId === actionId);
+        if (actionNotes.length === 0) return null;
+
+        return (
+            <div className="action-notes">
+                {actionNotes.map(note => (
+                    <div key={note._id} className="hand-note current">
+                        <MarkdownText text={note.text} />
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    // Once every action has been played, split the pot into the main pot and side pots
+    const renderPots = () => {
+        const handFinished = handData.bettingActions &&
+            currentActionIndex >= handData.bettingActions.length - 1 &&
+            !isStreetTransition;
+        if (!handFinished || !(handData.pots?.length > 1)) return null;
+
+        return handData.pots.map((pot, index) => (
+            <div key={index} className="street-pot side-pot">
+                {index === 0 ? 'Main pot' : `Side pot ${index}`}:
+                <span className="pot-amount">{pot.amount}BB</span>
+                {pot.winners?.length > 0 && (
+                    <span className="pot-winners">
+                        {' '}won by {pot.winners.map(winner => getPlayerPosition(winner.playerIndex)).join(', ')}
+                    </span>
+                )}
+            </div>
+        ));
+    };
+
     return (
         <div className="poker-table-container">
             <div className="poker-table">
@@ -689,11 +784,13 @@ const HandReplay = ({ handData }) => {
                 </div>
                 <div className="pot-display">
                     <div>Pot: <span className="pot-amount">{potSize}BB</span></div>
+                    {renderPots()}
                 </div>
             </div>
             <div className="controls">
                 <div className="step-content">
                     {renderCurrentAction()}
+                    {renderActionNotes()}
                 </div>
                 <div className="navigation-buttons">
                     <button 
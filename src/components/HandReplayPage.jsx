@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import apiService from '../services/api.service';
 import HandReplay from './HandReplay';
+import HandReview from './HandReview';
 import './HandReplayPage.css';
 
 const HandReplayPage = () => {
     const { handId } = useParams();
     const navigate = useNavigate();
     const [handData, setHandData] = useState(null);
+    // Tags, notes and review status live apart from handData so editing them doesn't restart the replay
+    const [review, setReview] = useState({ tags: [], notes: [], reviewStatus: 'unreviewed' });
+    const [currentActionIndex, setCurrentActionIndex] = useState(-1);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
@@ -20,6 +24,11 @@ const HandReplayPage = () => {
                 const data = await apiService.getHand(handId);
                 console.log('Fetched hand data:', JSON.stringify(data, null, 2));
                 setHandData(data);
+                setReview({
+                    tags: data.tags || [],
+                    notes: data.notes || [],
+                    reviewStatus: data.reviewStatus || 'unreviewed'
+                });
 
                 // Mark the hand as viewed
                 if (!data.viewed) {
@@ -61,7 +70,13 @@ const HandReplayPage = () => {
                     <h1>Hand Replay</h1>
                 </div>
             </div>
-            <HandReplay handData={handData} />
+            <HandReplay handData={handData} notes={review.notes} onActionChange={setCurrentActionIndex} />
+            <HandReview
+                handData={handData}
+                review={review}
+                onReviewChange={(updates) => setReview(prev => ({ ...prev, ...updates }))}
+                currentActionIndex={currentActionIndex}
+            />
         </div>
     );
 };
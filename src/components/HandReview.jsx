@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import apiService from '../services/api.service';
+import MarkdownText from './MarkdownText';
+import './HandReview.css';
+
+export const REVIEW_STATUSES = ['unreviewed', 'flagged', 'reviewed'];
+
+// Notes attach to an action by the id heroActions use: `<hand id>-<bettingActions index>`
+export const actionIdAt = (hand, index) => {
+    const action = hand.bettingActions?.[index];
+    if (!action) return null;
+    return action.actionId || `${hand.id}-${index}`;
+};
+
+const describeAction = (action) =>
+    `${action.street} - ${action.position} ${action.action}${action.amount > 0 ? ` ${action.amount}BB` : ''}`;
+
+// Review state of one hand: status, tags and notes. currentActionIndex is the
+// action the replayer is showing, so a new note can be attached to it.
+const HandReview = ({ handData, review, onReviewChange, currentActionIndex }) => {
+    const [tagInput, setTagInput] = useState('');
+    const [noteText, setNoteText] = useState('');
+    const [attachToAction, setAttachToAction] = useState(true);
+    const [editingNote, setEditingNote] = useState(null);
+    const [error, setError] = useState(null);
+
+    const save = async (request) => {
+        try {
+            setError(null);
+            await request();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save');
+        }
+    };
+
+    const updateReview = (updates) => save(async () => {
+        const hand = await apiService.updateHand(handData._id, updates);
+        onReviewChange({ tags: hand.tags, reviewStatus: hand.reviewStatus });
+    });
+
+    const handleAddTag = (e) => {
+        e.preventDefault();
+        if (!tagInput.trim()) return;
+        updateReview({ tags: [...(review.tags || []), tagInput] });
+        setTagInput('');
+    };
+
+    const currentActionId = currentActionIndex >= 0 ? actionIdAt(handData, currentActionIndex) : null;
+
+    const handleAddNote = (e) => {
+        e.preventDefault();
+        if (!noteText.trim()) return;
+        save(async () => {
+            const notes = await apiService.addHandNote(handData._id, {
+                text: noteText,
+                actionId: attachToAction ? currentActionId : undefined
+            });
+            onReviewChange({ notes });
+            setNoteText('');
+        });
+    };
+
+    const handleSaveNote = (note) => save(async () => {
+        const notes = await apiService.updateHandNote(handData._id, note._id, editingNote.text);
+        onReviewChange({ notes });
+        setEditingNote(null);
+    });
+
+    const handleDeleteNote = (note) => save(async () => {
+        const notes = await apiService.deleteHandNote(handData._id, note._id);
+        onReviewChange({ notes });
+    });
+
+    const actionLabel = (actionId) => {
+        const index = (handData.bettingActions || []).findIndex((_, i) => actionIdAt(handData, i) === actionId);
+        return index >= 0 ? describeAction(handData.bettingActions[index]) : 'Action no longer in the hand';
+    };
+
+    return (
+        <div className="hand-review">
+            <div className="hand-review-row">
+                <label>
+                    Review:
+                    <select
+                        value={review.reviewStatus || 'unreviewed'}
+                        onChange={(e) => updateReview({ reviewStatus: e.target.value })}
+                        className={`review-status review-status-${review.reviewStatus || 'unreviewed'}`}
+                    >
+                        {REVIEW_STATUSES.map(status => (
+                            <option key={status} value={status}>{status}</option>
+                        ))}
+                    </select>
+                </label>
+                <div className="hand-tags">
+                    {(review.tags || []).map(tag => (
+                        <span key={tag} className="hand-tag">
+                            {tag}
+                            <button
+                                onClick={() => updateReview({ tags: review.tags.filter(other => other !== tag) })}
+                                title="Remove tag"
+                            >
+                                ×
+                            </button>
+                        </span>
+                    ))}
+                    <form onSubmit={handleAddTag}>
+                        <input
+                            type="text"
+                            value={tagInput}
+                            onChange={(e) => setTagInput(e.target.value)}
+                            placeholder="Add tag"
+                            className="hand-tag-input"
+                        />
+                    </form>
+                </div>
+            </div>
+
+            {error && <div className="hand-review-error">{error}</div>}
+
+            <div className="hand-notes">
+                {(review.notes || []).map(note => (
+                    <div
+                        key={note._id}
+                        className={`hand-note ${note.actionId && note.actionId === currentActionId ? 'current' : ''}`}
+                    >
+                        <div className="hand-note-header">
+                            <span>{note.actionId ? actionLabel(note.actionId) : 'Whole hand'}</span>
+                            <span className="hand-note-buttons">
+                                <button onClick={() => setEditingNote({ id: note._id, text: note.text })}>Edit</button>
+                                <button onClick={() => handleDeleteNote(note)}>Delete</button>
+                            </span>
+                        </div>
+                        {editingNote?.id === note._id ? (
+                            <div className="hand-note-edit">
+                                <textarea
+                                    value={editingNote.text}
+                                    onChange={(e) => setEditingNote({ ...editingNote, text: e.target.value })}
+                                    rows={4}
+                                />
+                                <button onClick={() => handleSaveNote(note)}>Save</button>
+                                <button onClick={() => setEditingNote(null)}>Cancel</button>
+                            </div>
+                        ) : (
+                            <MarkdownText text={note.text} />
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <form className="hand-note-form" onSubmit={handleAddNote}>
+                <textarea
+                    value={noteText}
+                    onChange={(e) => setNoteText(e.target.value)}
+                    placeholder="Add a note (markdown)"
+                    rows={3}
+                />
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={attachToAction && !!currentActionId}
+                        disabled={!currentActionId}
+                        onChange={(e) => setAttachToAction(e.target.checked)}
+                    />
+                    {currentActionId
+                        ? `Attach to ${describeAction(handData.bettingActions[currentActionIndex])}`
+                        : 'Step to an action to attach the note to it'}
+                </label>
+                <button type="submit" disabled={!noteText.trim()}>Add Note</button>
+            </form>
+        </div>
+    );
+};
+
+export default HandReview;
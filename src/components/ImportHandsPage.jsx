@@ -1,8 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../services/api.service';
 import './ImportHandsPage.css';
 
+// True when any uploaded file reported skipped hands, duplicates or warnings
+const hasReportIssues = (reports) => reports.some(({ report }) =>
+    report && (report.skippedHands.length || report.duplicates.length || report.warnings.length)
+);
+
 const ImportHandsPage = () => {
     const navigate = useNavigate();
     const [files, setFiles] = useState([]);
@@ -10,16 +15,51 @@ const ImportHandsPage = () => {
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
     const [username, setUsername] = useState('');
+    const [importMode, setImportMode] = useState('played');
     const [validating, setValidating] = useState(false);
     const [uploadProgress, setUploadProgress] = useState({
         totalFiles: 0,
         processedFiles: 0,
         totalHands: 0,
         processedHands: 0,
+        savedHands: 0,
+        duplicateHands: 0,
+        skippedHands: 0,
         totalHeroActions: 0,
         processedHeroActions: 0
     });
     const [parsingHeroActions, setParsingHeroActions] = useState(false);
+    const [importReports, setImportReports] = useState([]);
+    const [batches, setBatches] = useState([]);
+    const [undoingBatchId, setUndoingBatchId] = useState(null);
+
+    const fetchBatches = async () => {
+        try {
+            const data = await apiService.getImportBatches();
+            setBatches(data);
+        } catch (err) {
+            console.error('Error fetching import history:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchBatches();
+    }, []);
+
+    const handleUndoBatch = async (batch) => {
+        if (!window.confirm(`Delete the ${batch.handsSaved} hands imported from ${batch.fileName}?`)) {
+            return;
+        }
+        setUndoingBatchId(batch._id);
+        try {
+            await apiService.deleteImportBatch(batch._id);
+            setBatches(prev => prev.filter(b => b._id !== batch._id));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to undo import');
+        } finally {
+            setUndoingBatchId(null);
+        }
+    };
 
     const handleFileChange = (e) => {
         const selectedFiles = Array.from(e.target.files);
@@ -28,7 +68,7 @@ const ImportHandsPage = () => {
             return {
                 file,
                 tournamentName: extractedName,
-                displayName: extractedName
+                displayName: extractedName || file.name
             };
         }));
         setError(null);
@@ -54,16 +94,19 @@ const ImportHandsPage = () => {
         setValidating(true);
         setError(null);
 
+        const reports = [];
         try {
             for (const fileData of files) {
                 const text = await fileData.file.text();
                 const lines = text.split('\n');
                 
-                // Check if username appears in any line
-                const usernameFound = lines.some(line => 
-                    line.includes(`Seat`) && line.includes(username) ||
-                    line.includes(`Dealt to ${username}`)
-                );
+                // Check if username appears in any line (or as a player name in OHH JSON)
+                const usernameFound = text.includes(`"name":"${username}"`) ||
+                    text.includes(`"name": "${username}"`) ||
+                    lines.some(line =>
+                        line.includes(`Seat`) && line.includes(username) ||
+                        line.includes(`Dealt to ${username}`)
+                    );
 
                 if (!usernameFound) {
                     throw new Error(`Username "${username}" not found in file: ${fileData.file.name}`);
@@ -98,35 +141,81 @@ const ImportHandsPage = () => {
         setUploading(true);
         setError(null);
         setSuccess(false);
+        setImportReports([]);
         setUploadProgress({
             totalFiles: files.length,
             processedFiles: 0,
             totalHands: 0,
             processedHands: 0,
+            savedHands: 0,
+            duplicateHands: 0,
+            skippedHands: 0,
             totalHeroActions: 0,
             processedHeroActions: 0
         });
 
+        const reports = [];
         try {
             for (const fileData of files) {
                 const formData = new FormData();
                 formData.append('file', fileData.file);
                 formData.append('tournamentName', fileData.tournamentName);
                 formData.append('username', username);
+                formData.append('importMode', importMode);
 
-                const response = await apiService.uploadHandHistory(formData, (progress) => {
+                // Follow the server's per-hand progress while the file is processed
+                const job = await apiService.createImportJob();
+                formData.append('jobId', job.id);
+                const progressSource = apiService.subscribeToImportJob(job, ({ progress }) => {
                     setUploadProgress(prev => ({
                         ...prev,
-                        processedHands: progress.processedHands,
-                        totalHands: progress.totalHands
+                        processedHands: progress.saved + progress.duplicates,
+                        totalHands: progress.handsToSave,
+                        savedHands: progress.saved,
+                        duplicateHands: progress.duplicates,
+                        skippedHands: progress.skipped
                     }));
                 });
 
+                let response;
+                try {
+                    response = await apiService.uploadHandHistory(formData);
+                } catch (err) {
+                    // The same file was imported before; report it and carry on with the rest
+                    if (err.response?.status !== 409) throw err;
+                    reports.push({
+                        fileName: fileData.file.name,
+                        stats: null,
+                        report: {
+                            skippedHands: [{ severity: 'error', code: 'duplicate-file', message: err.response.data.message }],
+                            duplicates: [],
+                            warnings: []
+                        }
+                    });
+                    setUploadProgress(prev => ({
+                        ...prev,
+                        processedFiles: prev.processedFiles + 1
+                    }));
+                    continue;
+                } finally {
+                    progressSource.close();
+                }
+
+                reports.push({
+                    fileName: fileData.file.name,
+                    stats: response.stats,
+                    report: response.report,
+                    tournament: response.tournament,
+                    handsLinked: response.handsLinked
+                });
+
                 setUploadProgress(prev => ({
                     ...prev,
                     processedFiles: prev.processedFiles + 1
                 }));
             }
+            setImportReports(reports);
+            fetchBatches();
 
             setSuccess(true);
             setFiles([]);
@@ -150,10 +239,12 @@ const ImportHandsPage = () => {
                 setParsingHeroActions(false);
             }
 
-            // Wait briefly before redirect to hand history
-            setTimeout(() => {
-                navigate('/hand-history');
-            }, 1000);
+            // Wait briefly before redirect to hand history, unless there is a report to read
+            if (!hasReportIssues(reports)) {
+                setTimeout(() => {
+                    navigate('/hand-history');
+                }, 1000);
+            }
         } catch (error) {
             console.error('Error uploading files:', error);
             setError(error.response?.data?.message || 'Failed to upload files. Please try again.');
@@ -162,6 +253,58 @@ const ImportHandsPage = () => {
         }
     };
 
+    const renderDiagnostics = (title, diagnostics, className) => {
+        if (!diagnostics || diagnostics.length === 0) return null;
+        return (
+            <div className={`report-section ${className}`}>
+                <h4>{title} ({diagnostics.length})</h4>
+                <ul>
+                    {diagnostics.map((diagnostic, index) => (
+                        <li key={index}>
+                            {diagnostic.handId && <span className="report-hand">Hand #{diagnostic.handId}</span>}
+                            {diagnostic.lineNumber && <span className="report-line-number">line {diagnostic.lineNumber}</span>}
+                            <span className="report-message">{diagnostic.message}</span>
+                            {diagnostic.line && <code className="report-line">{diagnostic.line}</code>}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+
+    const renderImportReport = () => (
+        <div className="import-report">
+            <h2>Import Report</h2>
+            {importReports.map(({ fileName, stats, report, tournament, handsLinked }) => (
+                <div key={fileName} className="report-file">
+                    <h3>{fileName}</h3>
+                    {tournament && (
+                        <p className="report-stats">
+                            Tournament #{tournament.tournamentId}: finished {tournament.finishPosition}
+                            {tournament.entrants ? ` of ${tournament.entrants}` : ''}, won {(tournament.prize + tournament.bountiesWon).toFixed(2)} {tournament.currency || ''}
+                            {' '}({handsLinked} imported hands linked)
+                        </p>
+                    )}
+                    {stats && (
+                        <p className="report-stats">
+                            {stats.totalHands} hands found, {stats.handsSaved} saved, {stats.duplicates || 0} duplicates
+                        </p>
+                    )}
+                    {report && (
+                        <>
+                            {renderDiagnostics('Skipped hands', report.skippedHands, 'report-errors')}
+                            {renderDiagnostics('Duplicates', report.duplicates, 'report-duplicates')}
+                            {renderDiagnostics('Warnings', report.warnings, 'report-warnings')}
+                        </>
+                    )}
+                </div>
+            ))}
+            <button className="upload-button" onClick={() => navigate('/hand-history')}>
+                View Hand History
+            </button>
+        </div>
+    );
+
     return (
         <div className="import-hands-page">
             <div className="import-hands-content">
@@ -176,6 +319,15 @@ const ImportHandsPage = () => {
                         className="username-input"
                         disabled={uploading || validating}
                     />
+                    <select
+                        value={importMode}
+                        onChange={(e) => setImportMode(e.target.value)}
+                        className="import-mode-select"
+                        disabled={uploading || validating}
+                    >
+                        <option value="played">Hands played postflop</option>
+                        <option value="all">All dealt hands (for VPIP/PFR stats)</option>
+                    </select>
                 </div>
 
                 <div className="upload-section">
@@ -184,7 +336,7 @@ const ImportHandsPage = () => {
                             type="file"
                             id="fileInput"
                             multiple
-                            accept=".txt"
+                            accept=".txt,.json,.ohh"
                             onChange={handleFileChange}
                             className="file-input"
                         />
@@ -260,6 +412,7 @@ const ImportHandsPage = () => {
                             </div>
                             <span className="progress-text">
                                 {uploadProgress.processedHands} / {uploadProgress.totalHands} hands
+                                {' '}({uploadProgress.savedHands} saved, {uploadProgress.duplicateHands} duplicates, {uploadProgress.skippedHands} skipped)
                             </span>
                         </div>
 
@@ -288,20 +441,64 @@ const ImportHandsPage = () => {
 
                 {success && (
                     <div className="import-hands-success-message">
-                        Files uploaded successfully! Redirecting to hand history...
+                        {hasReportIssues(importReports)
+                            ? 'Files uploaded. Some hands need your attention, see the report below.'
+                            : 'Files uploaded successfully! Redirecting to hand history...'}
+                    </div>
+                )}
+
+                {success && importReports.length > 0 && renderImportReport()}
+
+                {batches.length > 0 && (
+                    <div className="import-history">
+                        <h2>Import History</h2>
+                        <table className="import-history-table">
+                            <thead>
+                                <tr>
+                                    <th>File</th>
+                                    <th>User</th>
+                                    <th>Imported</th>
+                                    <th>Hands</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {batches
+                                    .filter(batch => !username || batch.username === username)
+                                    .map(batch => (
+                                        <tr key={batch._id}>
+                                            <td>{batch.fileName}</td>
+                                            <td>{batch.username}</td>
+                                            <td>{new Date(batch.createdAt).toLocaleString()}</td>
+                                            <td>{batch.handsSaved} new / {batch.totalHands} found</td>
+                                            <td>
+                                                <button
+                                                    className="remove-file-button"
+                                                    onClick={() => handleUndoBatch(batch)}
+                                                    disabled={undoingBatchId === batch._id || uploading}
+                                                    title="Delete the hands this import created"
+                                                >
+                                                    {undoingBatchId === batch._id ? 'Undoing...' : 'Undo'}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                            </tbody>
+                        </table>
                     </div>
                 )}
 
                 <div className="instructions">
                     <h2>Instructions</h2>
                     <ol>
-                        <li>Enter your ACR username</li>
-                        <li>Select one or more hand history text files (.txt)</li>
+                        <li>Enter your ACR or PokerStars username</li>
+                        <li>Select one or more hand history files — ACR/WPN and PokerStars text files (.txt) and Open Hand History exports (.json, .ohh) are detected automatically</li>
                         <li>Enter a tournament name for each file</li>
                         <li>Click "Upload Files"</li>
                     </ol>
                     <p className="note">
-                        Note: Only hands that go beyond preflop and where you are involved will be imported.
+                        Note: By default only hands that go beyond preflop and where you are involved will be imported.
+                        Choose "All dealt hands" to also keep preflop folds, which the stats need for VPIP, PFR and bb/100.
                     </p>
                 </div>
             </div>
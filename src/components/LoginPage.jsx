@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import apiService from '../services/api.service';
+import './LoginPage.css';
+
+const LoginPage = () => {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [mode, setMode] = useState('login');
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSubmitting(true);
+            setError(null);
+            if (isRegister) {
+                await apiService.register(username, password);
+            } else {
+                await apiService.login(username, password);
+            }
+            navigate(location.state?.from || '/hand-history', { replace: true });
+        } catch (err) {
+            setError(err.response?.data?.message || (isRegister ? 'Failed to create account' : 'Failed to log in'));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const toggleMode = () => {
+        setMode(isRegister ? 'login' : 'register');
+        setError(null);
+    };
+
+    return (
+        <div className="login-page">
+            <form className="login-form" onSubmit={handleSubmit}>
+                <h1>{isRegister ? 'Create account' : 'Log in'}</h1>
+                <label>
+                    Username
+                    <input
+                        type="text"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        autoComplete="username"
+                        required
+                    />
+                </label>
+                <label>
+                    Password
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete={isRegister ? 'new-password' : 'current-password'}
+                        minLength={isRegister ? 8 : undefined}
+                        required
+                    />
+                </label>
+                {error && <div className="login-error">{error}</div>}
+                <button type="submit" className="login-submit" disabled={submitting}>
+                    {isRegister ? 'Create account' : 'Log in'}
+                </button>
+                <button type="button" className="login-toggle" onClick={toggleMode}>
+                    {isRegister ? 'Already have an account? Log in' : 'No account yet? Create one'}
+                </button>
+                {isRegister && (
+                    <p className="login-hint">
+                        The screen names you import hands for are tied to your account.
+                    </p>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default LoginPage;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+// The markdown hand notes use: paragraphs, "- " lists, **bold**, *italic* and `code`.
+// Built from React elements, so note text is never put into the page as HTML.
+const INLINE = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`)/g;
+
+const renderInline = (text) => text.split(INLINE).map((part, i) => {
+    if (/^\*\*.+\*\*$/.test(part)) return <strong key={i}>{part.slice(2, -2)}</strong>;
+    if (/^\*.+\*$/.test(part)) return <em key={i}>{part.slice(1, -1)}</em>;
+    if (/^`.+`$/.test(part)) return <code key={i}>{part.slice(1, -1)}</code>;
+    return part;
+});
+
+const LIST_ITEM = /^\s*[-*] /;
+
+const MarkdownText = ({ text }) => (
+    <div className="markdown-text">
+        {text.trim().split(/\n\s*\n/).map((block, i) => {
+            const lines = block.split('\n');
+            if (lines.every(line => LIST_ITEM.test(line))) {
+                return (
+                    <ul key={i}>
+                        {lines.map((line, j) => <li key={j}>{renderInline(line.replace(LIST_ITEM, ''))}</li>)}
+                    </ul>
+                );
+            }
+            return (
+                <p key={i}>
+                    {lines.map((line, j) => (
+                        <React.Fragment key={j}>
+                            {j > 0 && <br />}
+                            {renderInline(line)}
+                        </React.Fragment>
+                    ))}
+                </p>
+            );
+        })}
+    </div>
+);
+
+export default MarkdownText;
@@ -1,14 +1,21 @@
 import React from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import apiService from '../services/api.service';
 import './Navbar.css';
 
 const Navbar = () => {
     const location = useLocation();
+    const navigate = useNavigate();
 
     const isActive = (path) => {
         return location.pathname === path;
     };
 
+    const handleLogout = () => {
+        apiService.logout();
+        navigate('/login');
+    };
+
     return (
         <nav className="navbar">
             <div className="nav-content">
@@ -24,9 +31,24 @@ const Navbar = () => {
                 <Link to="/import-hands" className={`nav-link ${isActive('/import-hands') ? 'active' : ''}`}>
                     Import Hands
                 </Link>
+                <Link to="/sessions" className={`nav-link ${isActive('/sessions') ? 'active' : ''}`}>
+                    Sessions
+                </Link>
+                <Link to="/identities" className={`nav-link ${isActive('/identities') ? 'active' : ''}`}>
+                    Identities
+                </Link>
                 <Link to="/stats/grotle" className={`nav-link ${isActive('/stats/grotle') ? 'active' : ''}`}>
                     Statistics
                 </Link>
+                {apiService.isLoggedIn() ? (
+                    <button type="button" className="nav-link nav-logout" onClick={handleLogout}>
+                        Log out
+                    </button>
+                ) : (
+                    <Link to="/login" className={`nav-link ${isActive('/login') ? 'active' : ''}`}>
+                        Log in
+                    </Link>
+                )}
             </div>
         </nav>
     );
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import apiService from '../services/api.service';
+import './PlayerIdentitiesPage.css';
+
+const SITES = [
+    { value: 'wpn', label: 'WPN' },
+    { value: 'pokerstars', label: 'PokerStars' },
+    { value: 'other', label: 'Other' }
+];
+
+const siteLabel = (site) => SITES.find(({ value }) => value === site)?.label || site;
+
+// Adds one of the account's (site, screen name) pairs to an identity
+const AliasForm = ({ screenNames, onAdd }) => {
+    const [selected, setSelected] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (selected === '') return;
+        onAdd(screenNames[selected]);
+        setSelected('');
+    };
+
+    return (
+        <form className="alias-form" onSubmit={handleSubmit}>
+            <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+                <option value="" disabled>screen name</option>
+                {screenNames.map(({ site, screenName }, index) => (
+                    <option key={`${site}-${screenName}`} value={index}>
+                        {screenName} ({siteLabel(site)})
+                    </option>
+                ))}
+            </select>
+            <button type="submit" disabled={selected === ''}>Add alias</button>
+        </form>
+    );
+};
+
+const PlayerIdentitiesPage = () => {
+    const navigate = useNavigate();
+    const [identities, setIdentities] = useState([]);
+    const [screenNames, setScreenNames] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            try {
+                const [identityList, user] = await Promise.all([
+                    apiService.getIdentities(),
+                    apiService.getCurrentUser()
+                ]);
+                setIdentities(identityList);
+                setScreenNames(user.screenNames);
+            } catch (err) {
+                setError('Failed to load player identities');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchData();
+    }, []);
+
+    const replaceIdentity = (updated) => {
+        setIdentities(prev => prev.map(identity => (identity._id === updated._id ? updated : identity)));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            setError(null);
+            const created = await apiService.createIdentity({ name: newName, aliases: [] });
+            setIdentities(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+            setNewName('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create the identity');
+        }
+    };
+
+    const handleAliasesChange = async (identity, aliases) => {
+        try {
+            setError(null);
+            replaceIdentity(await apiService.updateIdentity(identity._id, { aliases }));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update the aliases');
+        }
+    };
+
+    const handleDelete = async (identity) => {
+        try {
+            setError(null);
+            await apiService.deleteIdentity(identity._id);
+            setIdentities(prev => prev.filter(({ _id }) => _id !== identity._id));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to delete the identity');
+        }
+    };
+
+    // The hand history keeps its selection in localStorage; identities are stored as 'identity:<id>'
+    const showHands = (identity) => {
+        localStorage.setItem('selectedUsername', `identity:${identity._id}`);
+        navigate('/hand-history');
+    };
+
+    return (
+        <div className="identities-page">
+            <div className="identities-header">
+                <h1>Player Identities</h1>
+            </div>
+            <p className="identities-intro">
+                Group the screen names you play under on different sites, then view their hands and stats together.
+            </p>
+
+            <form className="identity-create" onSubmit={handleCreate}>
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="Identity name"
+                />
+                <button type="submit" disabled={!newName.trim()}>Create identity</button>
+            </form>
+
+            {error && <div className="identities-error">{error}</div>}
+
+            {loading ? (
+                <p>Loading identities...</p>
+            ) : identities.length === 0 ? (
+                <p>No identities yet.</p>
+            ) : (
+                identities.map(identity => (
+                    <div key={identity._id} className="identity-card">
+                        <div className="identity-card-header">
+                            <h2>{identity.name}</h2>
+                            <div className="identity-actions">
+                                <button type="button" onClick={() => showHands(identity)}>Hands</button>
+                                <Link to={`/stats/identity/${identity._id}`}>Stats</Link>
+                                <button type="button" className="identity-delete" onClick={() => handleDelete(identity)}>
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                        <ul className="alias-list">
+                            {identity.aliases.map(alias => (
+                                <li key={`${alias.site}-${alias.screenName}`}>
+                                    <span className="alias-site">{siteLabel(alias.site)}</span>
+                                    {alias.screenName}
+                                    <button
+                                        type="button"
+                                        className="alias-remove"
+                                        onClick={() => handleAliasesChange(identity, identity.aliases.filter(other => other !== alias))}
+                                        title="Remove alias"
+                                    >
+                                        ×
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        <AliasForm
+                            screenNames={screenNames}
+                            onAdd={(alias) => handleAliasesChange(identity, [...identity.aliases, alias])}
+                        />
+                    </div>
+                ))
+            )}
+        </div>
+    );
+};
+
+export default PlayerIdentitiesPage;
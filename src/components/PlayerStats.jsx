@@ -1,39 +1,73 @@
-import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import statsService from '../services/stats.service';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import apiService from '../services/api.service';
+import ResultsGraph from './ResultsGraph';
 import './PlayerStats.css';
 
+const EMPTY_STAT = { value: null, sample: 0 };
+
+const STAT_LABELS = [
+    { key: 'vpip', label: 'VPIP' },
+    { key: 'pfr', label: 'PFR' },
+    { key: 'threeBet', label: '3-Bet' },
+    { key: 'cbet', label: 'C-Bet' },
+    { key: 'wtsd', label: 'WTSD' },
+    { key: 'wsd', label: 'W$SD' }
+];
+
+// Percentages and AF come as { value, sample }; value is null when there was no sample
+const formatPercentage = (stat = EMPTY_STAT) => (stat.value === null ? '-' : `${stat.value.toFixed(1)}%`);
+
 const PlayerStats = () => {
-    const { username } = useParams();
+    // /stats/:username for one screen name, /stats/identity/:identityId for every alias of a player identity
+    const { username, identityId } = useParams();
+    const navigate = useNavigate();
+    const [usernames, setUsernames] = useState([]);
+    const [identities, setIdentities] = useState([]);
     const [stats, setStats] = useState({
         totalHands: 0,
-        totalProfit: 0,
-        winRate: 0,
-        vpip: 0,
-        pfr: 0,
-        threeBet: 0,
-        positionStats: {},
-        streetStats: {
-            preflop: { win: 0, loss: 0 },
-            flop: { win: 0, loss: 0 },
-            turn: { win: 0, loss: 0 },
-            river: { win: 0, loss: 0 }
-        },
-        handStrength: {
-            premium: { count: 0, win: 0 },
-            strong: { count: 0, win: 0 },
-            medium: { count: 0, win: 0 },
-            weak: { count: 0, win: 0 }
-        }
+        netWon: 0,
+        bbPer100: 0,
+        evNetWon: 0,
+        evBbPer100: 0,
+        vpip: EMPTY_STAT,
+        pfr: EMPTY_STAT,
+        threeBet: EMPTY_STAT,
+        cbet: EMPTY_STAT,
+        wtsd: EMPTY_STAT,
+        wsd: EMPTY_STAT,
+        af: EMPTY_STAT,
+        positionStats: {}
     });
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [gameType, setGameType] = useState('');
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+
+    // Shared by the stats and the results graph; the dates cover whole local days
+    const filters = useMemo(() => {
+        const selected = { gameType };
+        if (identityId) selected.identity = identityId;
+        if (startDate) selected.startDate = new Date(`${startDate}T00:00:00`).toISOString();
+        if (endDate) selected.endDate = new Date(`${endDate}T23:59:59.999`).toISOString();
+        return selected;
+    }, [gameType, startDate, endDate, identityId]);
+
+    useEffect(() => {
+        Promise.all([apiService.getUsernames(), apiService.getIdentities()])
+            .then(([usernameList, identityList]) => {
+                setUsernames(usernameList);
+                setIdentities(identityList);
+            })
+            .catch(() => {});
+    }, []);
 
     const fetchStats = async () => {
         try {
             setLoading(true);
             setError(null);
-            const statsData = await statsService.calculateAllStats(username);
+            const statsData = await apiService.getPlayerStats(username, filters);
             setStats(statsData);
         } catch (err) {
             setError(err.message || 'Failed to load player statistics');
@@ -43,10 +77,17 @@ const PlayerStats = () => {
     };
 
     useEffect(() => {
-        if (username) {
+        if (username || identityId) {
             fetchStats();
         }
-    }, [username]);
+    }, [username, filters]);
+
+    const handleHeroChange = (e) => {
+        const { value } = e.target;
+        navigate(value.startsWith('identity:')
+            ? `/stats/identity/${value.slice('identity:'.length)}`
+            : `/stats/${encodeURIComponent(value)}`);
+    };
 
     const renderPositionStats = () => {
         return Object.entries(stats.positionStats).map(([position, data]) => (
@@ -58,56 +99,16 @@ const PlayerStats = () => {
                         <span className="stat-value">{data.hands}</span>
                     </div>
                     <div className="stat-item">
-                        <span className="stat-label">Win Rate</span>
-                        <span className="stat-value">{(data.winRate * 100).toFixed(1)}%</span>
-                    </div>
-                    <div className="stat-item">
-                        <span className="stat-label">Profit</span>
-                        <span className="stat-value">{data.profit.toFixed(2)} BB</span>
+                        <span className="stat-label">Net Won</span>
+                        <span className="stat-value">{data.netWon.toFixed(2)} BB</span>
                     </div>
-                </div>
-            </div>
-        ));
-    };
-
-    const renderStreetStats = () => {
-        return Object.entries(stats.streetStats).map(([street, data]) => (
-            <div key={street} className="street-stat">
-                <h4>{street.charAt(0).toUpperCase() + street.slice(1)}</h4>
-                <div className="stat-grid">
-                    <div className="stat-item">
-                        <span className="stat-label">Win Rate</span>
-                        <span className="stat-value">
-                            {((data.win / (data.win + data.loss)) * 100).toFixed(1)}%
-                        </span>
-                    </div>
-                    <div className="stat-item">
-                        <span className="stat-label">Wins</span>
-                        <span className="stat-value">{data.win}</span>
-                    </div>
-                    <div className="stat-item">
-                        <span className="stat-label">Losses</span>
-                        <span className="stat-value">{data.loss}</span>
-                    </div>
-                </div>
-            </div>
-        ));
-    };
-
-    const renderHandStrengthStats = () => {
-        return Object.entries(stats.handStrength).map(([strength, data]) => (
-            <div key={strength} className="hand-strength-stat">
-                <h4>{strength.charAt(0).toUpperCase() + strength.slice(1)}</h4>
-                <div className="stat-grid">
                     <div className="stat-item">
-                        <span className="stat-label">Win Rate</span>
-                        <span className="stat-value">
-                            {((data.win / data.count) * 100).toFixed(1)}%
-                        </span>
+                        <span className="stat-label">bb/100</span>
+                        <span className="stat-value">{data.bbPer100.toFixed(2)}</span>
                     </div>
                     <div className="stat-item">
-                        <span className="stat-label">Count</span>
-                        <span className="stat-value">{data.count}</span>
+                        <span className="stat-label">VPIP / PFR</span>
+                        <span className="stat-value">{formatPercentage(data.vpip)} / {formatPercentage(data.pfr)}</span>
                     </div>
                 </div>
             </div>
@@ -139,7 +140,49 @@ const PlayerStats = () => {
     return (
         <div className="player-stats-container">
             <div className="stats-header">
-                <h1>{username}'s Statistics</h1>
+                <h1>{stats.username || username}'s Statistics</h1>
+                <select
+                    value={identityId ? `identity:${identityId}` : username}
+                    onChange={handleHeroChange}
+                    className="game-type-select"
+                >
+                    {usernames.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                    {identities.length > 0 && (
+                        <optgroup label="All aliases of">
+                            {identities.map(identity => (
+                                <option key={identity._id} value={`identity:${identity._id}`}>
+                                    {identity.name}
+                                </option>
+                            ))}
+                        </optgroup>
+                    )}
+                </select>
+                <select
+                    value={gameType}
+                    onChange={(e) => setGameType(e.target.value)}
+                    className="game-type-select"
+                    disabled={loading}
+                >
+                    <option value="">All Games</option>
+                    <option value="cash">Cash</option>
+                    <option value="tournament">Tournament</option>
+                </select>
+                <input
+                    type="date"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className="game-type-select"
+                    title="From"
+                />
+                <input
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className="game-type-select"
+                    title="To"
+                />
                 <button 
                     className="refresh-button"
                     onClick={fetchStats}
@@ -158,35 +201,43 @@ const PlayerStats = () => {
                             <span className="stat-value">{stats.totalHands}</span>
                         </div>
                         <div className="stat-item">
-                            <span className="stat-label">Win Rate</span>
-                            <span className="stat-value">{(stats.winRate * 100).toFixed(1)}%</span>
+                            <span className="stat-label">Net Won</span>
+                            <span className="stat-value">{stats.netWon.toFixed(2)} BB</span>
                         </div>
                         <div className="stat-item">
-                            <span className="stat-label">Total Profit</span>
-                            <span className="stat-value">{stats.totalProfit.toFixed(2)} BB</span>
+                            <span className="stat-label">bb/100</span>
+                            <span className="stat-value">{stats.bbPer100.toFixed(2)}</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-label">All-in EV Net Won</span>
+                            <span className="stat-value">{stats.evNetWon.toFixed(2)} BB</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-label">All-in EV bb/100</span>
+                            <span className="stat-value">{stats.evBbPer100.toFixed(2)}</span>
                         </div>
                     </div>
                 </div>
 
                 <div className="stat-card">
-                    <h3>Preflop Stats</h3>
+                    <h3>Playing Style</h3>
                     <div className="stat-grid">
-                        <div className="stat-item">
-                            <span className="stat-label">VPIP</span>
-                            <span className="stat-value">{(stats.vpip * 100).toFixed(1)}%</span>
-                        </div>
-                        <div className="stat-item">
-                            <span className="stat-label">PFR</span>
-                            <span className="stat-value">{(stats.pfr * 100).toFixed(1)}%</span>
-                        </div>
-                        <div className="stat-item">
-                            <span className="stat-label">3-Bet</span>
-                            <span className="stat-value">{(stats.threeBet * 100).toFixed(1)}%</span>
+                        {STAT_LABELS.map(({ key, label }) => (
+                            <div key={key} className="stat-item" title={`${stats[key].sample} opportunities`}>
+                                <span className="stat-label">{label}</span>
+                                <span className="stat-value">{formatPercentage(stats[key])}</span>
+                            </div>
+                        ))}
+                        <div className="stat-item" title={`${stats.af.sample} postflop bets, raises and calls`}>
+                            <span className="stat-label">AF</span>
+                            <span className="stat-value">{stats.af.value === null ? '-' : stats.af.value.toFixed(2)}</span>
                         </div>
                     </div>
                 </div>
             </div>
 
+            <ResultsGraph username={username} filters={filters} />
+
             <div className="detailed-stats">
                 <div className="stat-section">
                     <h2>Position Statistics</h2>
@@ -194,23 +245,9 @@ const PlayerStats = () => {
                         {renderPositionStats()}
                     </div>
                 </div>
-
-                <div className="stat-section">
-                    <h2>Street Statistics</h2>
-                    <div className="street-stats-grid">
-                        {renderStreetStats()}
-                    </div>
-                </div>
-
-                <div className="stat-section">
-                    <h2>Hand Strength Statistics</h2>
-                    <div className="hand-strength-stats-grid">
-                        {renderHandStrengthStats()}
-                    </div>
-                </div>
             </div>
         </div>
     );
 };
 
-export default PlayerStats; 
\ No newline at end of file
+export default PlayerStats;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import apiService from '../services/api.service';
+import './ResultsGraph.css';
+
+const WIDTH = 800;
+const HEIGHT = 300;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 60 };
+
+// Points drawn per line; longer series are thinned out evenly, always keeping the last hand
+const MAX_POINTS = 1000;
+
+const LINES = [
+    { key: 'total', label: 'Net won', className: 'results-line-total' },
+    { key: 'showdown', label: 'Showdown', className: 'results-line-showdown' },
+    { key: 'nonShowdown', label: 'Non-showdown', className: 'results-line-non-showdown' },
+    { key: 'ev', label: 'EV-adjusted', className: 'results-line-ev' }
+];
+
+// Field of each line in a series point, by unit
+const FIELDS = {
+    bb: { total: 'bb', showdown: 'showdownBB', nonShowdown: 'nonShowdownBB', ev: 'evBB' },
+    chips: { total: 'chips', showdown: 'showdownChips', nonShowdown: 'nonShowdownChips', ev: 'evChips' }
+};
+
+const thin = (series) => {
+    if (series.length <= MAX_POINTS) return series;
+    const step = series.length / MAX_POINTS;
+    const points = Array.from({ length: MAX_POINTS - 1 }, (_, i) => series[Math.floor(i * step)]);
+    return [...points, series[series.length - 1]];
+};
+
+const ResultsGraph = ({ username, filters }) => {
+    const [series, setSeries] = useState([]);
+    const [unit, setUnit] = useState('bb');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchResults = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const data = await apiService.getResultsGraph(username, filters);
+                setSeries(data.series);
+            } catch (err) {
+                setError(err.message || 'Failed to load the results graph');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        if (username || filters.identity) {
+            fetchResults();
+        }
+    }, [username, filters]);
+
+    const renderChart = () => {
+        const points = thin(series);
+        const fields = FIELDS[unit];
+        const values = points.flatMap(point => LINES.map(line => point[fields[line.key]]));
+        const min = Math.min(0, ...values);
+        const max = Math.max(0, ...values);
+        const range = max - min || 1;
+        const lastHand = series[series.length - 1].handNumber;
+
+        const x = handNumber => PADDING.left +
+            (lastHand > 1 ? (handNumber - 1) / (lastHand - 1) : 0) * (WIDTH - PADDING.left - PADDING.right);
+        const y = value => PADDING.top + (max - value) / range * (HEIGHT - PADDING.top - PADDING.bottom);
+        const unitLabel = unit === 'bb' ? 'BB' : 'chips';
+
+        return (
+            <svg className="results-graph-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+                <line className="results-axis" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(0)} y2={y(0)} />
+                <text className="results-axis-label" x={PADDING.left - 6} y={y(max)} textAnchor="end">{max.toFixed(1)}</text>
+                <text className="results-axis-label" x={PADDING.left - 6} y={y(0)} textAnchor="end">0 {unitLabel}</text>
+                <text className="results-axis-label" x={PADDING.left - 6} y={y(min)} textAnchor="end">{min.toFixed(1)}</text>
+                <text className="results-axis-label" x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">{lastHand} hands</text>
+                {LINES.map(line => (
+                    <polyline
+                        key={line.key}
+                        className={line.className}
+                        points={points.map(point => `${x(point.handNumber)},${y(point[fields[line.key]])}`).join(' ')}
+                    />
+                ))}
+            </svg>
+        );
+    };
+
+    const last = series[series.length - 1];
+
+    return (
+        <div className="results-graph">
+            <div className="results-graph-header">
+                <h2>Results</h2>
+                <select value={unit} onChange={(e) => setUnit(e.target.value)} className="game-type-select">
+                    <option value="bb">Big blinds</option>
+                    <option value="chips">Chips</option>
+                </select>
+            </div>
+            {loading ? (
+                <p>Loading results...</p>
+            ) : error ? (
+                <p className="results-graph-error">{error}</p>
+            ) : series.length === 0 ? (
+                <p>No hands in this range</p>
+            ) : (
+                <>
+                    {renderChart()}
+                    <div className="results-graph-legend">
+                        {LINES.map(line => (
+                            <span key={line.key} className={`results-legend-item ${line.className}`}>
+                                {line.label}: {last[FIELDS[unit][line.key]]} {unit === 'bb' ? 'BB' : 'chips'}
+                            </span>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ResultsGraph;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiService from '../services/api.service';
+import './SessionsPage.css';
+
+const DEFAULT_GAP_MINUTES = 30;
+
+const formatDuration = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const SessionsPage = () => {
+    const navigate = useNavigate();
+    const [usernames, setUsernames] = useState([]);
+    const [selectedUsername, setSelectedUsername] = useState(() => {
+        return localStorage.getItem('selectedUsername') || 'grotle';
+    });
+    const [sessions, setSessions] = useState([]);
+    const [gapMinutes, setGapMinutes] = useState(DEFAULT_GAP_MINUTES);
+    const [loading, setLoading] = useState(true);
+    const [rebuilding, setRebuilding] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchUsernames = async () => {
+            try {
+                setUsernames(await apiService.getUsernames());
+            } catch (err) {
+                setError('Failed to load usernames');
+            }
+        };
+        fetchUsernames();
+    }, []);
+
+    const fetchSessions = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const data = await apiService.getSessions(selectedUsername);
+            setSessions(data);
+            if (data.length > 0 && data[0].gapMinutes) {
+                setGapMinutes(data[0].gapMinutes);
+            }
+        } catch (err) {
+            setError('Failed to load sessions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (selectedUsername) {
+            fetchSessions();
+        }
+    }, [selectedUsername]);
+
+    const handleUsernameChange = (e) => {
+        setSelectedUsername(e.target.value);
+        localStorage.setItem('selectedUsername', e.target.value);
+    };
+
+    const handleRebuild = async () => {
+        try {
+            setRebuilding(true);
+            await apiService.rebuildSessions(selectedUsername, Number(gapMinutes));
+            await fetchSessions();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to detect sessions');
+        } finally {
+            setRebuilding(false);
+        }
+    };
+
+    return (
+        <div className="sessions-page">
+            <div className="sessions-header">
+                <h1>Sessions</h1>
+                <select value={selectedUsername} onChange={handleUsernameChange} className="username-select">
+                    <option value="" disabled>username</option>
+                    {usernames.map(username => (
+                        <option key={username} value={username}>{username}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="sessions-controls">
+                <label>
+                    New session after a break of
+                    <input
+                        type="number"
+                        min="1"
+                        value={gapMinutes}
+                        onChange={(e) => setGapMinutes(e.target.value)}
+                        className="session-gap-input"
+                    />
+                    minutes
+                </label>
+                <button
+                    className="refresh-button"
+                    onClick={handleRebuild}
+                    disabled={rebuilding || !selectedUsername || !(Number(gapMinutes) > 0)}
+                >
+                    {rebuilding ? 'Detecting...' : 'Detect Sessions'}
+                </button>
+            </div>
+
+            {error && <div className="sessions-error">{error}</div>}
+
+            {loading ? (
+                <p>Loading sessions...</p>
+            ) : sessions.length === 0 ? (
+                <p>No sessions yet. Import hands or click "Detect Sessions".</p>
+            ) : (
+                <table className="sessions-table">
+                    <thead>
+                        <tr>
+                            <th>Started</th>
+                            <th>Duration</th>
+                            <th>Hands</th>
+                            <th>Tables</th>
+                            <th>Game</th>
+                            <th>Net Won</th>
+                            <th>bb/100</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sessions.map(session => (
+                            <tr
+                                key={session._id}
+                                onClick={() => navigate(`/hand-history?session=${session._id}`)}
+                                title="Show this session's hands"
+                            >
+                                <td>{new Date(session.startTime).toLocaleString()}</td>
+                                <td>{formatDuration(session.durationMinutes)}</td>
+                                <td>{session.handCount}</td>
+                                <td title={session.tables.join('\n')}>{session.tables.length}</td>
+                                <td>{session.gameType}</td>
+                                <td className={session.netWon >= 0 ? 'positive' : 'negative'}>
+                                    {session.netWon.toFixed(2)} BB
+                                </td>
+                                <td>{session.bbPer100.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default SessionsPage;
@@ -11,7 +11,78 @@ const axiosInstance = axios.create({
     }
 });
 
+// The token from POST /auth/login or /auth/register goes along with every request
+export const AUTH_TOKEN_KEY = 'authToken';
+
+axiosInstance.interceptors.request.use((config) => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+// An expired or missing token sends the user back to the login page
+axiosInstance.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        const isSignIn = error.config?.url?.startsWith('/auth/');
+        if (error.response?.status === 401 && !isSignIn) {
+            localStorage.removeItem(AUTH_TOKEN_KEY);
+            if (window.location.pathname !== '/login') {
+                window.location.assign('/login');
+            }
+        }
+        return Promise.reject(error);
+    }
+);
+
+// /stats/<username>, or /stats/identity/<id> when the filters name a player identity
+const statsPath = (username, identity) => (identity
+    ? `/stats/identity/${identity}`
+    : `/stats/${encodeURIComponent(username)}`);
+
 const apiService = {
+    isLoggedIn: () => !!localStorage.getItem(AUTH_TOKEN_KEY),
+
+    // Create an account and sign in
+    register: async (username, password) => {
+        try {
+            const response = await axiosInstance.post('/auth/register', { username, password });
+            localStorage.setItem(AUTH_TOKEN_KEY, response.data.token);
+            return response.data.user;
+        } catch (error) {
+            console.error('Error registering:', error);
+            throw error;
+        }
+    },
+
+    login: async (username, password) => {
+        try {
+            const response = await axiosInstance.post('/auth/login', { username, password });
+            localStorage.setItem(AUTH_TOKEN_KEY, response.data.token);
+            return response.data.user;
+        } catch (error) {
+            console.error('Error logging in:', error);
+            throw error;
+        }
+    },
+
+    logout: () => {
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+    },
+
+    // The signed-in account with its screen names ({ site, screenName })
+    getCurrentUser: async () => {
+        try {
+            const response = await axiosInstance.get('/auth/me');
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching the signed-in account:', error);
+            throw error;
+        }
+    },
+
     // Get all hands with optional filters
     getHands: async (filters = {}) => {
         try {
@@ -56,20 +127,27 @@ const apiService = {
         }
     },
 
-    // Upload hand history file
-    uploadHandHistory: async (formData, onProgress) => {
+    // Export the hands matching the filters (Open Hand History by default)
+    exportHands: async (filters = {}, format = 'ohh') => {
+        try {
+            const response = await axiosInstance.get('/hands/export', {
+                params: { ...filters, format },
+                responseType: 'blob'
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Error exporting hands:', error);
+            throw error;
+        }
+    },
+
+    // Upload hand history file. Include a jobId from createImportJob in the
+    // form data to follow the server's progress with subscribeToImportJob.
+    uploadHandHistory: async (formData) => {
         try {
             const response = await axiosInstance.post('/hands/upload', formData, {
                 headers: {
                     'Content-Type': 'multipart/form-data'
-                },
-                onUploadProgress: (progressEvent) => {
-                    if (onProgress) {
-                        onProgress({
-                            processedHands: progressEvent.loaded,
-                            totalHands: progressEvent.total
-                        });
-                    }
                 }
             });
             return response.data;
@@ -79,6 +157,197 @@ const apiService = {
         }
     },
 
+    // Create an import job to send along with an upload: { id, eventsToken, ... }
+    createImportJob: async () => {
+        try {
+            const response = await axiosInstance.post('/import-jobs');
+            return response.data;
+        } catch (error) {
+            console.error('Error creating import job:', error);
+            throw error;
+        }
+    },
+
+    // Follow an import job over Server-Sent Events. onProgress receives
+    // { status, progress: { totalHands, handsToSave, parsed, saved, duplicates, skipped } }.
+    // Returns the EventSource so the caller can close it.
+    subscribeToImportJob: (job, onProgress) => {
+        const token = encodeURIComponent(job.eventsToken);
+        const source = new EventSource(`${API_BASE_URL}/import-jobs/${job.id}/events?token=${token}`, { withCredentials: true });
+        source.addEventListener('progress', (event) => {
+            const update = JSON.parse(event.data);
+            onProgress(update);
+            if (update.status === 'done' || update.status === 'failed') {
+                source.close();
+            }
+        });
+        source.onerror = () => source.close();
+        return source;
+    },
+
+    // List previous uploads, optionally for one username
+    getImportBatches: async (username) => {
+        try {
+            const response = await axiosInstance.get('/import-batches', { params: { username } });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching import batches:', error);
+            throw error;
+        }
+    },
+
+    // Undo an upload, deleting the hands it created
+    deleteImportBatch: async (id) => {
+        try {
+            const response = await axiosInstance.delete(`/import-batches/${id}`);
+            return response.data;
+        } catch (error) {
+            console.error('Error deleting import batch:', error);
+            throw error;
+        }
+    },
+
+    // Tournaments read from imported summary files, most recent first
+    getTournaments: async (username) => {
+        try {
+            const response = await axiosInstance.get('/tournaments', { params: { username } });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching tournaments:', error);
+            throw error;
+        }
+    },
+
+    // One tournament with its imported hands; site picks one when the name plays on several
+    getTournament: async (tournamentId, username, site) => {
+        try {
+            const response = await axiosInstance.get(`/tournaments/${tournamentId}`, { params: { username, site } });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching tournament:', error);
+            throw error;
+        }
+    },
+
+    // Enter a tournament's payouts (1st place first) for ICM $EV
+    updateTournamentPayouts: async (tournamentId, username, payouts, site) => {
+        try {
+            const response = await axiosInstance.patch(`/tournaments/${tournamentId}/payouts`, { username, site, payouts });
+            return response.data;
+        } catch (error) {
+            console.error('Error updating tournament payouts:', error);
+            throw error;
+        }
+    },
+
+    // Hero's stats, computed on the server; filters: startDate, endDate, gameType
+    getPlayerStats: async (username, { identity, ...filters } = {}) => {
+        try {
+            const response = await axiosInstance.get(statsPath(username, identity), { params: filters });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching player stats:', error);
+            throw error;
+        }
+    },
+
+    // Hand-by-hand cumulative net won, split by showdown; same filters as getPlayerStats
+    getResultsGraph: async (username, { identity, ...filters } = {}) => {
+        try {
+            const response = await axiosInstance.get(`${statsPath(username, identity)}/results`, { params: filters });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching results graph:', error);
+            throw error;
+        }
+    },
+
+    // The signed-in account's player identities, each grouping screen names across sites
+    getIdentities: async () => {
+        try {
+            const response = await axiosInstance.get('/identities');
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching player identities:', error);
+            throw error;
+        }
+    },
+
+    // identity is { name, aliases: [{ site, screenName }] }
+    createIdentity: async (identity) => {
+        try {
+            const response = await axiosInstance.post('/identities', identity);
+            return response.data;
+        } catch (error) {
+            console.error('Error creating player identity:', error);
+            throw error;
+        }
+    },
+
+    updateIdentity: async (id, updates) => {
+        try {
+            const response = await axiosInstance.patch(`/identities/${id}`, updates);
+            return response.data;
+        } catch (error) {
+            console.error('Error updating player identity:', error);
+            throw error;
+        }
+    },
+
+    deleteIdentity: async (id) => {
+        try {
+            const response = await axiosInstance.delete(`/identities/${id}`);
+            return response.data;
+        } catch (error) {
+            console.error('Error deleting player identity:', error);
+            throw error;
+        }
+    },
+
+    // A user's sessions, most recent first
+    getSessions: async (username) => {
+        try {
+            const response = await axiosInstance.get('/sessions', { params: { username } });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+            throw error;
+        }
+    },
+
+    // One session with the ids of its hands
+    getSession: async (id) => {
+        try {
+            const response = await axiosInstance.get(`/sessions/${id}`);
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching session:', error);
+            throw error;
+        }
+    },
+
+    // Detect a user's sessions again; gapMinutes is the longest break within a session
+    rebuildSessions: async (username, gapMinutes) => {
+        try {
+            const response = await axiosInstance.post('/sessions/rebuild', { username, gapMinutes });
+            return response.data;
+        } catch (error) {
+            console.error('Error rebuilding sessions:', error);
+            throw error;
+        }
+    },
+
+    // Opponent profile with HUD stats for one screen name, from our hands on the site
+    getPlayer: async (name, site) => {
+        try {
+            const response = await axiosInstance.get(`/players/${encodeURIComponent(name)}`, { params: { site } });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching player:', error);
+            throw error;
+        }
+    },
+
     async getHandsByDateRange(startDate, endDate) {
         try {
             const response = await axiosInstance.get('/hands', {
@@ -117,6 +386,48 @@ const apiService = {
         }
     },
 
+    // Add a markdown note to a hand, or to one action with actionId; resolves to the hand's notes
+    addHandNote: async (id, { text, actionId }) => {
+        try {
+            const response = await axiosInstance.post(`/hands/${id}/notes`, { text, actionId });
+            return response.data;
+        } catch (error) {
+            console.error('Error adding note:', error);
+            throw error;
+        }
+    },
+
+    updateHandNote: async (id, noteId, text) => {
+        try {
+            const response = await axiosInstance.patch(`/hands/${id}/notes/${noteId}`, { text });
+            return response.data;
+        } catch (error) {
+            console.error('Error updating note:', error);
+            throw error;
+        }
+    },
+
+    deleteHandNote: async (id, noteId) => {
+        try {
+            const response = await axiosInstance.delete(`/hands/${id}/notes/${noteId}`);
+            return response.data;
+        } catch (error) {
+            console.error('Error deleting note:', error);
+            throw error;
+        }
+    },
+
+    // Every tag used on a user's hands; hero is { username } or { identity }
+    getHandTags: async (hero) => {
+        try {
+            const response = await axiosInstance.get('/hands/tags', { params: hero });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching tags:', error);
+            throw error;
+        }
+    },
+
     // Get unique usernames
     getUsernames: async () => {
         try {
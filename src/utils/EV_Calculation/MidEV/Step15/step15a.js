@@ -15,6 +15,11 @@
  *   rake       = equity × rakeOnPot(potAfter)  (rake is only paid when hero wins)
  *   finalEV    = EV_call − rake
  *
+ * PKO bounties: when the villain's call puts him all in and hero covers him,
+ * pass the bounty's chip value (Step 15b) as bountyValue; hero collects it
+ * whenever he wins, so
+ *   finalEV    = EV_call − rake + equity × bountyValue
+ *
  * Assumptions:
  *   • No additional betting on later streets (handled elsewhere).
  *   • Villain's stack covers the call.  Short-stack edge cases can extend this.
@@ -31,19 +36,23 @@ function calculateEVIfOpponentCalls({
   betSize = 0,
   equity = 0.5,
   rakePercent = 0,
-  rakeCap = null
+  rakeCap = null,
+  bountyValue = 0
 } = {}) {
+  const bountyEV = equity * bountyValue;
+
   if (betSize <= 0) {
     // No extra chips invested ⇒ EV is simply equity × potBefore
     const rake = equity * _computeRake(potBeforeAction, rakePercent, rakeCap);
     return {
-      ev: Number((equity * potBeforeAction - rake).toFixed(2)),
+      ev: Number((equity * potBeforeAction - rake + bountyEV).toFixed(2)),
       details: {
         potBeforeAction,
         betSize,
         potAfter: potBeforeAction,
         equity,
-        rakeCharged: Number(rake.toFixed(2))
+        rakeCharged: Number(rake.toFixed(2)),
+        bountyEV: Number(bountyEV.toFixed(2))
       }
     };
   }
@@ -52,7 +61,7 @@ function calculateEVIfOpponentCalls({
   const grossWin = equity * potAfter;
   const rakeOnPot = _computeRake(potAfter, rakePercent, rakeCap);
   const rakePaidIfWin = equity * rakeOnPot;
-  const ev = grossWin - betSize - rakePaidIfWin;
+  const ev = grossWin - betSize - rakePaidIfWin + bountyEV;
 
   return {
     ev: Number(ev.toFixed(2)),
@@ -64,7 +73,8 @@ function calculateEVIfOpponentCalls({
       grossWin: Number(grossWin.toFixed(2)),
       rakePercent,
       rakeCap,
-      rakeCharged: Number(rakePaidIfWin.toFixed(2))
+      rakeCharged: Number(rakePaidIfWin.toFixed(2)),
+      bountyEV: Number(bountyEV.toFixed(2))
     }
   };
 }
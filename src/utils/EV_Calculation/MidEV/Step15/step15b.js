@@ -0,0 +1,64 @@
+/**
+ * Step 15b: PKO Bounty Overlay
+ * ----------------------------
+ * In a progressive knockout the player who busts a villain collects the
+ * villain's bounty on top of the pot.  Hero can only collect it when the
+ * villain's chips are all in and hero covers him (hero's stack ≥ villain's),
+ * so in that spot the bounty behaves like extra chips in the pot that hero
+ * wins with his equity.  Steps 15a and 16a add `equity × bountyValue` to the
+ * branches where hero's chips are matched against the all-in villain.
+ *
+ * Bounties are paid in cash, so they are converted to chips at the rate a
+ * buy-in buys chips:
+ *   bountyValue = villainBounty × startingStack / prizeBuyIn
+ * where prizeBuyIn is the part of the buy-in that goes to the prize pool
+ * (buy-in minus bounty and fee).  The whole bounty is counted: half is paid
+ * out straight away and half goes on hero's own head, valued at face.
+ *
+ * Inputs
+ *   - villainBounty : villain's bounty in the tournament's currency.
+ *   - villainAllIn  : true if the villain's chips are all in in this branch.
+ *   - heroStack     : hero's stack at the start of the hand.
+ *   - villainStack  : villain's stack at the start of the hand.
+ *   - startingStack : chips a player starts the tournament with.
+ *   - prizeBuyIn    : buy-in that goes to the prize pool.
+ *   - bigBlind      : optional; pass it to get the value in big blinds.
+ *
+ * Output
+ *   { bountyValue: number, details: { ... } }
+ */
+
+function calculateBountyOverlay({
+  villainBounty = 0,
+  villainAllIn = false,
+  heroStack = 0,
+  villainStack = 0,
+  startingStack = 0,
+  prizeBuyIn = 0,
+  bigBlind = 1
+} = {}) {
+  if (!villainBounty || !villainAllIn) {
+    return { bountyValue: 0, details: { reason: 'No bounty at stake' } };
+  }
+  if (heroStack < villainStack) {
+    return { bountyValue: 0, details: { reason: 'Hero does not cover the villain' } };
+  }
+  if (startingStack <= 0 || prizeBuyIn <= 0) {
+    return { bountyValue: 0, details: { reason: 'Unknown chip value' } };
+  }
+
+  const bountyChips = villainBounty * startingStack / prizeBuyIn;
+  return {
+    bountyValue: Number((bountyChips / bigBlind).toFixed(2)),
+    details: {
+      villainBounty,
+      startingStack,
+      prizeBuyIn,
+      bountyChips: Number(bountyChips.toFixed(2))
+    }
+  };
+}
+
+module.exports = {
+  calculateBountyOverlay
+};
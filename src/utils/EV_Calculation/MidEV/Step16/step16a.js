@@ -19,6 +19,10 @@
  *     grossWin      = heroEquity × potAfterCall
  *     rake          = heroEquity × rakeFn(potAfterCall)
  *     EV_call       = grossWin − callCost − rake
+ *
+ * PKO bounties: when the villain's raise is all in and hero covers him, pass
+ * the bounty's chip value (Step 15b) as bountyValue.  Calling then also wins
+ * heroEquity × bountyValue; folding never does.
  */
 
 const { calculateEVIfOpponentCalls } = require('../Step15/step15a');
@@ -35,7 +39,8 @@ function calculateEVIfOpponentRaises({
   villainRaiseSize = 0,
   heroEquity = 0.5, // equity vs raising range (Step 13)
   rakePercent = 0,
-  rakeCap = null
+  rakeCap = null,
+  bountyValue = 0
 } = {}) {
   // EDGE: if villainRaiseSize <= 0 treat as no raise (shouldn't happen)
   if (villainRaiseSize <= 0) {
@@ -45,7 +50,8 @@ function calculateEVIfOpponentRaises({
       betSize: heroBetSize,
       equity: heroEquity,
       rakePercent,
-      rakeCap
+      rakeCap,
+      bountyValue
     });
   }
 
@@ -57,7 +63,8 @@ function calculateEVIfOpponentRaises({
   const potAfterCall = potBeforeAction + heroBetSize + villainRaiseSize + callCost;
   const grossWin = heroEquity * potAfterCall;
   const rake = heroEquity * _computeRake(potAfterCall, rakePercent, rakeCap);
-  const evCall = grossWin - callCost - rake;
+  const bountyEV = heroEquity * bountyValue;
+  const evCall = grossWin - callCost - rake + bountyEV;
 
   const bestEV = Math.max(evFold, evCall);
   const heroChoice = bestEV === evFold ? 'fold' : 'call';
@@ -76,7 +83,8 @@ function calculateEVIfOpponentRaises({
       heroChoice,
       rakePercent,
       rakeCap,
-      rakeCharged: Number(rake.toFixed(2))
+      rakeCharged: Number(rake.toFixed(2)),
+      bountyEV: Number(bountyEV.toFixed(2))
     }
   };
 }
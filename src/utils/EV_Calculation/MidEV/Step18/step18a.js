@@ -0,0 +1,85 @@
+/**
+ * Step 18a: Hero's Alternative Actions
+ * ------------------------------------
+ * Step 19 compares the action the hero took with the ones the hero could
+ * have taken instead.  This builds that candidate list: the hero's action
+ * (its EV already weighted in Step 17) plus whichever of fold, call/check and
+ * bet/raise was not chosen, each valued with the same branch models:
+ *
+ *   fold        : EV = 0 – nothing more goes in, nothing comes back
+ *   call/check  : EV = equity × (potBeforeAction + toCall) − toCall
+ *   bet/raise   : Steps 14–16 at raiseSize, weighted by the villain's
+ *                 response probabilities (Step 17)
+ *
+ * With toDollarEV (a chip EV → ICM $EV function, Step 21b) every candidate
+ * also carries meta.dollarEV, so the best $EV alternative can be found the
+ * same way as the best chip EV one.  Bounties are left out of the
+ * alternatives.
+ *
+ * Interface
+ *   buildActionCandidates({
+ *     action:          'fold' | 'check' | 'call' | 'bet' | 'raise',
+ *     actual:          { ev, dollarEV },   // the hero's action
+ *     potBeforeAction, toCall, raiseSize,  // bb
+ *     equity, probabilities, toDollarEV
+ *   })
+ *
+ * Output
+ *   { actualIndex: 0, candidates: [ { label, ev, meta: { dollarEV } }, … ] }
+ */
+
+const { calculateEVIfOpponentFolds } = require('../Step14/step14a');
+const { calculateEVIfOpponentCalls } = require('../Step15/step15a');
+const { calculateEVIfOpponentRaises } = require('../Step16/step16a');
+const { weightOutcomeEVs } = require('../Step17/step17a');
+
+const LINES = { fold: 'fold', check: 'call', call: 'call', bet: 'raise', raise: 'raise' };
+
+function buildActionCandidates({
+  action,
+  actual = { ev: 0, dollarEV: null },
+  potBeforeAction = 0,
+  toCall = 0,
+  raiseSize = 0,
+  equity = 0.5,
+  probabilities = { fold: 0.6, call: 0.3, raise: 0.1 },
+  toDollarEV = null
+} = {}) {
+  const dollarEV = (chipEV) => (toDollarEV ? toDollarEV(chipEV) : null);
+  const taken = LINES[action];
+  const candidates = [{ label: action, ev: actual.ev, meta: { dollarEV: actual.dollarEV ?? null } }];
+  // Posting blinds and antes is not a choice
+  if (!taken) return { actualIndex: 0, candidates };
+
+  if (taken !== 'fold') {
+    candidates.push({ label: 'fold', ev: 0, meta: { dollarEV: dollarEV(0) } });
+  }
+
+  if (taken !== 'call') {
+    // Step 15 with the villain's bet taken out of the pot is exactly a call of it
+    const ev = calculateEVIfOpponentCalls({ potBeforeAction: potBeforeAction - toCall, betSize: toCall, equity }).ev;
+    candidates.push({ label: toCall > 0 ? 'call' : 'check', ev, meta: { dollarEV: dollarEV(ev) } });
+  }
+
+  if (taken !== 'raise' && raiseSize > 0) {
+    const branches = {
+      fold: calculateEVIfOpponentFolds({ potBeforeAction }).ev,
+      call: calculateEVIfOpponentCalls({ potBeforeAction, betSize: raiseSize, equity }).ev,
+      raise: calculateEVIfOpponentRaises({ potBeforeAction, heroBetSize: raiseSize, villainRaiseSize: raiseSize * 2, heroEquity: equity }).ev
+    };
+    const weigh = (evs) => weightOutcomeEVs({ evFold: evs.fold, evCall: evs.call, evRaise: evs.raise, probabilities }).totalEV;
+    candidates.push({
+      label: toCall > 0 ? 'raise' : 'bet',
+      ev: weigh(branches),
+      meta: {
+        dollarEV: toDollarEV
+          ? weigh({ fold: toDollarEV(branches.fold), call: toDollarEV(branches.call), raise: toDollarEV(branches.raise) })
+          : null
+      }
+    });
+  }
+
+  return { actualIndex: 0, candidates };
+}
+
+module.exports = { buildActionCandidates };
@@ -9,17 +9,36 @@
  *     – threshold (bb) allows a tolerance before calling an action -EV.
  *       e.g. if threshold = 0.1 and delta = -0.05, treat as neutral / +EV.
  *
+ *   Tournament hands can also be graded in money: pass the ICM $EV of the
+ *   hero's action and of the best alternative (Step 21b) as heroDollarEV and
+ *   bestDollarEV, with dollarThreshold as the tolerance in currency.
+ *
  * Output
  *   {
  *     classification: '+EV' | '-EV',
- *     delta: bestEV - heroEV
+ *     delta: bestEV - heroEV,
+ *     dollarClassification: '+$EV' | '-$EV',   // only with $EV inputs
+ *     dollarDelta: bestDollarEV - heroDollarEV
  *   }
  */
 
-function classifyAction({ heroEV = 0, bestEV = 0, threshold = 0 } = {}) {
+function classifyAction({
+  heroEV = 0,
+  bestEV = 0,
+  threshold = 0,
+  heroDollarEV = null,
+  bestDollarEV = null,
+  dollarThreshold = 0
+} = {}) {
   const delta = Number((bestEV - heroEV).toFixed(3));
   const classification = delta > threshold ? '-EV' : '+EV';
-  return { classification, delta };
+  if (heroDollarEV === null || bestDollarEV === null) {
+    return { classification, delta };
+  }
+
+  const dollarDelta = Number((bestDollarEV - heroDollarEV).toFixed(4));
+  const dollarClassification = dollarDelta > dollarThreshold ? '-$EV' : '+$EV';
+  return { classification, delta, dollarClassification, dollarDelta };
 }
 
 module.exports = { classifyAction }; 
\ No newline at end of file
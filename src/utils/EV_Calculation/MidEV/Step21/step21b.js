@@ -0,0 +1,104 @@
+/**
+ * Step 21b: ICM $EV
+ * -----------------
+ * Chips are not money in a tournament: doubling a stack never doubles its
+ * share of the prize pool.  The Independent Chip Model (Malmuth-Harville)
+ * turns the table's stacks into each player's expected prize:
+ *
+ *   P(i finishes 1st)            = stack_i / totalChips
+ *   P(i 1st, j 2nd)              = P(i 1st) × stack_j / (totalChips − stack_i)
+ *   …and so on for every paid place, so
+ *   equity_i = Σ_place P(i finishes in place) × payouts[place]
+ *
+ * A branch EV from Steps 14–17 is a chip change for the hero.  It is turned
+ * into $EV by moving those chips between hero and the villain and comparing
+ * hero's ICM equity before and after:
+ *   $EV = equity_hero(stacks after) − equity_hero(stacks before)
+ * Step 21a grades the action on this value alongside the chip EV.
+ *
+ * The before-equities only depend on the hand, so a caller grading several
+ * branches of it can compute them once and pass them in as equitiesBefore.
+ *
+ * Stacks are the table's stacks (playerStacks), in chips; payouts are the
+ * prizes from 1st place down, entered by hand or read from the tournament
+ * summary.  Only the table is modelled, so before the final table this is the
+ * usual single-table approximation.
+ */
+
+function _sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function calculateICMEquities({ stacks = [], payouts = [] } = {}) {
+  const equities = stacks.map(() => 0);
+  const players = stacks.map((stack, i) => i).filter(i => stacks[i] > 0);
+  const places = Math.min(payouts.length, players.length);
+  if (places === 0) return equities;
+  const totalChips = _sum(players.map(i => stacks[i]));
+
+  // Walking every finishing order is factorial in the number of players.  The
+  // chance of who finishes next only depends on *which* players are already
+  // placed, not on their order, so orders are merged by that set (a bitmask
+  // over players) and only as many places deep as are paid.
+  let placedSets = new Map([[0, { probability: 1, chips: 0 }]]);
+  for (let place = 0; place < places; place++) {
+    const nextSets = new Map();
+    placedSets.forEach(({ probability, chips }, placed) => {
+      players.forEach((i, bit) => {
+        if (placed & (1 << bit)) return;
+        const p = probability * stacks[i] / (totalChips - chips);
+        equities[i] += p * payouts[place];
+        if (place + 1 === places) return;
+
+        const key = placed | (1 << bit);
+        const next = nextSets.get(key);
+        if (next) next.probability += p;
+        else nextSets.set(key, { probability: p, chips: chips + stacks[i] });
+      });
+    });
+    placedSets = nextSets;
+  }
+
+  return equities.map(equity => Number(equity.toFixed(4)));
+}
+
+function calculateDollarEV({
+  stacks = [],
+  heroIndex = 0,
+  villainIndex = null,
+  chipEV = 0,
+  payouts = [],
+  equitiesBefore = null
+} = {}) {
+  if (payouts.length === 0 || stacks.length === 0) {
+    return { dollarEV: 0, details: { reason: 'No payout structure' } };
+  }
+
+  // Chips hero wins come from the villain and chips hero loses go to him;
+  // neither can lose more than they have behind
+  const villain = villainIndex ?? stacks.findIndex((stack, i) => i !== heroIndex && stack > 0);
+  const chips = chipEV >= 0
+    ? Math.min(chipEV, stacks[villain] || 0)
+    : -Math.min(-chipEV, stacks[heroIndex]);
+  const stacksAfter = stacks.slice();
+  stacksAfter[heroIndex] += chips;
+  if (villain >= 0) stacksAfter[villain] -= chips;
+
+  const equityBefore = (equitiesBefore || calculateICMEquities({ stacks, payouts }))[heroIndex];
+  const equityAfter = calculateICMEquities({ stacks: stacksAfter, payouts })[heroIndex];
+
+  return {
+    dollarEV: Number((equityAfter - equityBefore).toFixed(4)),
+    details: {
+      chipEV,
+      chipsMoved: chips,
+      equityBefore,
+      equityAfter
+    }
+  };
+}
+
+module.exports = {
+  calculateICMEquities,
+  calculateDollarEV
+};
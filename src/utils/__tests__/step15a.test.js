@@ -23,4 +23,11 @@ describe('Step 15a – calculateEVIfOpponentCalls', () => {
     // potAfter = 200, rake 10, hero pays full rake since equity 1
     expect(res.ev).toBe(140);
   });
-}); 
\ No newline at end of file
+
+  test('Bounty is won with hero\'s equity', () => {
+    const res = calculateEVIfOpponentCalls({ potBeforeAction: 100, betSize: 50, equity: 0.5, bountyValue: 40 });
+    // 50 EV from the pot plus half the 40 chip bounty
+    expect(res.details.bountyEV).toBe(20);
+    expect(res.ev).toBe(70);
+  });
+});
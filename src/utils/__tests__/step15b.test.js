@@ -0,0 +1,20 @@
+const { calculateBountyOverlay } = require('../EV_Calculation/MidEV/Step15/step15b');
+
+describe('Step 15b – calculateBountyOverlay', () => {
+  const spot = { villainBounty: 5, villainAllIn: true, heroStack: 3100, villainStack: 900, startingStack: 5000, prizeBuyIn: 5, bigBlind: 100 };
+
+  test('Bounty of an all-in villain hero covers is worth chips', () => {
+    const { bountyValue, details } = calculateBountyOverlay(spot);
+    // $5 bounty at 1000 chips per $ = 5000 chips = 50BB
+    expect(details.bountyChips).toBe(5000);
+    expect(bountyValue).toBe(50);
+  });
+
+  test('No bounty when hero does not cover the villain', () => {
+    expect(calculateBountyOverlay({ ...spot, heroStack: 800 }).bountyValue).toBe(0);
+  });
+
+  test('No bounty when the villain is not all in', () => {
+    expect(calculateBountyOverlay({ ...spot, villainAllIn: false }).bountyValue).toBe(0);
+  });
+});
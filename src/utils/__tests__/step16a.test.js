@@ -13,4 +13,13 @@ describe('Step 16a – calculateEVIfOpponentRaises', () => {
     // EV_call calculation quick check – should be greater than -20
     expect(res.ev).toBeGreaterThan(-20);
   });
-}); 
\ No newline at end of file
+
+  test('Bounty on an all-in raiser can turn a fold into a call', () => {
+    const spot = { potBeforeAction: 100, heroBetSize: 20, villainRaiseSize: 80, heroEquity: 0.2 };
+    expect(calculateEVIfOpponentRaises(spot).details.heroChoice).toBe('fold');
+
+    const res = calculateEVIfOpponentRaises({ ...spot, bountyValue: 60 });
+    expect(res.details.heroChoice).toBe('call');
+    expect(res.details.bountyEV).toBe(12);
+  });
+});
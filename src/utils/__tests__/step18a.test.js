@@ -0,0 +1,59 @@
+const { buildActionCandidates } = require('../EV_Calculation/MidEV/Step18/step18a');
+const { compareActions } = require('../EV_Calculation/MidEV/Step19/step19a');
+const { classifyAction } = require('../EV_Calculation/MidEV/Step21/step21a');
+const { calculateDollarEV } = require('../EV_Calculation/MidEV/Step21/step21b');
+
+describe('Step 18a – alternative actions', () => {
+  test('Adds the lines hero did not take', () => {
+    const { candidates, actualIndex } = buildActionCandidates({
+      action: 'call',
+      actual: { ev: 1.5 },
+      potBeforeAction: 6,
+      toCall: 2,
+      raiseSize: 6
+    });
+
+    expect(actualIndex).toBe(0);
+    expect(candidates.map(candidate => candidate.label)).toEqual(['call', 'fold', 'raise']);
+    expect(candidates[1].ev).toBe(0);
+  });
+
+  test('Calling is valued as equity of the pot after the call minus its cost', () => {
+    const { candidates } = buildActionCandidates({ action: 'fold', potBeforeAction: 6, toCall: 2, equity: 0.25 });
+    expect(candidates.find(candidate => candidate.label === 'call').ev).toBeCloseTo(0.25 * 8 - 2, 2);
+  });
+
+  test('Posting a blind has no alternatives', () => {
+    expect(buildActionCandidates({ action: 'post', actual: { ev: 0 } }).candidates).toHaveLength(1);
+  });
+
+  test('A losing call is graded -$EV against folding', () => {
+    // Hero (short) calls a big stack's shove with a quarter of the pot in equity, three left and two paid
+    const spot = { stacks: [1000, 5000, 4000], heroIndex: 0, villainIndex: 1, payouts: [60, 40] };
+    const toDollarEV = (chipEV) => calculateDollarEV({ ...spot, chipEV: chipEV * 100 }).dollarEV;
+    const callEV = 0.25 * (20 + 10) - 10;
+
+    const { actualIndex, candidates } = buildActionCandidates({
+      action: 'call',
+      actual: { ev: callEV, dollarEV: toDollarEV(callEV) },
+      potBeforeAction: 20,
+      toCall: 10,
+      raiseSize: 0,
+      equity: 0.25,
+      toDollarEV
+    });
+    const comparison = compareActions({ actualIndex, candidates });
+    const classification = classifyAction({
+      heroEV: comparison.hero.ev,
+      bestEV: comparison.best.ev,
+      heroDollarEV: comparison.hero.meta.dollarEV,
+      bestDollarEV: Math.max(...comparison.sorted.map(candidate => candidate.meta.dollarEV)),
+      dollarThreshold: 0.01
+    });
+
+    expect(comparison.best.label).toBe('fold');
+    expect(classification.classification).toBe('-EV');
+    expect(classification.dollarClassification).toBe('-$EV');
+    expect(classification.dollarDelta).toBeCloseTo(-toDollarEV(callEV), 4);
+  });
+});
@@ -17,4 +17,11 @@ describe('Step 21a – classifyAction', () => {
     expect(res.classification).toBe('-EV');
     expect(res.delta).toBeCloseTo(0.5, 3);
   });
-}); 
\ No newline at end of file
+
+  test('Graded on $EV as well when ICM values are given', () => {
+    const res = classifyAction({ heroEV: 1.5, bestEV: 1.5, heroDollarEV: -0.4, bestDollarEV: 0.1, dollarThreshold: 0.01 });
+    expect(res.classification).toBe('+EV');
+    expect(res.dollarClassification).toBe('-$EV');
+    expect(res.dollarDelta).toBeCloseTo(0.5, 4);
+  });
+});
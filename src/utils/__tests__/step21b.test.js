@@ -0,0 +1,45 @@
+const { calculateICMEquities, calculateDollarEV } = require('../EV_Calculation/MidEV/Step21/step21b');
+
+describe('Step 21b – ICM $EV', () => {
+  test('Equal stacks share the prize pool equally', () => {
+    const equities = calculateICMEquities({ stacks: [1000, 1000, 1000], payouts: [50, 30, 20] });
+    equities.forEach(equity => expect(equity).toBeCloseTo(100 / 3, 3));
+  });
+
+  test('Malmuth-Harville equities for uneven stacks', () => {
+    // P(A 1st) = 0.5, P(B 1st) = 0.3, P(C 1st) = 0.2, second place from the rest
+    const [a, b, c] = calculateICMEquities({ stacks: [5000, 3000, 2000], payouts: [70, 30] });
+    expect(a).toBeCloseTo(0.5 * 70 + (0.3 * 5 / 7 + 0.2 * 5 / 8) * 30, 3);
+    expect(b).toBeCloseTo(0.3 * 70 + (0.5 * 3 / 5 + 0.2 * 3 / 8) * 30, 3);
+    expect(c).toBeCloseTo(0.2 * 70 + (0.5 * 2 / 5 + 0.3 * 2 / 7) * 30, 3);
+    expect(a + b + c).toBeCloseTo(100, 3);
+  });
+
+  test('A full table with deep payouts is computed without walking every finishing order', () => {
+    const stacks = [12000, 9000, 8000, 7000, 6000, 5000, 4000, 3000, 2000, 1000];
+    const payouts = Array.from({ length: 20 }, (_, place) => 200 - place * 10);
+    const equities = calculateICMEquities({ stacks, payouts });
+
+    // Everyone at the table is paid, so the equities add up to the top ten prizes
+    expect(equities.reduce((total, equity) => total + equity, 0)).toBeCloseTo(1550, 2);
+    equities.slice(1).forEach((equity, i) => expect(equity).toBeLessThan(equities[i]));
+  });
+
+  test('Before-equities passed in are used instead of computed again', () => {
+    const spot = { stacks: [3000, 3000, 3000], heroIndex: 0, villainIndex: 1, payouts: [50, 30, 20], chipEV: 1500 };
+    const equitiesBefore = calculateICMEquities(spot);
+    expect(calculateDollarEV({ ...spot, equitiesBefore })).toEqual(calculateDollarEV(spot));
+  });
+
+  test('Winning chips is worth less than losing them costs', () => {
+    const spot = { stacks: [3000, 3000, 3000], heroIndex: 0, villainIndex: 1, payouts: [50, 30, 20] };
+    const win = calculateDollarEV({ ...spot, chipEV: 1500 }).dollarEV;
+    const lose = calculateDollarEV({ ...spot, chipEV: -1500 }).dollarEV;
+    expect(win).toBeGreaterThan(0);
+    expect(-lose).toBeGreaterThan(win);
+  });
+
+  test('No payouts means no $EV', () => {
+    expect(calculateDollarEV({ stacks: [1000, 1000], chipEV: 500 }).dollarEV).toBe(0);
+  });
+});